@@ -0,0 +1,68 @@
+/**
+ * EditorHistory.js - Undo and redo for the track editor
+ * Keeps snapshots of the manifest being edited
+ */
+
+const MAX_STEPS = 100; // Oldest snapshots are dropped beyond this
+
+/**
+ * EditorHistory - Two stacks of manifest snapshots
+ *
+ * Call push() with the manifest right before changing it. undo() and redo()
+ * take the current manifest (so the step can be reversed again) and return
+ * the one to switch to.
+ */
+class EditorHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Remember the manifest as it was before a change
+     * @param {Object} manifest - Manifest before the change
+     */
+    push(manifest) {
+        this.undoStack.push(JSON.stringify(manifest));
+        if (this.undoStack.length > MAX_STEPS) {
+            this.undoStack.shift();
+        }
+
+        // A new change ends the redo chain
+        this.redoStack = [];
+    }
+
+    /**
+     * Step back
+     * @param {Object} current - Manifest as it is now
+     * @returns {Object|null} - Manifest to restore, or null if there is nothing to undo
+     */
+    undo(current) {
+        if (this.undoStack.length === 0) return null;
+
+        this.redoStack.push(JSON.stringify(current));
+        return JSON.parse(this.undoStack.pop());
+    }
+
+    /**
+     * Step forward again after an undo
+     * @param {Object} current - Manifest as it is now
+     * @returns {Object|null} - Manifest to restore, or null if there is nothing to redo
+     */
+    redo(current) {
+        if (this.redoStack.length === 0) return null;
+
+        this.undoStack.push(JSON.stringify(current));
+        return JSON.parse(this.redoStack.pop());
+    }
+
+    /**
+     * Forget every step (a different track was loaded)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+export default EditorHistory;
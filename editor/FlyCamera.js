@@ -0,0 +1,146 @@
+/**
+ * FlyCamera.js - Free-flying camera for the track editor
+ */
+
+const MOVE_SPEED = 40; // m/s
+const FAST_FACTOR = 4; // Speed multiplier while Shift is held
+const LOOK_SENSITIVITY = 0.003; // Radians per pixel of mouse movement
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+// Keys that fly the camera, as key -> direction flag
+const MOVE_KEYS = {
+    w: 'forward',
+    s: 'backward',
+    a: 'left',
+    d: 'right',
+    e: 'up',
+    q: 'down'
+};
+
+/**
+ * FlyCamera - WASD to fly, Q/E to sink and climb, right mouse button to look around
+ *
+ * The editor forwards its keyboard events through handleKey() so the game's own
+ * key bindings never see them; the mouse is read from the canvas directly.
+ */
+class FlyCamera {
+    /**
+     * @param {Object} options
+     * @param {THREE.Camera} options.camera - Camera to fly
+     * @param {HTMLElement} options.domElement - Canvas to read the mouse from
+     */
+    constructor(options) {
+        this.camera = options.camera;
+        this.domElement = options.domElement;
+
+        this.enabled = false;
+        this.looking = false;
+        this.fast = false;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.moves = { forward: false, backward: false, left: false, right: false, up: false, down: false };
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onContextMenu = (event) => event.preventDefault();
+    }
+
+    /**
+     * Take over the camera from where it is now
+     */
+    enable() {
+        if (this.enabled) return;
+
+        const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        this.yaw = euler.y;
+        this.pitch = euler.x;
+        this.enabled = true;
+
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+        this.domElement.addEventListener('contextmenu', this.onContextMenu);
+    }
+
+    /**
+     * Give the camera back
+     */
+    disable() {
+        if (!this.enabled) return;
+
+        this.enabled = false;
+        this.looking = false;
+        Object.keys(this.moves).forEach(key => {
+            this.moves[key] = false;
+        });
+
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+    }
+
+    /**
+     * Handle a key press or release
+     * @param {KeyboardEvent} event - The keyboard event
+     * @param {Boolean} pressed - Whether the key went down
+     * @returns {Boolean} - Whether the key flies the camera
+     */
+    handleKey(event, pressed) {
+        if (event.key === 'Shift') {
+            this.fast = pressed;
+            return true;
+        }
+
+        const move = MOVE_KEYS[event.key.toLowerCase()];
+        if (!move || event.ctrlKey || event.metaKey) return false;
+
+        this.moves[move] = pressed;
+        return true;
+    }
+
+    /**
+     * Move the camera
+     * @param {Number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.enabled) return;
+
+        this.camera.quaternion.setFromEuler(new THREE.Euler(this.pitch, this.yaw, 0, 'YXZ'));
+
+        const direction = new THREE.Vector3(
+            (this.moves.right ? 1 : 0) - (this.moves.left ? 1 : 0),
+            0,
+            (this.moves.backward ? 1 : 0) - (this.moves.forward ? 1 : 0)
+        );
+        direction.applyQuaternion(this.camera.quaternion);
+        direction.y += (this.moves.up ? 1 : 0) - (this.moves.down ? 1 : 0);
+        if (direction.lengthSq() === 0) return;
+
+        const speed = MOVE_SPEED * (this.fast ? FAST_FACTOR : 1);
+        this.camera.position.addScaledVector(direction.normalize(), speed * delta);
+    }
+
+    // Start looking around while the right mouse button is held
+    onPointerDown(event) {
+        if (event.button === 2) {
+            this.looking = true;
+        }
+    }
+
+    onPointerMove(event) {
+        if (!this.looking) return;
+
+        this.yaw -= event.movementX * LOOK_SENSITIVITY;
+        this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch - event.movementY * LOOK_SENSITIVITY));
+    }
+
+    onPointerUp(event) {
+        if (event.button === 2) {
+            this.looking = false;
+        }
+    }
+}
+
+export default FlyCamera;
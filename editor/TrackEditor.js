@@ -0,0 +1,828 @@
+/**
+ * TrackEditor.js - In-game editor for track manifests
+ * Place, turn and scale ramps, walls, portals, checkpoints and the spawn point
+ * with gizmos from a free-flying camera, then save the manifest to the server
+ */
+
+import DataDrivenTrack from '../tracks/DataDrivenTrack.js';
+import EditorHistory from './EditorHistory.js';
+import FlyCamera from './FlyCamera.js';
+import { ITEM_TYPES } from './itemTypes.js';
+
+const DEG = Math.PI / 180;
+const ROTATION_SNAP = 15; // Degrees per step while snapping
+const SCALE_SNAP = 0.1; // Scale steps while snapping
+const PLACE_DISTANCE = 40; // How far in front of the camera new items appear
+const MODE_KEYS = { 1: 'translate', 2: 'rotate', 3: 'scale' };
+
+/**
+ * TrackEditor - Edits a copy of a loaded track's manifest
+ *
+ * The track itself stays loaded for reference while its ramps and walls are
+ * hidden; the editor draws its own stand-ins for every item and writes their
+ * changes into the manifest, which is what gets saved. The game has to stop
+ * simulating while the editor is open and call update() once per frame.
+ */
+class TrackEditor {
+    /**
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene - Scene the track is loaded in
+     * @param {THREE.Camera} options.camera - Camera the editor flies
+     * @param {HTMLElement} options.domElement - Canvas to pick items on
+     * @param {Function} options.onSave - Called with (trackId, manifest) to save; returns a promise
+     * @param {Function} options.onLoad - Called with a track ID to load that track; resolves to it
+     * @param {Function} options.onExit - Called after the editor closed
+     */
+    constructor(options) {
+        this.scene = options.scene;
+        this.camera = options.camera;
+        this.domElement = options.domElement;
+        this.onSave = options.onSave;
+        this.onLoad = options.onLoad;
+        this.onExit = options.onExit;
+
+        this.active = false;
+        this.track = null;
+        this.trackId = null;
+        this.manifest = null;
+        this.savedState = null; // What was last loaded or saved, to spot unsaved changes
+        this.sourceId = null; // ID the manifest was loaded or saved under
+        this.sourceCheckpointTrackId = null;
+        this.hiddenMeshes = [];
+
+        this.history = new EditorHistory();
+        this.flyCamera = new FlyCamera({ camera: this.camera, domElement: this.domElement });
+        this.raycaster = new THREE.Raycaster();
+        this.group = new THREE.Group();
+        this.proxies = [];
+        this.selected = null; // { type, key } of the selected item
+        this.mode = 'translate';
+        this.snap = true;
+        this.gridSize = 1;
+        this.gizmo = null; // Created on first open
+        this.lastFrameTime = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+
+        // UI elements
+        this.panelElement = document.getElementById('track-editor');
+        this.helpElement = document.getElementById('track-editor-help');
+        this.idInput = document.getElementById('editor-track-id');
+        this.nameInput = document.getElementById('editor-track-name');
+        this.descriptionInput = document.getElementById('editor-track-description');
+        this.courseSelect = document.getElementById('editor-course');
+        this.loadSelect = document.getElementById('editor-load-select');
+        this.snapInput = document.getElementById('editor-snap');
+        this.gridInput = document.getElementById('editor-grid');
+        this.selectionElement = document.getElementById('editor-selection');
+        this.propertiesElement = document.getElementById('editor-properties');
+        this.statusElement = document.getElementById('editor-status');
+        this.setupPanel();
+    }
+
+    /**
+     * Open the editor on a loaded track
+     * @param {DataDrivenTrack} track - The loaded track
+     * @param {Object} [layout] - { positions, mode } of the checkpoint layout players race, if it differs from the manifest's
+     */
+    open(track, layout) {
+        if (this.active) return;
+        this.active = true;
+
+        this.createGizmo();
+        this.setTrack(track, layout);
+        this.scene.add(this.group);
+        this.scene.add(this.gizmo);
+        this.gizmo.enabled = true;
+        this.flyCamera.enable();
+        this.lastFrameTime = null;
+
+        // Capture the keys before the game's own bindings see them
+        window.addEventListener('keydown', this.onKeyDown, true);
+        window.addEventListener('keyup', this.onKeyUp, true);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+
+        this.panelElement.classList.remove('hidden');
+        this.helpElement.classList.remove('hidden');
+        this.refreshTrackList();
+    }
+
+    /**
+     * Close the editor, asking first if there are unsaved changes
+     * @param {Boolean} [force] - Close without asking about unsaved changes
+     * @returns {Boolean} - Whether the editor closed
+     */
+    close(force) {
+        if (!this.active) return true;
+        if (!force && this.hasUnsavedChanges() && !window.confirm('Leave the editor? Your unsaved changes will be lost.')) {
+            return false;
+        }
+
+        this.active = false;
+        this.select(null);
+        this.gizmo.enabled = false;
+        this.scene.remove(this.gizmo);
+        this.scene.remove(this.group);
+        this.clearProxies();
+        this.restoreMeshes();
+        this.flyCamera.disable();
+
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        window.removeEventListener('keyup', this.onKeyUp, true);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+
+        this.panelElement.classList.add('hidden');
+        this.helpElement.classList.add('hidden');
+
+        this.onExit();
+        return true;
+    }
+
+    /**
+     * Start editing a copy of a track's manifest
+     * @param {DataDrivenTrack} track - The loaded track
+     * @param {Object} [layout] - { positions, mode } of the checkpoints to start from instead of the manifest's
+     */
+    setTrack(track, layout) {
+        this.restoreMeshes();
+        this.track = track;
+        this.trackId = track.id;
+        this.manifest = JSON.parse(JSON.stringify(track.manifest));
+        if (layout) {
+            setCourseMode(this.manifest, layout.mode);
+        }
+        // Gates are edited with the heading and width they're raced with
+        this.manifest.checkpoints.positions = DataDrivenTrack.getGates(
+            layout ? layout.positions : this.manifest.checkpoints.positions,
+            this.manifest.checkpoints.mode
+        );
+        this.markSaved();
+
+        // The editor draws its own ramps and walls
+        this.hiddenMeshes = track.rampMeshes.concat(track.wallMeshes).filter(mesh => mesh.visible);
+        this.hiddenMeshes.forEach(mesh => {
+            mesh.visible = false;
+        });
+
+        this.history.clear();
+        this.selected = null;
+        this.rebuild();
+        this.updateTrackInputs();
+        this.setStatus(`Editing ${this.manifest.name}`);
+    }
+
+    /**
+     * Move the camera - call once per frame
+     */
+    update() {
+        const now = performance.now();
+        const delta = this.lastFrameTime === null ? 0 : Math.min(0.1, (now - this.lastFrameTime) / 1000);
+        this.lastFrameTime = now;
+
+        this.flyCamera.update(delta);
+    }
+
+    /**
+     * Create the transform gizmo - the first time the editor opens, once the canvas is in the page
+     */
+    createGizmo() {
+        if (this.gizmo) return;
+
+        this.gizmo = new THREE.TransformControls(this.camera, this.domElement);
+        this.gizmo.size = 1.2;
+        this.gizmo.addEventListener('mouseUp', () => this.commitTransform());
+        this.applySnap();
+    }
+
+    /**
+     * Wire up the editor panel
+     */
+    setupPanel() {
+        // Buttons give the focus back so Space and Enter don't press them again
+        this.panelElement.addEventListener('click', (event) => {
+            if (event.target.tagName === 'BUTTON') {
+                event.target.blur();
+            }
+        });
+
+        document.querySelectorAll('#track-editor [data-add]').forEach(button => {
+            button.addEventListener('click', () => this.addItem(button.dataset.add));
+        });
+        document.querySelectorAll('#track-editor [data-mode]').forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        });
+
+        document.getElementById('editor-undo').addEventListener('click', () => this.undo());
+        document.getElementById('editor-redo').addEventListener('click', () => this.redo());
+        document.getElementById('editor-duplicate').addEventListener('click', () => this.duplicateSelected());
+        document.getElementById('editor-delete').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('editor-earlier').addEventListener('click', () => this.moveSelected(-1));
+        document.getElementById('editor-later').addEventListener('click', () => this.moveSelected(1));
+        document.getElementById('editor-load-button').addEventListener('click', () => this.load(this.loadSelect.value));
+        document.getElementById('editor-save').addEventListener('click', () => this.save());
+        document.getElementById('editor-exit').addEventListener('click', () => this.close());
+
+        this.snapInput.addEventListener('change', () => {
+            this.snap = this.snapInput.checked;
+            this.applySnap();
+        });
+        this.gridInput.addEventListener('change', () => {
+            const size = Number(this.gridInput.value);
+            if (size > 0) {
+                this.gridSize = size;
+                this.applySnap();
+            }
+            this.gridInput.value = this.gridSize;
+        });
+
+        this.idInput.addEventListener('change', () => this.setTrackId(this.idInput.value.trim()));
+        this.nameInput.addEventListener('change', () => {
+            this.change(() => {
+                this.manifest.name = this.nameInput.value.trim();
+            });
+        });
+        this.descriptionInput.addEventListener('change', () => {
+            this.change(() => {
+                const description = this.descriptionInput.value.trim();
+                if (description) {
+                    this.manifest.description = description;
+                } else {
+                    delete this.manifest.description;
+                }
+            });
+        });
+        this.courseSelect.addEventListener('change', () => {
+            this.change(() => setCourseMode(this.manifest, this.courseSelect.value));
+        });
+    }
+
+    /**
+     * Change the ID the track is saved under
+     * @param {String} id - New track ID
+     */
+    setTrackId(id) {
+        this.trackId = id;
+
+        // A copy saved under a new ID gets its own checkpoint layouts, leaderboards and ghosts
+        const checkpointTrackId = id === this.sourceId ? this.sourceCheckpointTrackId : id.replace(/-/g, '_');
+        if (this.manifest.checkpoints.trackId !== checkpointTrackId) {
+            this.change(() => {
+                this.manifest.checkpoints.trackId = checkpointTrackId;
+            });
+        }
+    }
+
+    /**
+     * Make a change to the manifest as one undoable step
+     * @param {Function} apply - Changes this.manifest
+     * @returns {Boolean} - Whether anything changed
+     */
+    change(apply) {
+        const before = JSON.stringify(this.manifest);
+        apply();
+
+        const changed = JSON.stringify(this.manifest) !== before;
+        if (changed) {
+            this.history.push(JSON.parse(before));
+        }
+        this.rebuild();
+        this.updatePanel();
+        return changed;
+    }
+
+    /**
+     * Write the gizmo's changes to the selected item once the drag ends
+     */
+    commitTransform() {
+        if (!this.selected) return;
+
+        const type = ITEM_TYPES[this.selected.type];
+        const proxy = this.gizmo.object;
+        this.change(() => type.applyTransform(type.get(this.manifest, this.selected.key), proxy));
+    }
+
+    /**
+     * Step back
+     */
+    undo() {
+        const manifest = this.history.undo(this.manifest);
+        if (!manifest) {
+            this.setStatus('Nothing to undo');
+            return;
+        }
+        this.restore(manifest);
+    }
+
+    /**
+     * Step forward again
+     */
+    redo() {
+        const manifest = this.history.redo(this.manifest);
+        if (!manifest) {
+            this.setStatus('Nothing to redo');
+            return;
+        }
+        this.restore(manifest);
+    }
+
+    /**
+     * Switch to a manifest from the history
+     * @param {Object} manifest - Manifest to edit from now on
+     */
+    restore(manifest) {
+        this.manifest = manifest;
+        if (this.selected && !this.findItem(this.selected)) {
+            this.selected = null;
+        }
+        this.rebuild();
+        this.updateTrackInputs();
+        this.updatePanel();
+    }
+
+    /**
+     * Add an item of a type in front of the camera and select it
+     * @param {String} typeName - Item type
+     */
+    addItem(typeName) {
+        const type = ITEM_TYPES[typeName];
+        const point = this.getPlacementPoint();
+
+        let key = null;
+        this.change(() => {
+            key = type.add(this.manifest, point);
+        });
+        if (key === null) {
+            this.setStatus(`This track has no room for another ${type.label.toLowerCase()}`, true);
+            return;
+        }
+        this.select({ type: typeName, key: key });
+    }
+
+    /**
+     * Copy the selected item and select the copy
+     */
+    duplicateSelected() {
+        if (!this.selected) return;
+
+        const type = ITEM_TYPES[this.selected.type];
+        if (!type.duplicate) {
+            this.setStatus(`A ${type.label.toLowerCase()} can't be duplicated`, true);
+            return;
+        }
+
+        let key = null;
+        this.change(() => {
+            key = type.duplicate(this.manifest, this.selected.key);
+        });
+        this.select({ type: this.selected.type, key: key });
+    }
+
+    /**
+     * Remove the selected item
+     */
+    deleteSelected() {
+        if (!this.selected) return;
+
+        const type = ITEM_TYPES[this.selected.type];
+        if (!type.remove) {
+            this.setStatus(`Every track needs its ${type.label.toLowerCase()}s - move them instead`, true);
+            return;
+        }
+        const blocker = type.getRemoveBlocker ? type.getRemoveBlocker(this.manifest) : null;
+        if (blocker) {
+            this.setStatus(blocker, true);
+            return;
+        }
+
+        const item = this.selected;
+        this.select(null);
+        this.change(() => type.remove(this.manifest, item.key));
+    }
+
+    /**
+     * Move the selected item earlier or later in its list, e.g. a checkpoint in the race order
+     * @param {Number} offset - -1 for earlier, 1 for later
+     */
+    moveSelected(offset) {
+        if (!this.selected) return;
+
+        const type = ITEM_TYPES[this.selected.type];
+        if (!type.move) {
+            this.setStatus(`The order of ${type.label.toLowerCase()}s doesn't matter`, true);
+            return;
+        }
+
+        let key = null;
+        this.change(() => {
+            key = type.move(this.manifest, this.selected.key, offset);
+        });
+        this.select({ type: this.selected.type, key: key });
+    }
+
+    /**
+     * Select an item and attach the gizmo to it
+     * @param {Object|null} item - { type, key }, or null to select nothing
+     */
+    select(item) {
+        this.selected = item;
+
+        const proxy = item ? this.findProxy(item) : null;
+        if (proxy) {
+            this.gizmo.attach(proxy);
+            const modes = ITEM_TYPES[item.type].modes;
+            this.setMode(modes[this.mode] ? this.mode : Object.keys(modes)[0]);
+        } else {
+            this.selected = null;
+            if (this.gizmo) {
+                this.gizmo.detach();
+            }
+        }
+
+        this.updatePanel();
+    }
+
+    /**
+     * Switch the gizmo between moving, turning and scaling
+     * @param {String} mode - 'translate', 'rotate' or 'scale'
+     */
+    setMode(mode) {
+        const axes = this.selected ? ITEM_TYPES[this.selected.type].modes[mode] : 'xyz';
+        if (!axes) {
+            this.setStatus(`A ${ITEM_TYPES[this.selected.type].label.toLowerCase()} can't be ${mode === 'rotate' ? 'rotated' : 'scaled'}`, true);
+            return;
+        }
+
+        this.mode = mode;
+        if (this.gizmo) {
+            this.gizmo.setMode(mode);
+            this.gizmo.showX = axes.includes('x');
+            this.gizmo.showY = axes.includes('y');
+            this.gizmo.showZ = axes.includes('z');
+        }
+
+        document.querySelectorAll('#track-editor [data-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+    }
+
+    /**
+     * Set the gizmo's snapping steps from the panel
+     */
+    applySnap() {
+        if (!this.gizmo) return;
+
+        this.gizmo.setTranslationSnap(this.snap ? this.gridSize : null);
+        this.gizmo.setRotationSnap(this.snap ? ROTATION_SNAP * DEG : null);
+        this.gizmo.setScaleSnap(this.snap ? SCALE_SNAP : null);
+    }
+
+    /**
+     * Load another track into the game and edit it
+     * @param {String} trackId - Track ID
+     */
+    async load(trackId) {
+        if (!trackId) return;
+        if (this.hasUnsavedChanges() && !window.confirm('Load another track? Your unsaved changes will be lost.')) {
+            return;
+        }
+
+        this.select(null);
+        this.clearProxies();
+        this.setStatus('Loading track...');
+        try {
+            const track = await this.onLoad(trackId);
+            if (this.active) {
+                this.setTrack(track);
+            }
+        } catch (error) {
+            console.error('Error loading track into the editor:', error);
+            this.setStatus(`Couldn't load the track: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Check the manifest and save it on the server
+     */
+    async save() {
+        if (!DataDrivenTrack.isValidId(this.trackId)) {
+            this.setStatus('The track ID may only use a-z, 0-9, - and _ (up to 32 characters)', true);
+            return;
+        }
+        const error = DataDrivenTrack.validateManifest(this.manifest);
+        if (error) {
+            this.setStatus(`Can't save: ${error}`, true);
+            return;
+        }
+
+        this.setStatus('Saving...');
+        try {
+            await this.onSave(this.trackId, this.manifest);
+            this.markSaved();
+            this.setStatus(`Saved as tracks/${this.trackId}.json`);
+            this.refreshTrackList();
+        } catch (error) {
+            console.error('Error saving track:', error);
+            this.setStatus(`Couldn't save: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Remember the current manifest and ID as saved
+     */
+    markSaved() {
+        this.sourceId = this.trackId;
+        this.sourceCheckpointTrackId = this.manifest.checkpoints.trackId;
+        this.savedState = JSON.stringify({ id: this.trackId, manifest: this.manifest });
+    }
+
+    /**
+     * Check for changes since the track was loaded or saved
+     * @returns {Boolean}
+     */
+    hasUnsavedChanges() {
+        return this.savedState !== JSON.stringify({ id: this.trackId, manifest: this.manifest });
+    }
+
+    /**
+     * Fill the load list with the tracks the server has
+     */
+    async refreshTrackList() {
+        try {
+            const response = await fetch('/track-list', { cache: 'no-cache' });
+            const data = await response.json();
+            if (!data.success) return;
+
+            this.loadSelect.innerHTML = '';
+            data.tracks.forEach(track => {
+                const option = document.createElement('option');
+                option.value = track.id;
+                option.textContent = track.name;
+                option.selected = track.id === this.sourceId;
+                this.loadSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading the track list:', error);
+        }
+    }
+
+    /**
+     * Draw a stand-in for every item in the manifest
+     */
+    rebuild() {
+        this.clearProxies();
+
+        Object.keys(ITEM_TYPES).forEach(typeName => {
+            const type = ITEM_TYPES[typeName];
+            type.keys(this.manifest).forEach(key => {
+                const proxy = type.createProxy(type.get(this.manifest, key), key, this.manifest);
+                proxy.userData.item = { type: typeName, key: key };
+                this.group.add(proxy);
+                this.proxies.push(proxy);
+            });
+        });
+
+        // Keep the gizmo on the selected item's new stand-in
+        if (this.selected && this.gizmo) {
+            const proxy = this.findProxy(this.selected);
+            if (proxy) {
+                this.gizmo.attach(proxy);
+            } else {
+                this.select(null);
+            }
+        }
+    }
+
+    /**
+     * Remove the stand-ins from the scene
+     */
+    clearProxies() {
+        if (this.gizmo) {
+            this.gizmo.detach();
+        }
+
+        this.proxies.forEach(proxy => {
+            this.group.remove(proxy);
+            proxy.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+        });
+        this.proxies = [];
+    }
+
+    /**
+     * Show the track's own ramps and walls again
+     */
+    restoreMeshes() {
+        this.hiddenMeshes.forEach(mesh => {
+            mesh.visible = true;
+        });
+        this.hiddenMeshes = [];
+    }
+
+    /**
+     * Find the stand-in of an item
+     * @param {Object} item - { type, key }
+     * @returns {THREE.Object3D|undefined}
+     */
+    findProxy(item) {
+        return this.proxies.find(proxy => proxy.userData.item.type === item.type && proxy.userData.item.key === item.key);
+    }
+
+    /**
+     * Check that an item is still in the manifest
+     * @param {Object} item - { type, key }
+     * @returns {Boolean}
+     */
+    findItem(item) {
+        return ITEM_TYPES[item.type].keys(this.manifest).includes(item.key);
+    }
+
+    /**
+     * Find where a new item goes - the ground in front of the camera
+     * @returns {THREE.Vector3}
+     */
+    getPlacementPoint() {
+        const direction = this.camera.getWorldDirection(new THREE.Vector3());
+        this.raycaster.set(this.camera.position, direction);
+        const hit = this.track && this.track.trackMesh
+            ? this.raycaster.intersectObject(this.track.trackMesh, true)[0]
+            : null;
+        if (hit && hit.distance < PLACE_DISTANCE * 5) {
+            return hit.point;
+        }
+
+        const point = this.camera.position.clone().addScaledVector(direction, PLACE_DISTANCE);
+        point.y = 0;
+        return point;
+    }
+
+    /**
+     * Show the selected item's properties
+     */
+    updatePanel() {
+        this.propertiesElement.innerHTML = '';
+        if (!this.selected) {
+            this.selectionElement.textContent = 'Click an item to select it';
+            return;
+        }
+
+        const type = ITEM_TYPES[this.selected.type];
+        const key = this.selected.key;
+        const entry = type.get(this.manifest, key);
+        this.selectionElement.textContent = typeof key === 'number'
+            ? `${type.label} ${key + 1}`
+            : key === this.selected.type ? type.label : `${type.label} (${key})`;
+
+        type.fields.forEach(field => {
+            const row = document.createElement('label');
+            row.textContent = field.label;
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                field.options.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value || '(none)';
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type;
+                if (field.type === 'number') {
+                    input.step = 'any';
+                }
+            }
+            const value = field.get(entry);
+            input.value = value === undefined ? '' : value;
+            input.addEventListener('change', () => this.setField(field, input.value));
+
+            row.appendChild(input);
+            this.propertiesElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Write a value typed into the properties panel
+     * @param {Object} field - Field from the item type
+     * @param {String} rawValue - Value of the input
+     */
+    setField(field, rawValue) {
+        let value = rawValue.trim();
+        if (field.type === 'number' && value !== '') {
+            value = Number(value);
+        }
+
+        // Leave the item as it was when the value is unusable
+        const unusable = field.type === 'number' && (value === '' ? !field.optional : !Number.isFinite(value));
+        if (unusable) {
+            this.setStatus(`${field.label} needs a number`, true);
+            this.updatePanel();
+            return;
+        }
+
+        const type = ITEM_TYPES[this.selected.type];
+        const key = this.selected.key;
+        this.change(() => field.set(type.get(this.manifest, key), value));
+    }
+
+    /**
+     * Show the track's ID, name and description
+     */
+    updateTrackInputs() {
+        this.idInput.value = this.trackId;
+        this.nameInput.value = this.manifest.name || '';
+        this.descriptionInput.value = this.manifest.description || '';
+        this.courseSelect.value = this.manifest.checkpoints.mode || 'circuit';
+    }
+
+    /**
+     * Show a message under the panel
+     * @param {String} message - Message to show
+     * @param {Boolean} [isError] - Show it as an error
+     */
+    setStatus(message, isError) {
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', Boolean(isError));
+    }
+
+    // Select the item under the pointer, unless the gizmo was grabbed
+    onPointerDown(event) {
+        if (event.button !== 0 || this.gizmo.dragging || this.gizmo.axis) return;
+
+        const rect = this.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        const hit = this.raycaster.intersectObjects(this.proxies, true)[0];
+        let object = hit ? hit.object : null;
+        while (object && !object.userData.item) {
+            object = object.parent;
+        }
+        this.select(object ? object.userData.item : null);
+    }
+
+    onKeyDown(event) {
+        // The game's key bindings (driving, checkpoint edit mode, replays) stay quiet while editing
+        event.stopPropagation();
+        if (isTyping(event.target)) return;
+
+        const key = event.key.toLowerCase();
+        const ctrl = event.ctrlKey || event.metaKey;
+        if (ctrl && key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (ctrl && key === 'y') {
+            event.preventDefault();
+            this.redo();
+        } else if (ctrl && key === 'd') {
+            event.preventDefault();
+            this.duplicateSelected();
+        } else if (ctrl && key === 's') {
+            event.preventDefault();
+            this.save();
+        } else if (key === 'delete' || key === 'backspace') {
+            event.preventDefault();
+            this.deleteSelected();
+        } else if (key === '[' || key === ']') {
+            this.moveSelected(key === '[' ? -1 : 1);
+        } else if (MODE_KEYS[key]) {
+            this.setMode(MODE_KEYS[key]);
+        } else if (key === 'escape') {
+            this.select(null);
+        } else {
+            this.flyCamera.handleKey(event, true);
+        }
+    }
+
+    onKeyUp(event) {
+        event.stopPropagation();
+        this.flyCamera.handleKey(event, false);
+    }
+}
+
+// Helper function to set how a manifest's checkpoints are raced - circuits are the default and stay implicit
+function setCourseMode(manifest, mode) {
+    if (mode === 'sprint') {
+        manifest.checkpoints.mode = mode;
+    } else {
+        delete manifest.checkpoints.mode;
+    }
+}
+
+// Helper function to check if a key press goes into a form field
+function isTyping(target) {
+    return Boolean(target) && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+}
+
+export default TrackEditor;
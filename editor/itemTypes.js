@@ -0,0 +1,379 @@
+/**
+ * itemTypes.js - The track features the editor can place
+ * Each type knows where its items live in a manifest, how to draw a stand-in
+ * for them and how to write a moved, turned or scaled stand-in back
+ */
+
+import DataDrivenTrack from '../tracks/DataDrivenTrack.js';
+import { SURFACES } from '../tracks/surfaces.js';
+
+const DEG = Math.PI / 180; // Angles in manifests are in degrees
+const MIN_SIZE = 0.5; // Smallest width, height or depth a ramp or wall can shrink to
+const MIN_CHECKPOINTS = CheckpointValidator.MIN_CHECKPOINTS; // A course needs at least a start and a finish
+const MAX_CHECKPOINTS = CheckpointValidator.MAX_CHECKPOINTS;
+const CHECKPOINT_COLORS = [0x2196F3, 0xFF9800, 0x9C27B0]; // Same as the game's rings after the green start
+const PORTAL_COLORS = { exit: 0x00ff00, start: 0xff0000 };
+
+/**
+ * Item types by name. Every type has:
+ * - label: Name shown in the editor
+ * - modes: Gizmo axes per transform mode ('translate', 'rotate', 'scale'); missing modes are unavailable
+ * - keys(manifest): Keys of the items of this type in the manifest
+ * - get(manifest, key): The item's manifest entry
+ * - createProxy(entry, key, manifest): Object3D standing in for the item
+ * - applyTransform(entry, proxy): Write the proxy's position, rotation and scale into the entry
+ * - fields: Properties panel fields ({ label, type, get, set, options })
+ * - add(manifest, point) / remove(manifest, key) / duplicate(manifest, key): optional, return the new key
+ * - getRemoveBlocker(manifest): optional, why no item of this type can be removed right now
+ * - move(manifest, key, offset): optional, move the item up or down its list and return its new key
+ */
+export const ITEM_TYPES = {
+    ramp: {
+        label: 'Ramp',
+        modes: { translate: 'xz', rotate: 'y', scale: 'xyz' },
+        keys: manifest => (manifest.ramps || []).map((ramp, index) => index),
+        get: (manifest, key) => manifest.ramps[key],
+        createProxy(ramp) {
+            // Tilted box inside a group that carries the heading, so the gizmo turns it around Y only
+            const pose = DataDrivenTrack.getRampPose(Object.assign({}, ramp, { heading: 0 }));
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(ramp.width, ramp.height, ramp.depth),
+                createMaterial(ramp.color || '#ffffff')
+            );
+            mesh.quaternion.copy(pose.quaternion);
+
+            const group = new THREE.Group();
+            group.position.copy(pose.position);
+            group.rotation.y = (ramp.heading || 0) * DEG;
+            group.add(mesh);
+            return group;
+        },
+        applyTransform(ramp, proxy) {
+            ramp.x = round(proxy.position.x);
+            ramp.z = round(proxy.position.z);
+            ramp.width = scaleSize(ramp.width, proxy.scale.x);
+            ramp.height = scaleSize(ramp.height, proxy.scale.y);
+            ramp.depth = scaleSize(ramp.depth, proxy.scale.z);
+
+            const heading = getHeading(proxy);
+            if (heading !== 0 || ramp.heading !== undefined) {
+                ramp.heading = heading;
+            }
+        },
+        fields: [
+            numberField('X', 'x'),
+            numberField('Z', 'z'),
+            sizeField('Width', 'width'),
+            sizeField('Height', 'height'),
+            sizeField('Depth', 'depth'),
+            numberField('Angle', 'angle'),
+            { label: 'Tilt axis', type: 'select', options: ['x', 'z'], get: ramp => ramp.axis, set: (ramp, value) => { ramp.axis = value; } },
+            numberField('Heading', 'heading', true),
+            numberField('Elevation', 'elevation', true),
+            textField('Color', 'color'),
+            { label: 'Surface', type: 'select', options: ['', ...Object.keys(SURFACES)], get: ramp => ramp.surface || '', set: setOptional('surface') }
+        ],
+        add(manifest, point) {
+            manifest.ramps = manifest.ramps || [];
+            manifest.ramps.push({
+                x: round(point.x), z: round(point.z),
+                width: 30, height: 15, depth: 50, angle: 15, axis: 'x',
+                color: '#ff8800', surface: 'asphalt'
+            });
+            return manifest.ramps.length - 1;
+        },
+        remove(manifest, key) {
+            manifest.ramps.splice(key, 1);
+        },
+        duplicate(manifest, key) {
+            const copy = JSON.parse(JSON.stringify(manifest.ramps[key]));
+            copy.x = round(copy.x + copy.width + 5);
+            // Ramp records are filed under the ramp's ID, so the copy gets a numbered one of its own
+            delete copy.id;
+            delete copy.name;
+            manifest.ramps.push(copy);
+            return manifest.ramps.length - 1;
+        }
+    },
+
+    wall: {
+        label: 'Wall',
+        modes: { translate: 'xyz', rotate: 'y', scale: 'xyz' },
+        keys: manifest => ((manifest.walls && manifest.walls.boxes) || []).map((box, index) => index),
+        get: (manifest, key) => manifest.walls.boxes[key],
+        createProxy(box) {
+            // Walls without a color are invisible in the game, so they get a wireframe here
+            const material = box.color
+                ? createMaterial(box.color)
+                : new THREE.MeshBasicMaterial({ color: 0xaaaaaa, wireframe: true });
+            const group = new THREE.Group();
+            group.position.fromArray(box.position);
+            group.rotation.y = (box.rotation || 0) * DEG;
+            group.add(new THREE.Mesh(new THREE.BoxGeometry(box.size[0], box.size[1], box.size[2]), material));
+            return group;
+        },
+        applyTransform(box, proxy) {
+            box.position = proxy.position.toArray().map(round);
+            box.size = [
+                scaleSize(box.size[0], proxy.scale.x),
+                scaleSize(box.size[1], proxy.scale.y),
+                scaleSize(box.size[2], proxy.scale.z)
+            ];
+
+            const rotation = getHeading(proxy);
+            if (rotation !== 0 || box.rotation !== undefined) {
+                box.rotation = rotation;
+            }
+        },
+        fields: [
+            ...vectorFields('position', ['X', 'Y', 'Z']),
+            ...vectorFields('size', ['Width', 'Height', 'Depth'], true),
+            numberField('Rotation', 'rotation', true),
+            textField('Color', 'color')
+        ],
+        add(manifest, point) {
+            manifest.walls = manifest.walls || { boundary: true };
+            manifest.walls.boxes = manifest.walls.boxes || [];
+            manifest.walls.boxes.push({
+                position: [round(point.x), round(point.y + 2.5), round(point.z)],
+                size: [20, 5, 1],
+                color: '#888888'
+            });
+            return manifest.walls.boxes.length - 1;
+        },
+        remove(manifest, key) {
+            manifest.walls.boxes.splice(key, 1);
+        },
+        duplicate(manifest, key) {
+            const copy = JSON.parse(JSON.stringify(manifest.walls.boxes[key]));
+            copy.position[2] = round(copy.position[2] + copy.size[2] + 5);
+            manifest.walls.boxes.push(copy);
+            return manifest.walls.boxes.length - 1;
+        }
+    },
+
+    spawn: {
+        label: 'Spawn point',
+        modes: { translate: 'xyz', rotate: 'y' },
+        keys: () => ['spawn'],
+        get: manifest => manifest.spawn,
+        createProxy(spawn) {
+            // Arrow along local +Z, the way the ATV faces
+            const material = createMaterial('#ffffff');
+            const body = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 3), material);
+            const tip = new THREE.Mesh(new THREE.ConeGeometry(1.5, 3, 16), material);
+            tip.rotation.x = Math.PI / 2;
+            tip.position.z = 3;
+
+            const group = new THREE.Group();
+            group.position.fromArray(spawn.position);
+            group.rotation.y = (spawn.heading || 0) * DEG;
+            group.add(body, tip);
+            return group;
+        },
+        applyTransform(spawn, proxy) {
+            spawn.position = proxy.position.toArray().map(round);
+            spawn.heading = getHeading(proxy);
+        },
+        fields: [
+            ...vectorFields('position', ['X', 'Y', 'Z']),
+            numberField('Heading', 'heading', true)
+        ]
+    },
+
+    portal: {
+        label: 'Portal',
+        modes: { translate: 'xyz', rotate: 'xyz' },
+        keys: manifest => ['exit', 'start'].filter(key => manifest.portals && manifest.portals[key]),
+        get: (manifest, key) => manifest.portals[key],
+        createProxy(portal, key) {
+            const rotation = portal.rotation || [0, 0, 0];
+            const group = new THREE.Group();
+            group.position.fromArray(portal.position);
+            group.rotation.set(rotation[0] * DEG, rotation[1] * DEG, rotation[2] * DEG);
+            group.add(new THREE.Mesh(new THREE.TorusGeometry(15, 2, 16, 48), createMaterial(PORTAL_COLORS[key])));
+            return group;
+        },
+        applyTransform(portal, proxy) {
+            portal.position = proxy.position.toArray().map(round);
+            portal.rotation = [proxy.rotation.x, proxy.rotation.y, proxy.rotation.z].map(angle => round(angle / DEG));
+        },
+        fields: [
+            ...vectorFields('position', ['X', 'Y', 'Z']),
+            ...vectorFields('rotation', ['Pitch', 'Yaw', 'Roll'])
+        ],
+        add(manifest, point) {
+            manifest.portals = manifest.portals || {};
+            const key = ['exit', 'start'].find(name => !manifest.portals[name]);
+            if (!key) return null;
+
+            manifest.portals[key] = { position: [round(point.x), round(point.y + 15), round(point.z)], rotation: [0, 0, 0] };
+            return key;
+        },
+        remove(manifest, key) {
+            delete manifest.portals[key];
+        }
+    },
+
+    checkpoint: {
+        // Gates are raced in list order and driven through along their heading; scaling one sets its width
+        label: 'Checkpoint',
+        modes: { translate: 'xyz', rotate: 'y', scale: 'x' },
+        keys: manifest => manifest.checkpoints.positions.map((point, index) => index),
+        get: (manifest, key) => manifest.checkpoints.positions[key],
+        createProxy(gate, key, manifest) {
+            const material = createMaterial(getCheckpointColor(manifest.checkpoints, key));
+            const ring = new THREE.Mesh(new THREE.TorusGeometry(gate.width / 2, 1, 16, 32), material);
+
+            // Arrow through the ring along local +Z, the way the gate is driven through
+            const arrow = new THREE.Mesh(new THREE.ConeGeometry(2, 6, 16), material);
+            arrow.rotation.x = Math.PI / 2;
+
+            const group = new THREE.Group();
+            group.position.set(gate.x, gate.y, gate.z);
+            group.rotation.y = gate.heading * DEG;
+            group.add(ring, arrow);
+            return group;
+        },
+        applyTransform(gate, proxy) {
+            gate.x = round(proxy.position.x);
+            gate.y = round(proxy.position.y);
+            gate.z = round(proxy.position.z);
+            gate.heading = getHeading(proxy);
+            gate.width = scaleSize(gate.width, proxy.scale.x);
+        },
+        fields: [
+            numberField('X', 'x'),
+            numberField('Y', 'y'),
+            numberField('Z', 'z'),
+            numberField('Heading', 'heading'),
+            sizeField('Width', 'width')
+        ],
+        add(manifest, point) {
+            // New gates go to the end of the course, in line with the last one
+            const positions = manifest.checkpoints.positions;
+            if (positions.length >= MAX_CHECKPOINTS) return null;
+
+            const last = positions[positions.length - 1];
+            positions.push({
+                x: round(point.x), y: round(point.y + 3), z: round(point.z),
+                heading: last ? last.heading : 0,
+                width: last ? last.width : 20
+            });
+            return positions.length - 1;
+        },
+        remove(manifest, key) {
+            manifest.checkpoints.positions.splice(key, 1);
+        },
+        getRemoveBlocker(manifest) {
+            return manifest.checkpoints.positions.length <= MIN_CHECKPOINTS
+                ? `A course needs at least ${MIN_CHECKPOINTS} checkpoints`
+                : null;
+        },
+        duplicate(manifest, key) {
+            // The copy is the next gate, as close along the heading as gates may be
+            const positions = manifest.checkpoints.positions;
+            if (positions.length >= MAX_CHECKPOINTS) return key;
+
+            const spacing = CheckpointValidator.MIN_GATE_SPACING;
+            const copy = Object.assign({}, positions[key]);
+            copy.x = round(copy.x + Math.sin(copy.heading * DEG) * spacing);
+            copy.z = round(copy.z + Math.cos(copy.heading * DEG) * spacing);
+            positions.splice(key + 1, 0, copy);
+            return key + 1;
+        },
+        move(manifest, key, offset) {
+            const positions = manifest.checkpoints.positions;
+            const target = key + offset;
+            if (target < 0 || target >= positions.length) return key;
+
+            positions.splice(target, 0, positions.splice(key, 1)[0]);
+            return target;
+        }
+    }
+};
+
+// Helper function to round a manifest value to the centimetre (or hundredth of a degree)
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Helper function to apply a gizmo scale to a size
+function scaleSize(size, scale) {
+    return Math.max(MIN_SIZE, round(size * scale));
+}
+
+// Helper function to read the turn of a proxy around the vertical axis, in degrees
+function getHeading(proxy) {
+    const euler = new THREE.Euler().setFromQuaternion(proxy.quaternion, 'YXZ');
+    return round(euler.y / DEG);
+}
+
+// Helper function to pick a checkpoint's color like the game does: green start, red sprint finish, the rest in turn
+function getCheckpointColor(checkpoints, index) {
+    if (index === 0) return 0x4CAF50;
+    if (checkpoints.mode === 'sprint' && index === checkpoints.positions.length - 1) return 0xF44336;
+    return CHECKPOINT_COLORS[(index - 1) % CHECKPOINT_COLORS.length];
+}
+
+// Helper function to create the material of a proxy
+function createMaterial(color) {
+    return new THREE.MeshStandardMaterial({
+        color: new THREE.Color(color),
+        emissive: new THREE.Color(color),
+        emissiveIntensity: 0.3,
+        roughness: 0.7,
+        transparent: true,
+        opacity: 0.8
+    });
+}
+
+// Helper function to clear an optional property when its field is emptied
+function setOptional(key) {
+    return (entry, value) => {
+        if (value === '' || value === null) {
+            delete entry[key];
+        } else {
+            entry[key] = value;
+        }
+    };
+}
+
+// Helper function to describe a numeric field (optional ones may be left empty)
+function numberField(label, key, optional) {
+    return {
+        label: label,
+        type: 'number',
+        optional: Boolean(optional),
+        get: entry => entry[key],
+        set: optional ? setOptional(key) : (entry, value) => { entry[key] = value; }
+    };
+}
+
+// Helper function to describe a size field, which can't go below the minimum size
+function sizeField(label, key) {
+    return {
+        label: label,
+        type: 'number',
+        get: entry => entry[key],
+        set: (entry, value) => { entry[key] = Math.max(MIN_SIZE, value); }
+    };
+}
+
+// Helper function to describe an optional text field
+function textField(label, key) {
+    return { label: label, type: 'text', get: entry => entry[key] || '', set: setOptional(key) };
+}
+
+// Helper function to describe one field per component of an [x, y, z] property
+function vectorFields(key, labels, positive) {
+    return labels.map((label, index) => ({
+        label: label,
+        type: 'number',
+        get: entry => (entry[key] || [0, 0, 0])[index],
+        set: (entry, value) => {
+            entry[key] = (entry[key] || [0, 0, 0]).slice();
+            entry[key][index] = positive ? Math.max(MIN_SIZE, value) : value;
+        }
+    }));
+}
@@ -6,8 +6,18 @@ class MultiplayerManager {
         this.localChassisBody = chassisBody;
         this.localVehicleMesh = vehicleMesh;
         this.players = {};
+        this.playersByNetId = {}; // Remote players keyed by the short ID used in world snapshots
+        this.localNetId = null;
         this.lastUpdateTime = 0;
         this.updateInterval = 50; // Send updates every 50ms (20 times per second)
+        
+        // Remote players are rendered slightly in the past so there are always
+        // two snapshots to interpolate between
+        this.interpolationDelay = 100; // ms - two send intervals
+        this.maxExtrapolation = 250; // ms - how far to predict ahead when packets are late
+        this.snapshotBufferTime = 1000; // ms of snapshots kept per remote player
+        this.teleportDistance = 30; // Snap instead of interpolating across respawns
+        this.serverTimeOffset = null; // Estimated local clock minus server clock
         this.playerName = playerName || 'Unknown Player';
         
         // Flag to indicate if multiplayer is initialized
@@ -30,6 +40,44 @@ class MultiplayerManager {
         
         // Ramp positions from server (will be populated when connected)
         this.ramps = [];
+        
+        // Room the server put us in
+        this.room = null;
+        
+        // Race session state mirrored from the server
+        this.race = {
+            state: 'lobby',
+            participants: [],
+            laps: 1,
+            joined: false,
+            controlsLocked: false
+        };
+        
+        // End-of-race track vote
+        this.trackVote = {
+            options: [],
+            myVote: null,
+            endsAt: 0,
+            timer: null
+        };
+        
+        // Race UI elements
+        this.racePanelElement = document.getElementById('race-panel');
+        this.raceStatusElement = document.getElementById('race-status');
+        this.raceParticipantsElement = document.getElementById('race-participants');
+        this.raceJoinButton = document.getElementById('race-join-button');
+        this.raceStartButton = document.getElementById('race-start-button');
+        this.layoutSelect = document.getElementById('layout-select');
+        this.lapsSelect = document.getElementById('laps-select');
+        
+        // Chat - the quick-chat texts come from the server and are bound to the number keys
+        this.quickChatMessages = [];
+        this.chatBubbleTime = 4000; // ms a chat bubble stays above a player's name
+        this.maxChatMessages = 50; // Lines kept in the chat log
+        this.chatPanelElement = document.getElementById('chat-panel');
+        this.chatMessagesElement = document.getElementById('chat-messages');
+        this.chatInputElement = document.getElementById('chat-input');
+        this.quickChatHintElement = document.getElementById('quick-chat-hint');
     }
     
     // Initialize connection to server
@@ -49,15 +97,32 @@ class MultiplayerManager {
             upgrade: true,
             // Ensure reconnection works through Cloudflare
             reconnection: true,
-            reconnectionAttempts: 5,
+            // Keep trying for a while - the server holds our session for 30 seconds
+            reconnectionAttempts: 10,
             reconnectionDelay: 1000,
-            timeout: 20000
+            timeout: 20000,
+            // Editor session token (if logged in) so the server can grant the editor role,
+            // and the room picked on the start screen
+            auth: {
+                token: window.editorToken || null,
+                room: window.requestedRoom || null,
+                // Vehicle setup we drive, so everyone else builds the same ATV for us
+                vehicle: window.requestedVehicle || null,
+                // Track picked on the start screen, for the server to find (or open) a room on it
+                track: window.requestedTrack || null,
+                // Resume token from an earlier connection in this tab, so a reload keeps our player
+                resume: sessionStorage.getItem('vibeatv_resume_token')
+            }
         };
         
         this.socket = io(window.location.origin, socketOptions);
         
         // Setup event handlers
         this.setupEventHandlers();
+        this.setupRaceHandlers();
+        this.setupRaceControls();
+        this.setupChatHandlers();
+        this.setupChatControls();
         
         // Set player name right after connection
         this.socket.on('connect', () => {
@@ -97,6 +162,68 @@ class MultiplayerManager {
             console.log('Connected to server with ID: ' + this.socket.id);
         });
         
+        // The server put us in a room
+        this.socket.on('roomJoined', (data) => {
+            this.room = data.room;
+            
+            // Remember how to get this player back if the connection drops
+            sessionStorage.setItem('vibeatv_resume_token', data.resumeToken);
+            this.socket.auth = Object.assign({}, this.socket.auth, { resume: data.resumeToken });
+            
+            if (data.resumed) {
+                this.showNotification(`Reconnected to ${data.room.name} - welcome back!`);
+            } else if (data.error) {
+                this.showNotification(`${data.error} - joined ${data.room.name} instead`);
+            } else {
+                this.showNotification(`Joined room: ${data.room.name}`);
+            }
+            
+            // Keep the room in the URL so it can be shared with friends (and reconnects land here)
+            const params = new URLSearchParams(window.location.search);
+            params.set('room', data.room.id);
+            window.history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+            this.socket.auth = Object.assign({}, this.socket.auth, { room: data.room.id });
+            
+            // Race the room's track and checkpoint layout
+            if (window.switchTrack) {
+                window.switchTrack(data.room.trackId, data.room.configName);
+            }
+        });
+        
+        // The room moved on to another track (after a track vote)
+        this.socket.on('trackChanged', (data) => {
+            if (this.room) {
+                this.room.trackId = data.trackId;
+                this.room.configName = data.configName;
+            }
+            
+            if (window.switchTrack) {
+                window.switchTrack(data.trackId, data.configName);
+            }
+        });
+
+        // An editor saved the room's track - rebuild it from the new manifest
+        this.socket.on('trackUpdated', (data) => {
+            if (this.room) {
+                this.room.configName = data.configName;
+            }
+
+            if (window.switchTrack) {
+                window.switchTrack(data.trackId, data.configName, true);
+            }
+        });
+
+        // The room switched checkpoint layouts, or an editor saved or deleted the one it races
+        this.socket.on('layoutChanged', (data) => {
+            if (this.room) {
+                this.room.configName = data.configName;
+            }
+
+            if (window.setRoomLayout) {
+                window.setRoomLayout(data.trackId, data.configName);
+            }
+        });
+
         // Handle new players joining
         this.socket.on('newPlayer', (playerInfo) => {
             console.log('New player joined:', playerInfo);
@@ -114,6 +241,11 @@ class MultiplayerManager {
                 }
             }
             
+            // Remember which snapshot entry is our own
+            if (players[this.socket.id]) {
+                this.localNetId = players[this.socket.id].netId;
+            }
+            
             // Add all current players
             for (const playerId in players) {
                 if (playerId !== this.socket.id) {
@@ -153,40 +285,33 @@ class MultiplayerManager {
             this.updateScoreboard(players);
         });
         
-        // Handle player movement
-        this.socket.on('playerMoved', (playerData) => {
-            if (this.players[playerData.id]) {
-                // Update position data for interpolation
-                const player = this.players[playerData.id];
-                
-                // Store previous state for interpolation
-                player.prevPosition = {
-                    x: player.position.x,
-                    y: player.position.y,
-                    z: player.position.z
-                };
-                
-                player.prevQuaternion = {
-                    x: player.quaternion.x,
-                    y: player.quaternion.y,
-                    z: player.quaternion.z,
-                    w: player.quaternion.w
-                };
+        // Handle player movement - one binary snapshot per server tick with only what changed
+        this.socket.on('worldSnapshot', (data) => {
+            const snapshot = StateCodec.decodeSnapshot(data);
+            
+            snapshot.entries.forEach(entry => {
+                const player = this.playersByNetId[entry.netId];
+                if (!player) return;
                 
-                // Update with new data
-                player.position = playerData.position;
-                player.quaternion = playerData.quaternion;
-                player.velocity = playerData.velocity;
+                // Fields left out of the snapshot haven't changed
+                if (entry.position) player.position = entry.position;
+                if (entry.quaternion) player.quaternion = entry.quaternion;
+                if (entry.velocity) player.velocity = entry.velocity;
                 player.lastUpdate = Date.now();
                 
-                // Update player name if it changed
-                if (playerData.name && player.name !== playerData.name) {
-                    player.name = playerData.name;
-                    
-                    // Update the name display
-                    this.updatePlayerNameDisplay(playerData.id, playerData.name);
+                // Buffer it for interpolation
+                this.addSnapshot(player, {
+                    position: player.position,
+                    quaternion: player.quaternion,
+                    velocity: player.velocity,
+                    timestamp: snapshot.time
+                });
+                
+                // Keep it in the session replay
+                if (window.recordReplayPlayer) {
+                    window.recordReplayPlayer(player);
                 }
-            }
+            });
         });
         
         // Handle player disconnection
@@ -201,6 +326,32 @@ class MultiplayerManager {
             this.updateScoreboard(allPlayers);
         });
         
+        // A player's connection dropped - the server keeps them around for a while in case they come back
+        this.socket.on('playerConnectionState', (data) => {
+            const player = this.players[data.id];
+            if (!player) return;
+            
+            player.connected = data.connected;
+            this.updatePlayerNameDisplay(data.id, player.name);
+        });
+        
+        // A player came back after a dropped connection - same player, new socket ID
+        this.socket.on('playerResumed', (data) => {
+            const player = this.players[data.oldId];
+            if (!player) {
+                this.handleNewPlayer(data.player.id, data.player);
+                return;
+            }
+            
+            delete this.players[data.oldId];
+            player.id = data.player.id;
+            player.connected = true;
+            this.players[player.id] = player;
+            this.updatePlayerNameDisplay(player.id, player.name);
+            
+            this.showNotification(`${player.name} reconnected`);
+        });
+        
         // Handle player name updates
         this.socket.on('playerNameUpdate', (data) => {
             if (this.players[data.id]) {
@@ -213,46 +364,10 @@ class MultiplayerManager {
                     this.playerName = data.name;
                     
                     // Update the global playerName variable in the main script
+                    // (editor rights don't depend on the name - they come from 'roleGranted')
                     if (window.playerName !== undefined) {
                         window.playerName = data.name;
                         console.log("Updated global playerName to:", data.name);
-                        
-                        // Re-check editor authorization if this player name is changing
-                        if (window.isAuthorizedEditor !== undefined) {
-                            const wasAuthorized = window.isAuthorizedEditor;
-                            window.isAuthorizedEditor = (data.name === 'RJ_4_America');
-                            console.log("Editor authorization updated:", window.isAuthorizedEditor);
-                            
-                            // Handle change from authorized to unauthorized
-                            if (wasAuthorized && !window.isAuthorizedEditor) {
-                                // If edit mode is on, turn it off
-                                if (window.isEditMode) {
-                                    window.isEditMode = false;
-                                    window.showNotification('Edit mode disabled - no longer authorized', true);
-                                    
-                                    // Hide editor controls if they exist
-                                    const controls = document.getElementById('checkpoint-controls');
-                                    if (controls) {
-                                        controls.style.display = 'none';
-                                    }
-                                }
-                            }
-                            
-                            // If now authorized, create controls if needed
-                            if (!wasAuthorized && window.isAuthorizedEditor) {
-                                // If checkpoint controls don't exist yet, create them
-                                if (!document.getElementById('checkpoint-controls') && window.createCheckpointControls) {
-                                    window.createCheckpointControls();
-                                    
-                                    // Welcome message for the editor
-                                    this.showNotification('Welcome RJ_4_America - Track Editor Mode Available (Press E)');
-                                } else if (document.getElementById('checkpoint-controls')) {
-                                    // Show existing controls
-                                    document.getElementById('checkpoint-controls').style.display = 'block';
-                                    this.showNotification('Editor controls activated - Press E to edit');
-                                }
-                            }
-                        }
                     }
                 }
                 
@@ -268,6 +383,14 @@ class MultiplayerManager {
             }
         });
         
+        // Handle the role the server granted this connection
+        this.socket.on('roleGranted', (data) => {
+            console.log('Server granted role:', data.role);
+            if (window.setEditorRole) {
+                window.setEditorRole(data.role === 'editor');
+            }
+        });
+        
         // Handle game stats
         this.socket.on('gameStats', (gameStats) => {
             // Store ramp information
@@ -285,6 +408,55 @@ class MultiplayerManager {
         this.socket.on('airtimeRecord', (recordData) => {
             this.showNotification(`⏱️ ${recordData.playerName} set a new airtime record of ${recordData.airtime.toFixed(1)}s!`);
         });
+        
+        // Handle lap record updates
+        this.socket.on('lapRecord', (recordData) => {
+            this.showNotification(`🏁 ${recordData.playerName} set a new track record of ${recordData.time.toFixed(2)}s on "${recordData.configName}"!`);
+        });
+        
+        // Our lap is the new track record - the server wants its ghost
+        this.socket.on('ghostRequest', (data) => {
+            const ghost = window.getLapGhost ? window.getLapGhost(data.trackId, data.configName, data.time) : null;
+            if (ghost) {
+                this.uploadGhost(ghost);
+            }
+        });
+        
+        // A new record ghost is available - race it if it's for our layout
+        this.socket.on('ghostRecord', (data) => {
+            if (window.loadRecordGhost) {
+                window.loadRecordGhost();
+            }
+        });
+        
+        // Our lap made it onto the leaderboard as a new personal best
+        this.socket.on('lapPersonalBest', (data) => {
+            this.showNotification(`New personal best saved to the leaderboard: ${data.time.toFixed(2)}s`);
+        });
+
+        // The server rejected our movement - snap back to the last position it accepted
+        this.socket.on('positionCorrection', (data) => {
+            if (!this.localChassisBody || !data.position) return;
+
+            console.warn('Server corrected our position to:', data.position);
+            this.localChassisBody.position.set(data.position.x, data.position.y, data.position.z);
+            if (data.quaternion) {
+                this.localChassisBody.quaternion.set(data.quaternion.x, data.quaternion.y, data.quaternion.z, data.quaternion.w);
+            }
+            this.localChassisBody.velocity.set(0, 0, 0);
+            this.localChassisBody.angularVelocity.set(0, 0, 0);
+            
+            // Jump straight there instead of sliding across
+            if (window.snapChassisInterpolation) {
+                window.snapChassisInterpolation();
+            }
+        });
+
+        // The server didn't believe our jump, so it wasn't recorded
+        this.socket.on('jumpRejected', (data) => {
+            console.warn('Jump rejected by server:', data.reason);
+            this.showNotification('Jump not recorded - it didn\'t look possible to the server');
+        });
     }
     
     handleNewPlayer(id, playerInfo) {
@@ -314,8 +486,12 @@ class MultiplayerManager {
             return;
         }
         
-        // Clone the local ATV model for other players
+        // Clone the local ATV model for other players, sized for the vehicle they picked
         const playerMesh = this.localVehicleMesh.clone();
+        const vehicleSetup = window.getVehicleSetup ? window.getVehicleSetup(playerInfo.vehicle) : null;
+        if (vehicleSetup) {
+            playerMesh.scale.setScalar(vehicleSetup.model.scale);
+        }
         
         // Convert hex color to THREE.js color
         const playerColor = new THREE.Color(playerInfo.color);
@@ -371,15 +547,26 @@ class MultiplayerManager {
         // Store player data
         this.players[id] = {
             id: id,
+            netId: playerInfo.netId,
             mesh: playerMesh,
             position: playerInfo.position,
             quaternion: playerInfo.quaternion,
             velocity: playerInfo.velocity,
             lastUpdate: Date.now(),
+            snapshots: [],
+            connected: playerInfo.connected !== false,
             color: playerInfo.color,
+            vehicle: playerInfo.vehicle,
             name: playerName
         };
         
+        this.playersByNetId[playerInfo.netId] = this.players[id];
+        
+        // Joined while their connection is down - show it
+        if (playerInfo.connected === false) {
+            this.updatePlayerNameDisplay(id, playerName);
+        }
+        
         console.log(`Added new player: ${id}`);
     }
     
@@ -426,6 +613,7 @@ class MultiplayerManager {
         const sprite = new THREE.Sprite(material);
         sprite.scale.set(4, 1, 1);
         sprite.position.set(0, 3, 0); // Position above the ATV
+        sprite.userData.isNameLabel = true;
         
         return sprite;
     }
@@ -434,15 +622,16 @@ class MultiplayerManager {
     updatePlayerNameDisplay(playerId, name) {
         if (!this.players[playerId] || !this.players[playerId].mesh) return;
         
-        // Remove any existing name display
-        this.players[playerId].mesh.children.forEach(child => {
-            if (child.isSprite) {
+        // Remove any existing name display (leaving a chat bubble in place)
+        this.players[playerId].mesh.children.slice().forEach(child => {
+            if (child.isSprite && child.userData.isNameLabel) {
                 this.players[playerId].mesh.remove(child);
             }
         });
         
-        // Add new name display
-        const nameObj = this.createPlayerNameDisplay(name);
+        // Add new name display, flagging players whose connection dropped
+        const label = this.players[playerId].connected === false ? `${name} (reconnecting...)` : name;
+        const nameObj = this.createPlayerNameDisplay(label);
         this.players[playerId].mesh.add(nameObj);
     }
     
@@ -456,6 +645,58 @@ class MultiplayerManager {
             player.quaternion = playerInfo.quaternion;
             player.velocity = playerInfo.velocity;
             player.lastUpdate = Date.now();
+            this.addSnapshot(player, playerInfo);
+        }
+    }
+    
+    // Buffer a timestamped state of a remote player
+    addSnapshot(player, data) {
+        const now = Date.now();
+        
+        // Stamped by the server when it received the update; fall back to arrival time
+        const serverTime = typeof data.timestamp === 'number' ? data.timestamp : now;
+        
+        // Track the clock offset. The lowest offset seen belongs to the fastest packet,
+        // so adopt lower values immediately and only drift upwards slowly.
+        const offset = now - serverTime;
+        if (this.serverTimeOffset === null || offset < this.serverTimeOffset) {
+            this.serverTimeOffset = offset;
+        } else {
+            this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.01;
+        }
+        
+        const snapshots = player.snapshots;
+        const previous = snapshots[snapshots.length - 1];
+        
+        // Drop packets that arrive out of order
+        if (previous && serverTime <= previous.time) return;
+        
+        // Distant players are sent less often, so allow extrapolating across their usual gap
+        if (previous) {
+            player.snapshotGap = serverTime - previous.time;
+        }
+        
+        // The server skips players that didn't change, so a gap after a stationary snapshot means
+        // the player stood still until just before this one - don't interpolate across the whole gap
+        if (previous && serverTime - previous.time > this.updateInterval * 2 && previous.velocity.lengthSq() < 0.01) {
+            snapshots.push({
+                time: serverTime - this.updateInterval,
+                position: previous.position.clone(),
+                quaternion: previous.quaternion.clone(),
+                velocity: new THREE.Vector3()
+            });
+        }
+        
+        snapshots.push({
+            time: serverTime,
+            position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+            quaternion: new THREE.Quaternion(data.quaternion.x, data.quaternion.y, data.quaternion.z, data.quaternion.w),
+            velocity: new THREE.Vector3(data.velocity.x, data.velocity.y, data.velocity.z)
+        });
+        
+        // Forget snapshots that are too old to be rendered again
+        while (snapshots.length > 2 && serverTime - snapshots[0].time > this.snapshotBufferTime) {
+            snapshots.shift();
         }
     }
     
@@ -463,9 +704,11 @@ class MultiplayerManager {
     removePlayer(id) {
         if (this.players[id]) {
             // Remove mesh from scene
+            this.removeChatBubble(this.players[id]);
             this.scene.remove(this.players[id].mesh);
             
             // Delete player data
+            delete this.playersByNetId[this.players[id].netId];
             delete this.players[id];
             
             console.log(`Removed player: ${id}`);
@@ -506,25 +749,12 @@ class MultiplayerManager {
         // Track jumps
         this.trackJumps();
         
-        // Send updated position to server
-        this.socket.emit('playerUpdate', {
-            position: {
-                x: this.localChassisBody.position.x,
-                y: this.localChassisBody.position.y,
-                z: this.localChassisBody.position.z
-            },
-            quaternion: {
-                x: this.localChassisBody.quaternion.x,
-                y: this.localChassisBody.quaternion.y,
-                z: this.localChassisBody.quaternion.z,
-                w: this.localChassisBody.quaternion.w
-            },
-            velocity: {
-                x: this.localChassisBody.velocity.x,
-                y: this.localChassisBody.velocity.y,
-                z: this.localChassisBody.velocity.z
-            }
-        });
+        // Send updated position to server, packed into a compact binary message
+        this.socket.emit('playerState', StateCodec.encodePlayerState({
+            position: this.localChassisBody.position,
+            quaternion: this.localChassisBody.quaternion,
+            velocity: this.localChassisBody.velocity
+        }));
     }
     
     // Track jumps for the local player
@@ -620,31 +850,629 @@ class MultiplayerManager {
         console.log(`Reported jump: ${height}m high, ${airtime.toFixed(1)}s airtime, ramp: ${rampId || 'none'}`);
     }
     
+    // Send a new editor session token over the existing connection
+    authenticate(token) {
+        if (!this.socket || !this.initialized) return;
+        
+        // Also use it for automatic reconnects
+        this.socket.auth = Object.assign({}, this.socket.auth, { token: token });
+        this.socket.emit('authenticate', token);
+    }
+    
+    // Report a completed lap to the server leaderboard
+    reportLapTime(lapTime, trackId, configName) {
+        if (!this.socket || !this.initialized) return;
+        
+        this.socket.emit('lapCompleted', {
+            time: lapTime,
+            trackId: trackId,
+            configName: configName
+        });
+    }
+    
+    // Upload the ghost of a record lap
+    uploadGhost(ghost) {
+        if (!this.socket || !this.initialized) return;
+        
+        this.socket.emit('ghostUpload', {
+            trackId: ghost.trackId,
+            configName: ghost.configName,
+            time: ghost.time,
+            samples: ghost.samples
+        });
+    }
+    
     // Update other players based on latest data with interpolation
     updateOtherPlayers() {
+        // Render everyone at the same point in (server) time, slightly in the past
+        const renderTime = Date.now() - (this.serverTimeOffset || 0) - this.interpolationDelay;
+        
         Object.keys(this.players).forEach(id => {
             const player = this.players[id];
+            const snapshots = player.snapshots;
+            if (!snapshots || snapshots.length === 0) return;
             
-            // Simple linear interpolation for smoother movement
-            const targetPos = new THREE.Vector3(
-                player.position.x,
-                player.position.y,
-                player.position.z
-            );
+            const latest = snapshots[snapshots.length - 1];
             
-            const currentPos = player.mesh.position;
+            if (renderTime >= latest.time) {
+                // No newer snapshot yet - predict ahead along the last known velocity
+                const maxAhead = Math.max(this.maxExtrapolation, player.snapshotGap || 0);
+                const ahead = Math.min(renderTime - latest.time, maxAhead) / 1000;
+                player.mesh.position.copy(latest.position).addScaledVector(latest.velocity, ahead);
+                player.mesh.quaternion.copy(latest.quaternion);
+                return;
+            }
             
-            // Interpolate position (lerp factor can be adjusted)
-            player.mesh.position.lerp(targetPos, 0.2);
+            // Find the two snapshots around the render time
+            let index = snapshots.length - 1;
+            while (index > 0 && snapshots[index - 1].time > renderTime) {
+                index--;
+            }
             
-            // Set quaternion directly
-            player.mesh.quaternion.set(
-                player.quaternion.x,
-                player.quaternion.y,
-                player.quaternion.z,
-                player.quaternion.w
-            );
+            const to = snapshots[index];
+            const from = snapshots[index - 1];
+            
+            // Nothing older to interpolate from, or the player respawned - show the snapshot as is
+            if (!from || from.position.distanceTo(to.position) > this.teleportDistance) {
+                player.mesh.position.copy(to.position);
+                player.mesh.quaternion.copy(to.quaternion);
+                return;
+            }
+            
+            const t = (renderTime - from.time) / (to.time - from.time);
+            player.mesh.position.lerpVectors(from.position, to.position, t);
+            player.mesh.quaternion.slerpQuaternions(from.quaternion, to.quaternion, t);
+        });
+    }
+    
+    // Set up race session event handlers
+    setupRaceHandlers() {
+        // Full race state (lobby members, progress) whenever it changes
+        this.socket.on('raceState', (raceState) => {
+            this.race.state = raceState.state;
+            this.race.participants = raceState.participants;
+            this.race.laps = raceState.laps;
+            this.race.joined = raceState.participants.some(p => p.id === this.socket.id);
+            
+            // Never leave controls locked outside of a countdown
+            if (raceState.state !== 'countdown') {
+                this.race.controlsLocked = false;
+            }
+            
+            // Stop our race clock if the race ended or we left it before finishing
+            if ((raceState.state !== 'racing' || !this.race.joined) && window.onRaceEnded) {
+                window.onRaceEnded();
+            }
+            
+            this.updateRacePanel();
+        });
+        
+        // Countdown ticks - the first tick also carries the grid slots
+        this.socket.on('raceCountdown', (data) => {
+            if (!this.race.joined) return;
+            
+            if (data.grid && data.grid[this.socket.id] && window.placeVehicleOnGrid) {
+                window.placeVehicleOnGrid(data.grid[this.socket.id]);
+            }
+            
+            this.race.controlsLocked = true;
+            this.showRaceCountdown(data.seconds.toString());
+        });
+        
+        // Green light
+        this.socket.on('raceStarted', (data) => {
+            if (!this.race.joined) return;
+            
+            this.race.controlsLocked = false;
+            this.showRaceCountdown('GO!');
+            
+            if (window.onRaceStarted) {
+                window.onRaceStarted(data);
+            }
+        });
+        
+        // Another racer crossed a checkpoint
+        this.socket.on('raceProgress', (progress) => {
+            const participant = this.race.participants.find(p => p.id === progress.id);
+            if (participant) {
+                participant.lap = progress.lap;
+                participant.nextCheckpoint = progress.nextCheckpoint;
+            }
+            this.updateRacePanel();
+        });
+        
+        // Someone crossed the finish line
+        this.socket.on('racePlayerFinished', (data) => {
+            const who = data.id === this.socket.id ? 'You' : data.name;
+            this.showNotification(`🏁 ${who} finished P${data.position} in ${(data.time / 1000).toFixed(2)}s`);
+        });
+        
+        // Server did not accept our checkpoint
+        this.socket.on('raceCheckpointRejected', (data) => {
+            console.warn('Checkpoint rejected by server:', data);
+            this.showNotification(`Checkpoint not counted: ${data.reason}`);
+        });
+        
+        // Final finishing order
+        this.socket.on('raceResults', (data) => {
+            this.showRaceResults(data.results);
+        });
+        
+        this.socket.on('raceError', (data) => {
+            this.showNotification(data.message);
+        });
+        
+        // Vote on the next track once the results are in
+        this.socket.on('trackVoteStarted', (ballot) => {
+            this.showTrackVote(ballot);
+        });
+        
+        this.socket.on('trackVoteUpdate', (data) => {
+            this.updateTrackVote(data.votes);
+        });
+        
+        this.socket.on('trackVoteEnded', (data) => {
+            this.hideTrackVote();
+            
+            const option = this.trackVote.options.find(o => o.id === data.trackId);
+            const name = option ? option.name : data.trackId;
+            this.showNotification(data.changed ? `Next track: ${name}` : `Staying on ${name}`);
+        });
+    }
+    
+    // Wire up the race panel buttons
+    setupRaceControls() {
+        if (this.raceJoinButton) {
+            this.raceJoinButton.addEventListener('click', () => {
+                if (this.race.joined) {
+                    this.leaveRace();
+                } else {
+                    this.joinRace();
+                }
+            });
+        }
+        
+        if (this.raceStartButton) {
+            this.raceStartButton.addEventListener('click', () => this.startRace());
+        }
+        
+        // Layouts can only be switched between races - the picker goes back until the server confirms
+        if (this.layoutSelect) {
+            this.layoutSelect.addEventListener('change', () => {
+                this.selectLayout(this.layoutSelect.value);
+                this.layoutSelect.value = this.room ? this.room.configName : 'default';
+                this.layoutSelect.blur();
+            });
+        }
+        
+        // Same for the lap count
+        if (this.lapsSelect) {
+            this.lapsSelect.addEventListener('change', () => {
+                this.selectLaps(Number(this.lapsSelect.value));
+                this.lapsSelect.value = this.race.laps;
+                this.lapsSelect.blur();
+            });
+        }
+    }
+    
+    // Ask the server to race another checkpoint layout of the room's track
+    selectLayout(configName) {
+        if (!this.socket || !this.initialized) return;
+        this.socket.emit('selectLayout', { configName: configName });
+    }
+    
+    // Ask the server to change the number of laps of the next race
+    selectLaps(laps) {
+        if (!this.socket || !this.initialized) return;
+        this.socket.emit('raceLaps', { laps: laps });
+    }
+    
+    // Join the race lobby
+    joinRace() {
+        if (!this.socket || !this.initialized) return;
+        this.socket.emit('raceJoin');
+    }
+    
+    // Leave the lobby or abandon the current race
+    leaveRace() {
+        if (!this.socket || !this.initialized) return;
+        this.socket.emit('raceLeave');
+    }
+    
+    // Ask the server to start the countdown
+    startRace() {
+        if (!this.socket || !this.initialized) return;
+        this.socket.emit('raceStart');
+    }
+    
+    // Report a checkpoint pass - the server decides whether it counts
+    reportCheckpoint(index) {
+        if (!this.socket || !this.initialized) return;
+        if (this.race.state !== 'racing' || !this.race.joined) return;
+        
+        this.socket.emit('raceCheckpoint', { index: index });
+    }
+    
+    // Whether vehicle input should be ignored (during the countdown)
+    isControlLocked() {
+        return this.race.controlsLocked;
+    }
+    
+    // Refresh the race panel from the mirrored race state
+    updateRacePanel() {
+        if (!this.racePanelElement) return;
+        
+        this.racePanelElement.classList.remove('hidden');
+        
+        const statusText = {
+            lobby: 'Lobby open',
+            countdown: 'Starting...',
+            racing: 'Race in progress',
+            finished: 'Race finished'
+        };
+        this.raceStatusElement.textContent = statusText[this.race.state] || this.race.state;
+        
+        // List racers with their progress
+        this.raceParticipantsElement.innerHTML = '';
+        this.race.participants.forEach(participant => {
+            const entry = document.createElement('div');
+            entry.className = 'race-participant';
+            
+            const isLocalPlayer = participant.id === this.socket.id;
+            let progress = '';
+            if (this.race.state === 'racing') {
+                progress = participant.finished
+                    ? ' - finished'
+                    : ` - lap ${Math.min(participant.lap + 1, this.race.laps)}/${this.race.laps}`;
+            }
+            entry.textContent = `${isLocalPlayer ? this.playerName + ' (You)' : participant.name}${progress}`;
+            this.raceParticipantsElement.appendChild(entry);
+        });
+        
+        // Buttons only make sense while the lobby is open (leaving is always allowed)
+        const lobbyOpen = this.race.state === 'lobby';
+        this.raceJoinButton.textContent = this.race.joined ? 'LEAVE RACE' : 'JOIN RACE';
+        this.raceJoinButton.disabled = !this.race.joined && !lobbyOpen;
+        this.raceStartButton.classList.toggle('hidden', !(lobbyOpen && this.race.joined));
+        if (this.layoutSelect) {
+            this.layoutSelect.disabled = !lobbyOpen;
+        }
+        if (this.lapsSelect) {
+            this.lapsSelect.value = this.race.laps;
+            this.lapsSelect.disabled = !lobbyOpen;
+        }
+    }
+    
+    // Show a big countdown number in the middle of the screen
+    showRaceCountdown(text) {
+        let countdown = document.getElementById('race-countdown');
+        if (!countdown) {
+            countdown = document.createElement('div');
+            countdown.id = 'race-countdown';
+            document.body.appendChild(countdown);
+        }
+        
+        countdown.textContent = text;
+        countdown.classList.remove('hidden');
+        
+        clearTimeout(this.countdownTimeout);
+        this.countdownTimeout = setTimeout(() => {
+            countdown.classList.add('hidden');
+        }, 1000);
+    }
+    
+    // Show the final finishing order
+    showRaceResults(results) {
+        let resultsElement = document.getElementById('race-results');
+        if (!resultsElement) {
+            resultsElement = document.createElement('div');
+            resultsElement.id = 'race-results';
+            document.body.appendChild(resultsElement);
+        }
+        
+        resultsElement.innerHTML = '<h3>RACE RESULTS</h3>';
+        
+        const table = document.createElement('table');
+        results.forEach(result => {
+            const row = document.createElement('tr');
+            if (result.id === this.socket.id) {
+                row.className = 'local-player';
+            }
+            
+            const position = document.createElement('td');
+            position.textContent = result.finished ? `P${result.position}` : 'DNF';
+            row.appendChild(position);
+            
+            const name = document.createElement('td');
+            name.textContent = result.name;
+            row.appendChild(name);
+            
+            const time = document.createElement('td');
+            time.textContent = result.finished ? `${(result.time / 1000).toFixed(2)}s` : '--';
+            row.appendChild(time);
+            
+            table.appendChild(row);
         });
+        resultsElement.appendChild(table);
+        resultsElement.classList.remove('hidden');
+        
+        // Hide again when the lobby reopens
+        setTimeout(() => {
+            resultsElement.classList.add('hidden');
+        }, 10000);
+    }
+    
+    // Show the track vote with a button per track
+    showTrackVote(ballot) {
+        let voteElement = document.getElementById('track-vote');
+        if (!voteElement) {
+            voteElement = document.createElement('div');
+            voteElement.id = 'track-vote';
+            document.body.appendChild(voteElement);
+        }
+        
+        this.trackVote.options = ballot.options;
+        this.trackVote.myVote = null;
+        this.trackVote.endsAt = Date.now() + ballot.timeLeft;
+        
+        voteElement.innerHTML = '<h3>VOTE FOR THE NEXT TRACK</h3>';
+        
+        const optionsElement = document.createElement('div');
+        optionsElement.id = 'track-vote-options';
+        ballot.options.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'track-vote-option';
+            button.dataset.trackId = option.id;
+            button.textContent = option.id === ballot.currentTrack ? `${option.name} (current)` : option.name;
+            
+            const count = document.createElement('span');
+            count.className = 'track-vote-count';
+            button.appendChild(count);
+            
+            button.addEventListener('click', () => this.voteForTrack(option.id));
+            optionsElement.appendChild(button);
+        });
+        voteElement.appendChild(optionsElement);
+        
+        const timerElement = document.createElement('div');
+        timerElement.id = 'track-vote-timer';
+        voteElement.appendChild(timerElement);
+        
+        this.updateTrackVote(ballot.votes);
+        voteElement.classList.remove('hidden');
+        
+        // Count down until the server closes the vote
+        clearInterval(this.trackVote.timer);
+        const updateTimer = () => {
+            const secondsLeft = Math.max(0, Math.ceil((this.trackVote.endsAt - Date.now()) / 1000));
+            timerElement.textContent = `Vote closes in ${secondsLeft}s`;
+        };
+        updateTimer();
+        this.trackVote.timer = setInterval(updateTimer, 1000);
+    }
+    
+    // Refresh the vote counts and highlight our pick
+    updateTrackVote(votes) {
+        const voteElement = document.getElementById('track-vote');
+        if (!voteElement) return;
+        
+        voteElement.querySelectorAll('.track-vote-option').forEach(button => {
+            const trackId = button.dataset.trackId;
+            const count = votes[trackId] || 0;
+            button.querySelector('.track-vote-count').textContent = `${count} vote${count === 1 ? '' : 's'}`;
+            button.classList.toggle('selected', trackId === this.trackVote.myVote);
+        });
+    }
+    
+    // Cast (or change) our vote
+    voteForTrack(trackId) {
+        if (!this.socket || !this.initialized) return;
+        
+        this.trackVote.myVote = trackId;
+        this.socket.emit('trackVote', { trackId: trackId });
+    }
+    
+    // Close the vote panel
+    hideTrackVote() {
+        clearInterval(this.trackVote.timer);
+        this.trackVote.timer = null;
+        
+        const voteElement = document.getElementById('track-vote');
+        if (voteElement) {
+            voteElement.classList.add('hidden');
+        }
+    }
+    
+    // Set up chat socket event handlers
+    setupChatHandlers() {
+        // Quick-chat texts, in key order
+        this.socket.on('quickChatMessages', (messages) => {
+            this.quickChatMessages = messages;
+            
+            if (this.quickChatHintElement) {
+                this.quickChatHintElement.textContent = messages
+                    .map((text, index) => `${index + 1}: ${text}`)
+                    .join('  ');
+            }
+        });
+        
+        // A message from someone in the room (including our own, echoed back by the server)
+        this.socket.on('chatMessage', (data) => {
+            this.showChatMessage(data);
+            
+            if (this.players[data.id]) {
+                this.showChatBubble(data.id, data.text);
+            }
+        });
+        
+        // The server didn't send our message (rate limit, filter)
+        this.socket.on('chatRejected', (data) => {
+            this.showNotification(data.reason);
+        });
+    }
+    
+    // Wire up the chat input and the chat keys
+    setupChatControls() {
+        if (this.chatPanelElement) {
+            this.chatPanelElement.classList.remove('hidden');
+        }
+        
+        if (this.chatInputElement) {
+            this.chatInputElement.addEventListener('keydown', (event) => {
+                // Keep typed keys away from the driving and editor shortcuts
+                event.stopPropagation();
+                
+                if (event.key === 'Enter') {
+                    this.sendChatMessage(this.chatInputElement.value);
+                    this.closeChatInput();
+                } else if (event.key === 'Escape') {
+                    this.closeChatInput();
+                }
+            });
+            this.chatInputElement.addEventListener('keyup', (event) => event.stopPropagation());
+        }
+        
+        document.addEventListener('keydown', (event) => {
+            // Don't steal keys from other text fields
+            const target = event.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA')) return;
+            
+            // Enter or T opens the chat input
+            if (event.key === 'Enter' || event.key === 't' || event.key === 'T') {
+                event.preventDefault();
+                this.openChatInput();
+                return;
+            }
+            
+            // Number keys send quick-chat messages
+            const index = parseInt(event.key, 10) - 1;
+            if (!event.repeat && index >= 0 && index < this.quickChatMessages.length) {
+                this.sendQuickChat(index);
+            }
+        });
+    }
+    
+    // Show and focus the chat input
+    openChatInput() {
+        if (!this.chatInputElement) return;
+        
+        this.chatInputElement.classList.remove('hidden');
+        this.chatInputElement.focus();
+    }
+    
+    // Hide the chat input and give the keyboard back to the game
+    closeChatInput() {
+        if (!this.chatInputElement) return;
+        
+        this.chatInputElement.value = '';
+        this.chatInputElement.blur();
+        this.chatInputElement.classList.add('hidden');
+    }
+    
+    // Send a typed chat message - the server checks and filters it
+    sendChatMessage(text) {
+        if (!this.socket || !this.initialized) return;
+        
+        const message = text.trim();
+        if (!message) return;
+        
+        this.socket.emit('chatMessage', message);
+    }
+    
+    // Send one of the quick-chat messages by its index
+    sendQuickChat(index) {
+        if (!this.socket || !this.initialized) return;
+        this.socket.emit('quickChat', { index: index });
+    }
+    
+    // Add a message to the chat log
+    showChatMessage(data) {
+        if (!this.chatMessagesElement) return;
+        
+        const line = document.createElement('div');
+        line.className = data.quick ? 'chat-line quick-chat' : 'chat-line';
+        
+        const name = document.createElement('span');
+        name.className = 'chat-name';
+        name.textContent = data.id === this.socket.id ? 'You' : data.name;
+        line.appendChild(name);
+        
+        const text = document.createElement('span');
+        text.textContent = `: ${data.text}`;
+        line.appendChild(text);
+        
+        this.chatMessagesElement.appendChild(line);
+        
+        // Drop the oldest lines and keep the newest in view
+        while (this.chatMessagesElement.children.length > this.maxChatMessages) {
+            this.chatMessagesElement.removeChild(this.chatMessagesElement.firstChild);
+        }
+        this.chatMessagesElement.scrollTop = this.chatMessagesElement.scrollHeight;
+    }
+    
+    // Show a chat message as a bubble above a player's name label
+    showChatBubble(playerId, text) {
+        const player = this.players[playerId];
+        if (!player || !player.mesh) return;
+        
+        // Replace the bubble of an earlier message
+        this.removeChatBubble(player);
+        
+        const bubble = this.createChatBubble(text);
+        player.mesh.add(bubble);
+        player.chatBubble = bubble;
+        player.chatBubbleTimer = setTimeout(() => this.removeChatBubble(player), this.chatBubbleTime);
+    }
+    
+    // Take a player's chat bubble down and free its texture and material
+    removeChatBubble(player) {
+        const bubble = player.chatBubble;
+        if (!bubble) return;
+        
+        clearTimeout(player.chatBubbleTimer);
+        player.mesh.remove(bubble);
+        bubble.material.map.dispose();
+        bubble.material.dispose();
+        player.chatBubble = null;
+        player.chatBubbleTimer = null;
+    }
+    
+    // Create a speech bubble sprite for a chat message
+    createChatBubble(text) {
+        // Long messages are cut short - the full text is in the chat log
+        const displayText = text.length > 40 ? `${text.slice(0, 39)}…` : text;
+        
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        canvas.width = 512;
+        canvas.height = 64;
+        
+        context.font = 'bold 24px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        
+        // Draw the bubble background sized to the text
+        const width = Math.min(canvas.width, context.measureText(displayText).width + 32);
+        context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        context.fillRect((canvas.width - width) / 2, 8, width, canvas.height - 16);
+        
+        // Draw the text
+        context.fillStyle = 'black';
+        context.fillText(displayText, canvas.width / 2, canvas.height / 2);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.needsUpdate = true;
+        
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true
+        });
+        
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(8, 1, 1);
+        sprite.position.set(0, 4.2, 0); // Just above the name label
+        
+        return sprite;
     }
     
     // Show a notification message
@@ -0,0 +1,117 @@
+/**
+ * GhostPlayer.js - Renders a translucent ATV replaying a recorded lap
+ */
+
+import { sampleTrace, getTraceTime } from './trace.js';
+
+/**
+ * GhostPlayer - Replays a ghost in sync with the current lap
+ *
+ * The ghost is driven by the time since the local lap started, so it crosses
+ * the finish line when the recorded lap did. It is hidden when there is no
+ * ghost or its lap is over.
+ */
+class GhostPlayer {
+    /**
+     * @param {Object} options
+     * @param {THREE.Scene} options.scene - Scene to add the ghost ATV to
+     * @param {THREE.Object3D} options.template - ATV model to clone for the ghost
+     * @param {Number} [options.color] - Tint of the ghost
+     */
+    constructor(options) {
+        this.scene = options.scene;
+        this.ghost = null;
+        this.playing = false;
+
+        this.mesh = createGhostMesh(options.template, options.color || 0x88ccff);
+        this.mesh.visible = false;
+        this.scene.add(this.mesh);
+
+    }
+
+    /**
+     * Set the ghost to replay (null to replay nothing)
+     * @param {Object|null} ghost - Ghost from GhostRecorder or the server
+     */
+    setGhost(ghost) {
+        this.ghost = ghost;
+        if (!ghost) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Start replaying from the beginning of the lap
+     */
+    start() {
+        this.playing = !!this.ghost;
+    }
+
+    /**
+     * Stop replaying and hide the ghost
+     */
+    stop() {
+        this.playing = false;
+        this.mesh.visible = false;
+    }
+
+    /**
+     * Move the ghost to where it was at a point in its lap
+     * @param {Number} time - ms since the lap started
+     */
+    update(time) {
+        if (!this.playing || !this.ghost) return;
+
+        // The ghost's lap is over
+        if (time > getTraceTime(this.ghost.samples, true)) {
+            this.stop();
+            return;
+        }
+
+        sampleTrace(this.ghost.samples, time, this.mesh.position, this.mesh.quaternion);
+        this.mesh.visible = true;
+    }
+
+    /**
+     * Remove the ghost ATV from the scene
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+    }
+}
+
+/**
+ * Make a see-through copy of the ATV model
+ * @param {THREE.Object3D} template - ATV model to clone
+ * @param {Number} color - Tint
+ * @returns {THREE.Object3D} - The ghost ATV
+ */
+export function createGhostMesh(template, color) {
+    const mesh = template.clone();
+
+    mesh.traverse(object => {
+        if (object.isMesh && object.material) {
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            const ghostMaterials = materials.map(material => {
+                const ghostMaterial = material.clone();
+                ghostMaterial.transparent = true;
+                ghostMaterial.opacity = 0.35;
+                ghostMaterial.depthWrite = false;
+                if (ghostMaterial.color) ghostMaterial.color.set(color);
+                if (ghostMaterial.emissive) ghostMaterial.emissive.set(color).multiplyScalar(0.3);
+                return ghostMaterial;
+            });
+            object.material = Array.isArray(object.material) ? ghostMaterials : ghostMaterials[0];
+            object.castShadow = false;
+        }
+    });
+
+    // The local ATV may carry extra sprites or children - a ghost has no name label
+    mesh.children.slice().forEach(child => {
+        if (child.isSprite) mesh.remove(child);
+    });
+
+    return mesh;
+}
+
+export default GhostPlayer;
@@ -0,0 +1,89 @@
+/**
+ * GhostRecorder.js - Records the trace of a lap for ghost replays
+ * Samples the ATV's position and rotation at a fixed interval while a lap is driven
+ */
+
+import { SAMPLE_SIZE, pushSample } from './trace.js';
+
+/**
+ * GhostRecorder - Captures one lap at a time
+ *
+ * Call start() when the lap starts, sample() every frame and finish() when the
+ * lap is completed. Samples are kept as a flat trace (see trace.js) so a
+ * finished ghost can be uploaded to the server as-is.
+ */
+class GhostRecorder {
+    constructor(options = {}) {
+        this.sampleInterval = options.sampleInterval || 50; // ms between samples - matches the server
+        this.maxDuration = options.maxDuration || 600000; // ms - stop recording laps longer than this
+
+        this.samples = null;
+        this.lastSampleTime = -Infinity;
+    }
+
+    /**
+     * Start recording a new lap, dropping any unfinished one
+     */
+    start() {
+        this.samples = [];
+        this.lastSampleTime = -Infinity;
+    }
+
+    /**
+     * Stop recording without producing a ghost
+     */
+    cancel() {
+        this.samples = null;
+    }
+
+    /**
+     * Check if a lap is being recorded
+     * @returns {Boolean}
+     */
+    isRecording() {
+        return this.samples !== null;
+    }
+
+    /**
+     * Record the ATV's transform if a sample is due
+     * @param {Number} time - ms since the lap started
+     * @param {THREE.Vector3} position - ATV position
+     * @param {THREE.Quaternion} quaternion - ATV rotation
+     * @param {Boolean} [force] - Record even if the sample interval hasn't passed (used at the finish line)
+     */
+    sample(time, position, quaternion, force) {
+        if (!this.samples) return;
+
+        if (time > this.maxDuration) {
+            this.cancel();
+            return;
+        }
+
+        if (!force && time - this.lastSampleTime < this.sampleInterval) return;
+        if (time <= this.lastSampleTime) return;
+
+        pushSample(this.samples, time, position, quaternion);
+        this.lastSampleTime = time;
+    }
+
+    /**
+     * Finish the lap and get its ghost
+     * @param {Object} lap - { time (s), trackId, configName }
+     * @returns {Object|null} - The ghost, or null if nothing usable was recorded
+     */
+    finish(lap) {
+        const samples = this.samples;
+        this.samples = null;
+
+        if (!samples || samples.length < 2 * SAMPLE_SIZE) return null;
+
+        return {
+            trackId: lap.trackId,
+            configName: lap.configName,
+            time: lap.time,
+            samples: samples
+        };
+    }
+}
+
+export default GhostRecorder;
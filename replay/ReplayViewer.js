@@ -0,0 +1,369 @@
+/**
+ * ReplayViewer.js - Playback of recorded sessions
+ * Replays every ATV of a session file with scrubbing, pause, speed control and a free camera
+ */
+
+import { SAMPLE_SIZE, sampleTrace, getTraceTime } from './trace.js';
+import { INPUT_BITS, REPLAY_FORMAT, REPLAY_VERSION } from './SessionRecorder.js';
+
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const ACTOR_HOLD_TIME = 1000; // ms an ATV stays visible after its last sample (gaps in remote updates)
+const CAMERA_SPEED = 30; // m/s of the free camera
+const CAMERA_FAST_MULTIPLIER = 4; // While Shift is held
+const MOUSE_SENSITIVITY = 0.003; // Radians per pixel dragged
+
+/**
+ * ReplayViewer - Owns the camera while a replay is watched
+ *
+ * The track has to be loaded already (via TrackLoader); the viewer adds one
+ * ATV per actor in the replay and drives them from their traces. Call
+ * update() once per frame before rendering. There is no teardown: leaving a
+ * replay reloads the page, which drops the viewer with its listeners and ATVs.
+ */
+class ReplayViewer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.replay - Replay file from SessionRecorder
+     * @param {THREE.Scene} options.scene - Scene with the track loaded
+     * @param {THREE.Camera} options.camera - Camera to fly around
+     * @param {HTMLElement} options.domElement - Canvas that receives mouse drags
+     * @param {THREE.Object3D} options.template - ATV model to clone for each actor
+     */
+    constructor(options) {
+        this.replay = options.replay;
+        this.scene = options.scene;
+        this.camera = options.camera;
+        this.domElement = options.domElement;
+
+        this.time = 0;
+        this.duration = this.replay.duration;
+        this.playing = true;
+        this.speed = 1;
+        this.lastFrameTime = performance.now();
+        this.scrubbing = false;
+
+        this.actors = this.replay.actors.map(actor => this.createActor(actor, options.template));
+
+        // Free camera state
+        this.keys = {};
+        this.yaw = 0;
+        this.pitch = -0.3;
+        this.dragging = false;
+        this.placeCameraBehindLocalActor();
+
+        // UI elements
+        this.controlsElement = document.getElementById('replay-controls');
+        this.playButton = document.getElementById('replay-play-button');
+        this.timeline = document.getElementById('replay-timeline');
+        this.timeLabel = document.getElementById('replay-time');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.inputsElement = document.getElementById('replay-inputs');
+
+        this.setupControls();
+    }
+
+    /**
+     * Check that a loaded file is a replay this viewer can play
+     * @param {Object} replay - Parsed replay file
+     * @returns {String|null} - What's wrong with it, or null if it can be played
+     */
+    static validateReplay(replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            return 'Not a replay file';
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            return `Unsupported replay version ${replay.version}`;
+        }
+        if (!isFiniteNumber(replay.duration) || replay.duration <= 0) {
+            return 'The replay has no length';
+        }
+        if (!Array.isArray(replay.actors) || replay.actors.length === 0) {
+            return 'The replay has no ATVs in it';
+        }
+
+        const badActor = replay.actors.find(actor =>
+            !actor || !Array.isArray(actor.samples) || actor.samples.length === 0 ||
+            actor.samples.length % SAMPLE_SIZE !== 0 || !actor.samples.every(isFiniteNumber)
+        );
+        const inputs = replay.inputs || [];
+        if (badActor || !Array.isArray(inputs) || inputs.length % 2 !== 0 || !inputs.every(isFiniteNumber)) {
+            return 'The replay is damaged';
+        }
+
+        return null;
+    }
+
+    /**
+     * Create the ATV for an actor
+     */
+    createActor(actor, template) {
+        const mesh = template.clone();
+        mesh.visible = false;
+
+        // Remote ATVs get their player color, like in the game
+        if (!actor.local) {
+            const color = new THREE.Color(actor.color);
+            mesh.traverse(object => {
+                if (object.isMesh && object.material) {
+                    const materials = Array.isArray(object.material) ? object.material : [object.material];
+                    const tinted = materials.map(material => {
+                        const copy = material.clone();
+                        if (copy.color) copy.color.set(color);
+                        if (copy.emissive) copy.emissive.set(color).multiplyScalar(0.4);
+                        return copy;
+                    });
+                    object.material = Array.isArray(object.material) ? tinted : tinted[0];
+                }
+            });
+        }
+
+        mesh.add(createNameLabel(actor.local ? `${actor.name} (recorder)` : actor.name));
+        this.scene.add(mesh);
+
+        return {
+            mesh: mesh,
+            samples: actor.samples,
+            local: actor.local,
+            startTime: getTraceTime(actor.samples),
+            endTime: getTraceTime(actor.samples, true)
+        };
+    }
+
+    /**
+     * Wire up the playback bar, the free camera keys and mouse look
+     */
+    setupControls() {
+        if (this.controlsElement) {
+            this.controlsElement.classList.remove('hidden');
+        }
+
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.togglePause());
+        }
+
+        if (this.timeline) {
+            this.timeline.max = this.duration;
+            this.timeline.addEventListener('input', () => {
+                this.scrubbing = true;
+                this.seek(Number(this.timeline.value));
+            });
+            this.timeline.addEventListener('change', () => {
+                this.scrubbing = false;
+            });
+        }
+
+        if (this.speedSelect) {
+            this.speedSelect.innerHTML = '';
+            PLAYBACK_SPEEDS.forEach(speed => {
+                const option = document.createElement('option');
+                option.value = speed;
+                option.textContent = `${speed}x`;
+                option.selected = speed === this.speed;
+                this.speedSelect.appendChild(option);
+            });
+            this.speedSelect.addEventListener('change', () => {
+                this.speed = Number(this.speedSelect.value);
+            });
+        }
+
+        window.addEventListener('keydown', (event) => {
+            if (event.target && event.target.tagName === 'INPUT') return;
+
+            if (event.key === ' ') {
+                event.preventDefault();
+                this.togglePause();
+            } else if (event.key === 'ArrowLeft') {
+                this.seek(this.time - 5000);
+            } else if (event.key === 'ArrowRight') {
+                this.seek(this.time + 5000);
+            }
+            this.keys[event.key.toLowerCase()] = true;
+        });
+        window.addEventListener('keyup', (event) => {
+            this.keys[event.key.toLowerCase()] = false;
+        });
+
+        // Drag with the mouse to look around
+        this.domElement.addEventListener('mousedown', () => {
+            this.dragging = true;
+        });
+        window.addEventListener('mouseup', () => {
+            this.dragging = false;
+        });
+        window.addEventListener('mousemove', (event) => {
+            if (!this.dragging) return;
+            this.yaw -= event.movementX * MOUSE_SENSITIVITY;
+            this.pitch = Math.max(-1.5, Math.min(1.5, this.pitch - event.movementY * MOUSE_SENSITIVITY));
+        });
+    }
+
+    /**
+     * Pause or resume playback
+     */
+    togglePause() {
+        // Playing from the end starts over
+        if (!this.playing && this.time >= this.duration) {
+            this.time = 0;
+        }
+        this.playing = !this.playing;
+    }
+
+    /**
+     * Jump to a point in the replay
+     * @param {Number} time - ms since the start of the recording
+     */
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+    }
+
+    /**
+     * Advance playback and move the ATVs and the camera - call once per frame
+     */
+    update() {
+        const now = performance.now();
+        const delta = Math.min(now - this.lastFrameTime, 100); // Don't jump ahead after a stall
+        this.lastFrameTime = now;
+
+        if (this.playing && !this.scrubbing) {
+            this.time += delta * this.speed;
+            if (this.time >= this.duration) {
+                this.time = this.duration;
+                this.playing = false;
+            }
+        }
+
+        this.actors.forEach(actor => {
+            const visible = this.time >= actor.startTime && this.time <= actor.endTime + ACTOR_HOLD_TIME;
+            actor.mesh.visible = visible;
+            if (visible) {
+                sampleTrace(actor.samples, this.time, actor.mesh.position, actor.mesh.quaternion);
+            }
+        });
+
+        this.updateCamera(delta / 1000);
+        this.updateUI();
+    }
+
+    /**
+     * Fly the free camera: WASD to move, Q/E down/up, Shift for speed, drag to look
+     */
+    updateCamera(dt) {
+        const forward = new THREE.Vector3(
+            -Math.sin(this.yaw) * Math.cos(this.pitch),
+            Math.sin(this.pitch),
+            -Math.cos(this.yaw) * Math.cos(this.pitch)
+        );
+        const right = new THREE.Vector3(Math.cos(this.yaw), 0, -Math.sin(this.yaw));
+
+        const move = new THREE.Vector3();
+        if (this.keys.w) move.add(forward);
+        if (this.keys.s) move.sub(forward);
+        if (this.keys.d) move.add(right);
+        if (this.keys.a) move.sub(right);
+        if (this.keys.e) move.y += 1;
+        if (this.keys.q) move.y -= 1;
+
+        if (move.lengthSq() > 0) {
+            const speed = CAMERA_SPEED * (this.keys.shift ? CAMERA_FAST_MULTIPLIER : 1);
+            this.camera.position.addScaledVector(move.normalize(), speed * dt);
+        }
+
+        this.camera.lookAt(this.camera.position.clone().add(forward));
+    }
+
+    /**
+     * Start the camera behind where the recording player started
+     */
+    placeCameraBehindLocalActor() {
+        const actor = this.actors.find(a => a.local) || this.actors[0];
+        if (!actor) return;
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        sampleTrace(actor.samples, actor.startTime, position, quaternion);
+
+        // Same offset as the chase camera in the game
+        const offset = new THREE.Vector3(0, 5, -10).applyQuaternion(quaternion);
+        this.camera.position.copy(position).add(offset);
+
+        const toActor = position.clone().sub(this.camera.position).normalize();
+        this.yaw = Math.atan2(-toActor.x, -toActor.z);
+        this.pitch = Math.asin(toActor.y);
+    }
+
+    /**
+     * Refresh the playback bar and the input display
+     */
+    updateUI() {
+        if (this.timeline && !this.scrubbing) {
+            this.timeline.value = this.time;
+        }
+        if (this.timeLabel) {
+            this.timeLabel.textContent = `${formatTime(this.time)} / ${formatTime(this.duration)}`;
+        }
+        if (this.playButton) {
+            this.playButton.textContent = this.playing ? 'PAUSE' : 'PLAY';
+        }
+
+        // Light up the keys the recording player was pressing
+        if (this.inputsElement) {
+            const bits = this.getInputBits(this.time);
+            this.inputsElement.querySelectorAll('[data-input]').forEach(key => {
+                key.classList.toggle('pressed', (bits & INPUT_BITS[key.dataset.input]) !== 0);
+            });
+        }
+    }
+
+    /**
+     * Get the recording player's input state at a point in time
+     * @param {Number} time - ms since the start of the recording
+     * @returns {Number} - Input bits (see INPUT_BITS)
+     */
+    getInputBits(time) {
+        const inputs = this.replay.inputs || [];
+        let bits = 0;
+        for (let i = 0; i < inputs.length && inputs[i] <= time; i += 2) {
+            bits = inputs[i + 1];
+        }
+        return bits;
+    }
+}
+
+// Helper function to create a name label sprite above an ATV
+function createNameLabel(name) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 64;
+
+    context.font = 'bold 24px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.strokeStyle = 'black';
+    context.lineWidth = 4;
+    context.strokeText(name, canvas.width / 2, canvas.height / 2);
+    context.fillStyle = 'white';
+    context.fillText(name, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true
+    }));
+    sprite.scale.set(4, 1, 1);
+    sprite.position.set(0, 3, 0);
+
+    return sprite;
+}
+
+// Helper function to check for a finite number
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Helper function to format a replay time as m:ss
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export default ReplayViewer;
@@ -0,0 +1,157 @@
+/**
+ * SessionRecorder.js - Records a whole play session for the replay viewer
+ * Captures the local ATV with its inputs and every remote ATV from the world snapshots
+ */
+
+import { SAMPLE_SIZE, pushSample } from './trace.js';
+
+// Bits of the recorded input state
+export const INPUT_BITS = {
+    forward: 1,
+    backward: 2,
+    left: 4,
+    right: 8,
+    handbrake: 16
+};
+
+export const REPLAY_FORMAT = 'vibeatv-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * SessionRecorder - Builds a replay file while the game is played
+ *
+ * Every ATV in the session becomes an actor with its own trace (see trace.js).
+ * The local actor is sampled at a fixed interval; remote actors are recorded
+ * whenever a world snapshot moves them. Inputs are stored as change events:
+ * a flat [time, bits, time, bits, ...] array.
+ */
+class SessionRecorder {
+    /**
+     * @param {Object} options
+     * @param {String} options.track - TrackLoader ID of the track being played
+     * @param {String} options.playerName - Name of the local player
+     * @param {Number} [options.sampleInterval] - ms between samples of the local ATV
+     * @param {Number} [options.maxDuration] - ms after which recording stops
+     */
+    constructor(options) {
+        this.track = options.track;
+        this.sampleInterval = options.sampleInterval || 50;
+        this.maxDuration = options.maxDuration || 30 * 60 * 1000;
+
+        this.startTime = 0;
+        this.recording = false;
+        this.lastLocalSample = -Infinity;
+        this.lastInputBits = -1;
+        this.inputs = [];
+
+        // Remote players are matched to their actor by object so reconnects and reused net IDs don't mix them up
+        this.actorsByPlayer = new WeakMap();
+        this.localActor = this.createActor(options.playerName, 0xFFFFFF, true);
+        this.actors = [this.localActor];
+    }
+
+    /**
+     * Start the recording clock
+     */
+    start() {
+        this.startTime = performance.now();
+        this.recording = true;
+    }
+
+    /**
+     * Stop recording (the replay can still be exported)
+     */
+    stop() {
+        this.recording = false;
+    }
+
+    /**
+     * Time since the recording started
+     * @returns {Number} - ms
+     */
+    getTime() {
+        return performance.now() - this.startTime;
+    }
+
+    /**
+     * Record the local ATV and its inputs - call every frame
+     * @param {THREE.Vector3} position - ATV position
+     * @param {THREE.Quaternion} quaternion - ATV rotation
+     * @param {Object} controls - The game's { forward, backward, left, right, handbrake } input state
+     * @returns {Boolean} - False once the recording has hit its length limit
+     */
+    recordLocal(position, quaternion, controls) {
+        if (!this.recording) return false;
+
+        const time = this.getTime();
+        if (time > this.maxDuration) {
+            this.stop();
+            return false;
+        }
+
+        const bits = Object.keys(INPUT_BITS).reduce((value, key) => controls[key] ? value | INPUT_BITS[key] : value, 0);
+        if (bits !== this.lastInputBits) {
+            this.inputs.push(Math.round(time), bits);
+            this.lastInputBits = bits;
+        }
+
+        if (time - this.lastLocalSample >= this.sampleInterval) {
+            pushSample(this.localActor.samples, time, position, quaternion);
+            this.lastLocalSample = time;
+        }
+
+        return true;
+    }
+
+    /**
+     * Record a remote player moved by a world snapshot
+     * @param {Object} player - Player record from MultiplayerManager (name, color, position, quaternion)
+     */
+    recordRemote(player) {
+        if (!this.recording || !player.position || !player.quaternion) return;
+
+        let actor = this.actorsByPlayer.get(player);
+        if (!actor) {
+            actor = this.createActor(player.name, player.color, false);
+            this.actorsByPlayer.set(player, actor);
+            this.actors.push(actor);
+        }
+        actor.name = player.name;
+
+        // Several snapshots can arrive within the same millisecond - keep the latest
+        const time = Math.round(this.getTime());
+        const samples = actor.samples;
+        if (samples.length > 0 && samples[samples.length - SAMPLE_SIZE] >= time) {
+            samples.length -= SAMPLE_SIZE;
+        }
+        pushSample(samples, time, player.position, player.quaternion);
+    }
+
+    /**
+     * Create an actor entry
+     */
+    createActor(name, color, local) {
+        return { name: name || 'Unknown Player', color: color, local: local, samples: [] };
+    }
+
+    /**
+     * Get the recording as a replay file
+     * @param {Object} info - { configName } of the checkpoint layout being played
+     * @returns {Object} - The replay
+     */
+    export(info) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            track: this.track,
+            configName: info.configName,
+            recordedAt: new Date().toISOString(),
+            duration: Math.round(Math.min(this.getTime(), this.maxDuration)),
+            // Actors that were never seen moving have nothing to replay
+            actors: this.actors.filter(actor => actor.samples.length > 0),
+            inputs: this.inputs.slice()
+        };
+    }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,81 @@
+/**
+ * trace.js - Helpers for recorded position/rotation traces
+ *
+ * A trace is a flat array with SAMPLE_SIZE numbers per sample, sorted by time:
+ * [time (ms), x, y, z, qx, qy, qz, qw, time, x, ...]
+ * Lap ghosts and the ATVs in session replays are both stored this way.
+ */
+
+// Numbers per sample - matches server/GhostStore.js
+export const SAMPLE_SIZE = 8;
+
+const nextPosition = new THREE.Vector3();
+const nextQuaternion = new THREE.Quaternion();
+
+/**
+ * Interpolate a trace at a point in time
+ * @param {Array} samples - The trace
+ * @param {Number} time - Time in ms (clamped to the trace)
+ * @param {THREE.Vector3} position - Receives the position
+ * @param {THREE.Quaternion} quaternion - Receives the rotation
+ */
+export function sampleTrace(samples, time, position, quaternion) {
+    const count = samples.length / SAMPLE_SIZE;
+
+    // Binary search for the last sample at or before the time
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (samples[mid * SAMPLE_SIZE] <= time) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    const a = low * SAMPLE_SIZE;
+    const b = Math.min(low + 1, count - 1) * SAMPLE_SIZE;
+    const span = samples[b] - samples[a];
+    const t = span > 0 ? Math.min(Math.max((time - samples[a]) / span, 0), 1) : 0;
+
+    position.set(samples[a + 1], samples[a + 2], samples[a + 3]);
+    nextPosition.set(samples[b + 1], samples[b + 2], samples[b + 3]);
+    position.lerp(nextPosition, t);
+
+    quaternion.set(samples[a + 4], samples[a + 5], samples[a + 6], samples[a + 7]);
+    nextQuaternion.set(samples[b + 4], samples[b + 5], samples[b + 6], samples[b + 7]);
+    quaternion.slerp(nextQuaternion, t);
+}
+
+/**
+ * Get the time of the first or last sample of a trace
+ * @param {Array} samples - The trace
+ * @param {Boolean} [last] - Whether to get the last sample's time
+ * @returns {Number} - Time in ms
+ */
+export function getTraceTime(samples, last) {
+    return last ? samples[samples.length - SAMPLE_SIZE] : samples[0];
+}
+
+/**
+ * Append a sample to a trace, rounded so traces stay small
+ * @param {Array} samples - The trace
+ * @param {Number} time - Time in ms
+ * @param {THREE.Vector3|Object} position - Position
+ * @param {THREE.Quaternion|Object} quaternion - Rotation
+ */
+export function pushSample(samples, time, position, quaternion) {
+    // Centimeters and 4 decimals of rotation are plenty
+    samples.push(
+        Math.round(time),
+        round(position.x, 2), round(position.y, 2), round(position.z, 2),
+        round(quaternion.x, 4), round(quaternion.y, 4), round(quaternion.z, 4), round(quaternion.w, 4)
+    );
+}
+
+// Helper function to round a number to a number of decimals
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
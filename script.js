@@ -1,5 +1,12 @@
 // Import the track loader
 import TrackLoader from './tracks/TrackLoader.js';
+import DataDrivenTrack from './tracks/DataDrivenTrack.js';
+import GhostRecorder from './replay/GhostRecorder.js';
+import GhostPlayer from './replay/GhostPlayer.js';
+import SessionRecorder from './replay/SessionRecorder.js';
+import ReplayViewer from './replay/ReplayViewer.js';
+import TrackEditor from './editor/TrackEditor.js';
+import { SURFACES, createSurfaceMaterials } from './tracks/surfaces.js';
 
 // Add hidden class for game UI elements
 const style = document.createElement('style');
@@ -19,6 +26,7 @@ let audioSystem = {
     sounds: {},
     bgMusic: null,
     engineSound: null,
+    tireSounds: {}, // Looping tyre noise per sound file, created when first driven on
     isMuted: false,
     loaded: false
 };
@@ -26,8 +34,6 @@ let audioSystem = {
 // Wait for DOM content to be fully loaded before setting up game start handlers
 document.addEventListener('DOMContentLoaded', function() {
     setupGameStart();
-    createExitPortal();
-    createStartPortal();
     detectMobileDevice();
     initAudio();
 });
@@ -260,6 +266,35 @@ function updateEngineSound(speed) {
     }
 }
 
+// Update the tyre noise for the surface we're driving on
+function updateTireSound(speed) {
+    const sound = currentSurface && gameStarted ? currentSurface.sound : null;
+    const audible = sound && sound.volume > 0 && speed > 5 && !audioSystem.isMuted;
+    
+    try {
+        if (audible && !audioSystem.tireSounds[sound.file]) {
+            const audio = new Audio(sound.file);
+            audio.loop = true;
+            audioSystem.tireSounds[sound.file] = audio;
+        }
+        
+        // Only the current surface's loop plays - louder and higher the faster we go
+        Object.entries(audioSystem.tireSounds).forEach(([file, audio]) => {
+            if (audible && file === sound.file) {
+                audio.playbackRate = sound.rate * (0.8 + Math.min(speed / 60, 1) * 0.4);
+                audio.volume = sound.volume * Math.min(speed / 40, 1);
+                if (audio.paused) {
+                    audio.play().catch(() => {}); // Blocked until the page has been clicked - retried next frame
+                }
+            } else if (!audio.paused) {
+                audio.pause();
+            }
+        });
+    } catch (e) {
+        console.warn('Error updating tyre sound:', e);
+    }
+}
+
 // Detect if the user is on a mobile device
 function detectMobileDevice() {
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || 
@@ -310,6 +345,25 @@ function setupGameStart() {
         }, 500);
     }
     
+    // Room browser - a ?room= link preselects the room so friends end up together
+    const roomNameInput = document.getElementById('room-name');
+    const urlRoom = urlParams.get('room');
+    if (urlRoom) {
+        roomNameInput.value = urlRoom;
+    }
+    
+    // Track picker - the last pick is remembered. Rooms list the track they're on, so the
+    // track names are fetched first
+    loadTrackList().then(() => loadRoomList(roomNameInput));
+    document.getElementById('room-refresh').addEventListener('click', function() {
+        loadRoomList(roomNameInput);
+    });
+    roomNameInput.addEventListener('keyup', function(event) {
+        if (event.key === 'Enter') {
+            startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileControls);
+        }
+    });
+    
     // Allow pressing Enter to start the game
     usernameInput.addEventListener('keyup', function(event) {
         if (event.key === 'Enter') {
@@ -317,12 +371,185 @@ function setupGameStart() {
         }
     });
     
+    // Editor login is optional - the password field stays hidden until requested
+    const editorPasswordInput = document.getElementById('editor-password');
+    document.getElementById('editor-login-toggle').addEventListener('click', function() {
+        editorPasswordInput.classList.toggle('hidden');
+        editorPasswordInput.focus();
+    });
+    editorPasswordInput.addEventListener('keyup', function(event) {
+        if (event.key === 'Enter') {
+            startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileControls);
+        }
+    });
+    
     // Start button click handler
     startButton.addEventListener('click', function() {
         startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileControls);
     });
+    
+    // Vehicle picker - the last pick is remembered
+    loadVehicleList();
+    
+    // Watch a saved replay instead of playing
+    const replayFileInput = document.getElementById('replay-file-input');
+    document.getElementById('replay-watch-link').addEventListener('click', function() {
+        replayFileInput.click();
+    });
+    replayFileInput.addEventListener('change', function() {
+        if (replayFileInput.files.length > 0) {
+            watchReplay(replayFileInput.files[0], startScreen);
+        }
+    });
 }
 
+// Fill the room browser with the rooms currently open on the server
+async function loadRoomList(roomNameInput) {
+    const roomList = document.getElementById('room-list');
+    
+    try {
+        const response = await fetch('/rooms');
+        const data = await response.json();
+        
+        roomList.innerHTML = '';
+        if (data.rooms.length === 0) {
+            roomList.innerHTML = '<div class="room-empty">No rooms open yet - you\'ll start a new one</div>';
+            return;
+        }
+        
+        data.rooms.forEach(room => {
+            const entry = document.createElement('div');
+            entry.className = 'room-entry';
+            if (room.playerCount >= room.maxPlayers) {
+                entry.classList.add('full');
+            }
+            
+            const name = document.createElement('span');
+            name.textContent = room.name;
+            const track = document.createElement('span');
+            track.className = 'room-track';
+            track.textContent = trackNames[room.trackId] || room.trackId;
+            const count = document.createElement('span');
+            count.className = 'room-count';
+            count.textContent = `${room.playerCount}/${room.maxPlayers}`;
+            entry.appendChild(name);
+            entry.appendChild(track);
+            entry.appendChild(count);
+            
+            // Pick a room by clicking it
+            entry.addEventListener('click', () => {
+                roomNameInput.value = room.name;
+                roomList.querySelectorAll('.room-entry').forEach(el => el.classList.remove('selected'));
+                entry.classList.add('selected');
+            });
+            
+            roomList.appendChild(entry);
+        });
+    } catch (error) {
+        console.error('Error loading room list:', error);
+        roomList.innerHTML = '<div class="room-empty">Couldn\'t load rooms</div>';
+    }
+}
+
+// Fill the vehicle picker with the setups the server offers
+async function loadVehicleList() {
+    const vehicleList = document.getElementById('vehicle-list');
+    
+    try {
+        const response = await fetch('/vehicle-setups');
+        const data = await response.json();
+        
+        data.vehicles.forEach(setup => {
+            vehicleSetups[setup.id] = setup;
+        });
+        if (!vehicleSetups[selectedVehicleId]) {
+            selectedVehicleId = data.defaultVehicle;
+        }
+        
+        vehicleList.innerHTML = '';
+        data.vehicles.forEach(setup => {
+            const entry = document.createElement('div');
+            entry.className = 'vehicle-entry';
+            entry.classList.toggle('selected', setup.id === selectedVehicleId);
+            
+            const name = document.createElement('div');
+            name.className = 'vehicle-name';
+            name.textContent = setup.name;
+            const description = document.createElement('div');
+            description.className = 'vehicle-description';
+            description.textContent = setup.description || '';
+            entry.appendChild(name);
+            entry.appendChild(description);
+            
+            // Pick a vehicle by clicking it
+            entry.addEventListener('click', () => {
+                selectedVehicleId = setup.id;
+                localStorage.setItem('vibeatv_vehicle', setup.id);
+                vehicleList.querySelectorAll('.vehicle-entry').forEach(el => el.classList.remove('selected'));
+                entry.classList.add('selected');
+            });
+            
+            vehicleList.appendChild(entry);
+        });
+    } catch (error) {
+        console.error('Error loading vehicle list:', error);
+        vehicleList.innerHTML = '<div class="room-empty">Couldn\'t load vehicles - you\'ll drive the standard ATV</div>';
+    }
+}
+
+// Fill the track picker with the tracks the server offers
+async function loadTrackList() {
+    const trackList = document.getElementById('track-list');
+    
+    try {
+        const response = await fetch('/track-list');
+        const data = await response.json();
+        
+        data.tracks.forEach(track => {
+            trackNames[track.id] = track.name;
+        });
+        if (!trackNames[selectedTrackId]) {
+            selectedTrackId = data.defaultTrack;
+        }
+        
+        trackList.innerHTML = '';
+        data.tracks.forEach(track => {
+            const entry = document.createElement('div');
+            entry.className = 'track-entry';
+            entry.classList.toggle('selected', track.id === selectedTrackId);
+            
+            const name = document.createElement('div');
+            name.className = 'track-name';
+            name.textContent = track.name;
+            const description = document.createElement('div');
+            description.className = 'track-description';
+            description.textContent = track.description;
+            entry.appendChild(name);
+            entry.appendChild(description);
+            
+            // Pick a track by clicking it
+            entry.addEventListener('click', () => {
+                selectedTrackId = track.id;
+                localStorage.setItem('vibeatv_track', track.id);
+                trackList.querySelectorAll('.track-entry').forEach(el => el.classList.remove('selected'));
+                entry.classList.add('selected');
+            });
+            
+            trackList.appendChild(entry);
+        });
+    } catch (error) {
+        console.error('Error loading track list:', error);
+        trackList.innerHTML = '<div class="room-empty">Couldn\'t load tracks - you\'ll race the default track</div>';
+    }
+}
+
+// Get the setup of a vehicle by ID (remote players' clones are built from it)
+function getVehicleSetup(vehicleId) {
+    return vehicleSetups[vehicleId] || null;
+}
+
+window.getVehicleSetup = getVehicleSetup;
+
 // Game start function with UI elements passed as parameters
 function startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileControls) {
     playerName = usernameInput.value.trim();
@@ -338,44 +565,24 @@ function startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileCont
     // Share the player name with the window object for global access
     window.playerName = playerName;
     
-    // Check if this player is the authorized editor
-    isAuthorizedEditor = (playerName === 'RJ_4_America');
-    window.isAuthorizedEditor = isAuthorizedEditor;
+    // Room to join - empty means the server picks a public room
+    const roomNameInput = document.getElementById('room-name');
+    window.requestedRoom = roomNameInput ? roomNameInput.value.trim() || null : null;
+    
+    // Editor rights are granted by the server - log in if an editor password was entered
+    const editorPasswordInput = document.getElementById('editor-password');
+    if (editorPasswordInput && editorPasswordInput.value) {
+        loginEditor(playerName, editorPasswordInput.value);
+        editorPasswordInput.value = '';
+    }
     
     console.log("Game starting with player name:", playerName);
-    console.log("Editor authorization:", isAuthorizedEditor ? "GRANTED" : "DENIED");
     
-    // Add a direct edit button for RJ_4_America
-    if (isAuthorizedEditor) {
-        const editButton = document.createElement('button');
-        editButton.textContent = 'TOGGLE CHECKPOINT EDIT';
-        editButton.style.position = 'absolute';
-        editButton.style.top = '10px';
-        editButton.style.right = '10px';
-        editButton.style.padding = '10px';
-        editButton.style.backgroundColor = '#e74c3c';
-        editButton.style.color = 'white';
-        editButton.style.border = 'none';
-        editButton.style.borderRadius = '5px';
-        editButton.style.fontWeight = 'bold';
-        editButton.style.zIndex = '9999';
-        
-        editButton.addEventListener('click', function() {
-            console.log("Edit button clicked");
-            // Make sure controls exist first
-            if (!document.getElementById('checkpoint-controls')) {
-                createCheckpointControls();
-            }
-            toggleEditMode();
-        });
-        
-        document.body.appendChild(editButton);
-        
-        // Make the function available on window right away
-        window.createCheckpointControls = createCheckpointControls;
-        window.toggleEditMode = toggleEditMode;
-        window.showNotification = showNotification;
-    }
+    // Make the editor functions available on window right away
+    window.createCheckpointControls = createCheckpointControls;
+    window.toggleEditMode = toggleEditMode;
+    window.showNotification = showNotification;
+    window.setEditorRole = setEditorRole;
     
     // Add the global E key handler for checkpoint editing
     window.addEventListener('keydown', function(event) {
@@ -388,9 +595,9 @@ function startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileCont
                     console.error("toggleEditMode function not available");
                 }
             } else {
-                console.log("Edit mode denied - not RJ_4_America");
+                console.log("Edit mode denied - no editor role");
                 if (window.showNotification) {
-                    window.showNotification('Only RJ_4_America can edit checkpoints', true);
+                    window.showNotification('Only track editors can edit checkpoints', true);
                 }
             }
         }
@@ -435,10 +642,14 @@ function startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileCont
     // Initialize ATV physics and track after starting the game
     Promise.all([
         loadATVModel(),
-        loadTrack()
+        loadTrack(selectedTrackId, true),
+        loadVehicleSetup(selectedVehicleId)
     ])
-    .then(([atv, track]) => {
+    .then(([atv, track, setup]) => {
         console.log('ATV and track loaded successfully');
+        vehicleSetup = setup;
+        window.requestedVehicle = setup.id;
+        window.requestedTrack = track.id;
         
         // Initialize the ATV physics and make it visible
         initializeATVAndTrack();
@@ -449,6 +660,10 @@ function startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileCont
         // Initialize multiplayer
         initializeMultiplayer();
         
+        // Record the session so it can be saved as a replay
+        sessionRecorder = new SessionRecorder({ track: track.id, playerName: playerName });
+        sessionRecorder.start();
+        
         // Show success message
         showNotification('Track loaded - ready to race!', false, 2000);
     })
@@ -490,8 +705,126 @@ function startGame(startScreen, usernameInput, controlsInfo, gameHud, mobileCont
     }
 }
 
+// Log in with an editor account - the server decides whether we get the editor role
+function loginEditor(username, password) {
+    fetch('/auth/login', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username: username, password: password })
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            throw new Error(data.message || 'Login failed');
+        }
+        
+        editorToken = data.token;
+        window.editorToken = editorToken;
+        sessionStorage.setItem('vibeatv_editor_token', editorToken);
+        
+        // Upgrade an existing socket connection, otherwise the token is sent on connect
+        if (multiplayerManager) {
+            multiplayerManager.authenticate(editorToken);
+        } else {
+            setEditorRole(data.role === 'editor');
+        }
+    })
+    .catch(error => {
+        console.error('Editor login failed:', error);
+        showNotification(`Editor login failed: ${error.message}`, true);
+    });
+}
+
+// Apply the role granted by the server
+function setEditorRole(isEditor) {
+    const wasAuthorized = isAuthorizedEditor;
+    isAuthorizedEditor = isEditor;
+    window.isAuthorizedEditor = isAuthorizedEditor;
+    console.log("Editor authorization:", isAuthorizedEditor ? "GRANTED" : "DENIED");
+    
+    // Forget a token the server no longer accepts
+    if (!isAuthorizedEditor && editorToken) {
+        editorToken = null;
+        window.editorToken = null;
+        sessionStorage.removeItem('vibeatv_editor_token');
+    }
+    
+    if (isAuthorizedEditor && !wasAuthorized) {
+        enableEditorControls();
+    } else if (!isAuthorizedEditor && wasAuthorized) {
+        disableEditorControls();
+    }
+}
+
+// Show the editor UI once the server has granted the editor role
+function enableEditorControls() {
+    // Add a direct edit button for editors
+    if (!document.getElementById('toggle-edit-button')) {
+        const editButton = document.createElement('button');
+        editButton.id = 'toggle-edit-button';
+        editButton.textContent = 'TOGGLE CHECKPOINT EDIT';
+        editButton.style.position = 'absolute';
+        editButton.style.top = '10px';
+        editButton.style.right = '10px';
+        editButton.style.padding = '10px';
+        editButton.style.backgroundColor = '#e74c3c';
+        editButton.style.color = 'white';
+        editButton.style.border = 'none';
+        editButton.style.borderRadius = '5px';
+        editButton.style.fontWeight = 'bold';
+        editButton.style.zIndex = '9999';
+        
+        editButton.addEventListener('click', function() {
+            console.log("Edit button clicked");
+            // Make sure controls exist first
+            if (!document.getElementById('checkpoint-controls')) {
+                createCheckpointControls();
+            }
+            toggleEditMode();
+        });
+        
+        document.body.appendChild(editButton);
+    } else {
+        document.getElementById('toggle-edit-button').style.display = 'block';
+    }
+    
+    // Only build the checkpoint panel once the checkpoints exist
+    if (checkpoints.length > 0) {
+        createCheckpointControls();
+    }
+    
+    // Editors can pick which config to load via URL
+    const configParam = new URLSearchParams(window.location.search).get('trackConfig');
+    if (configParam && configParam !== trackConfigName && checkpoints.length > 0) {
+        console.log("Editor loading specified config:", configParam);
+        loadTrackConfig(configParam);
+    }
+    
+    showNotification('Track Editor Mode Available (Press E)');
+}
+
+// Hide the editor UI when the editor role is lost
+function disableEditorControls() {
+    if (isEditMode) {
+        toggleEditModeOff();
+        showNotification('Edit mode disabled - no longer authorized', true);
+    }
+    
+    const editButton = document.getElementById('toggle-edit-button');
+    if (editButton) {
+        editButton.style.display = 'none';
+    }
+    
+    const controlsDiv = document.getElementById('checkpoint-controls');
+    if (controlsDiv) {
+        controlsDiv.style.display = 'none';
+    }
+}
+
 // Keyboard controls
-const controls = { forward: false, backward: false, left: false, right: false };
+const controls = { forward: false, backward: false, left: false, right: false, handbrake: false };
 document.addEventListener('keydown', (event) => {
     switch (event.key) {
         case 'w': 
@@ -510,6 +843,9 @@ document.addEventListener('keydown', (event) => {
         case 'ArrowRight': 
             controls.right = true; 
             break;
+        case ' ': 
+            controls.handbrake = true; 
+            break;
     }
 });
 document.addEventListener('keyup', (event) => {
@@ -530,6 +866,25 @@ document.addEventListener('keyup', (event) => {
         case 'ArrowRight': 
             controls.right = false; 
             break;
+        case ' ': 
+            controls.handbrake = false; 
+            break;
+    }
+});
+
+// P saves the session so far as a replay file
+document.addEventListener('keydown', (event) => {
+    if (event.target && event.target.tagName === 'INPUT') return;
+    if ((event.key === 'p' || event.key === 'P') && gameStarted) {
+        saveReplay();
+    }
+});
+
+// G switches the ghost we race against
+document.addEventListener('keydown', (event) => {
+    if (event.target && event.target.tagName === 'INPUT') return;
+    if ((event.key === 'g' || event.key === 'G') && gameStarted) {
+        cycleGhostMode();
     }
 });
 
@@ -665,17 +1020,49 @@ let gameStarted = false;
 let playerName = '';
 let startPortalBox; // Global variable for start portal collision detection
 let exitPortalBox; // Global variable for exit portal collision detection
+let portalGroups = []; // Portals of the loaded track, removed when the track changes
 
 // Checkpoint system
 let checkpoints = []; // Array to hold checkpoint objects
 let activeCheckpoint = -1; // Index of the currently active checkpoint (-1 means none)
 let checkpointPositions = null; // Will store saved positions for the current track
 let isEditMode = false; // Whether checkpoints can be moved
-let lastCheckpointTime = 0; // For tracking lap times
+let lastCheckpointTime = 0; // Simulation time (ms) the current lap started at
 let currentLapTime = 0; // Current lap time
 let bestLapTime = Infinity; // Best lap time
+let lapSplits = []; // Lap time (s) at every checkpoint passed on the current lap
+let bestSectorTimes = []; // Personal best time (s) of every sector - the leg up to a checkpoint
+let lastSector = null; // { index, time, delta } of the last sector driven, delta against the best before it
+let raceLapCount = 0; // Laps of the race we're driving, 0 outside of races
+let raceStartTime = 0; // Simulation time (ms) our race started at, 0 when the race clock isn't running
+let raceTime = 0; // Total race time (s)
+let raceLaps = []; // { time, sectors } of every lap completed in the race
 let trackConfigName = 'default'; // Current track configuration name
-let isAuthorizedEditor = false; // Flag for authorized checkpoint editor
+let checkpointTrackId = 'drift_race_track'; // Track ID of the loaded checkpoint configuration
+let roomConfigName = 'default'; // Checkpoint configuration used by the room we're in
+let checkpointMode = 'circuit'; // 'circuit' laps back to the start gate, 'sprint' runs from the first gate to the last
+let lastGatePosition = null; // Where the ATV was at the last checkpoint check
+let wrongWayGate = -1; // Checkpoint the ATV last went through backwards, until it comes back through it
+const GATE_HEIGHT = 15; // How far above or below a gate's centre the ATV still goes through it
+const MAX_GATE_STEP = 20; // Longer moves between two checks are teleports (respawns, portals, the grid) and pass no gates
+const MIN_CHECKPOINTS = CheckpointValidator.MIN_CHECKPOINTS; // A course needs at least a start and a finish
+const MAX_CHECKPOINTS = CheckpointValidator.MAX_CHECKPOINTS;
+const CHECKPOINT_COLORS = [0x2196F3, 0xFF9800, 0x9C27B0]; // Blue, orange and purple in turn after the green start gate
+
+// Lap ghosts
+const ghostRecorder = new GhostRecorder(); // Records the lap being driven
+let ghostPlayer = null; // Translucent ATV replaying a ghost - created once the ATV model is loaded
+let lastLapGhost = null; // Ghost of the last completed lap (uploaded if the server says it's a record)
+let bestLapGhost = null; // Ghost of our best lap
+let recordGhost = null; // Ghost of the track record, from the server
+let ghostMode = 'best'; // Which ghost to race: 'best', 'record' or 'off'
+
+// Session replays
+let sessionRecorder = null; // Records the session from the moment the game starts
+let replayViewer = null; // Set while watching a replay instead of playing
+let isAuthorizedEditor = false; // Set from the role the server grants, never from the player name
+let editorToken = sessionStorage.getItem('vibeatv_editor_token'); // Editor session token from /auth/login
+window.editorToken = editorToken;
 
 // Scene setup
 const scene = new THREE.Scene();
@@ -723,20 +1110,24 @@ const trackLoader = new TrackLoader({
     materials: {
         ground: groundMaterial,
         vehicle: vehicleMaterial,
-        asset: assetMaterial
+        asset: assetMaterial,
+        surfaces: createSurfaceMaterials(world, vehicleMaterial)
     }
 });
 
+// In-game track editor (editors only) - the game stands still while it is open
+const trackEditor = new TrackEditor({
+    scene: scene,
+    camera: camera,
+    domElement: renderer.domElement,
+    onSave: saveEditedTrack,
+    onLoad: loadTrackForEditor,
+    onExit: closeTrackEditor
+});
+
 // Flag to control physics simulation until game starts
 let physicsPaused = true;
 
-// Lighting
-const ambientLight = new THREE.AmbientLight(0xeeeeee);
-scene.add(ambientLight);
-const directionalLight = new THREE.DirectionalLight(0xffffff, 0.7);
-directionalLight.position.set(0, 1, 0);
-scene.add(directionalLight);
-
 // Loaders
 const textureLoader = new THREE.TextureLoader();
 const gltfLoader = new THREE.GLTFLoader();
@@ -745,26 +1136,8 @@ const gltfLoader = new THREE.GLTFLoader();
 let trackMesh;
 let trackCollider;
 
-// Background (Desert Image JPG)
+// Background sphere of the loaded track (lighting and skybox come from the track manifest)
 let skybox;
-textureLoader.load(
-    'assets/desert_image.jpg',
-    (texture) => {
-        const geometry = new THREE.SphereGeometry(2000, 32, 32);
-        const material = new THREE.MeshBasicMaterial({
-            map: texture,
-            side: THREE.BackSide,
-            depthWrite: false
-        });
-        skybox = new THREE.Mesh(geometry, material);
-        skybox.position.set(0, 0, 0);
-        scene.add(skybox);
-        // console.log('Desert skybox loaded at:', skybox.position, 'Scale:', skybox.scale);
-        // console.log('Scene children after adding skybox:', scene.children.length);
-    },
-    () => {}, // Removed console.log from progress callback
-    (error) => console.error('Skybox loading failed:', error)
-);
 
 // Create a simple ground plane as fallback (positioned much lower as a safety net)
 const fallbackGroundShape = new CANNON.Plane();
@@ -774,24 +1147,219 @@ groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
 groundBody.position.set(0, -50, 0); // Position much lower than the track
 world.addBody(groundBody);
 
-// Load 3D Race Track Model when game starts
-function loadTrack() {
-    // Preload the default track (drift race track)
-    return trackLoader.loadTrack('drift-race')
+// Tracks (tracks/*.json) - the one picked on the start screen is loaded when the game starts,
+// and the room can switch to another one after a track vote
+const DEFAULT_TRACK = 'drift-race';
+const trackNames = {}; // Track ID -> name, as listed by the server
+let selectedTrackId = localStorage.getItem('vibeatv_track') || DEFAULT_TRACK;
+let trackSwitch = Promise.resolve(); // Track switches run one after another
+let roomTrackId = null; // Track the room plays
+let pendingTrackSwitch = null; // Switch that came in while the track editor was open
+
+// Load 3D Race Track Model (replacing the loaded one, if any) - only the first load at boot may fall
+// back to the default track, a room's track either loads or fails
+function loadTrack(trackId, fallbackToDefault) {
+    return trackLoader.loadTrack(trackId)
         .then(track => {
             console.log('Successfully loaded track:', track.name);
             trackMesh = track.trackMesh;
             trackCollider = track.trackCollider;
+            skybox = track.skybox;
+            checkpointTrackId = track.checkpointTrackId || checkpointTrackId;
+            
+            // Vibeverse portals, where the track has them
+            removePortals();
+            if (track.portals) {
+                createExitPortal(track.portals.exit);
+                createStartPortal(track.portals.start);
+            }
             return track;
         })
         .catch(error => {
-            console.error('Error loading track:', error);
+            console.error(`Error loading track "${trackId}":`, error);
+            if (fallbackToDefault && trackId !== DEFAULT_TRACK) {
+                console.warn('Falling back to the default track');
+                return loadTrack(DEFAULT_TRACK);
+            }
             throw error;
         });
 }
 
-// Create physics objects for ATV
-function createATVPhysics() {
+// Switch to the track the room plays - after a track vote, when the room we joined is on another track,
+// or when an editor saved the track (reload)
+function switchTrack(trackId, configName, reload) {
+    roomTrackId = trackId;
+    
+    // The track editor has the scene - switch once it closes
+    if (trackEditor.active) {
+        pendingTrackSwitch = { trackId: trackId, configName: configName };
+        return trackSwitch;
+    }
+    
+    trackSwitch = trackSwitch.then(async () => {
+        const current = trackLoader.getCurrentTrack();
+        if (!chassisBody || (!reload && current && current.id === trackId)) {
+            setRoomTrackConfig(configName);
+            return;
+        }
+        
+        showNotification('Loading track...', false, 5000);
+        
+        // Hold the ATV still while the old track is taken apart and the new one is built
+        physicsPaused = true;
+        cleanupCheckpoints();
+        if (isEditMode) {
+            toggleEditModeOff();
+        }
+        
+        let loaded = false;
+        try {
+            const track = await loadTrack(trackId);
+            
+            // Drive off from the new track's start
+            placeAtTrackStart(chassisBody);
+            settled = false;
+            chassisBody.linearDamping = 0.9;
+            chassisBody.angularDamping = 0.9;
+            snapChassisInterpolation();
+            camera.position.copy(chassisBody.position).add(
+                new THREE.Vector3(0, 5, -10).applyQuaternion(chassisBody.quaternion)
+            );
+            
+            // Lap times and ghosts belong to the old track
+            ghostRecorder.cancel();
+            if (ghostPlayer) {
+                ghostPlayer.stop();
+            }
+            lastCheckpointTime = 0;
+            currentLapTime = 0;
+            bestLapTime = Infinity;
+            resetSectorTimes();
+            
+            roomConfigName = configName || 'default';
+            await loadTrackConfig(roomConfigName);
+            
+            // A replay covers a single track, so recording starts over
+            if (sessionRecorder) {
+                sessionRecorder.stop();
+                sessionRecorder = new SessionRecorder({ track: track.id, playerName: playerName });
+                sessionRecorder.start();
+            }
+            
+            showNotification(`Now racing on ${track.name}`, false, 3000);
+            loaded = true;
+        } catch (error) {
+            // The old track is already gone - stay stopped without checkpoints rather than race
+            // anything but the room's track, whose laps would be filed under the wrong board
+            console.error('Error switching track:', error);
+            cleanupCheckpoints();
+            showNotification(`Couldn't load the room's track "${trackNames[trackId] || trackId}". Please refresh.`, true, 10000);
+        } finally {
+            physicsPaused = !loaded;
+        }
+    });
+    return trackSwitch;
+}
+
+window.switchTrack = switchTrack;
+
+// Open the track editor on the loaded track (editors only)
+function openTrackEditor() {
+    if (!isAuthorizedEditor) {
+        showNotification('Only track editors can edit tracks', true);
+        return;
+    }
+    if (trackEditor.active || replayViewer || !gameStarted) return;
+    
+    // Stop the game while the editor has the scene; it starts from the checkpoints we race
+    physicsPaused = true;
+    Object.keys(controls).forEach(key => {
+        controls[key] = false;
+    });
+    if (isEditMode) {
+        toggleEditModeOff();
+    }
+    const gates = getCheckpointGates();
+    cleanupCheckpoints();
+    removePortals();
+    document.getElementById('checkpoint-controls').style.display = 'none';
+    
+    trackEditor.open(trackLoader.getCurrentTrack(), gates.length > 0 ? { positions: gates, mode: checkpointMode } : null);
+}
+
+// Load a track for the editor to work on, without the game's portals
+async function loadTrackForEditor(trackId) {
+    const track = await loadTrack(trackId);
+    removePortals();
+    return track;
+}
+
+// Save a track from the editor as tracks/<trackId>.json on the server
+async function saveEditedTrack(trackId, manifest) {
+    const response = await fetch('/save-track', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${editorToken}`
+        },
+        body: JSON.stringify({ trackId: trackId, manifest: manifest })
+    });
+    if (response.status === 403) {
+        throw new Error('Editor session expired - log in again to save');
+    }
+    
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.message || 'The server refused the track');
+    }
+    return data;
+}
+
+// Back to the game on the room's track, built from its saved manifest
+function closeTrackEditor() {
+    const next = pendingTrackSwitch || { trackId: roomTrackId || selectedTrackId, configName: roomConfigName };
+    pendingTrackSwitch = null;
+    switchTrack(next.trackId, next.configName, true);
+}
+
+// Vehicle setups (vehicles/*.json) - the ATV is built from the one picked on the start screen
+const DEFAULT_VEHICLE = 'standard';
+const vehicleSetups = {}; // Vehicle ID -> setup, as listed by the server
+let selectedVehicleId = localStorage.getItem('vibeatv_vehicle') || DEFAULT_VEHICLE;
+let vehicleSetup = null; // Setup of the ATV we drive
+
+// Get the setup we drive, from the server's list or straight from its file
+async function loadVehicleSetup(vehicleId) {
+    if (vehicleSetups[vehicleId]) {
+        return vehicleSetups[vehicleId];
+    }
+    
+    const response = await fetch(`vehicles/${encodeURIComponent(vehicleId)}.json`);
+    if (!response.ok) {
+        if (vehicleId !== DEFAULT_VEHICLE) {
+            console.warn(`Vehicle "${vehicleId}" not found - using the default`);
+            return loadVehicleSetup(DEFAULT_VEHICLE);
+        }
+        throw new Error(`Couldn't load vehicle "${vehicleId}"`);
+    }
+    
+    const setup = Object.assign({ id: vehicleId }, await response.json());
+    vehicleSetups[vehicleId] = setup;
+    return setup;
+}
+
+// Put a body at the loaded track's spawn point, at rest
+function placeAtTrackStart(body) {
+    const start = trackLoader.getCurrentTrack().getPlayerStartPosition();
+    body.position.set(start.position.x, start.position.y, start.position.z);
+    body.quaternion.set(start.rotation.x, start.rotation.y, start.rotation.z, start.rotation.w);
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+}
+
+// Create physics objects for ATV - the chassis rides on raycast wheels (CANNON.RaycastVehicle).
+// The ATV drives towards local +Z; positive steering turns it left.
+function createATVPhysics(setup) {
     // Create a simple ground plane as fallback (positioned much lower as a safety net)
     const fallbackGroundShape = new CANNON.Plane();
     const groundBody = new CANNON.Body({ mass: 0, material: groundMaterial });
@@ -801,62 +1369,57 @@ function createATVPhysics() {
     world.addBody(groundBody);
     
     // ATV physics
-    // For chassis dimensions (width, height, length)
-    const chassisShape = new CANNON.Box(new CANNON.Vec3(1.5, 0.3, 2.0));  // Much wider and longer, but flatter
-    const chassisBody = new CANNON.Body({ mass: 150, material: vehicleMaterial }); // Higher mass for stability
+    const chassis = setup.chassis;
+    const chassisShape = new CANNON.Box(new CANNON.Vec3(chassis.halfExtents[0], chassis.halfExtents[1], chassis.halfExtents[2]));
+    const chassisBody = new CANNON.Body({ mass: chassis.mass, material: vehicleMaterial });
     
     // Lower center of mass by offsetting the shape downward
     // For center of mass height (more negative = lower center of mass)
-    chassisBody.addShape(chassisShape, new CANNON.Vec3(0, -0.1, 0)); // Slight offset for center of mass
-    chassisBody.position.set(20, 5, 20);
-    chassisBody.velocity.set(0, 0, 0);
-    chassisBody.angularVelocity.set(0, 0, 0);
-    chassisBody.quaternion.set(0, 0, 0, 1);
-    chassisBody.linearDamping = 0.7; // Less linear damping for smoother movement
-    chassisBody.angularDamping = 0.02;  // Reduced to allow some tilting while still providing stability
-    world.addBody(chassisBody);
-    
-    // Wheels physics
-    const wheelShape = new CANNON.Sphere(0.5);
-    const wheelBodies = [];
-    const wheelConstraints = [];
-    const wheelPositions = [
-        new CANNON.Vec3(-1.7, -0.4, -1.8), // Front left - wider and further forward
-        new CANNON.Vec3(1.7, -0.4, -1.8),  // Front right - wider and further forward
-        new CANNON.Vec3(-1.7, -0.4, 1.8),  // Rear left - wider and further back
-        new CANNON.Vec3(1.7, -0.4, 1.8)    // Rear right - wider and further back
-    ];
-    
-    wheelPositions.forEach((pos, index) => {
-        const wheelBody = new CANNON.Body({ mass: 2, material: vehicleMaterial });
-        wheelBody.addShape(wheelShape);
-        wheelBody.position.copy(chassisBody.position).vadd(pos);
-        wheelBody.velocity.set(0, 0, 0);
-        wheelBody.angularVelocity.set(0, 0, 0);
-        world.addBody(wheelBody);
-        wheelBodies.push(wheelBody);
-    
-        const constraint = new CANNON.HingeConstraint(chassisBody, wheelBody, {
-            pivotA: pos,
-            pivotB: new CANNON.Vec3(0, 0, 0),
-            axisA: new CANNON.Vec3(1, 0, 0),
-            axisB: new CANNON.Vec3(1, 0, 0),
-            maxForce: 1e6
+    chassisBody.addShape(chassisShape, new CANNON.Vec3(0, chassis.centerOfMassOffset, 0));
+    placeAtTrackStart(chassisBody);
+    chassisBody.linearDamping = chassis.linearDamping; // Keeps the top speed in check
+    chassisBody.angularDamping = chassis.angularDamping;
+    
+    const vehicle = new CANNON.RaycastVehicle({
+        chassisBody: chassisBody,
+        indexRightAxis: 0,
+        indexUpAxis: 1,
+        indexForwardAxis: 2
+    });
+    
+    // Wheels hang from their mounting point on suspension rays
+    const suspension = setup.suspension;
+    setup.wheels.forEach(wheel => {
+        vehicle.addWheel({
+            radius: wheel.radius,
+            directionLocal: new CANNON.Vec3(0, -1, 0),
+            axleLocal: new CANNON.Vec3(-1, 0, 0), // Positive engine force drives towards +Z
+            chassisConnectionPointLocal: new CANNON.Vec3(wheel.position[0], wheel.position[1], wheel.position[2]),
+            suspensionStiffness: suspension.stiffness,
+            suspensionRestLength: suspension.restLength,
+            maxSuspensionTravel: suspension.maxTravel,
+            maxSuspensionForce: suspension.maxForce,
+            dampingRelaxation: suspension.dampingRelaxation,
+            dampingCompression: suspension.dampingCompression,
+            frictionSlip: wheel.frictionSlip,
+            rollInfluence: setup.rollInfluence, // Lower values keep the ATV from rolling over in corners
+            customSlidingRotationalSpeed: -30,
+            useCustomSlidingRotationalSpeed: true
         });
-        world.addConstraint(constraint);
-        wheelConstraints.push(constraint);
     });
     
-    // Store wheels in global scope for later access
-    window.wheelBodies = wheelBodies;
-    window.wheelConstraints = wheelConstraints;
+    vehicle.addToWorld(world);
     
-    return chassisBody;
+    return vehicle;
 }
 
+let atvVehicle = null;
 let chassisBody = null;
 let atvMesh = null;
 let wheelsInitialized = false;
+let steeringAngle = 0; // Current steering angle of the front wheels
+let wheelSurfaces = []; // Surface under each wheel (null while it's off the ground)
+let currentSurface = null; // Surface under most of the wheels - drives the dust and tyre noise
 
 // Load ATV Model
 function loadATVModel() {
@@ -889,11 +1452,13 @@ function loadATVModel() {
 // Initialize everything
 function initializeATVAndTrack() {
     // Create physics for the ATV
-    chassisBody = createATVPhysics();
+    atvVehicle = createATVPhysics(vehicleSetup);
+    chassisBody = atvVehicle.chassisBody;
     
     // Position the ATV mesh to match the physics body
     if (atvMesh) {
         atvMesh.visible = true;
+        atvMesh.scale.setScalar(vehicleSetup.model.scale);
         atvMesh.position.copy(chassisBody.position);
         atvMesh.position.y += 1.7;
         atvMesh.quaternion.copy(chassisBody.quaternion);
@@ -908,93 +1473,268 @@ function initializeATVAndTrack() {
     }
 }
 
-// Animation loop
-function animate() {
-    requestAnimationFrame(animate);
-    vibeVerse();
-    
-    // Only step physics when not paused
-    if (!physicsPaused) {
-        world.step(1 / 60);
+// Look up the surface under each wheel where its suspension ray hit the ground
+function updateWheelSurfaces() {
+    const track = trackLoader.getCurrentTrack();
+    const counts = {};
+    let mostWheels = 0;
+    currentSurface = null;
+    
+    atvVehicle.wheelInfos.forEach((wheelInfo, index) => {
+        const hit = wheelInfo.raycastResult;
+        const surfaceName = wheelInfo.isInContact && track ? track.getSurfaceAt(hit.hitPointWorld, hit.body) : null;
+        wheelSurfaces[index] = surfaceName ? SURFACES[surfaceName] : null;
         
-        const speed = 1250; // Balanced speed value
-        const turnSpeed = 1.2; // Standard turning speed
-        const localDirection = new CANNON.Vec3(0, 0, -1);
-        const worldDirection = chassisBody.quaternion.vmult(localDirection);
-        worldDirection.y = 0;
-        worldDirection.normalize();
+        if (surfaceName) {
+            counts[surfaceName] = (counts[surfaceName] || 0) + 1;
+            if (counts[surfaceName] > mostWheels) {
+                mostWheels = counts[surfaceName];
+                currentSurface = SURFACES[surfaceName];
+            }
+        }
+    });
+}
 
-        // Get current velocity for lean calculations
-        const currentVelocity = chassisBody.velocity.length();
-        
-        // Apply wheel turning and movement force
+// Turn the driver's input into engine force, steering and brakes on the wheels
+function applyDriverInput() {
+    updateWheelSurfaces();
+    
+    // Ignore driver input while a race countdown is running
+    const inputLocked = multiplayerManager && multiplayerManager.isControlLocked();
+    
+    let engineForce = 0;
+    if (!inputLocked) {
         if (controls.forward) {
-            chassisBody.applyForce(worldDirection.scale(-speed * 5), chassisBody.position);
+            engineForce = vehicleSetup.engine.force;
         } else if (controls.backward) {
-            chassisBody.applyForce(worldDirection.scale(speed * 3), chassisBody.position); // Less power for reverse
+            engineForce = -vehicleSetup.engine.force * vehicleSetup.engine.reverseRatio; // Brakes first, then reverses
         }
+    }
     
+    // Steer less the faster we go, and turn the wheels gradually rather than snapping them
+    const steering = vehicleSetup.steering;
+    const speed = chassisBody.velocity.length();
+    const falloff = Math.min(speed / steering.falloffSpeed, 1);
+    const steerLimit = steering.maxAngle + (steering.minAngle - steering.maxAngle) * falloff;
+    let targetSteer = 0;
+    if (!inputLocked) {
         if (controls.left) {
-            // Add leaning effect when turning left at speed
-            if (currentVelocity > 5) {
-                // Create a force that pushes the ATV to lean into the turn
-                const leanDirection = new CANNON.Vec3(-1, 0, 0); // Left lean
-                const worldLeanDir = chassisBody.quaternion.vmult(leanDirection);
-                worldLeanDir.y = 0;
-                worldLeanDir.normalize();
-                // Apply lean force - stronger at higher speeds
-                const leanFactor = Math.min(currentVelocity * 15, 500);
-                chassisBody.applyForce(worldLeanDir.scale(leanFactor), chassisBody.position);
-            }
-            chassisBody.angularVelocity.y = turnSpeed;
+            targetSteer = steerLimit;
         } else if (controls.right) {
-            // Add leaning effect when turning right at speed
-            if (currentVelocity > 5) {
-                // Create a force that pushes the ATV to lean into the turn
-                const leanDirection = new CANNON.Vec3(1, 0, 0); // Right lean
-                const worldLeanDir = chassisBody.quaternion.vmult(leanDirection);
-                worldLeanDir.y = 0;
-                worldLeanDir.normalize();
-                // Apply lean force - stronger at higher speeds
-                const leanFactor = Math.min(currentVelocity * 15, 500);
-                chassisBody.applyForce(worldLeanDir.scale(leanFactor), chassisBody.position);
+            targetSteer = -steerLimit;
+        }
+    }
+    const maxSteerChange = steering.rate * PHYSICS_STEP;
+    steeringAngle += Math.max(-maxSteerChange, Math.min(maxSteerChange, targetSteer - steeringAngle));
+    
+    vehicleSetup.wheels.forEach((wheel, index) => {
+        // Mud, sand and water sap grip and power; asphalt grips better
+        const surface = wheelSurfaces[index];
+        atvVehicle.wheelInfos[index].frictionSlip = wheel.frictionSlip * (surface ? surface.grip : 1);
+        atvVehicle.applyEngineForce(wheel.drive ? engineForce * (surface ? surface.speedFactor : 1) : 0, index);
+        atvVehicle.setSteeringValue(wheel.steer ? steeringAngle : 0, index);
+        
+        let brake = 0;
+        if (inputLocked) {
+            brake = vehicleSetup.engine.holdBrakeForce;
+        } else if (controls.handbrake && !wheel.steer) {
+            brake = vehicleSetup.engine.handbrakeForce;
+        }
+        atvVehicle.setBrake(brake, index);
+    });
+}
+
+// Fixed-timestep physics - the simulation always advances in PHYSICS_STEP increments,
+// however fast or slow the display refreshes, so the ATV drives the same on every machine
+const PHYSICS_STEP = 1 / 60; // s of simulated time per step
+const MAX_STEPS_PER_FRAME = 5; // Steps allowed per frame before dropping time
+let physicsAccumulator = 0; // s of real time not simulated yet
+let simulationTime = 0; // ms of simulated time - the clock lap times are measured with
+let lastFrameTime = null;
+
+// Chassis state before the last step, to draw the ATV between physics states
+const previousChassisPosition = new CANNON.Vec3();
+const previousChassisQuaternion = new CANNON.Quaternion();
+const currentChassisQuaternion = new THREE.Quaternion();
+
+// Advance the simulation by one fixed step
+function stepPhysics() {
+    previousChassisPosition.copy(chassisBody.position);
+    previousChassisQuaternion.copy(chassisBody.quaternion);
+    
+    applyDriverInput();
+    world.step(PHYSICS_STEP);
+    simulationTime += PHYSICS_STEP * 1000;
+    
+    // Handling vehicle settling on ground
+    if (chassisBody.position.y <= 0.9 && !settled) {
+        settled = true;
+        chassisBody.linearDamping = 0.5;
+        chassisBody.angularDamping = 0.5;
+    } 
+    // else if (chassisBody.position.y > 0.9) {
+    //     // When in air, increase linear damping for more "air resistance"
+    //     settled = false;
+    //     chassisBody.linearDamping = 0.1; // Add slight air resistance
+    //     chassisBody.angularDamping = 0.1; // Allow some rotation in air
+    // }
+
+    const maxAngular = vehicleSetup.chassis.maxAngularVelocity;
+    chassisBody.angularVelocity.x = Math.max(-maxAngular, Math.min(maxAngular, chassisBody.angularVelocity.x));
+    chassisBody.angularVelocity.y = Math.max(-maxAngular, Math.min(maxAngular, chassisBody.angularVelocity.y));
+    chassisBody.angularVelocity.z = Math.max(-maxAngular, Math.min(maxAngular, chassisBody.angularVelocity.z));
+
+    if (chassisBody.position.y < -25 || chassisBody.position.y > 50) {
+        // If the ATV falls through or flies off, reset it
+        placeAtTrackStart(chassisBody);
+        settled = false;
+        chassisBody.linearDamping = 0.9;
+        chassisBody.angularDamping = 0.9;
+        snapChassisInterpolation();
+        // console.log('ATV reset to starting position');
+    }
+    
+    // Check if ATV is flipped upside down
+    if (chassisBody) {
+        // Get the up vector in world space
+        const localUpVector = new CANNON.Vec3(0, 1, 0);
+        const worldUpVector = chassisBody.quaternion.vmult(localUpVector);
+        
+        // Calculate the dot product with the world up vector (0, 1, 0)
+        // If this is negative, the ATV is more upside down than right side up
+        const dotProduct = worldUpVector.dot(new CANNON.Vec3(0, 1, 0));
+        
+        if (dotProduct < -0.5) { // -0.5 threshold indicates significantly upside down
+            if (!isFlipped) {
+                // ATV just flipped
+                isFlipped = true;
+                flipStartTime = simulationTime;
+                console.log('ATV flipped upside down');
+            } else if (simulationTime - flipStartTime > flipTimeout) {
+                // ATV has been flipped for over 3 seconds - respawn at same position
+                const currentPosition = chassisBody.position.clone();
+                
+                // Keep the X and Z position, but reset Y to be slightly above the ground
+                // Also reset orientation and velocities
+                chassisBody.position.set(currentPosition.x, 5, currentPosition.z);
+                chassisBody.velocity.set(0, 0, 0);
+                chassisBody.angularVelocity.set(0, 0, 0);
+                chassisBody.quaternion.set(0, 0, 0, 1);
+                snapChassisInterpolation();
+                
+                // Reset flip detection
+                isFlipped = false;
+                console.log('ATV auto-respawned due to being upside down');
+                
+                // Add a visible message about the respawn
+                showRespawnMessage();
             }
-            chassisBody.angularVelocity.y = -turnSpeed;
         } else {
-            chassisBody.angularVelocity.y *= 0.9;
-        }
-
-        // Handling vehicle settling on ground
-        if (chassisBody.position.y <= 0.9 && !settled) {
-            settled = true;
-            chassisBody.linearDamping = 0.5;
-            chassisBody.angularDamping = 0.5;
-        } 
-        // else if (chassisBody.position.y > 0.9) {
-        //     // When in air, increase linear damping for more "air resistance"
-        //     settled = false;
-        //     chassisBody.linearDamping = 0.1; // Add slight air resistance
-        //     chassisBody.angularDamping = 0.1; // Allow some rotation in air
-        // }
-
-        const maxAngular = 5;
-        chassisBody.angularVelocity.x = Math.max(-maxAngular, Math.min(maxAngular, chassisBody.angularVelocity.x));
-        chassisBody.angularVelocity.y = Math.max(-maxAngular, Math.min(maxAngular, chassisBody.angularVelocity.y));
-        chassisBody.angularVelocity.z = Math.max(-maxAngular, Math.min(maxAngular, chassisBody.angularVelocity.z));
+            // ATV is not flipped
+            isFlipped = false;
+        }
+    }
 
-        if (atvMesh) {
-            atvMesh.position.copy(chassisBody.position);
-            atvMesh.position.y += 1.7;
-            atvMesh.quaternion.copy(chassisBody.quaternion);
+    if (atvMesh) {
+        // Checkpoints and lap times go by where the physics has the ATV at this step
+        syncMeshToChassis(1);
+        checkCheckpoints();
+        
+        // The race clock runs from the green light until we finish
+        if (raceStartTime > 0) {
+            raceTime = (simulationTime - raceStartTime) / 1000;
+        }
+        
+        // Update lap timer if timing is active
+        if (lastCheckpointTime > 0) {
+            currentLapTime = (simulationTime - lastCheckpointTime) / 1000; // Convert to seconds
+            updateCheckpointUI();
+            
+            // Record this lap for its ghost
+            recordLapGhost(currentLapTime * 1000);
+        }
+    }
+}
+
+// Place the ATV model between the previous (alpha 0) and current (alpha 1) physics state
+function syncMeshToChassis(alpha) {
+    atvMesh.position.set(
+        previousChassisPosition.x + (chassisBody.position.x - previousChassisPosition.x) * alpha,
+        previousChassisPosition.y + (chassisBody.position.y - previousChassisPosition.y) * alpha + 1.7,
+        previousChassisPosition.z + (chassisBody.position.z - previousChassisPosition.z) * alpha
+    );
+    currentChassisQuaternion.copy(chassisBody.quaternion);
+    atvMesh.quaternion.copy(previousChassisQuaternion).slerp(currentChassisQuaternion, alpha);
+}
+
+// Don't interpolate across a teleport (respawn, race grid, server correction)
+function snapChassisInterpolation() {
+    if (!chassisBody) return;
+    
+    previousChassisPosition.copy(chassisBody.position);
+    previousChassisQuaternion.copy(chassisBody.quaternion);
+}
+
+window.snapChassisInterpolation = snapChassisInterpolation;
+
+// Animation loop
+function animate() {
+    requestAnimationFrame(animate);
+    
+    // Watching a replay - the viewer moves the ATVs and the camera, nothing is simulated
+    if (replayViewer) {
+        replayViewer.update();
+        renderer.render(scene, camera);
+        return;
+    }
+    
+    // Editing the track - the editor flies the camera and the game stands still
+    if (trackEditor.active) {
+        trackEditor.update();
+        if (skybox) {
+            skybox.position.copy(camera.position);
+        }
+        renderer.render(scene, camera);
+        if (multiplayerManager) {
+            multiplayerManager.update();
+        }
+        return;
+    }
+    
+    vibeVerse();
+    
+    // Only step physics when not paused
+    if (!physicsPaused) {
+        const frameTime = performance.now();
+        const frameDelta = lastFrameTime === null ? 0 : (frameTime - lastFrameTime) / 1000;
+        lastFrameTime = frameTime;
+        
+        // Simulate in fixed steps for however much real time has passed since the last frame
+        physicsAccumulator += frameDelta;
+        let steps = 0;
+        while (physicsAccumulator >= PHYSICS_STEP && steps < MAX_STEPS_PER_FRAME) {
+            stepPhysics();
+            physicsAccumulator -= PHYSICS_STEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) {
+            // Too far behind (tab in the background, long stall) - skip ahead instead of catching up
+            physicsAccumulator = Math.min(physicsAccumulator, PHYSICS_STEP);
+        }
 
-            // Check for checkpoint collisions
-            checkCheckpoints();
+        if (atvMesh) {
+            // Draw the ATV between the last two physics states so it moves smoothly at any frame rate
+            syncMeshToChassis(physicsAccumulator / PHYSICS_STEP);
+            
+            // Move the ghost to the same point in its lap as we are
+            if (ghostPlayer && lastCheckpointTime > 0) {
+                ghostPlayer.update(simulationTime + physicsAccumulator * 1000 - lastCheckpointTime);
+            }
             
-            // Update lap timer every frame if timing is active
-            if (lastCheckpointTime > 0) {
-                const currentTime = performance.now();
-                currentLapTime = (currentTime - lastCheckpointTime) / 1000; // Convert to seconds
-                updateCheckpointUI();
+            // Record the session replay
+            if (sessionRecorder && sessionRecorder.recording &&
+                !sessionRecorder.recordLocal(atvMesh.position, atvMesh.quaternion, controls)) {
+                showNotification('Replay recording is full - press P to save it', false, 5000);
             }
 
             // If game has started, show checkpoint controls (only for authorized editor)
@@ -1002,17 +1742,19 @@ function animate() {
                 document.getElementById('checkpoint-controls').style.display = 'block';
             }
 
-            // Dust particles
+            // Dust particles - colored and as thick as the surface we're on, none in the air
             const velocityMagnitude = Math.sqrt(chassisBody.velocity.x ** 2 + chassisBody.velocity.z ** 2);
             const positions = dustParticles.geometry.attributes.position.array;
-            if (velocityMagnitude > 0.5) {
+            const dust = currentSurface ? currentSurface.dust : null;
+            if (velocityMagnitude > 0.5 && dust) {
+                particleMaterial.color.setHex(dust.color);
                 for (let i = 0; i < particleCount; i++) {
                     const idx = i * 3;
-                    if (positions[idx + 1] < -0.4 || Math.random() < 0.2) {
+                    if ((positions[idx + 1] < -0.4 && Math.random() < dust.amount) || Math.random() < 0.2 * dust.amount) {
                         positions[idx] = atvMesh.position.x + (Math.random() - 0.5) * 4;
                         positions[idx + 1] = 0 + Math.random() * 0.4;
                         positions[idx + 2] = atvMesh.position.z + (Math.random() - 0.5) * 1;
-                    } else {
+                    } else if (positions[idx + 1] >= -0.4) {
                         positions[idx + 1] -= 0.05;
                         positions[idx] += (Math.random() - 0.5) * 0.1;
                         positions[idx + 2] += (Math.random() - 0.5) * 0.1;
@@ -1034,7 +1776,8 @@ function animate() {
             const atvQuaternion = new THREE.Quaternion().copy(atvMesh.quaternion);
             cameraOffset.applyQuaternion(atvQuaternion);
             const targetCameraPosition = atvPosition.add(cameraOffset);
-            camera.position.lerp(targetCameraPosition, 0.05);
+            // Same 5% per 60 Hz frame catch-up at any frame rate
+            camera.position.lerp(targetCameraPosition, 1 - Math.pow(0.95, frameDelta * 60));
             camera.lookAt(atvMesh.position);
 
             if (skybox) {
@@ -1044,58 +1787,6 @@ function animate() {
             updateHUD();
         }
 
-        if (chassisBody.position.y < -25 || chassisBody.position.y > 50) {
-            // If the ATV falls through or flies off, reset it
-            chassisBody.position.set(20, 10, 20);
-            chassisBody.velocity.set(0, 0, 0);
-            chassisBody.angularVelocity.set(0, 0, 0);
-            chassisBody.quaternion.set(0, 0, 0, 1);
-            settled = false;
-            chassisBody.linearDamping = 0.9;
-            chassisBody.angularDamping = 0.9;
-            // console.log('ATV reset to starting position');
-        }
-        
-        // Check if ATV is flipped upside down
-        if (chassisBody) {
-            // Get the up vector in world space
-            const localUpVector = new CANNON.Vec3(0, 1, 0);
-            const worldUpVector = chassisBody.quaternion.vmult(localUpVector);
-            
-            // Calculate the dot product with the world up vector (0, 1, 0)
-            // If this is negative, the ATV is more upside down than right side up
-            const dotProduct = worldUpVector.dot(new CANNON.Vec3(0, 1, 0));
-            
-            if (dotProduct < -0.5) { // -0.5 threshold indicates significantly upside down
-                if (!isFlipped) {
-                    // ATV just flipped
-                    isFlipped = true;
-                    flipStartTime = Date.now();
-                    console.log('ATV flipped upside down');
-                } else if (Date.now() - flipStartTime > flipTimeout) {
-                    // ATV has been flipped for over 3 seconds - respawn at same position
-                    const currentPosition = chassisBody.position.clone();
-                    
-                    // Keep the X and Z position, but reset Y to be slightly above the ground
-                    // Also reset orientation and velocities
-                    chassisBody.position.set(currentPosition.x, 5, currentPosition.z);
-                    chassisBody.velocity.set(0, 0, 0);
-                    chassisBody.angularVelocity.set(0, 0, 0);
-                    chassisBody.quaternion.set(0, 0, 0, 1);
-                    
-                    // Reset flip detection
-                    isFlipped = false;
-                    console.log('ATV auto-respawned due to being upside down');
-                    
-                    // Add a visible message about the respawn
-                    showRespawnMessage();
-                }
-            } else {
-                // ATV is not flipped
-                isFlipped = false;
-            }
-        }
-
         renderer.render(scene, camera);
         
         // Update multiplayer
@@ -1110,19 +1801,13 @@ function animate() {
         
         // Update engine sound
         updateEngineSound(velocityMagnitude * 3.6); // Convert to km/h
+        updateTireSound(velocityMagnitude * 3.6);
         
         // Handle jumps and landings for sound effects - only if chassis is ready
         if (chassisBody && atvMesh) {
             handleJumpSounds();
         }
         
-        // Update lap timer every frame if timing is active
-        if (lastCheckpointTime > 0) {
-            const currentTime = performance.now();
-            currentLapTime = (currentTime - lastCheckpointTime) / 1000; // Convert to seconds
-            updateCheckpointUI();
-        }
-
         // If game has started, show checkpoint controls (only for authorized editor)
         if (gameStarted && document.getElementById('checkpoint-controls') && isAuthorizedEditor) {
             document.getElementById('checkpoint-controls').style.display = 'block';
@@ -1373,14 +2058,14 @@ function updatePlayerListUI() {
     });
 }
 
-// Create exit portal
-function createExitPortal() {
+// Create exit portal where the track manifest places it ({ position, rotation } in degrees)
+function createExitPortal(portal) {
+    if (!portal) return;
+    
     // console.log("Creating exit portal");
     // Create portal group to contain all portal elements
     const exitPortalGroup = new THREE.Group();
-    exitPortalGroup.position.set(-200, 25, -300);
-    exitPortalGroup.rotation.x = 0.35;
-    exitPortalGroup.rotation.y = 0;
+    placePortal(exitPortalGroup, portal);
 
     // Create portal effect
     const exitPortalGeometry = new THREE.TorusGeometry(15, 2, 16, 100);
@@ -1460,6 +2145,7 @@ function createExitPortal() {
 
     // Add full portal group to scene
     scene.add(exitPortalGroup);
+    portalGroups.push(exitPortalGroup);
 
     // Create portal collision box
     exitPortalBox = new THREE.Box3().setFromObject(exitPortalGroup);
@@ -1467,6 +2153,9 @@ function createExitPortal() {
     
     // Animate particles and portal and check for collision
     function animateExitPortal() {
+        // Stop once the portal is removed with its track
+        if (!exitPortalGroup.parent) return;
+        
         const positions = exitPortalParticles.attributes.position.array;
         for (let i = 0; i < positions.length; i += 3) {
             positions[i + 1] += 0.05 * Math.sin(Date.now() * 0.001 + i);
@@ -1483,15 +2172,13 @@ function createExitPortal() {
 }
 
 // Create start portal (only when coming from another portal)
-function createStartPortal() {
+function createStartPortal(portal) {
     // Only create start portal if coming from another portal
-    if (new URLSearchParams(window.location.search).get('portal')) {
+    if (portal && new URLSearchParams(window.location.search).get('portal')) {
         // console.log("Creating start portal");
         // Create portal group to contain all portal elements
         const startPortalGroup = new THREE.Group();
-        startPortalGroup.position.set(20, 5, 20); // Adjusted to match new ATV starting position
-        startPortalGroup.rotation.x = 0.35;
-        startPortalGroup.rotation.y = 0;
+        placePortal(startPortalGroup, portal); // The manifest puts it at the ATV starting position
 
         // Create portal effect
         const startPortalGeometry = new THREE.TorusGeometry(15, 2, 16, 100);
@@ -1550,6 +2237,7 @@ function createStartPortal() {
 
         // Add portal group to scene
         scene.add(startPortalGroup);
+        portalGroups.push(startPortalGroup);
 
         // Create portal collision box
         startPortalBox = new THREE.Box3().setFromObject(startPortalGroup);
@@ -1557,6 +2245,9 @@ function createStartPortal() {
 
         // Animate particles and portal and check for collision
         function animateStartPortal() {
+            // Stop once the portal is removed with its track
+            if (!startPortalGroup.parent) return;
+            
             const positions = startPortalParticles.attributes.position.array;
             for (let i = 0; i < positions.length; i += 3) {
                 positions[i + 1] += 0.05 * Math.sin(Date.now() * 0.001 + i);
@@ -1573,6 +2264,25 @@ function createStartPortal() {
     }
 }
 
+// Helper function to remove the portals of the previous track
+function removePortals() {
+    portalGroups.forEach(group => scene.remove(group));
+    portalGroups = [];
+    exitPortalBox = null;
+    startPortalBox = null;
+}
+
+// Helper function to position a portal group from its manifest entry
+function placePortal(group, portal) {
+    const rotation = portal.rotation || [0, 0, 0];
+    group.position.fromArray(portal.position);
+    group.rotation.set(
+        THREE.MathUtils.degToRad(rotation[0]),
+        THREE.MathUtils.degToRad(rotation[1]),
+        THREE.MathUtils.degToRad(rotation[2])
+    );
+}
+
 // Check if vehicle is jumping or landing for sound effects
 let isInAir = false;
 let lastY = 0; // This should be initialized with the initial chassis position
@@ -1651,33 +2361,18 @@ function initCheckpoints() {
     // Test manual setting for debugging
     window.playerName = playerName;
     
-    // Check if current player is authorized to edit checkpoints
-    isAuthorizedEditor = (playerName === 'RJ_4_America');
-    console.log("isAuthorizedEditor:", isAuthorizedEditor);
-    
-    // Try to load saved checkpoint positions for this track
-    const trackId = 'drift_race_track'; // Unique ID for the current track
-    
-    // Get URL parameters
+    // Editors may load a specific layout via URL, regular players race the room's layout
     const urlParams = new URLSearchParams(window.location.search);
     const configParam = urlParams.get('trackConfig');
     console.log("URL track config parameter:", configParam);
     
-    if (isAuthorizedEditor) {
-        // Authorized editor can specify which config to load via URL
-        if (configParam) {
-            trackConfigName = configParam;
-            console.log("Authorized editor loading specified config:", trackConfigName);
-            loadTrackConfig(trackConfigName);
-        } else {
-            // Default to 'default' if no specific config is requested
-            console.log("Authorized editor loading default config");
-            loadTrackConfig('default');
-        }
+    if (isAuthorizedEditor && configParam) {
+        trackConfigName = configParam;
+        console.log("Authorized editor loading specified config:", trackConfigName);
+        loadTrackConfig(trackConfigName);
     } else {
-        // Regular players always load default.json
-        console.log("Regular player loading default config");
-        loadTrackConfig('default');
+        console.log("Loading room config:", roomConfigName);
+        loadTrackConfig(roomConfigName);
     }
     
     // Create checkpoints - either at saved positions or defaults
@@ -1693,18 +2388,15 @@ function initCheckpoints() {
                 toggleEditMode();
                 console.log("Toggle edit mode activated");
             } else {
-                showNotification('Only big balls can edit checkpoints', true);
+                showNotification('Only track editors can edit checkpoints', true);
             }
         }
     });
     
-    // Add checkpoint editor controls (only for authorized editor)
+    // Add checkpoint editor controls (only if the server already granted the editor role)
     if (isAuthorizedEditor) {
         console.log("Creating editor controls for authorized user");
         createCheckpointControls();
-        
-        // Welcome message for the editor
-        showNotification('Welcome RJ_4_America - Track Editor Mode Available (Press E)');
     }
     
     // Expose key variables and functions to the window object for access from multiplayer.js
@@ -1744,7 +2436,7 @@ function createCheckpointControls() {
     
     // Add authorized editor badge
     const editorBadge = document.createElement('div');
-    editorBadge.textContent = 'TRACK EDITOR - RJ_4_America';
+    editorBadge.textContent = `TRACK EDITOR - ${playerName}`;
     editorBadge.style.backgroundColor = '#e74c3c';
     editorBadge.style.color = 'white';
     editorBadge.style.padding = '5px 10px';
@@ -1794,6 +2486,21 @@ function createCheckpointControls() {
     
     controlsDiv.appendChild(editButton);
     
+    // Track editor button - ramps, walls, portals, spawn point and checkpoints
+    const trackEditorButton = document.createElement('button');
+    trackEditorButton.textContent = 'Track Editor';
+    trackEditorButton.style.display = 'block';
+    trackEditorButton.style.width = '100%';
+    trackEditorButton.style.marginBottom = '10px';
+    trackEditorButton.style.padding = '8px 15px';
+    trackEditorButton.style.borderRadius = '5px';
+    trackEditorButton.style.backgroundColor = '#f39c12';
+    trackEditorButton.style.color = 'white';
+    trackEditorButton.style.border = 'none';
+    trackEditorButton.style.cursor = 'pointer';
+    trackEditorButton.addEventListener('click', openTrackEditor);
+    controlsDiv.appendChild(trackEditorButton);
+    
     // Save positions button
     const saveButton = document.createElement('button');
     saveButton.textContent = 'Save Positions';
@@ -1822,6 +2529,58 @@ function createCheckpointControls() {
     exportButton.style.cursor = 'pointer';
     controlsDiv.appendChild(exportButton);
     
+    // Add and remove checkpoints while driving the course
+    const addButton = document.createElement('button');
+    addButton.textContent = 'Add Checkpoint Here';
+    addButton.style.display = 'block';
+    addButton.style.width = '100%';
+    addButton.style.marginBottom = '10px';
+    addButton.style.padding = '8px 15px';
+    addButton.style.borderRadius = '5px';
+    addButton.style.backgroundColor = '#16a085';
+    addButton.style.color = 'white';
+    addButton.style.border = 'none';
+    addButton.style.cursor = 'pointer';
+    controlsDiv.appendChild(addButton);
+    
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove Nearest Checkpoint';
+    removeButton.style.display = 'block';
+    removeButton.style.width = '100%';
+    removeButton.style.marginBottom = '10px';
+    removeButton.style.padding = '8px 15px';
+    removeButton.style.borderRadius = '5px';
+    removeButton.style.backgroundColor = '#7f8c8d';
+    removeButton.style.color = 'white';
+    removeButton.style.border = 'none';
+    removeButton.style.cursor = 'pointer';
+    controlsDiv.appendChild(removeButton);
+    
+    // Course mode - laps of a circuit, or a sprint from the first gate to the last
+    const courseLabel = document.createElement('div');
+    courseLabel.textContent = 'Course:';
+    courseLabel.style.marginBottom = '5px';
+    courseLabel.style.fontSize = '14px';
+    controlsDiv.appendChild(courseLabel);
+    
+    const courseSelect = document.createElement('select');
+    courseSelect.id = 'course-mode-select';
+    [['circuit', 'Circuit (laps)'], ['sprint', 'Sprint (start to finish)']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        courseSelect.appendChild(option);
+    });
+    courseSelect.value = checkpointMode;
+    courseSelect.style.width = '100%';
+    courseSelect.style.padding = '5px';
+    courseSelect.style.marginBottom = '10px';
+    courseSelect.style.borderRadius = '3px';
+    courseSelect.style.border = '1px solid #aaa';
+    courseSelect.style.backgroundColor = '#222';
+    courseSelect.style.color = '#fff';
+    controlsDiv.appendChild(courseSelect);
+    
     // Configuration name input
     const configNameLabel = document.createElement('div');
     configNameLabel.textContent = 'Configuration Name:';
@@ -1875,6 +2634,12 @@ function createCheckpointControls() {
     saveButton.addEventListener('click', saveCheckpointPositions);
     exportButton.addEventListener('click', exportCheckpointPositions);
     resetButton.addEventListener('click', resetCheckpointPositions);
+    addButton.addEventListener('click', addCheckpointAtVehicle);
+    removeButton.addEventListener('click', removeNearestCheckpoint);
+    courseSelect.addEventListener('change', () => {
+        setCheckpointMode(courseSelect.value);
+        courseSelect.blur();
+    });
     
     // Update config name when changed
     configNameInput.addEventListener('change', () => {
@@ -1888,9 +2653,9 @@ function createCheckpointControls() {
             if (isAuthorizedEditor) {
                 toggleEditMode();
             } else {
-                console.log("Edit mode denied - not RJ_4_America");
+                console.log("Edit mode denied - no editor role");
                 if (window.showNotification) {
-                    window.showNotification('Only RJ_4_America can edit checkpoints', true);
+                    window.showNotification('Only track editors can edit checkpoints', true);
                 }
             }
         }
@@ -1906,16 +2671,24 @@ function exportCheckpointPositions() {
     const configName = (configNameInput ? configNameInput.value : trackConfigName) || 'default';
     
     // Create the export data
-    const positions = checkpoints.map(cp => ({
-        x: cp.mesh.position.x,
-        y: cp.mesh.position.y,
-        z: cp.mesh.position.z
-    }));
+    const positions = getCheckpointGates();
+    
+    // Don't hand out a layout the server would refuse
+    const errors = CheckpointValidator.validate(
+        { mode: checkpointMode, positions: positions },
+        { collision: trackLoader.getCurrentTrack().collision }
+    );
+    if (errors.length > 0) {
+        console.warn('Checkpoint layout not exported:', errors);
+        showNotification(`Checkpoint layout not exported: ${describeLayoutErrors(errors)}`, true, 8000);
+        return;
+    }
     
     const exportData = {
-        trackId: 'drift_race_track',
+        trackId: checkpointTrackId,
         configName: configName,
         date: new Date().toISOString(),
+        mode: checkpointMode,
         positions: positions
     };
     
@@ -1933,29 +2706,35 @@ function exportCheckpointPositions() {
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
     
-    // Also save this configuration as "default.json" for all other players
-    // Note: In a real application, this would be done server-side
-    // This is a client-side simulation of updating the default.json file
-    fetch('/save-default-track', {
+    // Also save the layout on the server, where every player can pick it
+    const track = trackLoader.getCurrentTrack();
+    fetch(`/checkpoint-layouts/${encodeURIComponent(track.id)}`, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
+            'Authorization': `Bearer ${editorToken}`
         },
-        body: jsonData
+        body: JSON.stringify({ configName: configName, positions: positions, mode: checkpointMode })
     })
-    .then(response => {
+    .then(async response => {
         if (response.ok) {
             return response.json();
         }
-        throw new Error('Failed to save default track configuration');
+        if (response.status === 403) {
+            throw new Error('Editor session expired - log in again to save');
+        }
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || 'Failed to save checkpoint layout');
     })
     .then(data => {
-        console.log('Default track saved successfully:', data);
-        showNotification('Track configuration saved as default for all players');
+        console.log('Checkpoint layout saved successfully:', data);
+        trackConfigName = configName;
+        refreshLayoutPicker();
+        showNotification(`Checkpoint layout "${configName}" saved for all players`);
     })
     .catch(error => {
-        console.error('Error saving default track:', error);
-        showNotification('Note: Default track could not be saved automatically. Please ask RJ to upload the file.', true);
+        console.error('Error saving checkpoint layout:', error);
+        showNotification(`Checkpoint layout could not be saved: ${error.message}`, true);
     });
     
     // Show confirmation message
@@ -1974,13 +2753,14 @@ function exportCheckpointPositions() {
     console.log(`Exported checkpoint configuration "${configName}":`, positions);
 }
 
-// Function to load a track configuration from a JSON file
+// Function to load a checkpoint layout of the current track from the server
 async function loadTrackConfig(configName) {
     console.log(`Attempting to load track config: ${configName}`);
     try {
-        // Add a random cache-busting parameter to avoid browser caching
-        const cacheParam = `?t=${Date.now()}`;
-        const response = await fetch(`checkpoints/${configName}.json${cacheParam}`);
+        // Layouts belong to a track, so ask for the one of the track that's loaded
+        const track = trackLoader.getCurrentTrack();
+        const url = `/checkpoint-layouts/${encodeURIComponent(track.id)}/${encodeURIComponent(configName)}`;
+        const response = await fetch(url, { cache: 'no-cache' });
         
         if (!response.ok) {
             console.warn(`Failed to load configuration: ${response.statusText}`);
@@ -1995,11 +2775,20 @@ async function loadTrackConfig(configName) {
             throw new Error(`Failed to load default configuration: ${response.statusText}`);
         }
         
-        const config = await response.json();
-        if (config.positions && Array.isArray(config.positions)) {
+        const config = (await response.json()).layout;
+        
+        // The same checks the server makes, plus the ground of the track as the game loaded it
+        const errors = CheckpointValidator.validate(config, { collision: track.collision });
+        if (errors.length > 0) {
+            console.warn(`Checkpoint configuration "${configName}" can't be raced:`, errors);
+        }
+        
+        if (errors.length === 0) {
             // Clear any existing checkpoint positions
             checkpointPositions = config.positions;
+            checkpointMode = config.mode || 'circuit';
             trackConfigName = config.configName || configName;
+            checkpointTrackId = config.trackId || checkpointTrackId;
             
             // Update input field if it exists
             const configNameInput = document.getElementById('config-name-input');
@@ -2015,22 +2804,28 @@ async function loadTrackConfig(configName) {
             // Re-create checkpoints with the loaded positions
             createCheckpoints();
             
+            // Race the record holder's ghost of this configuration
+            loadRecordGhost();
+            
+            // Show the loaded layout in the picker and its course in the editor
+            refreshLayoutPicker();
+            updateCourseSelect();
+            
             // Show confirmation message
             showNotification(`Loaded track config: ${trackConfigName}`);
             return true;
+        } else if (configName !== 'default') {
+            console.log(`Falling back to default configuration`);
+            return loadTrackConfig('default');
         } else {
-            throw new Error('Invalid configuration format');
+            throw new Error(`Invalid configuration: ${describeLayoutErrors(errors)}`);
         }
     } catch (error) {
         console.error(`Error loading track configuration "${configName}":`, error);
         
-        // Set to default hardcoded positions if loading fails
-        checkpointPositions = [
-            { x: 50, y: 3, z: 50 },
-            { x: -50, y: 3, z: 50 },
-            { x: -50, y: 3, z: -50 },
-            { x: 50, y: 3, z: -50 }
-        ];
+        // Set to the track's own checkpoint positions if loading fails
+        checkpointPositions = getTrackCheckpointPositions();
+        checkpointMode = trackLoader.getCurrentTrack().checkpointMode;
         
         // Proper cleanup of existing checkpoints
         cleanupCheckpoints();
@@ -2042,6 +2837,8 @@ async function loadTrackConfig(configName) {
         
         // Re-create checkpoints with the default positions
         createCheckpoints();
+        refreshLayoutPicker();
+        updateCourseSelect();
         
         return false;
     }
@@ -2068,6 +2865,12 @@ function cleanupCheckpoints() {
             scene.remove(cp.moveHelper);
         }
         
+        if (cp.directionArrow) {
+            scene.remove(cp.directionArrow);
+            cp.directionArrow.line.material.dispose();
+            cp.directionArrow.cone.material.dispose();
+        }
+        
         if (cp.numberLabel) {
             // Call dispose method to properly clean up animation
             if (typeof cp.numberLabel.dispose === 'function') {
@@ -2127,13 +2930,10 @@ function toggleEditMode() {
     console.log("Current playerName:", playerName);
     console.log("Current window.playerName:", window.playerName);
     
-    // Force check authorization from window to fix potential timing issues
-    isAuthorizedEditor = (window.playerName === 'RJ_4_America');
-    
     // Make sure only authorized editors can toggle edit mode
     if (!isAuthorizedEditor) {
         console.log("Toggle edit mode failed - not authorized");
-        showNotification('Only RJ_4_America can edit checkpoints', true);
+        showNotification('Only track editors can edit checkpoints', true);
         return;
     }
     
@@ -2176,25 +2976,41 @@ function toggleEditMode() {
     console.log("========= TOGGLE EDIT MODE COMPLETE =========");
 }
 
+// Leave edit mode without the authorization check (used when the editor role is revoked)
+function toggleEditModeOff() {
+    isEditMode = false;
+    window.isEditMode = false;
+    
+    checkpoints.forEach(checkpoint => {
+        checkpoint.mesh.material.opacity = 0.4;
+        if (checkpoint.moveHelper) {
+            checkpoint.moveHelper.visible = false;
+        }
+    });
+}
+
+// Sum up what's wrong with a checkpoint layout for a notification
+function describeLayoutErrors(errors) {
+    const shown = errors.slice(0, 3).join('; ');
+    return errors.length > 3 ? `${shown} (and ${errors.length - 3} more problems)` : shown;
+}
+
 // Save checkpoint positions to localStorage
 function saveCheckpointPositions() {
-    const trackId = 'drift_race_track'; // Unique ID for the current track
+    const trackId = checkpointTrackId; // Unique ID for the current track
     
     // Get the configuration name
     const configNameInput = document.getElementById('config-name-input');
     const configName = (configNameInput ? configNameInput.value : trackConfigName) || 'default';
     
     // Create the export data
-    const positions = checkpoints.map(cp => ({
-        x: cp.mesh.position.x,
-        y: cp.mesh.position.y,
-        z: cp.mesh.position.z
-    }));
+    const positions = getCheckpointGates();
     
     const exportData = {
         trackId: trackId,
         configName: configName,
         date: new Date().toISOString(),
+        mode: checkpointMode,
         positions: positions
     };
     
@@ -2219,20 +3035,14 @@ function saveCheckpointPositions() {
 
 // Reset checkpoint positions to defaults
 function resetCheckpointPositions() {
-    // Default positions spread around the track
-    const defaultPositions = [
+    // Default positions spread around the track, raced as a circuit
+    checkpointMode = 'circuit';
+    rebuildCheckpoints([
         { x: 50, y: 3, z: 50 },
         { x: -50, y: 3, z: 50 },
         { x: -50, y: 3, z: -50 },
         { x: 50, y: 3, z: -50 }
-    ];
-    
-    // Update checkpoint positions
-    checkpoints.forEach((checkpoint, index) => {
-        const pos = defaultPositions[index];
-        checkpoint.mesh.position.set(pos.x, pos.y, pos.z);
-        updateCheckpointCollider(checkpoint);
-    });
+    ]);
     
     // Update UI
     const infoText = document.getElementById('checkpoint-info');
@@ -2248,6 +3058,87 @@ function resetCheckpointPositions() {
     console.log('Reset checkpoint positions to defaults');
 }
 
+// Replace the checkpoints on the track with new gates while editing them
+function rebuildCheckpoints(gates) {
+    checkpointPositions = gates;
+    createCheckpoints();
+    
+    checkpoints.forEach(checkpoint => {
+        checkpoint.mesh.material.opacity = isEditMode ? 0.8 : 0.4;
+        if (checkpoint.moveHelper) {
+            checkpoint.moveHelper.visible = isEditMode;
+        }
+    });
+    updateCourseSelect();
+}
+
+// Add a gate where the ATV is, facing the way it drives - it becomes the last gate of the course
+function addCheckpointAtVehicle() {
+    if (!chassisBody) return;
+    
+    const gates = getCheckpointGates();
+    if (gates.length >= MAX_CHECKPOINTS) {
+        showNotification(`A course can have up to ${MAX_CHECKPOINTS} checkpoints`, true);
+        return;
+    }
+    
+    gates.push({
+        x: chassisBody.position.x,
+        y: Math.max(3, chassisBody.position.y), // Keep above ground
+        z: chassisBody.position.z,
+        heading: getVehicleHeading(),
+        width: gates.length > 0 ? gates[gates.length - 1].width : undefined
+    });
+    rebuildCheckpoints(gates);
+    showNotification(`Added checkpoint ${gates.length} of ${gates.length}`);
+}
+
+// Remove the gate closest to the ATV - the later gates move up one place
+function removeNearestCheckpoint() {
+    if (!chassisBody || checkpoints.length === 0) return;
+    
+    if (checkpoints.length <= MIN_CHECKPOINTS) {
+        showNotification(`A course needs at least ${MIN_CHECKPOINTS} checkpoints`, true);
+        return;
+    }
+    
+    const position = new THREE.Vector3(chassisBody.position.x, chassisBody.position.y, chassisBody.position.z);
+    let nearest = 0;
+    checkpoints.forEach((cp, index) => {
+        if (cp.mesh.position.distanceTo(position) < checkpoints[nearest].mesh.position.distanceTo(position)) {
+            nearest = index;
+        }
+    });
+    
+    const gates = getCheckpointGates();
+    gates.splice(nearest, 1);
+    rebuildCheckpoints(gates);
+    showNotification(`Removed checkpoint ${nearest + 1}`);
+}
+
+// Race the checkpoints as a circuit or as a sprint from the first gate to the last
+function setCheckpointMode(mode) {
+    if (mode === checkpointMode) return;
+    
+    checkpointMode = mode;
+    rebuildCheckpoints(getCheckpointGates());
+    showNotification(mode === 'sprint' ? 'Course: sprint from S to F' : 'Course: circuit');
+}
+
+// Show the course mode in the checkpoint editor
+function updateCourseSelect() {
+    const courseSelect = document.getElementById('course-mode-select');
+    if (courseSelect) {
+        courseSelect.value = checkpointMode;
+    }
+}
+
+// Get the direction the ATV faces, in degrees around the vertical axis (it drives along its local +Z axis)
+function getVehicleHeading() {
+    const forward = chassisBody.quaternion.vmult(new CANNON.Vec3(0, 0, 1));
+    return Math.round(Math.atan2(forward.x, forward.z) * 180 / Math.PI * 100) / 100;
+}
+
 // Create checkpoints
 function createCheckpoints() {
     // Clean up any existing checkpoints
@@ -2255,25 +3146,17 @@ function createCheckpoints() {
     
     // Reset checkpoint tracker
     activeCheckpoint = 0;
+    lastGatePosition = null;
+    setWrongWayGate(-1);
+    resetSectorTimes();
     
-    // Default positions or loaded positions
-    const positions = checkpointPositions || [
-        { x: 50, y: 3, z: 50 },
-        { x: -50, y: 3, z: 50 },
-        { x: -50, y: 3, z: -50 },
-        { x: 50, y: 3, z: -50 }
-    ];
-    
-    // Create 4 checkpoints
-    for (let i = 0; i < 4; i++) {
-        const checkpoint = createCheckpoint(
-            positions[i].x, 
-            positions[i].y, 
-            positions[i].z, 
-            i
-        );
-        checkpoints.push(checkpoint);
-    }
+    // Default gates or loaded gates, with the headings and widths they leave open filled in
+    const gates = DataDrivenTrack.getGates(checkpointPositions || getTrackCheckpointPositions(), checkpointMode);
+    
+    // Create a checkpoint per gate
+    gates.forEach((gate, index) => {
+        checkpoints.push(createCheckpoint(gate, index, gates.length));
+    });
     
     console.log('Created', checkpoints.length, 'checkpoints');
     
@@ -2281,17 +3164,44 @@ function createCheckpoints() {
     updateCheckpointUI();
 }
 
-// Create a single checkpoint
-function createCheckpoint(x, y, z, index) {
-    // Create the visual representation - a translucent ring
-    const ringGeometry = new THREE.TorusGeometry(10, 1, 16, 32);
+// Get the checkpoint gates of the track manifest, used when no layout is loaded
+function getTrackCheckpointPositions() {
+    const track = trackLoader.getCurrentTrack();
+    return track.getCheckpoints().map(gate => Object.assign({}, gate));
+}
+
+// Get the gates of the checkpoints on the track, the way layouts store them
+function getCheckpointGates() {
+    return checkpoints.map(cp => ({
+        x: cp.mesh.position.x,
+        y: cp.mesh.position.y,
+        z: cp.mesh.position.z,
+        heading: cp.heading,
+        width: cp.width
+    }));
+}
+
+// Get the index of the gate that ends a lap (the start gate) or a sprint (the last gate)
+function getFinishCheckpoint() {
+    return checkpointMode === 'sprint' ? checkpoints.length - 1 : 0;
+}
+
+// Get the color of a checkpoint: green start, red sprint finish, the rest in turn
+function getCheckpointColor(index, count) {
+    if (index === 0) return 0x4CAF50;
+    if (checkpointMode === 'sprint' && index === count - 1) return 0xF44336;
+    return CHECKPOINT_COLORS[(index - 1) % CHECKPOINT_COLORS.length];
+}
+
+// Create a single checkpoint gate
+function createCheckpoint(gate, index, count) {
+    const { x, y, z } = gate;
     
-    // Use different colors for each checkpoint, last one is special
-    let color;
-    if (index === 0) color = 0x4CAF50; // Green for start/finish
-    else if (index === 1) color = 0x2196F3; // Blue
-    else if (index === 2) color = 0xFF9800; // Orange
-    else color = 0x9C27B0; // Purple
+    // Create the visual representation - a translucent ring as wide as the gate
+    const ringGeometry = new THREE.TorusGeometry(gate.width / 2, 1, 16, 32);
+    
+    // Use different colors for each checkpoint, the start and a sprint's finish are special
+    const color = getCheckpointColor(index, count);
     
     const ringMaterial = new THREE.MeshPhongMaterial({
         color: color,
@@ -2304,34 +3214,42 @@ function createCheckpoint(x, y, z, index) {
     
     const ring = new THREE.Mesh(ringGeometry, ringMaterial);
     ring.position.set(x, y, z);
-    ring.rotation.x = Math.PI / 2; // Make the ring vertical (perpendicular to ground)
+    ring.rotation.y = gate.heading * Math.PI / 180; // Face the way the gate is driven through
     ring.castShadow = false;
     ring.receiveShadow = false;
     ring.userData.isCheckpoint = true;
     ring.userData.checkpointIndex = index;
     scene.add(ring);
     
+    // Arrow through the ring showing which way to drive through it
+    const directionArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 8, color, 3, 3);
+    scene.add(directionArrow);
+    
     // Add a directional arrow to help with movement in edit mode
     const arrowHelper = createArrowHelper(x, y, z, color);
     arrowHelper.visible = false; // Hidden by default, shown in edit mode
     scene.add(arrowHelper);
     
     // Add visible checkpoint number
-    const checkpointNumber = createCheckpointNumber(x, y, z, index);
+    const checkpointNumber = createCheckpointNumber(x, y, z, index, count);
     scene.add(checkpointNumber);
     
     // Create bounding box for collision detection
     const checkpointBox = new THREE.Box3().setFromObject(ring);
     
     // Return the complete checkpoint object
-    return {
+    const checkpoint = {
         mesh: ring,
         collider: checkpointBox,
         moveHelper: arrowHelper,
         numberLabel: checkpointNumber,
+        directionArrow: directionArrow,
         index: index,
-        passed: false
+        heading: gate.heading,
+        width: gate.width
     };
+    updateCheckpointCollider(checkpoint);
+    return checkpoint;
 }
 
 // Create an arrow helper for moving checkpoints
@@ -2369,10 +3287,18 @@ function createArrowHelper(x, y, z, color) {
     return arrowGroup;
 }
 
-// Update checkpoint bounding box after movement
+// Update checkpoint bounding box and direction after movement
 function updateCheckpointCollider(checkpoint) {
+    checkpoint.mesh.rotation.y = checkpoint.heading * Math.PI / 180;
     checkpoint.collider = new THREE.Box3().setFromObject(checkpoint.mesh);
     
+    // Keep the direction arrow centred in the ring, pointing along the heading
+    if (checkpoint.directionArrow) {
+        const direction = new THREE.Vector3(0, 0, 1).applyAxisAngle(new THREE.Vector3(0, 1, 0), checkpoint.mesh.rotation.y);
+        checkpoint.directionArrow.setDirection(direction);
+        checkpoint.directionArrow.position.copy(checkpoint.mesh.position).addScaledVector(direction, -4);
+    }
+    
     // Also update the arrow helper position
     if (checkpoint.moveHelper) {
         checkpoint.moveHelper.position.x = checkpoint.mesh.position.x;
@@ -2390,7 +3316,7 @@ function updateCheckpointCollider(checkpoint) {
 
 // Create a text label showing the checkpoint number
 // Create a number label for the checkpoint
-function createCheckpointNumber(x, y, z, index) {
+function createCheckpointNumber(x, y, z, index, count) {
     // Create a floating number above the checkpoint
     const group = new THREE.Group();
     group.position.set(x, y + 15, z);
@@ -2410,20 +3336,10 @@ function createCheckpointNumber(x, y, z, index) {
     ctx.arc(64, 64, 60, 0, Math.PI * 2);
     ctx.lineWidth = 6;
     
-    // Color based on checkpoint index
-    if (index === 0) {
-        ctx.strokeStyle = '#4CAF50'; // Green
-        ctx.fillStyle = 'rgba(76, 175, 80, 0.3)'; // Semi-transparent green
-    } else if (index === 1) {
-        ctx.strokeStyle = '#2196F3'; // Blue
-        ctx.fillStyle = 'rgba(33, 150, 243, 0.3)'; // Semi-transparent blue
-    } else if (index === 2) {
-        ctx.strokeStyle = '#FF9800'; // Orange
-        ctx.fillStyle = 'rgba(255, 152, 0, 0.3)'; // Semi-transparent orange
-    } else {
-        ctx.strokeStyle = '#9C27B0'; // Purple
-        ctx.fillStyle = 'rgba(156, 39, 176, 0.3)'; // Semi-transparent purple
-    }
+    // Color based on checkpoint index, filled semi-transparent
+    const color = new THREE.Color(getCheckpointColor(index, count));
+    ctx.strokeStyle = `#${color.getHexString()}`;
+    ctx.fillStyle = `rgba(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)}, 0.3)`;
     
     ctx.fill();
     ctx.stroke();
@@ -2434,8 +3350,11 @@ function createCheckpointNumber(x, y, z, index) {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     
-    // Show the checkpoint number (start/finish is 0, display as "S")
-    const displayText = index === 0 ? 'S' : index.toString();
+    // Show the checkpoint number (the start is 0, display as "S"; a sprint's finish as "F")
+    let displayText = index === 0 ? 'S' : index.toString();
+    if (checkpointMode === 'sprint' && index === count - 1) {
+        displayText = 'F';
+    }
     ctx.fillText(displayText, 64, 64);
     
     const texture = new THREE.CanvasTexture(canvas);
@@ -2488,61 +3407,33 @@ function createCheckpointNumber(x, y, z, index) {
     return group;
 }
 
-// Handle checkpoint collision detection
+// Handle checkpoint gate crossings
 function checkCheckpoints() {
     if (!atvMesh || checkpoints.length === 0) return;
     
     // Create a bounding box for the ATV
     const atvBox = new THREE.Box3().setFromObject(atvMesh);
     
-    // Check if the ATV is inside the active checkpoint
-    const activeCP = checkpoints[activeCheckpoint];
-    if (activeCP && atvBox.intersectsBox(activeCP.collider)) {
-        // Player passed through the current checkpoint
-        if (!activeCP.passed) {
-            activeCP.passed = true;
-            
-            // Play sound for checkpoint
-            playSound(activeCP.index === 0 ? 'portalEnter' : 'portalExit');
-            
-            // Show success message
-            showCheckpointMessage(activeCP.index);
-            
-            // Calculate lap time if this is the start/finish checkpoint
-            if (activeCP.index === 0 && lastCheckpointTime > 0) {
-                const currentTime = performance.now();
-                currentLapTime = (currentTime - lastCheckpointTime) / 1000; // Convert to seconds
-                
-                // Update best lap time
-                if (currentLapTime < bestLapTime) {
-                    bestLapTime = currentLapTime;
-                    showLapTimeMessage(currentLapTime, true);
-                } else {
-                    showLapTimeMessage(currentLapTime, false);
+    // Gates are crossed by the move the ATV made since the last check. Gates being moved
+    // around in edit mode don't count
+    const position = atvMesh.position.clone();
+    const from = lastGatePosition;
+    lastGatePosition = position;
+    if (from && !isEditMode && from.distanceTo(position) < MAX_GATE_STEP) {
+        checkpoints.forEach(cp => {
+            const crossing = getGateCrossing(cp, from, position);
+            if (crossing < 0) {
+                // Backwards through a gate doesn't count and has to be undone
+                setWrongWayGate(cp.index);
+            } else if (crossing > 0) {
+                if (cp.index === wrongWayGate || cp.index === activeCheckpoint) {
+                    setWrongWayGate(-1);
+                }
+                if (cp.index === activeCheckpoint) {
+                    passCheckpoint(cp);
                 }
             }
-            
-            // Record the time for lap timing
-            if (activeCP.index === 0) {
-                lastCheckpointTime = performance.now();
-            }
-            
-            // Move to the next checkpoint
-            activeCheckpoint = (activeCheckpoint + 1) % checkpoints.length;
-            
-            // Update the UI
-            updateCheckpointUI();
-        }
-    } else {
-        // Reset the passed flag when ATV leaves the checkpoint
-        if (activeCP && activeCP.passed) {
-            const distanceToActiveCP = atvBox.getCenter(new THREE.Vector3())
-                .distanceTo(activeCP.collider.getCenter(new THREE.Vector3()));
-                
-            if (distanceToActiveCP > 20) {
-                activeCP.passed = false;
-            }
-        }
+        });
     }
     
     // In edit mode, allow moving checkpoints only for authorized users
@@ -2563,6 +3454,8 @@ function checkCheckpoints() {
                         Math.max(3, chassisBody.position.y), // Keep above ground
                         chassisBody.position.z
                     );
+                    // The gate faces the way the ATV drives it
+                    cp.heading = getVehicleHeading();
                     // Update the collider to match new position
                     updateCheckpointCollider(cp);
                     console.log("Moving checkpoint", i, "to", cp.mesh.position);
@@ -2578,8 +3471,502 @@ function checkCheckpoints() {
     }
 }
 
-// Show message when passing through a checkpoint
-function showCheckpointMessage(checkpointIndex) {
+// Count the active checkpoint as passed
+function passCheckpoint(activeCP) {
+    // Play sound for checkpoint
+    playSound(activeCP.index === 0 ? 'portalEnter' : 'portalExit');
+    
+    // Every gate after the start of a timed lap ends a sector - a circuit's last sector ends back at the start gate
+    const isFinish = activeCP.index === getFinishCheckpoint();
+    const sector = lastCheckpointTime > 0 && (activeCP.index !== 0 || isFinish) ? recordSplit() : null;
+    
+    // Show success message
+    showCheckpointMessage(activeCP.index, sector);
+    
+    // Calculate the lap (or sprint) time at the finish - the start gate, or the last gate of a sprint
+    if (isFinish && lastCheckpointTime > 0) {
+        currentLapTime = (simulationTime - lastCheckpointTime) / 1000; // Convert to seconds
+        
+        // Keep the lap's ghost - a new best lap becomes the ghost to race
+        finishLapGhost(currentLapTime < bestLapTime);
+        
+        // Update best lap time
+        if (currentLapTime < bestLapTime) {
+            bestLapTime = currentLapTime;
+            showLapTimeMessage(currentLapTime, true);
+        } else {
+            showLapTimeMessage(currentLapTime, false);
+        }
+        
+        // Submit the lap to the server leaderboard
+        if (multiplayerManager) {
+            multiplayerManager.reportLapTime(currentLapTime, checkpointTrackId, trackConfigName);
+        }
+        
+        finishRaceLap();
+    }
+    
+    // Record the time for lap timing; a sprint's clock stops at the finish until the next run starts
+    if (activeCP.index === 0) {
+        lastCheckpointTime = simulationTime;
+        lapSplits = [];
+        startLapGhosts();
+    } else if (isFinish) {
+        lastCheckpointTime = 0;
+        if (ghostPlayer) {
+            ghostPlayer.stop();
+        }
+    }
+    
+    // Let the server validate the pass if we're in a race
+    if (multiplayerManager) {
+        multiplayerManager.reportCheckpoint(activeCP.index);
+    }
+    
+    // Move to the next checkpoint
+    activeCheckpoint = (activeCheckpoint + 1) % checkpoints.length;
+    
+    // Update the UI
+    updateCheckpointUI();
+}
+
+// Record the lap time at the gate just passed and time the sector that led up to it
+function recordSplit() {
+    const split = (simulationTime - lastCheckpointTime) / 1000;
+    const index = lapSplits.length;
+    const time = split - (index > 0 ? lapSplits[index - 1] : 0);
+    lapSplits.push(split);
+    
+    // Compare with the best time of the sector before this one counts towards it
+    const best = bestSectorTimes[index];
+    lastSector = { index: index, time: time, delta: best === undefined ? null : time - best };
+    if (best === undefined || time < best) {
+        bestSectorTimes[index] = time;
+    }
+    return lastSector;
+}
+
+// Keep a completed lap of the race and stop the race clock after the last one
+function finishRaceLap() {
+    if (raceStartTime === 0) return;
+    
+    raceLaps.push({
+        time: currentLapTime,
+        sectors: lapSplits.map((split, index) => split - (index > 0 ? lapSplits[index - 1] : 0))
+    });
+    if (raceLaps.length >= raceLapCount) {
+        stopRaceClock();
+    }
+}
+
+// Stop the race clock and show how the race went
+function stopRaceClock() {
+    raceTime = (simulationTime - raceStartTime) / 1000;
+    raceStartTime = 0;
+    updateCheckpointUI();
+    showRaceSummary();
+}
+
+// Stop the race clock if the race ended or we left it before finishing, and take the race off the HUD
+function onRaceEnded() {
+    if (raceStartTime > 0) {
+        stopRaceClock();
+    }
+    if (raceLapCount > 0) {
+        raceLapCount = 0;
+        updateCheckpointUI();
+    }
+}
+
+// Forget the splits and best sectors - they only compare laps over the same gates
+function resetSectorTimes() {
+    lapSplits = [];
+    bestSectorTimes = [];
+    lastSector = null;
+}
+
+// Format a time against a best time, e.g. -0.25 when it was a quarter of a second faster
+function formatDelta(delta) {
+    return `${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(2)}`;
+}
+
+// Get the color of a delta: green when faster, red when slower
+function getDeltaColor(delta) {
+    return delta < 0 ? '#4CAF50' : '#F44336';
+}
+
+// Show every lap and sector of the race, with the fastest of each highlighted
+function showRaceSummary() {
+    if (raceLaps.length === 0) return;
+    
+    let summary = document.getElementById('race-summary');
+    if (!summary) {
+        summary = document.createElement('div');
+        summary.id = 'race-summary';
+        document.body.appendChild(summary);
+    }
+    
+    const sectorCount = Math.max(...raceLaps.map(lap => lap.sectors.length));
+    const bestLap = Math.min(...raceLaps.map(lap => lap.time));
+    const bestSectors = [];
+    for (let i = 0; i < sectorCount; i++) {
+        bestSectors.push(Math.min(...raceLaps.map(lap => lap.sectors[i] === undefined ? Infinity : lap.sectors[i])));
+    }
+    
+    const addCell = (row, tag, text, isBest) => {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        if (isBest) {
+            cell.className = 'best';
+        }
+        row.appendChild(cell);
+    };
+    
+    const table = document.createElement('table');
+    const header = document.createElement('tr');
+    addCell(header, 'th', checkpointMode === 'sprint' ? 'RUN' : 'LAP');
+    for (let i = 0; i < sectorCount; i++) {
+        addCell(header, 'th', `S${i + 1}`);
+    }
+    addCell(header, 'th', 'TIME');
+    table.appendChild(header);
+    
+    raceLaps.forEach((lap, lapIndex) => {
+        const row = document.createElement('tr');
+        addCell(row, 'td', lapIndex + 1);
+        for (let i = 0; i < sectorCount; i++) {
+            const time = lap.sectors[i];
+            addCell(row, 'td', time === undefined ? '--' : time.toFixed(2), time === bestSectors[i]);
+        }
+        addCell(row, 'td', lap.time.toFixed(2), raceLaps.length > 1 && lap.time === bestLap);
+        table.appendChild(row);
+    });
+    
+    const total = document.createElement('tr');
+    total.className = 'total';
+    addCell(total, 'td', 'TOTAL');
+    for (let i = 0; i < sectorCount; i++) {
+        addCell(total, 'td', '');
+    }
+    addCell(total, 'td', raceTime.toFixed(2));
+    table.appendChild(total);
+    
+    summary.innerHTML = `<h3>${raceLaps.length < raceLapCount ? 'YOUR RACE - NOT FINISHED' : 'YOUR RACE'}</h3>`;
+    summary.appendChild(table);
+    
+    const closeButton = document.createElement('button');
+    closeButton.className = 'race-button';
+    closeButton.textContent = 'CLOSE';
+    closeButton.addEventListener('click', () => summary.classList.add('hidden'));
+    summary.appendChild(closeButton);
+    summary.classList.remove('hidden');
+}
+
+// Find out whether a move of the ATV went through a checkpoint's gate:
+// 1 the right way, -1 the wrong way, 0 not through it
+function getGateCrossing(cp, from, to) {
+    const gate = cp.mesh.position;
+    const heading = cp.heading * Math.PI / 180;
+    const dirX = Math.sin(heading);
+    const dirZ = Math.cos(heading);
+    
+    // How far in front of the gate the ATV was before and after the move
+    const before = (from.x - gate.x) * dirX + (from.z - gate.z) * dirZ;
+    const after = (to.x - gate.x) * dirX + (to.z - gate.z) * dirZ;
+    if ((before < 0) === (after < 0)) return 0;
+    
+    // The move has to cut the gate's line between its ends, not beside or above it
+    const t = before / (before - after);
+    const x = from.x + (to.x - from.x) * t - gate.x;
+    const y = from.y + (to.y - from.y) * t - gate.y;
+    const z = from.z + (to.z - from.z) * t - gate.z;
+    if (Math.abs(x * dirZ - z * dirX) > cp.width / 2 || Math.abs(y) > GATE_HEIGHT) return 0;
+    
+    return after >= 0 ? 1 : -1;
+}
+
+// Show the wrong-way warning until the ATV comes back through the gate it went through backwards
+function setWrongWayGate(index) {
+    if (index === wrongWayGate) return;
+    
+    wrongWayGate = index;
+    const warning = document.getElementById('wrong-way');
+    if (warning) {
+        warning.classList.toggle('hidden', index === -1);
+    }
+}
+
+// Move the ATV to the grid slot assigned by the server for a race
+function placeVehicleOnGrid(slot) {
+    if (!chassisBody) return;
+    
+    chassisBody.position.set(slot.x, slot.y, slot.z);
+    chassisBody.velocity.set(0, 0, 0);
+    chassisBody.angularVelocity.set(0, 0, 0);
+    chassisBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), slot.heading);
+    snapChassisInterpolation();
+    
+    // Move the camera straight behind the ATV instead of lerping across the map
+    const cameraOffset = new THREE.Vector3(0, 5, -10).applyQuaternion(
+        new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), slot.heading)
+    );
+    camera.position.set(slot.x, slot.y, slot.z).add(cameraOffset);
+}
+
+// Reset local lap progress when the server starts a race
+function onRaceStarted(data) {
+    setWrongWayGate(-1);
+    
+    // Racers start behind the start line, so the first gate is checkpoint 1
+    activeCheckpoint = checkpoints.length > 1 ? 1 : 0;
+    lastCheckpointTime = simulationTime;
+    currentLapTime = 0;
+    lapSplits = [];
+    
+    // Start the race clock; the last race's summary goes away
+    raceLapCount = (data && data.laps) || 1;
+    raceStartTime = simulationTime;
+    raceTime = 0;
+    raceLaps = [];
+    const summary = document.getElementById('race-summary');
+    if (summary) {
+        summary.classList.add('hidden');
+    }
+    
+    startLapGhosts();
+    updateCheckpointUI();
+}
+
+// Start recording a new lap and start the ghost we're racing
+function startLapGhosts() {
+    ghostRecorder.start();
+    
+    if (!ghostPlayer && atvMesh) {
+        ghostPlayer = new GhostPlayer({ scene: scene, template: atvMesh });
+    }
+    if (ghostPlayer) {
+        ghostPlayer.setGhost(getRacedGhost());
+        ghostPlayer.start();
+    }
+}
+
+// Record the current lap for its ghost
+function recordLapGhost(lapTimeMs) {
+    if (!atvMesh) return;
+    
+    ghostRecorder.sample(lapTimeMs, atvMesh.position, atvMesh.quaternion);
+}
+
+// Finish recording the lap that just ended
+function finishLapGhost(isBestLap) {
+    if (atvMesh) {
+        // Always end the trace exactly at the finish line
+        ghostRecorder.sample(currentLapTime * 1000, atvMesh.position, atvMesh.quaternion, true);
+    }
+    
+    lastLapGhost = ghostRecorder.finish({
+        time: currentLapTime,
+        trackId: checkpointTrackId,
+        configName: trackConfigName
+    });
+    
+    if (isBestLap && lastLapGhost) {
+        bestLapGhost = lastLapGhost;
+    }
+}
+
+// Pick the ghost to race on the current checkpoint configuration
+function getRacedGhost() {
+    const ghost = ghostMode === 'best' ? bestLapGhost : ghostMode === 'record' ? recordGhost : null;
+    if (!ghost || ghost.trackId !== checkpointTrackId || ghost.configName !== trackConfigName) {
+        return null;
+    }
+    return ghost;
+}
+
+// Switch between racing our best lap, the track record and no ghost
+function cycleGhostMode() {
+    const modes = ['best', 'record', 'off'];
+    ghostMode = modes[(modes.indexOf(ghostMode) + 1) % modes.length];
+    
+    const labels = { best: 'your best lap', record: 'the track record', off: 'off' };
+    const missing = ghostMode !== 'off' && !getRacedGhost();
+    showNotification(`Ghost: ${labels[ghostMode]}${missing ? ' (none yet)' : ''}`);
+    
+    // Takes effect right away if a lap is running
+    if (ghostPlayer) {
+        ghostPlayer.setGhost(getRacedGhost());
+        if (lastCheckpointTime > 0) {
+            ghostPlayer.start();
+        }
+    }
+}
+
+// Download the track record holder's ghost for the current checkpoint configuration
+async function loadRecordGhost() {
+    try {
+        const query = `track=${encodeURIComponent(checkpointTrackId)}&config=${encodeURIComponent(trackConfigName)}`;
+        const response = await fetch(`/ghosts?${query}`);
+        if (!response.ok) {
+            recordGhost = null;
+            return;
+        }
+        
+        const data = await response.json();
+        recordGhost = data.ghost;
+        console.log(`Loaded record ghost of ${recordGhost.name} (${recordGhost.time.toFixed(2)}s)`);
+    } catch (error) {
+        console.error('Error loading record ghost:', error);
+    }
+}
+
+// Record a remote player moved by a world snapshot in the session replay
+function recordReplayPlayer(player) {
+    if (sessionRecorder) {
+        sessionRecorder.recordRemote(player);
+    }
+}
+
+// Download the session recorded so far as a replay file
+function saveReplay() {
+    if (!sessionRecorder) return;
+    
+    const replay = sessionRecorder.export({ configName: trackConfigName });
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const stamp = replay.recordedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `vibeatv-replay-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    
+    showNotification('Replay saved');
+}
+
+// Load a replay file and switch to the replay viewer
+async function watchReplay(file, startScreen) {
+    let replay;
+    try {
+        replay = JSON.parse(await file.text());
+    } catch (error) {
+        showNotification('Could not read the replay file', true);
+        return;
+    }
+    
+    const problem = ReplayViewer.validateReplay(replay);
+    if (problem) {
+        showNotification(problem, true);
+        return;
+    }
+    
+    startScreen.classList.add('hidden');
+    showNotification('Loading replay...', false, 5000);
+    if (skybox) {
+        skybox.visible = true;
+    }
+    
+    try {
+        const [, track] = await Promise.all([
+            loadATVModel(),
+            trackLoader.loadTrack(replay.track)
+        ]);
+        skybox = track.skybox;
+    } catch (error) {
+        console.error('Error loading replay assets:', error);
+        showNotification('Error loading the replay track. Please refresh.', true, 5000);
+        return;
+    }
+    
+    replayViewer = new ReplayViewer({
+        replay: replay,
+        scene: scene,
+        camera: camera,
+        domElement: renderer.domElement,
+        template: atvMesh
+    });
+    
+    document.getElementById('replay-help').classList.remove('hidden');
+    // Leaving reloads the page - that clears the replay's track, ATVs and listeners in one go
+    document.getElementById('replay-exit-button').addEventListener('click', () => {
+        window.location.reload();
+    });
+}
+
+// Find the recorded ghost of a lap the server asked us to upload
+function getLapGhost(trackId, configName, time) {
+    return [lastLapGhost, bestLapGhost].find(ghost =>
+        ghost && ghost.trackId === trackId && ghost.configName === configName && ghost.time === time
+    ) || null;
+}
+
+// Switch to the checkpoint configuration of the room the server put us in
+function setRoomTrackConfig(configName) {
+    roomConfigName = configName || 'default';
+    
+    // Checkpoints that are already on the track are replaced; otherwise initCheckpoints loads it
+    if (checkpoints.length > 0 && !isEditMode && roomConfigName !== trackConfigName) {
+        loadTrackConfig(roomConfigName);
+    }
+}
+
+// Race the layout the room switched to - or its new positions, if an editor saved it again
+function setRoomLayout(trackId, configName) {
+    trackSwitch = trackSwitch.then(() => {
+        const track = trackLoader.getCurrentTrack();
+        if (!track || track.id !== trackId) return;
+        
+        // The editors load the layout themselves once they close
+        roomConfigName = configName;
+        if (checkpoints.length > 0 && !isEditMode && !trackEditor.active) {
+            return loadTrackConfig(configName);
+        }
+    });
+}
+
+// Fill the race panel's layout picker with the layouts of the loaded track
+async function refreshLayoutPicker() {
+    const select = document.getElementById('layout-select');
+    const track = trackLoader.getCurrentTrack();
+    if (!select || !track) return;
+    
+    let layouts = [{ configName: trackConfigName }];
+    try {
+        const response = await fetch(`/checkpoint-layouts/${encodeURIComponent(track.id)}`, { cache: 'no-cache' });
+        if (response.ok) {
+            layouts = (await response.json()).layouts;
+        }
+    } catch (error) {
+        console.error('Error listing checkpoint layouts:', error);
+    }
+    
+    // The layout we race may be one the list doesn't know yet
+    if (!layouts.some(layout => layout.configName === trackConfigName)) {
+        layouts.push({ configName: trackConfigName });
+    }
+    
+    select.innerHTML = '';
+    layouts.forEach(layout => {
+        const option = document.createElement('option');
+        option.value = layout.configName;
+        option.textContent = layout.configName;
+        select.appendChild(option);
+    });
+    select.value = trackConfigName;
+}
+
+window.setRoomLayout = setRoomLayout;
+window.placeVehicleOnGrid = placeVehicleOnGrid;
+window.onRaceStarted = onRaceStarted;
+window.onRaceEnded = onRaceEnded;
+window.getLapGhost = getLapGhost;
+window.recordReplayPlayer = recordReplayPlayer;
+window.loadRecordGhost = loadRecordGhost;
+
+// Show message when passing through a checkpoint, with the sector time if the lap is timed
+function showCheckpointMessage(checkpointIndex, sector) {
     // For mobile, use a more compact design that's less intrusive
     const isMobile = window.isMobileDevice;
     
@@ -2613,11 +4000,21 @@ function showCheckpointMessage(checkpointIndex) {
     if (checkpointIndex === 0) {
         message.innerHTML = 'START LINE';
         message.style.color = '#4CAF50'; // Green
+    } else if (checkpointMode === 'sprint' && checkpointIndex === checkpoints.length - 1) {
+        message.innerHTML = 'FINISH';
+        message.style.color = '#F44336'; // Red
     } else {
         message.innerHTML = `CHECKPOINT ${checkpointIndex}`;
         message.style.color = '#2196F3'; // Blue
     }
     
+    // A circuit's last sector ends at the start line, where the lap time message shows instead
+    if (sector && checkpointIndex !== 0) {
+        const delta = sector.delta === null ? ''
+            : ` <span style="color: ${getDeltaColor(sector.delta)}">${formatDelta(sector.delta)}</span>`;
+        message.innerHTML += `<br><span style="color: #ffffff; font-size: 0.8em">S${sector.index + 1} ${sector.time.toFixed(2)}s${delta}</span>`;
+    }
+    
     document.body.appendChild(message);
     
     // Shorter display time on mobile
@@ -2764,9 +4161,11 @@ function updateCheckpointUI() {
     const lapTimeDisplay = document.getElementById('lap-time');
     if (lapTimeDisplay) {
         lapTimeDisplay.innerHTML = `
-            <div class="checkpoint-label">LAP TIMES</div>
+            <div class="checkpoint-label">${checkpointMode === 'sprint' ? 'RUN TIMES' : 'LAP TIMES'}</div>
             <div>Current: ${currentLapTime.toFixed(2)}s</div>
             <div>Best: ${bestLapTime === Infinity ? '--' : bestLapTime.toFixed(2) + 's'}</div>
+            ${getSectorLine()}
+            ${getRaceLines()}
         `;
     }
     
@@ -2783,6 +4182,26 @@ function updateCheckpointUI() {
     });
 }
 
+// Get the HUD line of the last sector driven and its delta against the personal best
+function getSectorLine() {
+    if (!lastSector) return '';
+    
+    const delta = lastSector.delta === null ? ''
+        : ` <span style="color: ${getDeltaColor(lastSector.delta)}">${formatDelta(lastSector.delta)}</span>`;
+    return `<div>S${lastSector.index + 1}: ${lastSector.time.toFixed(2)}s${delta}</div>`;
+}
+
+// Get the HUD lines of the race we're driving: lap and total race time
+function getRaceLines() {
+    if (raceLapCount === 0) return '';
+    
+    const lap = Math.min(raceLaps.length + 1, raceLapCount);
+    return `
+        <div>${checkpointMode === 'sprint' ? 'Run' : 'Lap'}: ${lap}/${raceLapCount}</div>
+        <div>Race: ${raceTime.toFixed(2)}s</div>
+    `;
+}
+
 // Dust particles
 const particleGeometry = new THREE.BufferGeometry();
 const particleCount = 200;
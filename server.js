@@ -8,6 +8,18 @@ const socketIO = require('socket.io');
 const path = require('path');
 const fs = require('fs');
 const { Server } = require('socket.io');
+const LeaderboardStore = require('./server/LeaderboardStore');
+const GhostStore = require('./server/GhostStore');
+const AuthManager = require('./server/AuthManager');
+const AntiCheat = require('./server/AntiCheat');
+const RoomManager = require('./server/RoomManager');
+const ReconnectManager = require('./server/ReconnectManager');
+const ChatManager = require('./server/ChatManager');
+const VehicleCatalog = require('./server/VehicleCatalog');
+const TrackCatalog = require('./server/TrackCatalog');
+const CheckpointLayoutStore = require('./server/CheckpointLayoutStore');
+const StateCodec = require('./shared/StateCodec');
+const { validateEvent } = require('./server/eventSchemas');
 
 // Create express app
 const app = express();
@@ -16,15 +28,16 @@ const app = express();
 const SSL_KEY_PATH = process.env.SSL_KEY_PATH;
 const SSL_CERT_PATH = process.env.SSL_CERT_PATH;
 
-// Add Cloudflare real IP handling
-app.set('trust proxy', true);
+// Client addresses (used to throttle editor logins) are only read from X-Forwarded-For for the proxies
+// in front of the server - TRUST_PROXY is their hop count (default 1: Cloudflare) or their addresses
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 // Add security headers
 app.use((req, res, next) => {
   // Enable CORS for all origins during development
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   // Security headers
   res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -78,53 +91,170 @@ const io = new Server(server, {
   path: '/socket.io'
 });
 
+// Keep server-side data files (leaderboard etc.) out of the static file server
+app.use('/data', (req, res) => res.status(404).end());
+
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
-// Store connected players
-const players = {};
-
-// Store game stats
-const gameStats = {
-  ramps: [
-    { id: 'red', name: 'Red Ramp', position: { x: 0, z: 50 }, highestJump: 0, jumpedBy: null },
-    { id: 'green', name: 'Green Ramp', position: { x: 50, z: 0 }, highestJump: 0, jumpedBy: null },
-    { id: 'blue', name: 'Blue Ramp', position: { x: 0, z: -50 }, highestJump: 0, jumpedBy: null },
-    { id: 'yellow', name: 'Yellow Ramp', position: { x: -50, z: 0 }, highestJump: 0, jumpedBy: null }
-  ],
-  highestAirtime: 0,
-  highestAirtimePlayer: null
-};
+// Editor accounts and sessions - accounts come from the server environment only
+const auth = new AuthManager({
+  accounts: AuthManager.parseAccounts(process.env.EDITOR_ACCOUNTS)
+});
+
+// Resolve each socket's role from the session token sent in the handshake
+io.use(auth.socketMiddleware());
+
+// Persistent leaderboard for lap times, ramp jumps and airtime
+const leaderboard = new LeaderboardStore({
+  filePath: process.env.LEADERBOARD_PATH || path.join(__dirname, 'data', 'leaderboard.json')
+});
+
+// Ghosts of the record laps, one per track and checkpoint configuration
+const ghosts = new GhostStore({
+  dirPath: process.env.GHOSTS_PATH || path.join(__dirname, 'data', 'ghosts')
+});
+
+// Vehicle setups players pick from - each one must stay under the speed AntiCheat allows
+const vehicles = new VehicleCatalog({
+  dirPath: path.join(__dirname, 'vehicles'),
+  maxSpeed: AntiCheat.MAX_SPEED
+});
+
+// Tracks players pick on the start screen and vote for after a race (manifests in tracks/)
+const tracks = new TrackCatalog({
+  dirPath: path.join(__dirname, 'tracks')
+});
+
+// Named checkpoint layouts of every track, used to validate race progress
+const layouts = new CheckpointLayoutStore({
+  dirPath: path.join(__dirname, 'checkpoints'),
+  tracks: tracks
+});
+
+// Plausibility checks for client-reported movement, jumps and laps
+const antiCheat = new AntiCheat({
+  // The client respawns at its track's spawn point when it falls off, flies out of the world
+  // or the room switches tracks
+  spawnPoints: tracks.getSpawnPoints()
+});
+
+// Every room is its own instance with its own players, stats, race, track and checkpoints
+const roomManager = new RoomManager({
+  io: io,
+  antiCheat: antiCheat,
+  createGameStats: createGameStats,
+  layouts: layouts,
+  tracks: tracks
+});
+
+// Dropped players are kept for a grace period so a reconnect resumes their session
+const reconnects = new ReconnectManager();
+
+// Room chat with rate limiting and a blocked word filter
+const chat = new ChatManager({
+  blockedWords: ChatManager.parseBlockedWords(process.env.CHAT_BLOCKED_WORDS)
+});
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
   
-  // Create new player with default values
-  players[socket.id] = {
-    id: socket.id,
-    name: 'Player_' + Math.floor(Math.random() * 1000),  // Start with a random name instead of Unknown
-    position: { x: 0, y: 10, z: 0 },
-    quaternion: { x: 0, y: 0, z: 0, w: 1 },
-    velocity: { x: 0, y: 0, z: 0 },
-    color: getRandomColor(),
-    stats: {
-      highestJump: 0,
-      airtime: 0,
-      jumps: 0
+  // Drop unknown events and malformed payloads before they reach any handler
+  socket.use(([event, payload], next) => {
+    const result = validateEvent(event, payload);
+    if (!result.valid) {
+      console.warn(`Dropped invalid event from ${socket.id}: ${result.error}`);
+      return;
     }
-  };
+    next();
+  });
+  
+  const handshake = socket.handshake.auth || {};
+  
+  // A reconnecting client gets its old player back if the grace period hasn't run out
+  let resumeToken = handshake.resume;
+  const resumed = reconnects.resume(resumeToken);
+  let room = resumed ? roomManager.getRoom(resumed.roomId) : null;
+  let assignmentError = null;
+  const isResumed = !!(room && room.players[resumed.playerId]);
+  
+  if (isResumed) {
+    const oldId = resumed.playerId;
+    room.resumePlayer(oldId, socket);
+    antiCheat.renamePlayer(oldId, socket.id);
+    chat.renamePlayer(oldId, socket.id);
+    reconnects.updatePlayerId(resumeToken, socket.id);
+    
+    console.log(`Player ${oldId} resumed their session as ${socket.id} in room "${room.id}"`);
+    
+    // Others swap the old ID for the new one instead of seeing a leave and a join
+    socket.to(room.id).emit('playerResumed', { oldId: oldId, player: room.players[socket.id] });
+  } else {
+    // Join the requested room (from the room browser or ?room=), or a public one,
+    // preferring rooms on the track picked on the start screen
+    const assignment = roomManager.assignRoom(handshake.room, handshake.track);
+    room = assignment.room;
+    assignmentError = assignment.error;
+    
+    // Create new player with default values, driving the vehicle picked on the start screen
+    room.addPlayer(socket, createPlayer(socket.id, vehicles.resolve(handshake.vehicle)));
+    resumeToken = reconnects.issueToken(socket.id, room.id);
+    
+    console.log(`New player created in room "${room.id}" with data:`, room.players[socket.id]);
+    
+    // Broadcast the new player to all other players in the room
+    socket.to(room.id).emit('newPlayer', room.players[socket.id]);
+  }
+  
+  const players = room.players;
+  const gameStats = room.gameStats;
   
-  console.log(`New player created with data:`, players[socket.id]);
+  // Tell the client where it ended up (and why, if it wasn't the room it asked for)
+  // along with the token that lets it resume this session after a dropped connection
+  socket.emit('roomJoined', {
+    room: room.getInfo(),
+    error: assignmentError,
+    resumeToken: resumeToken,
+    resumed: isResumed
+  });
   
   // Send the current players to the new player
   socket.emit('currentPlayers', players);
   
+  // Send the full state of every player; later snapshots only carry changes
+  room.snapshots.addViewer(socket);
+  
   // Send game stats to new player
   socket.emit('gameStats', gameStats);
   
-  // Broadcast the new player to all other players
-  socket.broadcast.emit('newPlayer', players[socket.id]);
+  // Send the quick-chat messages the client binds to keys
+  socket.emit('quickChatMessages', ChatManager.QUICK_CHAT_MESSAGES);
+  
+  // Hook up race lobby, countdown and checkpoint events
+  room.raceManager.registerSocket(socket);
+  
+  // Hook up the end-of-race track vote
+  room.trackVote.registerSocket(socket);
+  
+  // Switch the room's checkpoint layout from the layout picker
+  socket.on('selectLayout', (data) => {
+    const error = room.setLayout(data.configName);
+    if (error) {
+      socket.emit('raceError', { message: error });
+    }
+  });
+  
+  // Tell the client which role the server granted it
+  socket.emit('roleGranted', { role: socket.data.role, username: socket.data.username });
+  
+  // Handle logging in (or out) after the socket is already connected
+  socket.on('authenticate', (token) => {
+    auth.applySession(socket, token);
+    
+    console.log(`Player ${socket.id} authenticated with role: ${socket.data.role}`);
+    socket.emit('roleGranted', { role: socket.data.role, username: socket.data.username });
+  });
   
   // Handle explicit requests for player list
   socket.on('requestPlayerList', () => {
@@ -149,34 +279,37 @@ io.on('connection', (socket) => {
       
       // Notify all players of the name change (if it's not the initial setting)
       if (oldName !== finalName && oldName !== 'Unknown Player') {
-        io.emit('playerNameChanged', {
+        room.emit('playerNameChanged', {
           id: socket.id,
           oldName: oldName,
           newName: finalName
         });
       }
       
-      // Send updated player list to all clients
-      io.emit('playerListUpdate', players);
+      // Send updated player list to all clients in the room
+      room.emit('playerListUpdate', players);
     }
   });
   
   // Handle player movement updates
-  socket.on('playerUpdate', (data) => {
+  socket.on('playerState', (buffer) => {
     if (players[socket.id]) {
-      // Update player data
+      const data = StateCodec.decodePlayerState(buffer);
+      
+      // Reject impossible movement and send the player back to their last accepted position
+      const check = antiCheat.checkMovement(socket.id, data);
+      if (!check.ok) {
+        socket.emit('positionCorrection', {
+          position: check.lastPosition,
+          quaternion: players[socket.id].quaternion
+        });
+        return;
+      }
+      
+      // Update player data - it goes out with the next world snapshot
       players[socket.id].position = data.position;
       players[socket.id].quaternion = data.quaternion;
       players[socket.id].velocity = data.velocity;
-      
-      // Broadcast to all other players
-      socket.broadcast.emit('playerMoved', {
-        id: socket.id,
-        position: data.position,
-        quaternion: data.quaternion,
-        velocity: data.velocity,
-        name: players[socket.id].name // Include name in movement updates for new connections
-      });
     }
   });
   
@@ -185,6 +318,13 @@ io.on('connection', (socket) => {
     if (players[socket.id]) {
       const player = players[socket.id];
       
+      // Implausible jumps never reach the stats or the leaderboard
+      const check = antiCheat.checkJump(socket.id, jumpData, gameStats.ramps);
+      if (!check.ok) {
+        socket.emit('jumpRejected', { reason: check.reason });
+        return;
+      }
+      
       // Update player's personal stats
       if (jumpData.height > player.stats.highestJump) {
         player.stats.highestJump = jumpData.height;
@@ -195,26 +335,38 @@ io.on('connection', (socket) => {
       // Check if this is the highest jump for this ramp
       if (jumpData.rampId) {
         const ramp = gameStats.ramps.find(r => r.id === jumpData.rampId);
-        if (ramp && jumpData.height > ramp.highestJump) {
-          ramp.highestJump = jumpData.height;
-          ramp.jumpedBy = socket.id;
-          
-          // Broadcast new ramp record
-          io.emit('rampRecord', {
-            rampId: jumpData.rampId,
-            height: jumpData.height,
-            playerName: player.name
-          });
+        if (ramp) {
+          const result = leaderboard.record('ramps', ramp.boardKey, player.name, jumpData.height);
+          if (result.record) {
+            // Records are server-wide, so every room on the same track gets the new record
+            roomManager.forEach(otherRoom => {
+              const otherRamp = otherRoom.gameStats.ramps.find(r => r.boardKey === ramp.boardKey);
+              if (!otherRamp) return;
+              otherRamp.highestJump = jumpData.height;
+              otherRamp.jumpedBy = player.name;
+              otherRamp.jumpedAt = new Date().toISOString();
+            });
+            
+            // Broadcast new ramp record
+            room.emit('rampRecord', {
+              rampId: jumpData.rampId,
+              height: jumpData.height,
+              playerName: player.name
+            });
+          }
         }
       }
       
       // Check if this is the longest airtime
-      if (jumpData.airtime > gameStats.highestAirtime) {
-        gameStats.highestAirtime = jumpData.airtime;
-        gameStats.highestAirtimePlayer = socket.id;
+      const airtimeResult = leaderboard.record('airtime', LeaderboardStore.GLOBAL_KEY, player.name, jumpData.airtime);
+      if (airtimeResult.record) {
+        roomManager.forEach(otherRoom => {
+          otherRoom.gameStats.highestAirtime = jumpData.airtime;
+          otherRoom.gameStats.highestAirtimePlayer = player.name;
+        });
         
         // Broadcast new airtime record
-        io.emit('airtimeRecord', {
+        room.emit('airtimeRecord', {
           airtime: jumpData.airtime,
           playerName: player.name
         });
@@ -222,15 +374,147 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Record lap the server asked this player to upload the ghost of
+  let ghostRequest = null;
+  
+  // Handle completed laps
+  socket.on('lapCompleted', (lapData) => {
+    if (players[socket.id] && Number.isFinite(lapData.time) && lapData.time > 0) {
+      const player = players[socket.id];
+      
+      // Only laps on the room's layout count - its checkpoint distances are what the lap is checked
+      // against, and a lap on any other layout would open a board for a layout nobody can race
+      const boardKey = getLapBoardKey(lapData.trackId, lapData.configName);
+      const roomConfig = room.checkpointConfig;
+      if (!roomConfig || boardKey !== getLapBoardKey(roomConfig.trackId, roomConfig.configName)) {
+        console.warn(`Dropped lap from ${socket.id}: not on the room's checkpoint layout`);
+        return;
+      }
+      
+      const check = antiCheat.checkLap(socket.id, lapData.time, roomConfig.positions, roomConfig.mode);
+      if (!check.ok) {
+        return;
+      }
+      
+      const result = leaderboard.record('laps', boardKey, player.name, lapData.time);
+      
+      if (result.record) {
+        // Broadcast new track record
+        room.emit('lapRecord', {
+          trackId: lapData.trackId,
+          configName: lapData.configName,
+          time: lapData.time,
+          playerName: player.name
+        });
+        
+        // Ask for the ghost of the lap - only a ghost of this exact lap will be accepted
+        ghostRequest = {
+          boardKey: boardKey,
+          trackId: lapData.trackId,
+          configName: lapData.configName,
+          time: lapData.time,
+          checkpointPositions: roomConfig.positions
+        };
+        socket.emit('ghostRequest', {
+          trackId: lapData.trackId,
+          configName: lapData.configName,
+          time: lapData.time
+        });
+      } else if (result.personalBest) {
+        socket.emit('lapPersonalBest', { time: lapData.time });
+      }
+    }
+  });
+  
+  // Handle the ghost of a record lap
+  socket.on('ghostUpload', (ghost) => {
+    const request = ghostRequest;
+    if (!players[socket.id] || !request) return;
+    
+    if (ghost.trackId !== request.trackId || ghost.configName !== request.configName || ghost.time !== request.time) {
+      console.warn(`Dropped ghost from ${socket.id}: not the requested lap`);
+      return;
+    }
+    ghostRequest = null;
+    
+    const check = antiCheat.checkGhost(socket.id, ghost.samples, ghost.time, request.checkpointPositions);
+    if (!check.ok) return;
+    
+    // Someone else may have set a faster lap since the request
+    const record = leaderboard.getRecord('laps', request.boardKey);
+    if (!record || record.name !== players[socket.id].name || record.value !== ghost.time) return;
+    
+    ghosts.save(request.boardKey, {
+      name: players[socket.id].name,
+      time: ghost.time,
+      trackId: ghost.trackId,
+      configName: ghost.configName,
+      samples: ghost.samples
+    });
+    
+    // Rooms on this layout can race the new ghost
+    io.emit('ghostRecord', {
+      trackId: ghost.trackId,
+      configName: ghost.configName,
+      time: ghost.time,
+      playerName: players[socket.id].name
+    });
+  });
+  
+  // Handle typed chat messages
+  socket.on('chatMessage', (text) => {
+    if (players[socket.id]) {
+      sendChat(chat.handleMessage(socket.id, text), false);
+    }
+  });
+  
+  // Handle quick-chat messages (sent by index so only the fixed texts can be used)
+  socket.on('quickChat', (data) => {
+    if (players[socket.id]) {
+      sendChat(chat.handleQuickChat(socket.id, data.index), true);
+    }
+  });
+  
+  // Helper function to relay a checked chat message to the room, or tell the sender why it wasn't
+  function sendChat(result, quick) {
+    if (!result.ok) {
+      socket.emit('chatRejected', { reason: result.reason });
+      return;
+    }
+    
+    room.emit('chatMessage', {
+      id: socket.id,
+      name: players[socket.id].name,
+      text: result.text,
+      quick: quick,
+      timestamp: Date.now()
+    });
+  }
+  
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log(`Player disconnected: ${socket.id}`);
     
-    // Remove player from players object
-    delete players[socket.id];
+    const player = players[socket.id];
+    if (!player) return;
     
-    // Broadcast player disconnection to all other players
-    io.emit('playerDisconnected', socket.id);
+    // Keep the player around so a reconnect can resume the session - others see them as reconnecting
+    room.disconnectPlayer(socket.id);
+    room.emit('playerConnectionState', { id: socket.id, connected: false });
+    
+    reconnects.hold(resumeToken, () => {
+      // The session may have been resumed under a new socket ID in the meantime, so use the current one
+      const playerId = player.id;
+      console.log(`Session of player ${playerId} expired`);
+      
+      // Drop the player from the room (and any race in it); empty rooms are closed
+      roomManager.leaveRoom(room, playerId);
+      antiCheat.removePlayer(playerId);
+      chat.removePlayer(playerId);
+      
+      // Broadcast player disconnection to all other players in the room
+      room.emit('playerDisconnected', playerId);
+    });
   });
 });
 
@@ -241,43 +525,300 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on ${protocol}://localhost:${PORT}`);
 });
 
-// Add route for saving checkpoint configurations
-app.post('/save-default-track', (req, res) => {
+// Log in with an editor account configured on the server
+app.post('/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const result = auth.login(username, password, req.ip);
+  
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, message: result.message });
+  }
+  
+  return res.json(result);
+});
+
+// End an editor session
+app.post('/auth/logout', (req, res) => {
+  const token = AuthManager.getBearerToken(req);
+  auth.logout(token);
+  
+  // Sockets that logged in with the session lose their editor rights too
+  io.sockets.sockets.forEach(socket => {
+    if (token && socket.data.sessionToken === token) {
+      auth.applySession(socket, null);
+      socket.emit('roleGranted', { role: socket.data.role, username: socket.data.username });
+    }
+  });
+  
+  return res.json({ success: true });
+});
+
+// List the checkpoint layouts of a track for the layout picker
+app.get('/checkpoint-layouts/:trackId', (req, res) => {
+  const list = layouts.list(req.params.trackId);
+  if (!list) {
+    return res.status(404).json({ success: false, message: 'Track not found' });
+  }
+  
+  return res.json({ success: true, trackId: req.params.trackId, layouts: list });
+});
+
+// Get one checkpoint layout of a track
+app.get('/checkpoint-layouts/:trackId/:configName', (req, res) => {
+  const layout = layouts.get(req.params.trackId, req.params.configName);
+  if (!layout) {
+    return res.status(404).json({ success: false, message: 'Layout not found' });
+  }
+  
+  return res.json({ success: true, layout: layout });
+});
+
+// Create or replace a checkpoint layout of a track (editors only)
+app.post('/checkpoint-layouts/:trackId', auth.requireRole(AuthManager.ROLES.EDITOR), (req, res) => {
   try {
-    // Ensure the configuration is from an authorized user (RJ_4_America)
-    if (!req.body || !req.body.configName) {
-      return res.status(400).json({ success: false, message: 'Invalid configuration data' });
+    const { trackId } = req.params;
+    const { configName, positions, mode } = req.body || {};
+    const error = layouts.save(trackId, configName, positions, mode);
+    if (error) {
+      if (!tracks.has(trackId)) {
+        return res.status(404).json({ success: false, message: error });
+      }
+      return res.status(400).json({ success: false, message: `Invalid checkpoint layout: ${error}` });
     }
     
-    // Save the received configuration as default.json
-    const checkpointsDir = path.join(__dirname, 'checkpoints');
+    console.log(`Checkpoint layout "${configName}" of track "${trackId}" saved by editor "${req.session.username}"`);
     
-    // Create the directory if it doesn't exist
-    if (!fs.existsSync(checkpointsDir)) {
-      fs.mkdirSync(checkpointsDir, { recursive: true });
-    }
+    // Rooms racing this layout use the new positions from the next race on
+    roomManager.forEach(room => {
+      if (room.trackId === trackId) {
+        room.refreshLayout(configName);
+      }
+    });
     
-    // Write the configuration to default.json
-    fs.writeFileSync(
-      path.join(checkpointsDir, 'default.json'),
-      JSON.stringify(req.body, null, 2)
-    );
+    return res.json({ success: true, message: 'Checkpoint layout saved', layout: layouts.get(trackId, configName) });
+  } catch (error) {
+    console.error('Error saving checkpoint layout:', error);
+    return res.status(500).json({ success: false, message: 'Error saving checkpoint layout' });
+  }
+});
+
+// Delete a checkpoint layout of a track (editors only) - rooms racing it go back to the default layout
+app.delete('/checkpoint-layouts/:trackId/:configName', auth.requireRole(AuthManager.ROLES.EDITOR), (req, res) => {
+  try {
+    const { trackId, configName } = req.params;
+    if (!layouts.remove(trackId, configName)) {
+      return res.status(404).json({ success: false, message: 'Layout not found' });
+    }
     
-    console.log('Default track configuration saved by authorized user');
+    console.log(`Checkpoint layout "${configName}" of track "${trackId}" deleted by editor "${req.session.username}"`);
     
-    return res.json({ 
-      success: true, 
-      message: 'Default track configuration saved successfully' 
+    roomManager.forEach(room => {
+      if (room.trackId === trackId) {
+        room.refreshLayout(configName);
+      }
     });
+    
+    return res.json({ success: true, message: 'Checkpoint layout deleted' });
   } catch (error) {
-    console.error('Error saving default track configuration:', error);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Error saving default track configuration' 
+    console.error('Error deleting checkpoint layout:', error);
+    return res.status(500).json({ success: false, message: 'Error deleting checkpoint layout' });
+  }
+});
+
+// Save a track manifest from the in-game track editor (editors only)
+app.post('/save-track', auth.requireRole(AuthManager.ROLES.EDITOR), (req, res) => {
+  try {
+    const { trackId, manifest } = req.body || {};
+    const error = tracks.check(trackId, manifest);
+    if (error) {
+      return res.status(400).json({ success: false, message: `Invalid track: ${error}` });
+    }
+    
+    // A default checkpoint layout saved for this track would hide the editor's checkpoints - it is kept
+    // in step, so it has to pass against the new manifest's ground before anything is written
+    const { positions, mode } = manifest.checkpoints;
+    const updateDefault = layouts.has(trackId, CheckpointLayoutStore.DEFAULT_LAYOUT);
+    if (updateDefault) {
+      const layoutError = layouts.check(trackId, CheckpointLayoutStore.DEFAULT_LAYOUT, positions, mode, tracks.loadCollision(manifest));
+      if (layoutError) {
+        return res.status(400).json({ success: false, message: `Invalid checkpoint layout: ${layoutError}` });
+      }
+    }
+    
+    const saveError = tracks.save(trackId, manifest) ||
+      (updateDefault ? layouts.save(trackId, CheckpointLayoutStore.DEFAULT_LAYOUT, positions, mode) : null);
+    if (saveError) {
+      return res.status(500).json({ success: false, message: `Error saving track: ${saveError}` });
+    }
+    
+    console.log(`Track "${trackId}" saved by editor "${req.session.username}"`);
+    
+    // Respawns may now land on the new spawn point, and rooms on the track rebuild it between races
+    antiCheat.spawnPoints = tracks.getSpawnPoints();
+    roomManager.forEach(room => {
+      if (room.trackId === trackId) {
+        room.reloadTrack();
+      }
     });
+    
+    return res.json({ success: true, message: 'Track saved successfully', trackId: trackId });
+  } catch (error) {
+    console.error('Error saving track:', error);
+    return res.status(500).json({ success: false, message: 'Error saving track' });
+  }
+});
+
+// List the open rooms for the room browser on the start screen
+app.get('/rooms', (req, res) => {
+  return res.json({
+    success: true,
+    maxPlayers: RoomManager.MAX_PLAYERS_PER_ROOM,
+    rooms: roomManager.listRooms()
+  });
+});
+
+// List the tracks for the picker on the start screen
+app.get('/track-list', (req, res) => {
+  return res.json({
+    success: true,
+    defaultTrack: TrackCatalog.DEFAULT_TRACK,
+    tracks: tracks.list()
+  });
+});
+
+// List the vehicle setups for the selector on the start screen
+app.get('/vehicle-setups', (req, res) => {
+  return res.json({
+    success: true,
+    defaultVehicle: VehicleCatalog.DEFAULT_VEHICLE,
+    vehicles: vehicles.list()
+  });
+});
+
+// Query the top entries of a leaderboard category
+// GET /leaderboard/laps?track=drift_race_track&config=default&limit=10
+// GET /leaderboard/ramps?track=drift_race_track&ramp=red
+// GET /leaderboard/airtime
+app.get('/leaderboard/:category', (req, res) => {
+  const category = req.params.category;
+  if (!LeaderboardStore.CATEGORIES.includes(category)) {
+    return res.status(404).json({ success: false, message: `Unknown leaderboard category "${category}"` });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+  
+  let boardKey;
+  if (category === 'laps') {
+    boardKey = getLapBoardKey(req.query.track, req.query.config);
+  } else if (category === 'ramps') {
+    if (!req.query.ramp) {
+      // No ramp given - return the top entries of every ramp of the track
+      const prefix = getRampBoardKey(req.query.track, '');
+      const boards = {};
+      leaderboard.getKeys('ramps').filter(key => key.startsWith(prefix)).forEach(key => {
+        boards[key.slice(prefix.length)] = leaderboard.getTop('ramps', key, limit);
+      });
+      return res.json({ success: true, category: category, boards: boards });
+    }
+    boardKey = getRampBoardKey(req.query.track, req.query.ramp);
+  } else {
+    boardKey = LeaderboardStore.GLOBAL_KEY;
   }
+  
+  return res.json({
+    success: true,
+    category: category,
+    key: boardKey,
+    entries: leaderboard.getTop(category, boardKey, limit)
+  });
 });
 
+// Get the record ghost of a track's checkpoint config
+// GET /ghosts?track=drift_race_track&config=default
+app.get('/ghosts', (req, res) => {
+  const ghost = ghosts.get(getLapBoardKey(req.query.track, req.query.config));
+  if (!ghost) {
+    return res.status(404).json({ success: false, message: 'No ghost for this track configuration yet' });
+  }
+  
+  return res.json({ success: true, ghost: ghost });
+});
+
+// Write pending leaderboard changes before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    leaderboard.flush();
+    reconnects.clear();
+    process.exit(0);
+  });
+});
+
+// Helper function to read TRUST_PROXY - a hop count, or a comma-separated list of proxy addresses and subnets
+function parseTrustProxy(value) {
+  if (!value) return 1;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value.split(',').map(entry => entry.trim());
+}
+
+// Helper function to create a new player with default values
+function createPlayer(id, vehicle) {
+  return {
+    id: id,
+    name: 'Player_' + Math.floor(Math.random() * 1000),  // Start with a random name instead of Unknown
+    vehicle: vehicle,
+    position: { x: 0, y: 10, z: 0 },
+    quaternion: { x: 0, y: 0, z: 0, w: 1 },
+    velocity: { x: 0, y: 0, z: 0 },
+    color: getRandomColor(),
+    stats: {
+      highestJump: 0,
+      airtime: 0,
+      jumps: 0
+    }
+  };
+}
+
+// Helper function to create the ramp and airtime stats of a room on a track, seeded from the stored leaderboard
+function createGameStats(trackId) {
+  // Ramp records are filed under the same checkpoint track ID as lap records
+  const checkpointTrackId = tracks.get(tracks.resolve(trackId)).checkpoints.trackId;
+  const gameStats = {
+    ramps: tracks.getRamps(trackId).map(ramp => Object.assign({}, ramp, {
+      boardKey: getRampBoardKey(checkpointTrackId, ramp.id),
+      highestJump: 0,
+      jumpedBy: null
+    })),
+    highestAirtime: 0,
+    highestAirtimePlayer: null
+  };
+  
+  gameStats.ramps.forEach(ramp => {
+    const record = leaderboard.getRecord('ramps', ramp.boardKey);
+    if (record) {
+      ramp.highestJump = record.value;
+      ramp.jumpedBy = record.name;
+      ramp.jumpedAt = record.timestamp;
+    }
+  });
+  
+  const airtimeRecord = leaderboard.getRecord('airtime', LeaderboardStore.GLOBAL_KEY);
+  if (airtimeRecord) {
+    gameStats.highestAirtime = airtimeRecord.value;
+    gameStats.highestAirtimePlayer = airtimeRecord.name;
+  }
+  
+  return gameStats;
+}
+
+// Helper function to build the leaderboard key for a track's checkpoint config
+function getLapBoardKey(trackId, configName) {
+  return `${trackId || 'drift_race_track'}/${configName || 'default'}`;
+}
+
+// Helper function to build the leaderboard key for a ramp of a track
+function getRampBoardKey(trackId, rampId) {
+  return `${trackId || 'drift_race_track'}/${rampId}`;
+}
+
 // Helper function to generate random color for players
 function getRandomColor() {
   const colors = [
@@ -0,0 +1,323 @@
+/**
+ * AntiCheat.js - Plausibility checks for client-reported state
+ *
+ * Schema validation (eventSchemas.js) only guarantees well-formed payloads.
+ * This class checks that what clients claim is physically possible: players
+ * can't move faster than an ATV can drive, and jump heights and airtimes must
+ * match both the ramp geometry and the trajectory the server has observed.
+ */
+
+const GhostStore = require('./GhostStore');
+const TrackCatalog = require('./TrackCatalog');
+
+const GRAVITY = 9.82; // Matches world.gravity in script.js
+
+// Movement limits
+const MAX_SPEED = 80; // m/s - well above the ATV's terminal speed of ~60 m/s
+const SPEED_TOLERANCE = 1.5; // Allow for network jitter bunching updates together
+const MIN_UPDATE_INTERVAL = 0.05; // s - clamp dt so back-to-back packets don't look infinitely fast
+const TELEPORT_RADIUS = 10; // How close a position must be to a sanctioned teleport target
+const TELEPORT_ALLOW_TIME = 10000; // How long a sanctioned teleport stays valid
+
+// Jump limits
+const RESET_HEIGHT = 50; // The client respawns any ATV above this height
+const JUMP_HEIGHT_TOLERANCE = 3; // Height tracking on the client is rounded
+const AIRTIME_TOLERANCE = 1.0; // s - latency plus the client's in-air heuristic
+const HISTORY_DURATION = 30000; // How much height history to keep per player
+
+// Ghost limits
+const GHOST_TIME_TOLERANCE = 1000; // ms - the trace must cover the reported lap time within this
+const GHOST_CHECKPOINT_RADIUS = 20; // How close the trace must come to each checkpoint (wider gates: half their width)
+
+// Suspicion tracking
+const FLAG_LOG_INTERVAL = 10; // Log a summary every N flags for the same player
+
+class AntiCheat {
+  /**
+   * @param {Object} options
+   * @param {Array} options.spawnPoints - Positions the client may teleport to at any time
+   */
+  constructor(options) {
+    this.spawnPoints = options.spawnPoints || [];
+    this.states = {};
+  }
+
+  /**
+   * Get (or create) the tracking state for a player
+   * @param {String} playerId - Socket ID of the player
+   * @returns {Object} - Tracking state
+   */
+  getState(playerId) {
+    if (!this.states[playerId]) {
+      this.states[playerId] = {
+        lastPosition: null,
+        lastTime: 0,
+        history: [],
+        allowedTeleports: [],
+        flags: 0
+      };
+    }
+    return this.states[playerId];
+  }
+
+  /**
+   * Permit a one-off teleport for a player (e.g. to a race grid slot)
+   * @param {String} playerId - Socket ID of the player
+   * @param {Object} position - Target position
+   */
+  allowTeleport(playerId, position) {
+    this.getState(playerId).allowedTeleports.push({
+      position: { x: position.x, y: position.y, z: position.z },
+      expires: Date.now() + TELEPORT_ALLOW_TIME
+    });
+  }
+
+  /**
+   * Check a movement update against the last accepted one
+   * @param {String} playerId - Socket ID of the player
+   * @param {Object} update - Validated (decoded) playerState payload
+   * @returns {Object} - { ok: Boolean, reason: String|null, lastPosition: Object|null }
+   */
+  checkMovement(playerId, update) {
+    const state = this.getState(playerId);
+    const now = Date.now();
+    const position = update.position;
+
+    const reported = update.velocity;
+    const reportedSpeed = Math.sqrt(reported.x * reported.x + reported.y * reported.y + reported.z * reported.z);
+    if (reportedSpeed > MAX_SPEED * SPEED_TOLERANCE) {
+      return this.reject(playerId, `reported velocity ${reportedSpeed.toFixed(1)} m/s exceeds limit`);
+    }
+
+    if (state.lastPosition) {
+      const dt = Math.max((now - state.lastTime) / 1000, MIN_UPDATE_INTERVAL);
+      const dx = position.x - state.lastPosition.x;
+      const dz = position.z - state.lastPosition.z;
+      // Only horizontal speed is limited - respawning after a flip or a fall resets the height
+      const horizontalSpeed = Math.sqrt(dx * dx + dz * dz) / dt;
+
+      if (horizontalSpeed > MAX_SPEED * SPEED_TOLERANCE && !this.consumeTeleport(state, position)) {
+        return this.reject(playerId, `moved at ${horizontalSpeed.toFixed(1)} m/s`);
+      }
+    }
+
+    state.lastPosition = { x: position.x, y: position.y, z: position.z };
+    state.lastTime = now;
+
+    // Keep a height history to verify jump reports against
+    state.history.push({ time: now, y: position.y });
+    while (state.history.length > 0 && now - state.history[0].time > HISTORY_DURATION) {
+      state.history.shift();
+    }
+
+    return { ok: true, reason: null, lastPosition: null };
+  }
+
+  /**
+   * Check a jump report against ramp geometry, physics and the observed trajectory
+   * @param {String} playerId - Socket ID of the player
+   * @param {Object} jump - Validated jumpReport payload
+   * @param {Array} ramps - Known ramps with height and angle
+   * @returns {Object} - { ok: Boolean, reason: String|null }
+   */
+  checkJump(playerId, jump, ramps) {
+    const state = this.getState(playerId);
+
+    // The highest point reachable from the ramp the jump started on (or any ramp if unknown)
+    const candidateRamps = jump.rampId ? ramps.filter(r => r.id === jump.rampId) : ramps;
+    const maxHeight = Math.min(
+      RESET_HEIGHT,
+      Math.max(0, ...candidateRamps.map(ramp => AntiCheat.getMaxJumpHeight(ramp)))
+    );
+    if (jump.height > maxHeight + JUMP_HEIGHT_TOLERANCE) {
+      return this.reject(playerId, `jump of ${jump.height}m exceeds the ${maxHeight.toFixed(1)}m possible from the ramp`);
+    }
+
+    // Going up and coming back down takes time - a high jump can't have a short airtime,
+    // and a short hop can't hang in the air
+    const fallTime = Math.sqrt(2 * jump.height / GRAVITY);
+    const maxFallTime = Math.sqrt(2 * (jump.height + RESET_HEIGHT) / GRAVITY);
+    if (jump.airtime < fallTime - AIRTIME_TOLERANCE) {
+      return this.reject(playerId, `airtime ${jump.airtime.toFixed(1)}s too short for a ${jump.height}m jump`);
+    }
+    if (jump.airtime > 2 * maxFallTime + AIRTIME_TOLERANCE) {
+      return this.reject(playerId, `airtime ${jump.airtime.toFixed(1)}s too long for a ${jump.height}m jump`);
+    }
+
+    // The server saw the player's positions - the height gain must show up there too
+    const windowStart = Date.now() - (jump.airtime + AIRTIME_TOLERANCE + 1) * 1000;
+    const recent = state.history.filter(entry => entry.time >= windowStart);
+    if (recent.length === 0) {
+      return this.reject(playerId, 'jump reported without any recent movement');
+    }
+
+    const observedMax = Math.max(...recent.map(entry => entry.y));
+    const observedMin = Math.min(...recent.map(entry => entry.y));
+    if (jump.height > observedMax - observedMin + JUMP_HEIGHT_TOLERANCE) {
+      return this.reject(playerId, `jump of ${jump.height}m but only ${(observedMax - observedMin).toFixed(1)}m observed`);
+    }
+
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Check a lap time against the shortest possible lap
+   * @param {String} playerId - Socket ID of the player
+   * @param {Number} lapTime - Reported lap time in seconds
+   * @param {Array} checkpointPositions - Checkpoints of the lap, or null if unknown
+   * @param {String} [mode] - Course mode - a sprint doesn't drive back to its first checkpoint
+   * @returns {Object} - { ok: Boolean, reason: String|null }
+   */
+  checkLap(playerId, lapTime, checkpointPositions, mode) {
+    if (!checkpointPositions || checkpointPositions.length < 2) {
+      return { ok: true, reason: null };
+    }
+
+    // Straight lines between the checkpoints at top speed is the fastest possible lap
+    let distance = 0;
+    const legs = mode === TrackCatalog.COURSE_MODES.SPRINT ? checkpointPositions.length - 1 : checkpointPositions.length;
+    for (let index = 0; index < legs; index++) {
+      const cp = checkpointPositions[index];
+      const next = checkpointPositions[(index + 1) % checkpointPositions.length];
+      distance += Math.sqrt((next.x - cp.x) ** 2 + (next.z - cp.z) ** 2);
+    }
+    const minLapTime = distance / MAX_SPEED;
+
+    if (lapTime < minLapTime) {
+      return this.reject(playerId, `lap of ${lapTime.toFixed(2)}s is faster than the ${minLapTime.toFixed(2)}s minimum`);
+    }
+
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Check that a lap ghost is a drivable trace of the reported lap
+   * @param {String} playerId - Socket ID of the player
+   * @param {Array} samples - Flat sample array (see GhostStore.js)
+   * @param {Number} lapTime - Lap time in seconds the ghost was uploaded for
+   * @param {Array} checkpointPositions - Checkpoints of the lap, or null if unknown
+   * @returns {Object} - { ok: Boolean, reason: String|null }
+   */
+  checkGhost(playerId, samples, lapTime, checkpointPositions) {
+    const size = GhostStore.SAMPLE_SIZE;
+    const count = samples.length / size;
+
+    // The trace has to start at the start of the lap and end at its finish
+    const firstTime = samples[0];
+    const lastTime = samples[(count - 1) * size];
+    if (firstTime > GHOST_TIME_TOLERANCE || Math.abs(lastTime - lapTime * 1000) > GHOST_TIME_TOLERANCE) {
+      return this.reject(playerId, `ghost covers ${firstTime}-${lastTime}ms of a ${lapTime.toFixed(2)}s lap`);
+    }
+
+    let nextCheckpoint = 1;
+    for (let i = 0; i < count; i++) {
+      const offset = i * size;
+      const x = samples[offset + 1];
+      const z = samples[offset + 3];
+
+      if (i > 0) {
+        const dt = (samples[offset] - samples[offset - size]) / 1000;
+        if (dt <= 0) {
+          return this.reject(playerId, 'ghost sample times are not increasing');
+        }
+
+        // Same speed limit as live movement; respawns land on a spawn point or only reset the height
+        const dx = x - samples[offset - size + 1];
+        const dz = z - samples[offset - size + 3];
+        const speed = Math.sqrt(dx * dx + dz * dz) / Math.max(dt, MIN_UPDATE_INTERVAL);
+        const isRespawn = this.spawnPoints.some(spawn =>
+          Math.sqrt((x - spawn.x) ** 2 + (z - spawn.z) ** 2) < TELEPORT_RADIUS
+        );
+        if (speed > MAX_SPEED * SPEED_TOLERANCE && !isRespawn) {
+          return this.reject(playerId, `ghost moves at ${speed.toFixed(1)} m/s`);
+        }
+      }
+
+      // Checkpoints have to be passed in order
+      if (checkpointPositions && nextCheckpoint < checkpointPositions.length) {
+        const cp = checkpointPositions[nextCheckpoint];
+        const radius = Math.max(GHOST_CHECKPOINT_RADIUS, (cp.width || 0) / 2);
+        if (Math.sqrt((x - cp.x) ** 2 + (z - cp.z) ** 2) < radius) {
+          nextCheckpoint++;
+        }
+      }
+    }
+
+    if (checkpointPositions && nextCheckpoint < checkpointPositions.length) {
+      return this.reject(playerId, `ghost misses checkpoint ${nextCheckpoint + 1}`);
+    }
+
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Use up a sanctioned teleport if the position matches one
+   */
+  consumeTeleport(state, position) {
+    const now = Date.now();
+    state.allowedTeleports = state.allowedTeleports.filter(t => t.expires > now);
+
+    const targets = state.allowedTeleports.map(t => t.position).concat(this.spawnPoints);
+    const match = targets.find(target => {
+      const dx = position.x - target.x;
+      const dz = position.z - target.z;
+      return Math.sqrt(dx * dx + dz * dz) < TELEPORT_RADIUS;
+    });
+
+    if (!match) return false;
+
+    state.allowedTeleports = state.allowedTeleports.filter(t => t.position !== match);
+    return true;
+  }
+
+  /**
+   * Record a rejected report
+   * @returns {Object} - The rejection result including the last accepted position
+   */
+  reject(playerId, reason) {
+    const state = this.getState(playerId);
+    state.flags++;
+
+    console.warn(`Anti-cheat: rejected report from ${playerId}: ${reason}`);
+    if (state.flags % FLAG_LOG_INTERVAL === 0) {
+      console.warn(`Anti-cheat: ${playerId} has ${state.flags} rejected reports`);
+    }
+
+    return { ok: false, reason: reason, lastPosition: state.lastPosition };
+  }
+
+  /**
+   * Keep a player's tracking state when their session resumes on a new socket
+   * @param {String} oldId - Socket ID before the reconnect
+   * @param {String} newId - Socket ID after the reconnect
+   */
+  renamePlayer(oldId, newId) {
+    if (!this.states[oldId]) return;
+
+    this.states[newId] = this.states[oldId];
+    delete this.states[oldId];
+  }
+
+  /**
+   * Forget a player's tracking state
+   * @param {String} playerId - Socket ID of the player
+   */
+  removePlayer(playerId) {
+    delete this.states[playerId];
+  }
+
+  /**
+   * Highest point an ATV can reach from a ramp: the ramp's top plus the
+   * ballistic rise of a launch at top speed along the ramp's angle
+   * @param {Object} ramp - Ramp with height (m) and angle (radians)
+   * @returns {Number} - Maximum jump height in meters
+   */
+  static getMaxJumpHeight(ramp) {
+    const verticalSpeed = MAX_SPEED * Math.sin(ramp.angle || 0);
+    return (ramp.height || 0) + (verticalSpeed * verticalSpeed) / (2 * GRAVITY);
+  }
+}
+
+AntiCheat.MAX_SPEED = MAX_SPEED;
+
+module.exports = AntiCheat;
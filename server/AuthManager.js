@@ -0,0 +1,255 @@
+/**
+ * AuthManager.js - Editor accounts and session tokens
+ *
+ * Editor accounts are configured on the server (EDITOR_ACCOUNTS), never on the
+ * client. A successful login issues a session token that grants the 'editor'
+ * role on both HTTP requests and Socket.IO connections.
+ */
+
+const crypto = require('crypto');
+
+// Roles a session can have
+const ROLES = {
+  PLAYER: 'player',
+  EDITOR: 'editor'
+};
+
+const SESSION_TTL = 12 * 60 * 60 * 1000; // Editor sessions last 12 hours
+const MAX_FAILED_LOGINS = 5; // Failed attempts allowed per address...
+const MAX_FAILED_LOGINS_PER_ACCOUNT = 20; // ...and per account, however many addresses they come from...
+const FAILED_LOGIN_WINDOW = 15 * 60 * 1000; // ...within this window
+const PRUNE_INTERVAL = 10 * 60 * 1000; // How often expired sessions and failed login counts are dropped
+
+class AuthManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.accounts - Map of username to password
+   */
+  constructor(options) {
+    this.accounts = options.accounts || {};
+    this.sessions = new Map();
+    this.failedLogins = new Map(); // 'address:<ip>' or 'account:<name>' -> { count, firstFailure }
+
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref(); // Don't keep the process alive for it
+
+    const accountCount = Object.keys(this.accounts).length;
+    if (accountCount === 0) {
+      console.warn('No editor accounts configured (EDITOR_ACCOUNTS) - checkpoint editing is disabled');
+    } else {
+      console.log(`${accountCount} editor account(s) configured`);
+    }
+  }
+
+  /**
+   * Parse accounts from an environment variable of the form "name:password,name2:password2"
+   * @param {String} value - The raw environment variable
+   * @returns {Object} - Map of username to password
+   */
+  static parseAccounts(value) {
+    const accounts = {};
+    if (!value) return accounts;
+
+    value.split(',').forEach(pair => {
+      const separator = pair.indexOf(':');
+      if (separator <= 0) return;
+
+      const username = pair.slice(0, separator).trim();
+      const password = pair.slice(separator + 1);
+      if (username && password) {
+        accounts[username] = password;
+      }
+    });
+
+    return accounts;
+  }
+
+  /**
+   * Check credentials and open a session
+   * @param {String} username - Account name
+   * @param {String} password - Account password
+   * @param {String} address - Client address, used to throttle guessing
+   * @returns {Object} - { success, token, role, username } or { success: false, message }
+   */
+  login(username, password, address) {
+    // Guesses are limited per account too, so rotating addresses doesn't get around the limit
+    const expected = typeof username === 'string' && hasOwn(this.accounts, username) ? this.accounts[username] : undefined;
+    const addressKey = `address:${address}`;
+    const accountKey = expected !== undefined ? `account:${username}` : null;
+    if (this.isThrottled(addressKey, MAX_FAILED_LOGINS) ||
+      (accountKey && this.isThrottled(accountKey, MAX_FAILED_LOGINS_PER_ACCOUNT))) {
+      return { success: false, status: 429, message: 'Too many failed login attempts, try again later' };
+    }
+
+    const valid = typeof password === 'string' && expected !== undefined && safeCompare(password, expected);
+
+    if (!valid) {
+      this.recordFailedLogin(addressKey);
+      if (accountKey) {
+        this.recordFailedLogin(accountKey);
+      }
+      console.warn(`Failed editor login for "${username}" from ${address}`);
+      return { success: false, status: 401, message: 'Invalid username or password' };
+    }
+
+    this.failedLogins.delete(addressKey);
+    this.failedLogins.delete(accountKey);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, {
+      username: username,
+      role: ROLES.EDITOR,
+      expires: Date.now() + SESSION_TTL
+    });
+
+    console.log(`Editor "${username}" logged in from ${address}`);
+    return { success: true, token: token, role: ROLES.EDITOR, username: username };
+  }
+
+  /**
+   * Close a session
+   * @param {String} token - Session token
+   */
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Look up a session by token
+   * @param {String} token - Session token
+   * @returns {Object|null} - The session, or null if missing or expired
+   */
+  getSession(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const session = this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expires < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Resolve the role for a token
+   * @param {String} token - Session token (may be empty)
+   * @returns {String} - The granted role
+   */
+  getRole(token) {
+    const session = this.getSession(token);
+    return session ? session.role : ROLES.PLAYER;
+  }
+
+  /**
+   * Give a socket the role of a session token - sockets without a valid token are players
+   * @param {Socket} socket - The connected socket
+   * @param {String} token - Session token (may be empty)
+   */
+  applySession(socket, token) {
+    const session = this.getSession(token);
+    socket.data.role = session ? session.role : ROLES.PLAYER;
+    socket.data.username = session ? session.username : null;
+    socket.data.sessionToken = session ? token : null; // Lets a logout find the sockets of the session
+  }
+
+  /**
+   * Express middleware that only lets requests with the given role through
+   * @param {String} role - Required role
+   * @returns {Function} - Express middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      const session = this.getSession(getBearerToken(req));
+      if (!session || session.role !== role) {
+        return res.status(403).json({ success: false, message: `This action requires the ${role} role` });
+      }
+
+      req.session = session;
+      next();
+    };
+  }
+
+  /**
+   * Socket.IO middleware that attaches the session role to each socket
+   * @returns {Function} - Socket.IO middleware
+   */
+  socketMiddleware() {
+    return (socket, next) => {
+      this.applySession(socket, socket.handshake.auth && socket.handshake.auth.token);
+      next();
+    };
+  }
+
+  /**
+   * Whether an address or account has failed to log in too often recently
+   * @param {String} key - 'address:<ip>' or 'account:<name>'
+   * @param {Number} limit - Failed attempts allowed within the window
+   */
+  isThrottled(key, limit) {
+    const entry = this.failedLogins.get(key);
+    if (!entry) return false;
+
+    if (Date.now() - entry.firstFailure > FAILED_LOGIN_WINDOW) {
+      this.failedLogins.delete(key);
+      return false;
+    }
+
+    return entry.count >= limit;
+  }
+
+  /**
+   * Count a failed login for an address or account
+   * @param {String} key - 'address:<ip>' or 'account:<name>'
+   */
+  recordFailedLogin(key) {
+    const entry = this.failedLogins.get(key);
+    if (!entry || Date.now() - entry.firstFailure > FAILED_LOGIN_WINDOW) {
+      this.failedLogins.set(key, { count: 1, firstFailure: Date.now() });
+    } else {
+      entry.count++;
+    }
+  }
+
+  /**
+   * Drop expired sessions and failed login counts whose window has passed
+   */
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((session, token) => {
+      if (session.expires < now) {
+        this.sessions.delete(token);
+      }
+    });
+    this.failedLogins.forEach((entry, key) => {
+      if (now - entry.firstFailure > FAILED_LOGIN_WINDOW) {
+        this.failedLogins.delete(key);
+      }
+    });
+  }
+}
+
+// Helper function to read "Authorization: Bearer <token>" from a request
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Helper function to check for an own property (so "__proto__" or "constructor" aren't accounts)
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Helper function to compare secrets without leaking their length or content through timing
+function safeCompare(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+AuthManager.ROLES = ROLES;
+AuthManager.getBearerToken = getBearerToken;
+
+module.exports = AuthManager;
@@ -0,0 +1,173 @@
+/**
+ * ChatManager.js - Text chat and quick-chat messages between players
+ *
+ * Players can type free-text messages or send one of a fixed set of
+ * quick-chat messages bound to keys. Quick-chat is sent as an index so
+ * clients can't put arbitrary text in it. Every message goes through the
+ * same rate limit, and typed messages are cleaned up and passed through a
+ * filter hook (blocked words by default) before anyone else sees them.
+ */
+
+const MAX_MESSAGE_LENGTH = 200; // Characters per typed message
+const RATE_LIMIT_MESSAGES = 5; // Messages allowed per window...
+const RATE_LIMIT_WINDOW = 10000; // ...of this many ms
+const MUTE_DURATION = 15000; // ms a player is muted for after hitting the rate limit
+
+// Bound to the number keys on the client, in this order
+const QUICK_CHAT_MESSAGES = [
+  'Nice jump!',
+  'Race?',
+  'Good race!',
+  'Follow me!',
+  'Oops!',
+  'Wow!'
+];
+
+class ChatManager {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.filter] - Profanity filter hook: receives the cleaned-up text and
+   *   returns the text to send (e.g. with words masked), or null to drop the message
+   * @param {Array} [options.blockedWords] - Words masked by the default filter
+   */
+  constructor(options) {
+    this.blockedWords = (options.blockedWords || []).map(word => word.toLowerCase());
+    this.filter = options.filter || (text => this.maskBlockedWords(text));
+    this.states = {}; // Rate limit state keyed by socket ID
+  }
+
+  /**
+   * Parse the comma-separated blocked word list from the environment
+   * @param {String} value - e.g. "word1,word2"
+   * @returns {Array} - The words
+   */
+  static parseBlockedWords(value) {
+    if (!value) return [];
+
+    return value.split(',')
+      .map(word => word.trim())
+      .filter(word => word.length > 0);
+  }
+
+  /**
+   * Check and clean up a typed chat message
+   * @param {String} playerId - Socket ID of the sender
+   * @param {String} text - Message as sent by the client
+   * @returns {Object} - { ok: Boolean, text: String|null, reason: String|null }
+   */
+  handleMessage(playerId, text) {
+    const cleaned = String(text)
+      .replace(/[\u0000-\u001f\u007f]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_MESSAGE_LENGTH);
+
+    if (!cleaned) {
+      return { ok: false, text: null, reason: 'Message is empty' };
+    }
+
+    const limit = this.checkRateLimit(playerId);
+    if (!limit.ok) return limit;
+
+    const filtered = this.filter(cleaned);
+    if (!filtered) {
+      return { ok: false, text: null, reason: 'Message was blocked' };
+    }
+
+    return { ok: true, text: filtered, reason: null };
+  }
+
+  /**
+   * Look up a quick-chat message
+   * @param {String} playerId - Socket ID of the sender
+   * @param {Number} index - Index into the quick-chat messages
+   * @returns {Object} - { ok: Boolean, text: String|null, reason: String|null }
+   */
+  handleQuickChat(playerId, index) {
+    const text = QUICK_CHAT_MESSAGES[index];
+    if (!text) {
+      return { ok: false, text: null, reason: 'Unknown quick-chat message' };
+    }
+
+    const limit = this.checkRateLimit(playerId);
+    if (!limit.ok) return limit;
+
+    return { ok: true, text: text, reason: null };
+  }
+
+  /**
+   * Count a message against the sender's rate limit
+   * @param {String} playerId - Socket ID of the sender
+   * @returns {Object} - { ok: Boolean, text: null, reason: String|null }
+   */
+  checkRateLimit(playerId) {
+    const now = Date.now();
+    const state = this.getState(playerId);
+
+    if (now < state.mutedUntil) {
+      const seconds = Math.ceil((state.mutedUntil - now) / 1000);
+      return { ok: false, text: null, reason: `You are sending messages too fast - wait ${seconds}s` };
+    }
+
+    state.sent = state.sent.filter(time => now - time < RATE_LIMIT_WINDOW);
+    if (state.sent.length >= RATE_LIMIT_MESSAGES) {
+      state.mutedUntil = now + MUTE_DURATION;
+      state.sent = [];
+      console.warn(`Chat: muted ${playerId} for ${MUTE_DURATION / 1000}s for flooding`);
+      return { ok: false, text: null, reason: `You are sending messages too fast - wait ${MUTE_DURATION / 1000}s` };
+    }
+
+    state.sent.push(now);
+    return { ok: true, text: null, reason: null };
+  }
+
+  /**
+   * Default filter: mask blocked words with asterisks
+   * @param {String} text - Message text
+   * @returns {String} - The text with blocked words masked
+   */
+  maskBlockedWords(text) {
+    if (this.blockedWords.length === 0) return text;
+
+    return text.replace(/[\p{L}\p{N}']+/gu, word =>
+      this.blockedWords.includes(word.toLowerCase()) ? '*'.repeat(word.length) : word
+    );
+  }
+
+  /**
+   * Get (or create) the rate limit state for a player
+   * @param {String} playerId - Socket ID of the player
+   * @returns {Object} - Rate limit state
+   */
+  getState(playerId) {
+    if (!this.states[playerId]) {
+      this.states[playerId] = { sent: [], mutedUntil: 0 };
+    }
+    return this.states[playerId];
+  }
+
+  /**
+   * Carry a player's rate limit over to the new socket ID of a resumed session
+   * @param {String} oldId - Socket ID before the reconnect
+   * @param {String} newId - Socket ID after the reconnect
+   */
+  renamePlayer(oldId, newId) {
+    if (this.states[oldId]) {
+      this.states[newId] = this.states[oldId];
+      delete this.states[oldId];
+    }
+  }
+
+  /**
+   * Forget a player's state
+   * @param {String} playerId - Socket ID of the player
+   */
+  removePlayer(playerId) {
+    delete this.states[playerId];
+  }
+}
+
+ChatManager.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+ChatManager.QUICK_CHAT_MESSAGES = QUICK_CHAT_MESSAGES;
+
+module.exports = ChatManager;
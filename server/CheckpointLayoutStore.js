@@ -0,0 +1,227 @@
+/**
+ * CheckpointLayoutStore.js - Named checkpoint layouts of every track
+ *
+ * A layout is a set of checkpoint positions for one track, saved by an editor
+ * under a name. Layouts live in checkpoints/<checkpoint track ID>/<name>.json,
+ * where the checkpoint track ID is the one the track's manifest files its
+ * leaderboards and ghosts under. A layout is raced as a circuit or a sprint
+ * (see TrackCatalog.COURSE_MODES). Every track has a "default" layout: the saved
+ * one if an editor saved it, otherwise the checkpoints in the track manifest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TrackCatalog = require('./TrackCatalog');
+
+const DEFAULT_LAYOUT = 'default';
+const MAX_NAME_LENGTH = 64;
+
+class CheckpointLayoutStore {
+  /**
+   * @param {Object} options
+   * @param {String} options.dirPath - Directory the layouts are stored in
+   * @param {TrackCatalog} options.tracks - Tracks the layouts belong to
+   */
+  constructor(options) {
+    this.dirPath = options.dirPath;
+    this.tracks = options.tracks;
+    this.migrateFlatLayouts();
+  }
+
+  /**
+   * Move layouts saved before they were kept per track (checkpoints/<name>.json)
+   * into the directory of the track they name
+   */
+  migrateFlatLayouts() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dirPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      return; // Nothing saved yet
+    }
+
+    files.forEach(file => {
+      const filePath = path.join(this.dirPath, file);
+      try {
+        const layout = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const configName = layout.configName || path.basename(file, '.json');
+        if (typeof layout.trackId !== 'string' || !TrackCatalog.TRACK_ID_PATTERN.test(layout.trackId) ||
+          validateName(configName)) {
+          console.error(`Leaving checkpoint layout "${file}" in place: it names no track`);
+          return;
+        }
+
+        const target = this.getFilePath(layout.trackId, configName);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(filePath, target);
+        console.log(`Moved checkpoint layout "${file}" to ${path.relative(this.dirPath, target)}`);
+      } catch (error) {
+        console.error(`Error moving checkpoint layout "${file}":`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Get the file a layout is stored in
+   * @param {String} checkpointTrackId - Checkpoint track ID from the track manifest
+   * @param {String} configName - Layout name
+   * @returns {String} - File path
+   */
+  getFilePath(checkpointTrackId, configName) {
+    // Layout names may contain spaces and slashes - keep the file name safe
+    return path.join(this.dirPath, checkpointTrackId, `${encodeURIComponent(configName)}.json`);
+  }
+
+  /**
+   * Get the names of a track's layouts, default first
+   * @param {String} trackId - Track ID
+   * @returns {Array|null} - { configName, date } per layout, or null if the track doesn't exist
+   */
+  list(trackId) {
+    if (!this.tracks.has(trackId)) return null;
+
+    const dirPath = path.join(this.dirPath, this.getCheckpointTrackId(trackId));
+    let files = [];
+    try {
+      files = fs.readdirSync(dirPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      // No layouts saved for the track yet
+    }
+
+    const layouts = files
+      .map(file => this.get(trackId, decodeURIComponent(path.basename(file, '.json'))))
+      .filter(layout => layout && layout.configName !== DEFAULT_LAYOUT)
+      .map(layout => ({ configName: layout.configName, date: layout.date || null }))
+      .sort((a, b) => a.configName.localeCompare(b.configName));
+
+    const defaultLayout = this.get(trackId, DEFAULT_LAYOUT);
+    return [{ configName: DEFAULT_LAYOUT, date: defaultLayout.date || null }].concat(layouts);
+  }
+
+  /**
+   * Get a layout of a track
+   * @param {String} trackId - Track ID
+   * @param {String} configName - Layout name
+   * @returns {Object|null} - { trackId, configName, date, mode, positions }, or null if there is no such layout
+   */
+  get(trackId, configName) {
+    if (!this.tracks.has(trackId) || validateName(configName)) return null;
+
+    const checkpointTrackId = this.getCheckpointTrackId(trackId);
+    try {
+      const filePath = this.getFilePath(checkpointTrackId, configName);
+      if (fs.existsSync(filePath)) {
+        const layout = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!TrackCatalog.validateCheckpoints(layout.positions, layout.mode)) {
+          return Object.assign(layout, {
+            trackId: checkpointTrackId,
+            configName: configName,
+            mode: layout.mode || TrackCatalog.COURSE_MODES.CIRCUIT
+          });
+        }
+        console.error(`Ignoring checkpoint layout "${configName}" of track "${trackId}": its positions are broken`);
+      }
+    } catch (error) {
+      console.error(`Error loading checkpoint layout "${configName}" of track "${trackId}":`, error.message);
+    }
+
+    // Without a saved default, a track races the checkpoints in its manifest
+    return configName === DEFAULT_LAYOUT ? this.tracks.getDefaultCheckpointConfig(trackId, DEFAULT_LAYOUT) : null;
+  }
+
+  /**
+   * Check if a track has a saved layout of that name
+   * @param {String} trackId - Track ID
+   * @param {String} configName - Layout name
+   * @returns {Boolean}
+   */
+  has(trackId, configName) {
+    return this.tracks.has(trackId) && !validateName(configName) &&
+      fs.existsSync(this.getFilePath(this.getCheckpointTrackId(trackId), configName));
+  }
+
+  /**
+   * Check whether a layout can be saved, without writing it
+   * @param {String} trackId - Track ID
+   * @param {String} configName - Layout name
+   * @param {Array} positions - { x, y, z, heading, width } per checkpoint, heading and width optional
+   * @param {String} [mode] - Course mode, circuit if omitted
+   * @param {Object} [collision] - Collision data to check the gates against (the track's own if omitted)
+   * @returns {String|null} - Why it can't be saved (every problem with the checkpoints), or null if it can
+   */
+  check(trackId, configName, positions, mode, collision) {
+    if (!this.tracks.has(trackId)) {
+      return `Track "${trackId}" doesn't exist`;
+    }
+    // Saved layouts are checked against the ground too, so editors find out about unreachable gates right away
+    return validateName(configName) || TrackCatalog.validateCheckpoints(positions, mode,
+      collision !== undefined ? collision : this.tracks.getCollision(trackId));
+  }
+
+  /**
+   * Create or replace a layout of a track
+   * @param {String} trackId - Track ID
+   * @param {String} configName - Layout name
+   * @param {Array} positions - { x, y, z, heading, width } per checkpoint, heading and width optional
+   * @param {String} [mode] - Course mode, circuit if omitted
+   * @returns {String|null} - Why it can't be saved (every problem with the checkpoints), or null once it is saved
+   */
+  save(trackId, configName, positions, mode) {
+    const error = this.check(trackId, configName, positions, mode);
+    if (error) {
+      return error;
+    }
+
+    const layout = {
+      trackId: this.getCheckpointTrackId(trackId),
+      configName: configName,
+      date: new Date().toISOString(),
+      mode: mode || TrackCatalog.COURSE_MODES.CIRCUIT,
+      positions: positions.map(TrackCatalog.copyCheckpoint)
+    };
+
+    const filePath = this.getFilePath(layout.trackId, configName);
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(layout, null, 2));
+    fs.renameSync(tempPath, filePath);
+    return null;
+  }
+
+  /**
+   * Delete a saved layout - deleting the default goes back to the manifest's checkpoints
+   * @param {String} trackId - Track ID
+   * @param {String} configName - Layout name
+   * @returns {Boolean} - Whether there was a layout to delete
+   */
+  remove(trackId, configName) {
+    if (!this.has(trackId, configName)) return false;
+
+    fs.unlinkSync(this.getFilePath(this.getCheckpointTrackId(trackId), configName));
+    return true;
+  }
+
+  /**
+   * Get the ID a track's layouts are filed under
+   * @param {String} trackId - Track ID
+   * @returns {String} - Checkpoint track ID from the manifest
+   */
+  getCheckpointTrackId(trackId) {
+    return this.tracks.get(trackId).checkpoints.trackId;
+  }
+}
+
+// Helper function to check a layout name
+function validateName(configName) {
+  if (typeof configName !== 'string' || !configName.trim() || configName.length > MAX_NAME_LENGTH) {
+    return `The layout name must be 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (/[\u0000-\u001f]/.test(configName)) {
+    return 'The layout name contains control characters';
+  }
+  return null;
+}
+
+CheckpointLayoutStore.DEFAULT_LAYOUT = DEFAULT_LAYOUT;
+
+module.exports = CheckpointLayoutStore;
@@ -0,0 +1,91 @@
+/**
+ * GhostStore.js - File-backed storage of record lap ghosts
+ *
+ * A ghost is the position/rotation trace of a lap, sampled by the client
+ * while driving it. The server keeps one ghost per lap leaderboard board:
+ * the lap of the current record holder, so other players can race it.
+ *
+ * Samples are stored as a flat array, SAMPLE_SIZE numbers per sample:
+ * [time (ms since lap start), x, y, z, qx, qy, qz, qw, time, x, ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_SIZE = 8; // Numbers per sample - matches replay/trace.js
+const SAMPLE_INTERVAL = 50; // ms between samples recorded by the client
+const MAX_GHOST_DURATION = 600; // s - longer laps aren't kept as ghosts
+const MAX_SAMPLES = Math.ceil(MAX_GHOST_DURATION * 1000 / SAMPLE_INTERVAL) + 1;
+
+class GhostStore {
+  /**
+   * @param {Object} options
+   * @param {String} options.dirPath - Directory the ghost files are written to
+   */
+  constructor(options) {
+    this.dirPath = options.dirPath;
+    this.cache = new Map(); // Board key -> ghost - only boards that have one, so lookups of made-up keys can't grow it
+  }
+
+  /**
+   * Get the file a board's ghost is stored in
+   * @param {String} boardKey - Lap leaderboard key (track/config)
+   * @returns {String} - File path
+   */
+  getFilePath(boardKey) {
+    // Config names may contain spaces and slashes - keep the file name safe
+    return path.join(this.dirPath, `${encodeURIComponent(boardKey)}.json`);
+  }
+
+  /**
+   * Get the record ghost of a board
+   * @param {String} boardKey - Lap leaderboard key (track/config)
+   * @returns {Object|null} - The ghost, or null if none has been uploaded
+   */
+  get(boardKey) {
+    if (this.cache.has(boardKey)) {
+      return this.cache.get(boardKey);
+    }
+
+    let ghost = null;
+    try {
+      const filePath = this.getFilePath(boardKey);
+      if (fs.existsSync(filePath)) {
+        ghost = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error loading ghost for "${boardKey}":`, error.message);
+    }
+
+    if (ghost) {
+      this.cache.set(boardKey, ghost);
+    }
+    return ghost;
+  }
+
+  /**
+   * Replace the record ghost of a board
+   * @param {String} boardKey - Lap leaderboard key (track/config)
+   * @param {Object} ghost - { name, time, trackId, configName, samples }
+   */
+  save(boardKey, ghost) {
+    const stored = Object.assign({}, ghost, { recordedAt: new Date().toISOString() });
+    this.cache.set(boardKey, stored);
+
+    try {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+      const filePath = this.getFilePath(boardKey);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(stored));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Error saving ghost for "${boardKey}":`, error);
+    }
+  }
+}
+
+GhostStore.SAMPLE_SIZE = SAMPLE_SIZE;
+GhostStore.SAMPLE_INTERVAL = SAMPLE_INTERVAL;
+GhostStore.MAX_SAMPLES = MAX_SAMPLES;
+
+module.exports = GhostStore;
@@ -0,0 +1,184 @@
+/**
+ * LeaderboardStore.js - File-backed leaderboard storage
+ *
+ * Keeps each player's best lap per track config, best jump per ramp and best
+ * airtime, and persists them to a JSON file so records survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Supported leaderboard categories and whether a lower value is better
+const CATEGORIES = {
+  laps: { lowerIsBetter: true },
+  ramps: { lowerIsBetter: false },
+  airtime: { lowerIsBetter: false }
+};
+
+const MAX_ENTRIES_PER_BOARD = 100; // Entries kept per board (category + key)
+const SAVE_DELAY = 1000; // Debounce writes so a burst of records is one file write
+
+class LeaderboardStore {
+  /**
+   * @param {Object} options
+   * @param {String} options.filePath - Path of the JSON file to persist to
+   */
+  constructor(options) {
+    this.filePath = options.filePath;
+    this.saveTimer = null;
+    this.data = this.load();
+  }
+
+  /**
+   * Read the leaderboard file, starting empty if it doesn't exist or is unreadable
+   * @returns {Object} - Boards keyed by category, then by board key
+   */
+  load() {
+    const empty = {};
+    Object.keys(CATEGORIES).forEach(category => {
+      empty[category] = {};
+    });
+
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return empty;
+      }
+
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.keys(CATEGORIES).forEach(category => {
+        if (stored[category] && typeof stored[category] === 'object') {
+          empty[category] = stored[category];
+        }
+      });
+      console.log(`Leaderboard loaded from ${this.filePath}`);
+    } catch (error) {
+      console.error('Error loading leaderboard, starting with an empty one:', error.message);
+    }
+
+    return empty;
+  }
+
+  /**
+   * Schedule a write of the leaderboard to disk
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write the leaderboard to disk (via a temp file so a crash can't truncate it)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving leaderboard:', error);
+    }
+  }
+
+  /**
+   * Write any pending changes immediately (used on shutdown)
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  }
+
+  /**
+   * Record a result, keeping only each player's personal best per board
+   * @param {String} category - 'laps', 'ramps' or 'airtime'
+   * @param {String} key - Board key (track config for laps, ramp ID for ramps)
+   * @param {String} playerName - Name of the player
+   * @param {Number} value - Lap time in seconds, jump height in m or airtime in s
+   * @returns {Object} - { personalBest: Boolean, record: Boolean }
+   */
+  record(category, key, playerName, value) {
+    const settings = CATEGORIES[category];
+    if (!settings) {
+      throw new Error(`Unknown leaderboard category "${category}"`);
+    }
+
+    const boards = this.data[category];
+    const board = boards[key] || (boards[key] = []);
+    const isBetter = (a, b) => settings.lowerIsBetter ? a < b : a > b;
+
+    const previousRecord = board.length > 0 ? board[0].value : null;
+    const existing = board.find(entry => entry.name === playerName);
+
+    if (existing && !isBetter(value, existing.value)) {
+      return { personalBest: false, record: false };
+    }
+
+    const entry = { name: playerName, value: value, timestamp: new Date().toISOString() };
+    if (existing) {
+      board.splice(board.indexOf(existing), 1);
+    }
+    board.push(entry);
+    board.sort((a, b) => settings.lowerIsBetter ? a.value - b.value : b.value - a.value);
+    board.length = Math.min(board.length, MAX_ENTRIES_PER_BOARD);
+
+    this.scheduleSave();
+
+    return {
+      personalBest: true,
+      record: previousRecord === null || isBetter(value, previousRecord)
+    };
+  }
+
+  /**
+   * Get the top entries of a board
+   * @param {String} category - 'laps', 'ramps' or 'airtime'
+   * @param {String} key - Board key
+   * @param {Number} limit - Maximum number of entries to return
+   * @returns {Array} - Ranked entries
+   */
+  getTop(category, key, limit) {
+    const boards = this.data[category];
+    if (!boards || !boards[key]) return [];
+
+    return boards[key].slice(0, limit).map((entry, index) => ({
+      rank: index + 1,
+      name: entry.name,
+      value: entry.value,
+      timestamp: entry.timestamp
+    }));
+  }
+
+  /**
+   * Get the best entry of a board
+   * @param {String} category - 'laps', 'ramps' or 'airtime'
+   * @param {String} key - Board key
+   * @returns {Object|null} - The record entry, or null if the board is empty
+   */
+  getRecord(category, key) {
+    const top = this.getTop(category, key, 1);
+    return top.length > 0 ? top[0] : null;
+  }
+
+  /**
+   * List the board keys that exist for a category
+   * @param {String} category - 'laps', 'ramps' or 'airtime'
+   * @returns {Array} - Board keys
+   */
+  getKeys(category) {
+    return this.data[category] ? Object.keys(this.data[category]) : [];
+  }
+}
+
+LeaderboardStore.CATEGORIES = Object.keys(CATEGORIES);
+
+// Airtime has a single global board
+LeaderboardStore.GLOBAL_KEY = 'global';
+
+module.exports = LeaderboardStore;
@@ -0,0 +1,550 @@
+/**
+ * RaceManager.js - Server-authoritative race sessions
+ *
+ * Owns the race lifecycle (lobby -> countdown -> racing -> results),
+ * validates checkpoint progress reported by clients against the active
+ * checkpoint configuration and pushes the finishing order to every client.
+ */
+
+const TrackCatalog = require('./TrackCatalog');
+
+// Race lifecycle states
+const RACE_STATES = {
+  LOBBY: 'lobby',
+  COUNTDOWN: 'countdown',
+  RACING: 'racing',
+  FINISHED: 'finished'
+};
+
+// Timing and validation settings
+const COUNTDOWN_SECONDS = 3;
+const CHECKPOINT_TOLERANCE = 30; // Max distance (units) between player and checkpoint when reporting a pass
+const GATE_TOLERANCE_MARGIN = 10; // Wide gates allow half their width plus this much
+const MIN_DIRECTION_SPEED = 1; // Slower players (m/s) aren't checked for the way they pass a gate
+const MIN_CHECKPOINT_INTERVAL = 1000; // Minimum ms between two checkpoints of the same player
+const MAX_LAPS = 10; // Most laps the lobby can set for a circuit race
+const FINISH_GRACE_PERIOD = 30000; // Time others get to finish after the winner crosses the line
+const MAX_RACE_DURATION = 15 * 60 * 1000; // Hard limit so an abandoned race can't block the lobby
+const RESULTS_DISPLAY_TIME = 10000; // Time results stay up before the lobby reopens
+const GRID_SPACING = 6; // Distance between grid slots behind the start line
+
+class RaceManager {
+  /**
+   * @param {Object} options
+   * @param {Server} options.io - The Socket.IO server
+   * @param {String} [options.roomId] - Socket.IO room the race is broadcast to (everyone if omitted)
+   * @param {Object} options.players - The shared players map keyed by socket ID
+   * @param {Function} options.getCheckpointConfig - Returns the active checkpoint config
+   * @param {Number} [options.laps=1] - Number of laps per race
+   * @param {AntiCheat} [options.antiCheat] - Told about grid teleports so they aren't flagged
+   * @param {Function} [options.onRaceEnd] - Called once the results of a race are out
+   * @param {Function} [options.getStartBlocker] - Returns why a race can't start right now, or null
+   * @param {Function} [options.onLobbyOpen] - Called whenever the lobby (re)opens
+   */
+  constructor(options) {
+    this.io = options.io;
+    this.roomId = options.roomId || null;
+    this.players = options.players;
+    this.getCheckpointConfig = options.getCheckpointConfig;
+    this.laps = options.laps || 1;
+    this.antiCheat = options.antiCheat || null;
+    this.onRaceEnd = options.onRaceEnd || null;
+    this.getStartBlocker = options.getStartBlocker || null;
+    this.onLobbyOpen = options.onLobbyOpen || null;
+
+    this.state = RACE_STATES.LOBBY;
+    this.participants = {};
+    this.checkpoints = [];
+    this.isSprint = false; // Sprints are one run from the first checkpoint to the last
+    this.startTime = 0;
+    this.finishOrder = [];
+    this.timers = [];
+  }
+
+  /**
+   * Attach race event handlers to a newly connected socket
+   * @param {Socket} socket - The connected socket
+   */
+  registerSocket(socket) {
+    // Let the new player know what the race is doing right now
+    socket.emit('raceState', this.getState());
+
+    socket.on('raceJoin', () => this.join(socket.id));
+    socket.on('raceLeave', () => this.leave(socket.id));
+    socket.on('raceStart', () => this.requestStart(socket.id));
+    socket.on('raceCheckpoint', (data) => this.reportCheckpoint(socket, data));
+    socket.on('raceLaps', (data) => this.setLaps(socket.id, data.laps));
+  }
+
+  /**
+   * Add a player to the lobby
+   * @param {String} playerId - Socket ID of the player
+   */
+  join(playerId) {
+    if (!this.players[playerId]) return;
+
+    if (this.state !== RACE_STATES.LOBBY) {
+      this.io.to(playerId).emit('raceError', { message: 'A race is already in progress' });
+      return;
+    }
+
+    if (this.participants[playerId]) return;
+
+    this.participants[playerId] = this.createParticipant(playerId);
+    console.log(`Player ${playerId} joined the race lobby`);
+    this.broadcastState();
+  }
+
+  /**
+   * Remove a player from the race (lobby or running)
+   * @param {String} playerId - Socket ID of the player
+   */
+  leave(playerId) {
+    if (!this.participants[playerId]) return;
+
+    delete this.participants[playerId];
+    console.log(`Player ${playerId} left the race`);
+
+    if (Object.keys(this.participants).length === 0 && this.state !== RACE_STATES.FINISHED) {
+      // Nobody left to race - reopen the lobby
+      this.reset();
+    } else if (this.state === RACE_STATES.RACING) {
+      this.checkRaceComplete();
+    }
+
+    this.broadcastState();
+  }
+
+  /**
+   * Set the number of laps of the next race - anyone in the room can change it while the lobby is open
+   * @param {String} playerId - Socket ID of the requesting player
+   * @param {Number} laps - Number of laps, 1 to MAX_LAPS
+   */
+  setLaps(playerId, laps) {
+    if (!Number.isInteger(laps) || laps < 1 || laps > MAX_LAPS) return;
+    if (this.state !== RACE_STATES.LOBBY) {
+      this.io.to(playerId).emit('raceError', { message: 'The lap count can only be changed between races' });
+      return;
+    }
+    if (laps === this.laps) return;
+
+    this.laps = laps;
+    console.log(`Player ${playerId} set the race to ${laps} lap${laps === 1 ? '' : 's'}`);
+    this.broadcastState();
+  }
+
+  /**
+   * Start the countdown - any lobby member can trigger it
+   * @param {String} playerId - Socket ID of the requesting player
+   */
+  requestStart(playerId) {
+    if (this.state !== RACE_STATES.LOBBY || !this.participants[playerId]) return;
+
+    const blocker = this.getStartBlocker ? this.getStartBlocker() : null;
+    if (blocker) {
+      this.io.to(playerId).emit('raceError', { message: blocker });
+      return;
+    }
+
+    const config = this.getCheckpointConfig();
+    if (!config || !Array.isArray(config.positions) || config.positions.length < 2) {
+      this.io.to(playerId).emit('raceError', { message: 'No valid checkpoint configuration loaded' });
+      return;
+    }
+
+    this.checkpoints = config.positions;
+    this.isSprint = config.mode === TrackCatalog.COURSE_MODES.SPRINT;
+    this.state = RACE_STATES.COUNTDOWN;
+
+    // Assign grid slots behind the start line
+    const grid = this.createGrid();
+
+    console.log(`Race countdown started by ${playerId} with ${Object.keys(this.participants).length} racers`);
+
+    let secondsLeft = COUNTDOWN_SECONDS;
+    this.broadcast('raceCountdown', {
+      seconds: secondsLeft,
+      grid: grid,
+      laps: this.getLapCount(),
+      checkpointCount: this.checkpoints.length
+    });
+
+    const tick = () => {
+      secondsLeft--;
+      if (this.state !== RACE_STATES.COUNTDOWN) return;
+
+      if (secondsLeft > 0) {
+        this.broadcast('raceCountdown', { seconds: secondsLeft });
+        this.schedule(tick, 1000);
+      } else {
+        this.startRace();
+      }
+    };
+    this.schedule(tick, 1000);
+    this.broadcastState();
+  }
+
+  /**
+   * Switch to racing state once the countdown completes
+   */
+  startRace() {
+    this.state = RACE_STATES.RACING;
+    this.startTime = Date.now();
+    this.finishOrder = [];
+
+    Object.values(this.participants).forEach(participant => {
+      participant.lastCheckpointTime = this.startTime;
+    });
+
+    this.broadcast('raceStarted', { startTime: this.startTime, laps: this.getLapCount() });
+    this.schedule(() => this.endRace('time limit reached'), MAX_RACE_DURATION);
+    this.broadcastState();
+  }
+
+  /**
+   * Validate a checkpoint pass reported by a client
+   * @param {Socket} socket - The reporting socket
+   * @param {Object} data - { index: Number }
+   */
+  reportCheckpoint(socket, data) {
+    const participant = this.participants[socket.id];
+    if (this.state !== RACE_STATES.RACING || !participant || participant.finishTime) return;
+
+    const index = data && Number.isInteger(data.index) ? data.index : -1;
+    const rejection = this.validateCheckpoint(participant, index);
+    if (rejection) {
+      console.warn(`Rejected checkpoint ${index} from ${socket.id}: ${rejection}`);
+      socket.emit('raceCheckpointRejected', {
+        index: index,
+        expected: participant.nextCheckpoint,
+        reason: rejection
+      });
+      return;
+    }
+
+    const now = Date.now();
+    participant.lastCheckpointTime = now;
+
+    // A lap ends back at the start gate; a sprint ends at its last gate
+    const finishIndex = this.isSprint ? this.checkpoints.length - 1 : 0;
+    if (index === finishIndex) {
+      participant.lap++;
+    }
+    participant.nextCheckpoint = (index + 1) % this.checkpoints.length;
+
+    this.broadcast('raceProgress', {
+      id: socket.id,
+      lap: participant.lap,
+      nextCheckpoint: participant.nextCheckpoint,
+      time: now - this.startTime
+    });
+
+    if (participant.lap >= this.getLapCount()) {
+      participant.finishTime = now - this.startTime;
+      this.finishOrder.push(socket.id);
+
+      this.broadcast('racePlayerFinished', {
+        id: socket.id,
+        name: this.getPlayerName(socket.id),
+        position: this.finishOrder.length,
+        time: participant.finishTime
+      });
+
+      // First finisher starts the grace period for everyone else
+      if (this.finishOrder.length === 1) {
+        this.schedule(() => this.endRace('finish grace period over'), FINISH_GRACE_PERIOD);
+      }
+
+      this.checkRaceComplete();
+    }
+  }
+
+  /**
+   * Check a checkpoint report against the expected sequence and the player's
+   * last known position
+   * @param {Object} participant - The participant record
+   * @param {Number} index - Reported checkpoint index
+   * @returns {String|null} - Rejection reason, or null if the report is valid
+   */
+  validateCheckpoint(participant, index) {
+    if (index < 0 || index >= this.checkpoints.length) {
+      return 'unknown checkpoint';
+    }
+
+    if (index !== participant.nextCheckpoint) {
+      return 'checkpoint out of order';
+    }
+
+    if (Date.now() - participant.lastCheckpointTime < MIN_CHECKPOINT_INTERVAL) {
+      return 'checkpoint reached too quickly';
+    }
+
+    const player = this.players[participant.id];
+    const checkpoint = this.checkpoints[index];
+    if (!player || !player.position) {
+      return 'no position known for player';
+    }
+
+    const dx = player.position.x - checkpoint.x;
+    const dz = player.position.z - checkpoint.z;
+    const tolerance = Math.max(CHECKPOINT_TOLERANCE, (checkpoint.width || 0) / 2 + GATE_TOLERANCE_MARGIN);
+    if (Math.sqrt(dx * dx + dz * dz) > tolerance) {
+      return 'too far from checkpoint';
+    }
+
+    // Gates with a heading have to be driven through along it
+    const velocity = player.velocity;
+    if (typeof checkpoint.heading === 'number' && velocity && Math.hypot(velocity.x, velocity.z) > MIN_DIRECTION_SPEED) {
+      const heading = checkpoint.heading * Math.PI / 180;
+      if (velocity.x * Math.sin(heading) + velocity.z * Math.cos(heading) < 0) {
+        return 'wrong way through checkpoint';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * End the race once every remaining participant has finished
+   */
+  checkRaceComplete() {
+    const remaining = Object.values(this.participants).filter(p => !p.finishTime);
+    if (remaining.length === 0) {
+      this.endRace('all racers finished');
+    }
+  }
+
+  /**
+   * Finish the race and push the final order to every client
+   * @param {String} reason - Why the race ended (for logging)
+   */
+  endRace(reason) {
+    if (this.state !== RACE_STATES.RACING) return;
+
+    console.log(`Race ended: ${reason}`);
+    this.clearTimers();
+    this.state = RACE_STATES.FINISHED;
+
+    const results = this.getResults();
+    this.broadcast('raceResults', { results: results });
+    this.broadcastState();
+
+    if (this.onRaceEnd) {
+      this.onRaceEnd(results);
+    }
+
+    // Reopen the lobby after the results have been shown
+    this.schedule(() => {
+      this.reset();
+      this.broadcastState();
+    }, RESULTS_DISPLAY_TIME);
+  }
+
+  /**
+   * Build the finishing order - finishers first, then DNFs by progress
+   * @returns {Array} - Ordered result entries
+   */
+  getResults() {
+    const finished = this.finishOrder
+      .filter(id => this.participants[id])
+      .map(id => this.participants[id]);
+
+    const unfinished = Object.values(this.participants)
+      .filter(p => !p.finishTime)
+      .sort((a, b) => {
+        if (b.lap !== a.lap) return b.lap - a.lap;
+        // nextCheckpoint 0 means the player is on the final sector of the lap
+        const progressA = a.nextCheckpoint === 0 ? this.checkpoints.length : a.nextCheckpoint;
+        const progressB = b.nextCheckpoint === 0 ? this.checkpoints.length : b.nextCheckpoint;
+        if (progressB !== progressA) return progressB - progressA;
+        return a.lastCheckpointTime - b.lastCheckpointTime;
+      });
+
+    return finished.concat(unfinished).map((participant, index) => ({
+      id: participant.id,
+      name: this.getPlayerName(participant.id),
+      position: index + 1,
+      time: participant.finishTime || null,
+      finished: !!participant.finishTime,
+      lap: participant.lap
+    }));
+  }
+
+  /**
+   * Handle a socket disconnecting from the server
+   * @param {String} playerId - Socket ID of the player
+   */
+  handleDisconnect(playerId) {
+    this.leave(playerId);
+  }
+
+  /**
+   * Carry a participant's progress over to the new socket ID of a resumed session
+   * @param {String} oldId - Socket ID before the reconnect
+   * @param {String} newId - Socket ID after the reconnect
+   */
+  renamePlayer(oldId, newId) {
+    const participant = this.participants[oldId];
+    if (!participant) return;
+
+    delete this.participants[oldId];
+    participant.id = newId;
+    this.participants[newId] = participant;
+    this.finishOrder = this.finishOrder.map(id => id === oldId ? newId : id);
+
+    this.broadcastState();
+  }
+
+  /**
+   * Reset to an empty lobby
+   */
+  reset() {
+    this.clearTimers();
+    this.state = RACE_STATES.LOBBY;
+    this.participants = {};
+    this.checkpoints = [];
+    this.isSprint = false;
+    this.startTime = 0;
+    this.finishOrder = [];
+
+    if (this.onLobbyOpen) {
+      this.onLobbyOpen();
+    }
+  }
+
+  /**
+   * Get the number of laps a racer has to drive - a sprint is a single run
+   * @returns {Number}
+   */
+  getLapCount() {
+    return this.isSprint ? 1 : this.laps;
+  }
+
+  /**
+   * Create a fresh participant record
+   * @param {String} playerId - Socket ID of the player
+   * @returns {Object} - The participant record
+   */
+  createParticipant(playerId) {
+    return {
+      id: playerId,
+      lap: 0,
+      // Racers start behind the start line, so the first gate they need is checkpoint 1
+      nextCheckpoint: 1,
+      lastCheckpointTime: 0,
+      finishTime: null
+    };
+  }
+
+  /**
+   * Assign each participant a slot behind the start/finish checkpoint
+   * @returns {Object} - Map of player ID to grid position
+   */
+  createGrid() {
+    const start = this.checkpoints[0];
+    const next = this.checkpoints[1];
+
+    // The way the start gate is driven through, or else from the start line towards the first checkpoint
+    let dirX = next.x - start.x;
+    let dirZ = next.z - start.z;
+    if (typeof start.heading === 'number') {
+      dirX = Math.sin(start.heading * Math.PI / 180);
+      dirZ = Math.cos(start.heading * Math.PI / 180);
+    }
+    const length = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+    dirX /= length;
+    dirZ /= length;
+
+    const grid = {};
+    Object.keys(this.participants).forEach((playerId, slot) => {
+      const row = Math.floor(slot / 2) + 1;
+      const side = slot % 2 === 0 ? -1 : 1;
+      grid[playerId] = {
+        x: start.x + dirZ * side * GRID_SPACING / 2 - dirX * row * GRID_SPACING,
+        y: start.y + 2,
+        z: start.z - dirX * side * GRID_SPACING / 2 - dirZ * row * GRID_SPACING,
+        // The ATV drives along its local +Z axis
+        heading: Math.atan2(dirX, dirZ)
+      };
+
+      this.participants[playerId].nextCheckpoint = 1;
+      this.participants[playerId].lap = 0;
+
+      // Moving to the grid is a sanctioned teleport
+      if (this.antiCheat) {
+        this.antiCheat.allowTeleport(playerId, grid[playerId]);
+      }
+    });
+
+    return grid;
+  }
+
+  /**
+   * Get a serializable snapshot of the race state
+   * @returns {Object} - The race state
+   */
+  getState() {
+    return {
+      state: this.state,
+      laps: this.getLapCount(),
+      startTime: this.startTime,
+      participants: Object.values(this.participants).map(p => ({
+        id: p.id,
+        name: this.getPlayerName(p.id),
+        lap: p.lap,
+        nextCheckpoint: p.nextCheckpoint,
+        finished: !!p.finishTime
+      }))
+    };
+  }
+
+  /**
+   * Send an event to every client in the race's room
+   * @param {String} event - Event name
+   * @param {Object} data - Event payload
+   */
+  broadcast(event, data) {
+    const target = this.roomId ? this.io.to(this.roomId) : this.io;
+    target.emit(event, data);
+  }
+
+  /**
+   * Send the current race state to all clients in the room
+   */
+  broadcastState() {
+    this.broadcast('raceState', this.getState());
+  }
+
+  /**
+   * Look up a player's display name
+   * @param {String} playerId - Socket ID of the player
+   * @returns {String} - The player's name
+   */
+  getPlayerName(playerId) {
+    return this.players[playerId] ? this.players[playerId].name : 'Unknown Player';
+  }
+
+  /**
+   * Run a callback later and remember the timer so it can be cancelled
+   */
+  schedule(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter(t => t !== timer);
+      callback();
+    }, delay);
+    this.timers.push(timer);
+  }
+
+  /**
+   * Cancel all pending race timers
+   */
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+  }
+}
+
+RaceManager.STATES = RACE_STATES;
+RaceManager.MAX_LAPS = MAX_LAPS;
+
+module.exports = RaceManager;
@@ -0,0 +1,91 @@
+/**
+ * ReconnectManager.js - Resumable player sessions
+ *
+ * Every player gets a resume token when they first connect. If their socket
+ * drops, the player is kept in their room for a grace period; a client that
+ * reconnects with the token within that time gets its old player back
+ * (name, color, stats and race progress) instead of a new identity.
+ */
+
+const crypto = require('crypto');
+
+const RESUME_GRACE_PERIOD = 30000; // How long a dropped player is kept around
+
+class ReconnectManager {
+  constructor() {
+    this.sessions = new Map(); // Resume token -> { playerId, roomId, expiryTimer }
+  }
+
+  /**
+   * Issue a resume token for a newly created player
+   * @param {String} playerId - Socket ID of the player
+   * @param {String} roomId - Room the player is in
+   * @returns {String} - The resume token
+   */
+  issueToken(playerId, roomId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, { playerId: playerId, roomId: roomId, expiryTimer: null });
+    return token;
+  }
+
+  /**
+   * Claim the session of a disconnected player
+   * @param {String} token - Resume token sent by the reconnecting client
+   * @returns {Object|null} - { playerId, roomId } of the old session, or null if it can't be resumed
+   */
+  resume(token) {
+    if (typeof token !== 'string') return null;
+
+    const session = this.sessions.get(token);
+
+    // Only a dropped session can be resumed - a token copied into a second tab
+    // must not take over a player that is still connected
+    if (!session || !session.expiryTimer) return null;
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    return { playerId: session.playerId, roomId: session.roomId };
+  }
+
+  /**
+   * Point a resumed session at the player's new socket ID
+   * @param {String} token - Resume token
+   * @param {String} playerId - New socket ID of the player
+   */
+  updatePlayerId(token, playerId) {
+    const session = this.sessions.get(token);
+    if (session) {
+      session.playerId = playerId;
+    }
+  }
+
+  /**
+   * Start the grace period for a dropped player
+   * @param {String} token - The player's resume token
+   * @param {Function} onExpire - Called if the player doesn't come back in time
+   */
+  hold(token, onExpire) {
+    const session = this.sessions.get(token);
+    if (!session) {
+      onExpire();
+      return;
+    }
+
+    session.expiryTimer = setTimeout(() => {
+      this.sessions.delete(token);
+      onExpire();
+    }, RESUME_GRACE_PERIOD);
+  }
+
+  /**
+   * Stop all grace period timers (used on shutdown)
+   */
+  clear() {
+    this.sessions.forEach(session => clearTimeout(session.expiryTimer));
+    this.sessions.clear();
+  }
+}
+
+ReconnectManager.RESUME_GRACE_PERIOD = RESUME_GRACE_PERIOD;
+
+module.exports = ReconnectManager;
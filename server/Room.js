@@ -0,0 +1,317 @@
+/**
+ * Room.js - One game instance on the server
+ *
+ * Each room has its own players, ramp stats, race session, snapshot tick,
+ * track and checkpoint configuration. Clients in a room only see and hear
+ * about the players in that room. After every race the players vote on the
+ * room's next track.
+ */
+
+const RaceManager = require('./RaceManager');
+const SnapshotBroadcaster = require('./SnapshotBroadcaster');
+const TrackVote = require('./TrackVote');
+
+class Room {
+  /**
+   * @param {Object} options
+   * @param {String} options.id - URL-safe room ID (also the Socket.IO room name)
+   * @param {String} options.name - Display name
+   * @param {Server} options.io - The Socket.IO server
+   * @param {Number} options.maxPlayers - Player cap
+   * @param {Boolean} options.autoCreated - Whether the server created the room to spread players out
+   * @param {String} options.trackId - Track played in the room (manifest ID, see TrackCatalog)
+   * @param {String} options.configName - Checkpoint configuration used in the room
+   * @param {Object} options.checkpointConfig - The loaded checkpoint configuration
+   * @param {TrackCatalog} options.tracks - Tracks the room can vote between
+   * @param {Function} options.getTrackCheckpointConfig - Returns { configName, config } for a track and layout name
+   * @param {Function} options.createGameStats - Returns the ramp and airtime records for a track
+   * @param {AntiCheat} options.antiCheat - Shared plausibility checks
+   */
+  constructor(options) {
+    this.id = options.id;
+    this.name = options.name;
+    this.io = options.io;
+    this.maxPlayers = options.maxPlayers;
+    this.autoCreated = options.autoCreated;
+    this.trackId = options.trackId;
+    this.configName = options.configName;
+    this.checkpointConfig = options.checkpointConfig;
+    this.createGameStats = options.createGameStats;
+    this.gameStats = this.createGameStats(this.trackId);
+    this.tracks = options.tracks;
+    this.getTrackCheckpointConfig = options.getTrackCheckpointConfig;
+    this.createdAt = Date.now();
+    this.pendingReload = false; // An editor saved the track during a race - rebuild it once the race is over
+    this.pendingLayoutRefresh = false; // Same for a saved or deleted layout of the room
+
+    this.players = {};
+
+    // The players pick the next track when a race is over
+    this.trackVote = new TrackVote({
+      io: this.io,
+      roomId: this.id,
+      players: this.players,
+      getOptions: () => this.tracks.list(),
+      getCurrentTrack: () => this.trackId,
+      onDecided: (trackId) => {
+        this.setTrack(trackId);
+        this.applyPendingChanges();
+      }
+    });
+
+    // Race sessions are owned by the server, one per room
+    this.raceManager = new RaceManager({
+      io: this.io,
+      roomId: this.id,
+      players: this.players,
+      getCheckpointConfig: () => this.checkpointConfig,
+      antiCheat: options.antiCheat,
+      onRaceEnd: () => this.trackVote.start(),
+      getStartBlocker: () => this.trackVote.isActive() ? 'Wait for the track vote to finish' : null,
+      onLobbyOpen: () => this.applyPendingChanges()
+    });
+
+    // Player movement goes out on a fixed tick, one binary snapshot per client with
+    // nearby players every tick and distant players at a reduced rate
+    this.snapshots = new SnapshotBroadcaster({
+      players: this.players
+    });
+    this.snapshots.start();
+  }
+
+  /**
+   * Send an event to everyone in the room
+   * @param {String} event - Event name
+   * @param {*} data - Event payload
+   */
+  emit(event, data) {
+    this.io.to(this.id).emit(event, data);
+  }
+
+  /**
+   * Whether the room has reached its player cap
+   * @returns {Boolean}
+   */
+  isFull() {
+    return this.getPlayerCount() >= this.maxPlayers;
+  }
+
+  /**
+   * @returns {Number} - Number of players in the room
+   */
+  getPlayerCount() {
+    return Object.keys(this.players).length;
+  }
+
+  /**
+   * Add a connected socket's player to the room
+   * @param {Socket} socket - The player's socket
+   * @param {Object} player - The player record (netId is assigned here)
+   */
+  addPlayer(socket, player) {
+    player.netId = this.snapshots.allocateNetId(); // Identifies the player in world snapshots
+    player.connected = true;
+    this.players[socket.id] = player;
+    socket.join(this.id);
+    socket.data.roomId = this.id;
+  }
+
+  /**
+   * Stop sending to a player whose connection dropped, keeping them in the room
+   * until their session is resumed or expires
+   * @param {String} playerId - Socket ID of the player
+   */
+  disconnectPlayer(playerId) {
+    const player = this.players[playerId];
+    if (!player) return;
+
+    player.connected = false;
+    this.snapshots.removeViewer(playerId);
+    this.trackVote.handlePlayerLeft();
+  }
+
+  /**
+   * Move a disconnected player over to the new socket of their resumed session
+   * @param {String} oldId - Socket ID before the reconnect
+   * @param {Socket} socket - The new socket
+   * @returns {Object} - The player record
+   */
+  resumePlayer(oldId, socket) {
+    const player = this.players[oldId];
+    delete this.players[oldId];
+
+    player.id = socket.id;
+    player.connected = true;
+    this.players[socket.id] = player;
+    socket.join(this.id);
+    socket.data.roomId = this.id;
+
+    this.raceManager.renamePlayer(oldId, socket.id);
+    this.snapshots.renamePlayer(oldId, socket.id);
+    this.trackVote.renamePlayer(oldId, socket.id);
+    return player;
+  }
+
+  /**
+   * Remove a player from the room
+   * @param {String} playerId - Socket ID of the player
+   */
+  removePlayer(playerId) {
+    this.raceManager.handleDisconnect(playerId);
+    this.snapshots.removePlayer(playerId);
+    delete this.players[playerId];
+    this.trackVote.handlePlayerLeft();
+  }
+
+  /**
+   * Switch the room to another checkpoint configuration
+   * @param {String} configName - Name of the configuration
+   * @param {Object} config - The loaded configuration
+   */
+  setCheckpointConfig(configName, config) {
+    this.configName = configName;
+    this.checkpointConfig = config;
+  }
+
+  /**
+   * Switch the room to another track and tell every client to load it
+   * @param {String} trackId - Track ID (must exist in the catalog)
+   */
+  setTrack(trackId) {
+    if (trackId === this.trackId) return;
+
+    const { configName, config } = this.getTrackCheckpointConfig(trackId);
+    this.trackId = trackId;
+    this.setCheckpointConfig(configName, config);
+    // The new track is loaded fresh anyway
+    this.pendingReload = false;
+    this.pendingLayoutRefresh = false;
+
+    console.log(`Room "${this.id}" switched to track "${trackId}"`);
+    this.refreshGameStats();
+    this.emit('trackChanged', { trackId: trackId, configName: configName });
+  }
+
+  /**
+   * Load the ramps (and their records) of the room's track and send them to every client
+   */
+  refreshGameStats() {
+    // Updated in place - the connection handlers hold on to the room's stats
+    Object.assign(this.gameStats, this.createGameStats(this.trackId));
+    this.emit('gameStats', this.gameStats);
+  }
+
+  /**
+   * Whether the room is between races - the only time its track and layout may change,
+   * since racers keep the checkpoints the race started with
+   * @returns {Boolean}
+   */
+  isBetweenRaces() {
+    return this.raceManager.state === RaceManager.STATES.LOBBY && !this.trackVote.isActive();
+  }
+
+  /**
+   * Pick up a saved change to the room's track and tell every client to rebuild it,
+   * or wait until the race and the track vote are over
+   */
+  reloadTrack() {
+    if (!this.isBetweenRaces()) {
+      this.pendingReload = true;
+      return;
+    }
+    this.pendingReload = false;
+    this.pendingLayoutRefresh = false;
+
+    // The room keeps its layout unless the track no longer has it
+    const { configName, config } = this.getTrackCheckpointConfig(this.trackId, this.configName) ||
+      this.getTrackCheckpointConfig(this.trackId);
+    this.setCheckpointConfig(configName, config);
+
+    console.log(`Room "${this.id}" reloaded track "${this.trackId}"`);
+    this.refreshGameStats();
+    this.emit('trackUpdated', { trackId: this.trackId, configName: configName });
+  }
+
+  /**
+   * Switch the room to another checkpoint layout of its track (from the layout picker)
+   * @param {String} configName - Layout name
+   * @returns {String|null} - Why the layout can't be used, or null once the room switched
+   */
+  setLayout(configName) {
+    if (configName === this.configName) return null;
+    if (!this.isBetweenRaces()) {
+      return 'The layout can only be changed between races';
+    }
+
+    const layout = this.getTrackCheckpointConfig(this.trackId, configName);
+    if (!layout) {
+      return `This track has no layout called "${configName}"`;
+    }
+
+    this.setCheckpointConfig(layout.configName, layout.config);
+    console.log(`Room "${this.id}" switched to checkpoint layout "${configName}"`);
+    this.emit('layoutChanged', { trackId: this.trackId, configName: configName });
+    return null;
+  }
+
+  /**
+   * Pick up a saved or deleted layout of the room's track - a room on a deleted
+   * layout goes back to the default one. Mid-race the change waits until the race
+   * and the track vote are over.
+   * @param {String} configName - Layout that changed
+   */
+  refreshLayout(configName) {
+    if (configName !== this.configName) return;
+    if (!this.isBetweenRaces()) {
+      this.pendingLayoutRefresh = true;
+      return;
+    }
+    this.pendingLayoutRefresh = false;
+
+    const layout = this.getTrackCheckpointConfig(this.trackId, configName) ||
+      this.getTrackCheckpointConfig(this.trackId);
+    this.setCheckpointConfig(layout.configName, layout.config);
+    this.emit('layoutChanged', { trackId: this.trackId, configName: layout.configName });
+  }
+
+  /**
+   * Apply the changes editors saved while the room was racing or voting
+   */
+  applyPendingChanges() {
+    if (!this.isBetweenRaces()) return;
+
+    // A track reload picks up the room's layout as well
+    if (this.pendingReload) {
+      this.reloadTrack();
+    } else if (this.pendingLayoutRefresh) {
+      this.refreshLayout(this.configName);
+    }
+  }
+
+  /**
+   * Get a summary of the room for the room browser
+   * @returns {Object} - Public room info
+   */
+  getInfo() {
+    return {
+      id: this.id,
+      name: this.name,
+      playerCount: this.getPlayerCount(),
+      maxPlayers: this.maxPlayers,
+      trackId: this.trackId,
+      configName: this.configName,
+      raceState: this.raceManager.state
+    };
+  }
+
+  /**
+   * Stop the room's timers (the room must be empty)
+   */
+  destroy() {
+    this.snapshots.stop();
+    this.raceManager.reset();
+    this.trackVote.cancel();
+  }
+}
+
+module.exports = Room;
@@ -0,0 +1,199 @@
+/**
+ * RoomManager.js - Creates, finds and cleans up rooms
+ *
+ * Players either ask for a room by name (from the room browser or a ?room=
+ * link) or are placed in an automatically created public room. Public rooms
+ * are sharded by player cap: when they are all full a new one is opened.
+ * New rooms start on the track the player who opened them picked, and
+ * public rooms on the picked track are preferred. Empty rooms are removed.
+ */
+
+const Room = require('./Room');
+const CheckpointLayoutStore = require('./CheckpointLayoutStore');
+
+const MAX_PLAYERS_PER_ROOM = 16;
+const MAX_ROOMS = 50; // Limit on player-created rooms so the server can't be flooded
+const MAX_ROOM_NAME_LENGTH = 32;
+const AUTO_ROOM_PREFIX = 'public-';
+
+class RoomManager {
+  /**
+   * @param {Object} options
+   * @param {Server} options.io - The Socket.IO server
+   * @param {AntiCheat} options.antiCheat - Shared plausibility checks
+   * @param {Function} options.createGameStats - Returns fresh ramp and airtime stats for a room on a track
+   * @param {CheckpointLayoutStore} options.layouts - Checkpoint layouts of every track
+   * @param {TrackCatalog} options.tracks - Tracks rooms can be played on
+   */
+  constructor(options) {
+    this.io = options.io;
+    this.antiCheat = options.antiCheat;
+    this.createGameStats = options.createGameStats;
+    this.layouts = options.layouts;
+    this.tracks = options.tracks;
+    this.rooms = new Map();
+  }
+
+  /**
+   * Turn a room name into a URL-safe room ID
+   * @param {String} name - Room name as typed by a player
+   * @returns {String|null} - The room ID, or null if nothing usable is left
+   */
+  static toRoomId(name) {
+    if (typeof name !== 'string') return null;
+
+    const id = name.trim().toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, MAX_ROOM_NAME_LENGTH);
+
+    return id || null;
+  }
+
+  /**
+   * Pick the room for a newly connected player
+   * @param {String} [requestedName] - Room the player asked for, if any
+   * @param {String} [requestedTrack] - Track the player picked, used if a new room is opened for them
+   * @returns {Object} - { room: Room, error: String|null } - error explains why the request wasn't honored
+   */
+  assignRoom(requestedName, requestedTrack) {
+    const trackId = this.tracks.resolve(requestedTrack);
+    const requestedId = RoomManager.toRoomId(requestedName);
+    if (!requestedId) {
+      return { room: this.findPublicRoom(trackId), error: null };
+    }
+
+    let room = this.rooms.get(requestedId);
+    if (room && room.isFull()) {
+      return { room: this.findPublicRoom(trackId), error: `Room "${room.name}" is full` };
+    }
+
+    if (!room) {
+      if (this.countPlayerRooms() >= MAX_ROOMS) {
+        return { room: this.findPublicRoom(trackId), error: 'Too many rooms are open, try again later' };
+      }
+      const name = requestedName.trim().slice(0, MAX_ROOM_NAME_LENGTH);
+      room = this.createRoom(requestedId, name, false, trackId);
+    }
+
+    return { room: room, error: null };
+  }
+
+  /**
+   * Find a public room with space on a track, opening a new one if they are all full
+   * @param {String} trackId - Track the player picked
+   * @returns {Room} - The room
+   */
+  findPublicRoom(trackId) {
+    for (const room of this.rooms.values()) {
+      if (room.autoCreated && !room.isFull() && room.trackId === trackId) {
+        return room;
+      }
+    }
+
+    // Use the lowest free number so room names stay short
+    let number = 1;
+    while (this.rooms.has(`${AUTO_ROOM_PREFIX}${number}`)) {
+      number++;
+    }
+
+    return this.createRoom(`${AUTO_ROOM_PREFIX}${number}`, `Public ${number}`, true, trackId);
+  }
+
+  /**
+   * Open a new room
+   * @param {String} id - Room ID
+   * @param {String} name - Display name
+   * @param {Boolean} autoCreated - Whether the server opened it to spread players out
+   * @param {String} trackId - Track the room starts on
+   * @returns {Room} - The new room
+   */
+  createRoom(id, name, autoCreated, trackId) {
+    const { configName, config } = this.getTrackCheckpointConfig(trackId);
+    const room = new Room({
+      id: id,
+      name: name,
+      io: this.io,
+      maxPlayers: MAX_PLAYERS_PER_ROOM,
+      autoCreated: autoCreated,
+      trackId: trackId,
+      configName: configName,
+      checkpointConfig: config,
+      tracks: this.tracks,
+      getTrackCheckpointConfig: (nextTrackId, configName) => this.getTrackCheckpointConfig(nextTrackId, configName),
+      createGameStats: this.createGameStats,
+      antiCheat: this.antiCheat
+    });
+
+    this.rooms.set(id, room);
+    console.log(`Room "${name}" (${id}) opened on track "${trackId}"`);
+    return room;
+  }
+
+  /**
+   * Get the checkpoint configuration a room on a track races with
+   * @param {String} trackId - Track ID
+   * @param {String} [configName] - Layout name (the track's default layout if omitted)
+   * @returns {Object|null} - { configName, config }, or null if the track has no such layout
+   */
+  getTrackCheckpointConfig(trackId, configName) {
+    const name = configName || CheckpointLayoutStore.DEFAULT_LAYOUT;
+    const config = this.layouts.get(trackId, name);
+    return config ? { configName: name, config: config } : null;
+  }
+
+  /**
+   * Look up a room by ID
+   * @param {String} id - Room ID
+   * @returns {Room|undefined}
+   */
+  getRoom(id) {
+    return this.rooms.get(id);
+  }
+
+  /**
+   * Remove a player from their room, closing the room if it is now empty
+   * @param {Room} room - The player's room
+   * @param {String} playerId - Socket ID of the player
+   */
+  leaveRoom(room, playerId) {
+    room.removePlayer(playerId);
+
+    if (room.getPlayerCount() === 0) {
+      room.destroy();
+      this.rooms.delete(room.id);
+      console.log(`Room "${room.name}" (${room.id}) closed`);
+    }
+  }
+
+  /**
+   * List the open rooms for the room browser
+   * @returns {Array} - Public info of every room
+   */
+  listRooms() {
+    return Array.from(this.rooms.values()).map(room => room.getInfo());
+  }
+
+  /**
+   * Call a function for every open room
+   * @param {Function} callback - Receives each room
+   */
+  forEach(callback) {
+    this.rooms.forEach(callback);
+  }
+
+  /**
+   * Count the rooms created by players
+   */
+  countPlayerRooms() {
+    let count = 0;
+    this.rooms.forEach(room => {
+      if (!room.autoCreated) count++;
+    });
+    return count;
+  }
+}
+
+RoomManager.MAX_PLAYERS_PER_ROOM = MAX_PLAYERS_PER_ROOM;
+
+module.exports = RoomManager;
@@ -0,0 +1,188 @@
+/**
+ * SnapshotBroadcaster.js - Fixed-rate world snapshots with interest management
+ *
+ * Instead of relaying every player update as it arrives, the server runs a
+ * fixed-rate tick and sends each client one binary world snapshot per tick.
+ * Every client gets its own snapshot: players within the relevance radius are
+ * included every tick, players further away only a few times per second. Each
+ * snapshot only contains the fields that changed since what that client last
+ * received; a client that joins first gets a full snapshot to start from.
+ */
+
+const StateCodec = require('../shared/StateCodec');
+
+const SNAPSHOT_INTERVAL = 50; // ms - matches the client send rate of 20 updates per second
+const RELEVANCE_RADIUS = 300; // m - players closer than this are sent every tick
+const DISTANT_SEND_INTERVAL = 500; // ms - how often players beyond the radius are sent
+const MAX_NET_ID = 0xFFFF; // Net IDs are sent as 16-bit integers
+
+class SnapshotBroadcaster {
+  /**
+   * @param {Object} options
+   * @param {Object} options.players - The shared players map keyed by socket ID
+   */
+  constructor(options) {
+    this.players = options.players;
+    this.viewers = {}; // Per-client delta state, keyed by socket ID
+    this.nextNetId = 1;
+    this.interval = null;
+  }
+
+  /**
+   * Start the snapshot tick
+   */
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.tick(), SNAPSHOT_INTERVAL);
+  }
+
+  /**
+   * Stop the snapshot tick
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Hand out a short numeric ID used for a player in snapshots
+   * @returns {Number} - An unused net ID
+   */
+  allocateNetId() {
+    const inUse = new Set(Object.values(this.players).map(player => player.netId));
+
+    for (let attempts = 0; attempts < MAX_NET_ID; attempts++) {
+      const netId = this.nextNetId;
+      this.nextNetId = netId >= MAX_NET_ID ? 1 : netId + 1;
+      if (!inUse.has(netId)) return netId;
+    }
+
+    throw new Error('No free net IDs');
+  }
+
+  /**
+   * Start sending snapshots to a socket, beginning with the full state of every player
+   * @param {Socket} socket - The socket to send to
+   */
+  addViewer(socket) {
+    const viewer = { socket: socket, lastSent: {}, lastSentTime: {} };
+    this.viewers[socket.id] = viewer;
+
+    const now = Date.now();
+    const entries = [];
+    Object.values(this.players).forEach(player => {
+      if (player.id === socket.id) return;
+
+      const state = StateCodec.quantize(player);
+      viewer.lastSent[player.id] = state;
+      viewer.lastSentTime[player.id] = now;
+      entries.push({
+        netId: player.netId,
+        position: state.position,
+        quaternion: state.quaternion,
+        velocity: state.velocity
+      });
+    });
+
+    socket.emit('worldSnapshot', Buffer.from(StateCodec.encodeSnapshot(now, entries)));
+  }
+
+  /**
+   * Send every client the changes it is interested in
+   */
+  tick() {
+    const now = Date.now();
+    const players = Object.values(this.players);
+
+    // Quantize each player once per tick, not once per viewer
+    const states = {};
+    players.forEach(player => {
+      states[player.id] = StateCodec.quantize(player);
+    });
+
+    Object.keys(this.viewers).forEach(viewerId => {
+      const viewer = this.viewers[viewerId];
+      const self = this.players[viewerId];
+      if (!self) return;
+
+      const entries = [];
+      players.forEach(player => {
+        if (player.id === viewerId) return;
+
+        // Far-away players only need an occasional update
+        const lastSentTime = viewer.lastSentTime[player.id] || 0;
+        if (!isRelevant(self, player) && now - lastSentTime < DISTANT_SEND_INTERVAL) return;
+
+        const current = states[player.id];
+        const previous = viewer.lastSent[player.id];
+        const entry = { netId: player.netId };
+
+        if (!previous || !sameVector(previous.position, current.position)) entry.position = current.position;
+        if (!previous || previous.quaternion !== current.quaternion) entry.quaternion = current.quaternion;
+        if (!previous || !sameVector(previous.velocity, current.velocity)) entry.velocity = current.velocity;
+
+        viewer.lastSent[player.id] = current;
+        viewer.lastSentTime[player.id] = now;
+
+        if (entry.position || entry.quaternion !== undefined || entry.velocity) {
+          entries.push(entry);
+        }
+      });
+
+      if (entries.length > 0) {
+        viewer.socket.emit('worldSnapshot', Buffer.from(StateCodec.encodeSnapshot(now, entries)));
+      }
+    });
+  }
+
+  /**
+   * Stop sending snapshots to a socket (its player stays in the world)
+   * @param {String} socketId - Socket ID of the viewer
+   */
+  removeViewer(socketId) {
+    delete this.viewers[socketId];
+  }
+
+  /**
+   * Carry a player over to the new socket ID of a resumed session
+   * @param {String} oldId - Socket ID before the reconnect
+   * @param {String} newId - Socket ID after the reconnect
+   */
+  renamePlayer(oldId, newId) {
+    Object.values(this.viewers).forEach(viewer => {
+      if (viewer.lastSent[oldId]) {
+        viewer.lastSent[newId] = viewer.lastSent[oldId];
+        viewer.lastSentTime[newId] = viewer.lastSentTime[oldId];
+        delete viewer.lastSent[oldId];
+        delete viewer.lastSentTime[oldId];
+      }
+    });
+  }
+
+  /**
+   * Stop sending to a player and forget what others were sent about them
+   * @param {String} playerId - Socket ID of the player
+   */
+  removePlayer(playerId) {
+    delete this.viewers[playerId];
+
+    Object.values(this.viewers).forEach(viewer => {
+      delete viewer.lastSent[playerId];
+      delete viewer.lastSentTime[playerId];
+    });
+  }
+}
+
+// Helper function to check whether a player is close enough to a viewer to be sent every tick
+function isRelevant(viewer, player) {
+  const dx = player.position.x - viewer.position.x;
+  const dz = player.position.z - viewer.position.z;
+  return dx * dx + dz * dz <= RELEVANCE_RADIUS * RELEVANCE_RADIUS;
+}
+
+// Helper function to compare two quantized vectors
+function sameVector(a, b) {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+module.exports = SnapshotBroadcaster;
@@ -0,0 +1,388 @@
+/**
+ * TrackCatalog.js - Tracks players can pick on the start screen and vote for
+ *
+ * Each tracks/<id>.json manifest describes one track (see tracks/DataDrivenTrack.js).
+ * The client builds the track from the manifest; the server only needs its
+ * name, spawn point and checkpoint layout to run rooms on it, plus the
+ * track's collision file to check saved checkpoint layouts against the ground.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CheckpointValidator = require('../shared/CheckpointValidator');
+const TrackCollision = require('../shared/TrackCollision');
+
+const DEFAULT_TRACK = 'drift-race'; // Used when a player picks nothing (or something unknown)
+const TRACK_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+// Model and collision files sit under models/ - no absolute paths, URLs, ".." or hidden segments
+const MODEL_PATH_PATTERN = /^models\/(?:[A-Za-z0-9_-][A-Za-z0-9_.-]*\/)*[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+const RAMP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // Same as the rampId of jump reports (see eventSchemas.js)
+const COURSE_MODES = CheckpointValidator.COURSE_MODES;
+
+class TrackCatalog {
+  /**
+   * @param {Object} options
+   * @param {String} options.dirPath - Directory with the track manifests
+   * @param {String} [options.rootPath] - Directory the model paths in manifests start from (default: the parent of dirPath)
+   */
+  constructor(options) {
+    this.dirPath = options.dirPath;
+    this.rootPath = options.rootPath || path.dirname(options.dirPath);
+    this.tracks = new Map(); // Track ID -> manifest
+    this.collisions = new Map(); // Collision file path and model placement -> { mtimeMs, data } - only usable files
+    this.load();
+  }
+
+  /**
+   * Read every manifest in the tracks directory, skipping invalid ones
+   */
+  load() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dirPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      console.error(`Error reading tracks directory "${this.dirPath}":`, error.message);
+    }
+
+    files.forEach(file => {
+      const id = path.basename(file, '.json');
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8'));
+        const error = TRACK_ID_PATTERN.test(id) ? this.validate(manifest) : 'file name is not a valid track ID';
+        if (error) {
+          console.error(`Skipping track "${id}": ${error}`);
+          return;
+        }
+        this.tracks.set(id, Object.assign({ id: id }, manifest));
+      } catch (error) {
+        console.error(`Error loading track "${id}":`, error.message);
+      }
+    });
+
+    if (!this.tracks.has(DEFAULT_TRACK)) {
+      console.error(`The default track "${DEFAULT_TRACK}" is missing from ${this.dirPath}`);
+    }
+    console.log(`Loaded ${this.tracks.size} tracks`);
+  }
+
+  /**
+   * Check the parts of a manifest the server relies on
+   * @param {Object} manifest - Parsed track manifest
+   * @param {Object} [collision] - Collision data of the track, to check the checkpoints against its ground
+   * @returns {String|null} - What's wrong with it, or null if it's usable
+   */
+  validate(manifest, collision) {
+    if (!manifest || typeof manifest.name !== 'string' || !manifest.name) {
+      return 'name is missing';
+    }
+    const modelError = TrackCatalog.validateModel(manifest.model);
+    if (modelError) {
+      return modelError;
+    }
+    if (!manifest.spawn || !isVector(manifest.spawn.position)) {
+      return 'spawn.position must be three numbers';
+    }
+    const rampError = validateRamps(manifest.ramps);
+    if (rampError) {
+      return rampError;
+    }
+
+    // Layouts are stored in a directory named after the checkpoint track ID
+    const checkpoints = manifest.checkpoints;
+    if (!checkpoints || typeof checkpoints.trackId !== 'string' || !TRACK_ID_PATTERN.test(checkpoints.trackId)) {
+      return 'checkpoints.trackId may only use a-z, 0-9, - and _ (up to 32 characters)';
+    }
+    const error = TrackCatalog.validateCheckpoints(checkpoints.positions, checkpoints.mode, collision);
+    return error ? `checkpoints: ${error}` : null;
+  }
+
+  /**
+   * Check the model and collision file paths of a manifest - both are read from the server's disk
+   * @param {Object} model - The manifest's model
+   * @returns {String|null} - What's wrong with them, or null if they are files under models/
+   */
+  static validateModel(model) {
+    if (!model || typeof model.path !== 'string' || !MODEL_PATH_PATTERN.test(model.path)) {
+      return 'model.path must be a file under models/, e.g. models/tracks/my_track.glb';
+    }
+    if (model.collision !== undefined &&
+      !(typeof model.collision === 'string' && MODEL_PATH_PATTERN.test(model.collision) && model.collision.endsWith('.json'))) {
+      return 'model.collision must be a .json file under models/';
+    }
+    return null;
+  }
+
+  /**
+   * Check the checkpoint gates of a manifest or a saved layout (see shared/CheckpointValidator.js)
+   * @param {Array} positions - { x, y, z } per checkpoint, with an optional heading (degrees) and width
+   * @param {String} [mode] - Course mode (see COURSE_MODES), circuit if omitted
+   * @param {Object} [collision] - Collision data of the track, to check the gates against its ground
+   * @returns {String|null} - Every problem found, or null if they can be raced
+   */
+  static validateCheckpoints(positions, mode, collision) {
+    const errors = CheckpointValidator.validate({ positions: positions, mode: mode }, { collision: collision });
+    return errors.length > 0 ? errors.join('; ') : null;
+  }
+
+  /**
+   * Copy a checkpoint gate without anything but its position, heading and width
+   * @param {Object} point - Checkpoint from a manifest or layout
+   * @returns {Object} - { x, y, z } with heading and width if the gate sets them
+   */
+  static copyCheckpoint(point) {
+    const gate = { x: point.x, y: point.y, z: point.z };
+    if (point.heading !== undefined) gate.heading = point.heading;
+    if (point.width !== undefined) gate.width = point.width;
+    return gate;
+  }
+
+  /**
+   * Check whether a manifest can be saved under a track ID, without writing it
+   * @param {String} id - Track ID
+   * @param {Object} manifest - Track manifest
+   * @returns {String|null} - Why it can't be saved, or null if it can
+   */
+  check(id, manifest) {
+    if (typeof id !== 'string' || !TRACK_ID_PATTERN.test(id)) {
+      return 'the track ID may only use a-z, 0-9, - and _ (up to 32 characters)';
+    }
+    const error = this.validate(manifest, manifest ? this.loadCollision(manifest) : null);
+    if (error) {
+      return error;
+    }
+
+    // Leaderboards and ghosts are kept per checkpoint track ID, so two tracks can't share one
+    const checkpointTrackId = manifest.checkpoints.trackId;
+    const owner = Array.from(this.tracks.values())
+      .find(track => track.id !== id && track.checkpoints.trackId === checkpointTrackId);
+    if (owner) {
+      return `checkpoints.trackId "${checkpointTrackId}" already belongs to track "${owner.id}"`;
+    }
+    return null;
+  }
+
+  /**
+   * Write a manifest to the tracks directory and add (or replace) its track
+   * @param {String} id - Track ID
+   * @param {Object} manifest - Track manifest
+   * @returns {String|null} - Why it can't be saved, or null once it is saved
+   */
+  save(id, manifest) {
+    const error = this.check(id, manifest);
+    if (error) {
+      return error;
+    }
+
+    const stored = Object.assign({}, manifest);
+    delete stored.id;
+    // Via a temp file so a crash can't leave a truncated manifest that the next start skips
+    try {
+      const filePath = path.join(this.dirPath, `${id}.json`);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(stored, null, 2) + '\n');
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Error saving track "${id}":`, error);
+      return `could not write tracks/${id}.json`;
+    }
+    this.tracks.set(id, Object.assign({ id: id }, stored));
+    return null;
+  }
+
+  /**
+   * Check if a track ID names a loaded track
+   * @param {String} id - Track ID
+   * @returns {Boolean}
+   */
+  has(id) {
+    return typeof id === 'string' && this.tracks.has(id);
+  }
+
+  /**
+   * Get the track a player asked for, falling back to the default
+   * @param {String} id - Requested track ID
+   * @returns {String} - A track ID that exists
+   */
+  resolve(id) {
+    return this.has(id) ? id : DEFAULT_TRACK;
+  }
+
+  /**
+   * Get a loaded manifest
+   * @param {String} id - Track ID
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.tracks.get(id);
+  }
+
+  /**
+   * Get the spawn point of a track
+   * @param {String} id - Track ID
+   * @returns {Object} - { x, y, z }
+   */
+  getSpawnPoint(id) {
+    const [x, y, z] = this.tracks.get(this.resolve(id)).spawn.position;
+    return { x: x, y: y, z: z };
+  }
+
+  /**
+   * Get the spawn point of every track, for AntiCheat's respawn check
+   * @returns {Array} - { x, y, z } per track
+   */
+  getSpawnPoints() {
+    return Array.from(this.tracks.keys()).map(id => this.getSpawnPoint(id));
+  }
+
+  /**
+   * Get the stunt ramps of a track, to check jumps against and file ramp records under
+   * @param {String} id - Track ID
+   * @returns {Array} - { id, name, position: { x, z }, height, angle } per ramp - height is the
+   *   ramp's highest point in meters and angle its tilt in radians
+   */
+  getRamps(id) {
+    return (this.tracks.get(this.resolve(id)).ramps || []).map((ramp, index) => {
+      const angle = Math.abs(ramp.angle) * Math.PI / 180;
+      // Ramps without an elevation are sunk by up to depth * sin(angle) (see DataDrivenTrack.getRampPose),
+      // and the tilted box reaches half its depth * sin(angle) above its centre
+      const base = typeof ramp.elevation === 'number' ? ramp.elevation : ramp.depth * Math.sin(angle);
+      return {
+        id: getRampId(ramp, index),
+        name: ramp.name || `Ramp ${index + 1}`,
+        position: { x: ramp.x, z: ramp.z },
+        height: base + ramp.height + ramp.depth / 2 * Math.sin(angle),
+        angle: angle
+      };
+    });
+  }
+
+  /**
+   * Build a checkpoint configuration from the layout in a track's manifest,
+   * for when no saved configuration belongs to the track
+   * @param {String} id - Track ID
+   * @param {String} configName - Name to give the configuration
+   * @returns {Object} - Checkpoint configuration
+   */
+  getDefaultCheckpointConfig(id, configName) {
+    const checkpoints = this.tracks.get(this.resolve(id)).checkpoints;
+    return {
+      trackId: checkpoints.trackId,
+      configName: configName,
+      mode: checkpoints.mode || COURSE_MODES.CIRCUIT,
+      positions: checkpoints.positions.map(TrackCatalog.copyCheckpoint)
+    };
+  }
+
+  /**
+   * Get the collision data of a track, to check checkpoint layouts against its ground
+   * @param {String} id - Track ID
+   * @returns {Object|null} - Collision data (see shared/TrackCollision.js), or null if the track has no usable collision file
+   */
+  getCollision(id) {
+    return this.has(id) ? this.loadCollision(this.tracks.get(id)) : null;
+  }
+
+  /**
+   * Read the collision file a manifest's model uses, again only when the file changes
+   * @param {Object} manifest - Track manifest
+   * @returns {Object|null} - Collision data, or null if there is no usable file
+   */
+  loadCollision(manifest) {
+    const model = manifest.model;
+    if (TrackCatalog.validateModel(model)) return null;
+
+    const file = typeof model.collision === 'string' ? model.collision : model.path.replace(/\.glb$/i, '') + '.collision.json';
+    const filePath = path.join(this.rootPath, file);
+    // The same file is only usable for the placement it was built for
+    const key = JSON.stringify([filePath, model.path, model.scale, model.position]);
+
+    let data = null;
+    try {
+      if (fs.existsSync(filePath)) {
+        // Collision files are rebuilt with the CLI while the server runs
+        const mtimeMs = fs.statSync(filePath).mtimeMs;
+        const cached = this.collisions.get(key);
+        if (cached && cached.mtimeMs === mtimeMs) {
+          return cached.data;
+        }
+
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        // A file built for another scale or position would put the ground in the wrong place
+        const error = TrackCollision.validate(data, { model: model.path, scale: model.scale, position: model.position });
+        if (error) {
+          console.error(`Not checking checkpoints against ${file}: ${error}`);
+          this.collisions.delete(key);
+          return null;
+        }
+        this.collisions.set(key, { mtimeMs: mtimeMs, data: data });
+      }
+    } catch (error) {
+      console.error(`Error loading collision file ${file}:`, error.message);
+      this.collisions.delete(key);
+      data = null;
+    }
+    return data;
+  }
+
+  /**
+   * Get the name and description of every track, for the picker and the vote
+   * @returns {Array} - { id, name, description } per track
+   */
+  list() {
+    // Default first so it leads the picker
+    return Array.from(this.tracks.values())
+      .sort((a, b) => (b.id === DEFAULT_TRACK) - (a.id === DEFAULT_TRACK))
+      .map(track => ({ id: track.id, name: track.name, description: track.description || '' }));
+  }
+}
+
+// Helper function to check the ramps of a manifest - every ramp needs a unique ID for its leaderboard
+function validateRamps(ramps) {
+  if (ramps === undefined) return null;
+  if (!Array.isArray(ramps)) {
+    return 'ramps must be a list';
+  }
+
+  const ids = new Set();
+  for (let index = 0; index < ramps.length; index++) {
+    const ramp = ramps[index];
+    if (!ramp || !['x', 'z', 'height', 'depth', 'angle'].every(key => isFiniteNumber(ramp[key])) ||
+      (ramp.elevation !== undefined && !isFiniteNumber(ramp.elevation))) {
+      return `ramps[${index}] needs a numeric x, z, height, depth and angle`;
+    }
+    if (ramp.id !== undefined && !(typeof ramp.id === 'string' && RAMP_ID_PATTERN.test(ramp.id))) {
+      return `ramps[${index}].id may only use letters, digits, - and _`;
+    }
+    if (ramp.name !== undefined && typeof ramp.name !== 'string') {
+      return `ramps[${index}].name must be text`;
+    }
+
+    const id = getRampId(ramp, index);
+    if (ids.has(id)) {
+      return `ramps[${index}] has the ID "${id}" of another ramp`;
+    }
+    ids.add(id);
+  }
+  return null;
+}
+
+// Helper function to get a ramp's ID - ramps without one are numbered
+function getRampId(ramp, index) {
+  return ramp.id || `ramp-${index + 1}`;
+}
+
+// Helper function to check for a finite number
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Helper function to check for an [x, y, z] array
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+TrackCatalog.DEFAULT_TRACK = DEFAULT_TRACK;
+TrackCatalog.TRACK_ID_PATTERN = TRACK_ID_PATTERN;
+TrackCatalog.COURSE_MODES = COURSE_MODES;
+
+module.exports = TrackCatalog;
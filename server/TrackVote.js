@@ -0,0 +1,226 @@
+/**
+ * TrackVote.js - End-of-race vote on the room's next track
+ *
+ * When a race ends the connected players in the room get a short vote
+ * between the tracks the server offers. Each player has one vote and may
+ * change it until the vote closes - when the time runs out or everyone has
+ * voted. The track with the most votes wins; a tie keeps the current track
+ * if it is among the leaders, otherwise the first of them in the track list.
+ */
+
+const VOTE_DURATION = 15000; // Time players get to vote
+
+class TrackVote {
+  /**
+   * @param {Object} options
+   * @param {Server} options.io - The Socket.IO server
+   * @param {String} options.roomId - Socket.IO room the vote is broadcast to
+   * @param {Object} options.players - The shared players map keyed by socket ID
+   * @param {Function} options.getOptions - Returns the tracks to vote between ({ id, name } each)
+   * @param {Function} options.getCurrentTrack - Returns the ID of the track being played
+   * @param {Function} options.onDecided - Called with the winning track ID when the vote closes
+   */
+  constructor(options) {
+    this.io = options.io;
+    this.roomId = options.roomId;
+    this.players = options.players;
+    this.getOptions = options.getOptions;
+    this.getCurrentTrack = options.getCurrentTrack;
+    this.onDecided = options.onDecided;
+
+    this.active = false;
+    this.options = [];
+    this.votes = {}; // Socket ID -> track ID
+    this.endsAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Attach the vote handler to a newly connected socket
+   * @param {Socket} socket - The connected socket
+   */
+  registerSocket(socket) {
+    // A player joining mid-vote gets the ballot too
+    if (this.active) {
+      socket.emit('trackVoteStarted', this.getBallot());
+    }
+
+    socket.on('trackVote', (data) => this.vote(socket.id, data.trackId));
+  }
+
+  /**
+   * Open a vote, unless one is running or there is nothing to choose between
+   * @returns {Boolean} - Whether a vote was opened
+   */
+  start() {
+    if (this.active) return false;
+
+    const options = this.getOptions();
+    if (options.length < 2) return false;
+
+    this.active = true;
+    this.options = options;
+    this.votes = {};
+    this.endsAt = Date.now() + VOTE_DURATION;
+    this.timer = setTimeout(() => this.finish('time is up'), VOTE_DURATION);
+
+    console.log(`Room "${this.roomId}" is voting on the next track`);
+    this.broadcast('trackVoteStarted', this.getBallot());
+    return true;
+  }
+
+  /**
+   * Record (or change) a player's vote
+   * @param {String} playerId - Socket ID of the voter
+   * @param {String} trackId - Track voted for
+   */
+  vote(playerId, trackId) {
+    if (!this.active || !this.players[playerId]) return;
+    if (!this.options.some(option => option.id === trackId)) {
+      this.io.to(playerId).emit('raceError', { message: 'That track is not on the ballot' });
+      return;
+    }
+
+    this.votes[playerId] = trackId;
+    this.broadcast('trackVoteUpdate', { votes: this.countVotes() });
+
+    if (this.hasEveryoneVoted()) {
+      this.finish('everyone voted');
+    }
+  }
+
+  /**
+   * Close the vote and announce the winner
+   * @param {String} reason - Why the vote closed (for logging)
+   */
+  finish(reason) {
+    if (!this.active) return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.active = false;
+
+    const currentTrack = this.getCurrentTrack();
+    const trackId = this.pickWinner(currentTrack);
+    console.log(`Track vote in room "${this.roomId}" closed (${reason}): ${trackId}`);
+
+    this.broadcast('trackVoteEnded', {
+      trackId: trackId,
+      changed: trackId !== currentTrack,
+      votes: this.countVotes()
+    });
+    this.votes = {};
+
+    this.onDecided(trackId);
+  }
+
+  /**
+   * Pick the track with the most votes
+   * @param {String} currentTrack - Track being played, which wins ties it is part of
+   * @returns {String} - Winning track ID
+   */
+  pickWinner(currentTrack) {
+    const counts = this.countVotes();
+    const most = Math.max(0, ...Object.values(counts));
+    if (most === 0) return currentTrack;
+
+    const leaders = this.options.filter(option => counts[option.id] === most).map(option => option.id);
+    return leaders.includes(currentTrack) ? currentTrack : leaders[0];
+  }
+
+  /**
+   * Count the votes of players still in the room
+   * @returns {Object} - Track ID -> number of votes
+   */
+  countVotes() {
+    const counts = {};
+    this.options.forEach(option => {
+      counts[option.id] = 0;
+    });
+
+    Object.keys(this.votes).forEach(playerId => {
+      if (this.players[playerId]) {
+        counts[this.votes[playerId]]++;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Whether every connected player in the room has voted
+   * @returns {Boolean}
+   */
+  hasEveryoneVoted() {
+    const voters = Object.values(this.players).filter(player => player.connected);
+    return voters.length > 0 && voters.every(player => this.votes[player.id]);
+  }
+
+  /**
+   * Get what a client needs to show the vote
+   * @returns {Object} - { options, currentTrack, timeLeft, votes }
+   */
+  getBallot() {
+    return {
+      options: this.options,
+      currentTrack: this.getCurrentTrack(),
+      timeLeft: Math.max(0, this.endsAt - Date.now()),
+      votes: this.countVotes()
+    };
+  }
+
+  /**
+   * Carry a vote over to the new socket ID of a resumed session
+   * @param {String} oldId - Socket ID before the reconnect
+   * @param {String} newId - Socket ID after the reconnect
+   */
+  renamePlayer(oldId, newId) {
+    if (this.votes[oldId] === undefined) return;
+
+    this.votes[newId] = this.votes[oldId];
+    delete this.votes[oldId];
+  }
+
+  /**
+   * Recount after a player left or dropped - the vote may now be complete
+   */
+  handlePlayerLeft() {
+    if (!this.active) return;
+
+    this.broadcast('trackVoteUpdate', { votes: this.countVotes() });
+
+    if (this.hasEveryoneVoted()) {
+      this.finish('everyone voted');
+    }
+  }
+
+  /**
+   * Whether a vote is running
+   * @returns {Boolean}
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Abandon a running vote without a result
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.active = false;
+    this.votes = {};
+  }
+
+  /**
+   * Send an event to every client in the room
+   * @param {String} event - Event name
+   * @param {Object} data - Event payload
+   */
+  broadcast(event, data) {
+    this.io.to(this.roomId).emit(event, data);
+  }
+}
+
+TrackVote.VOTE_DURATION = VOTE_DURATION;
+
+module.exports = TrackVote;
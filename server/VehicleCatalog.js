@@ -0,0 +1,180 @@
+/**
+ * VehicleCatalog.js - Vehicle setups players can pick on the start screen
+ *
+ * Each vehicles/<id>.json file defines one setup: chassis mass and size,
+ * wheel mounting and grip, engine force, steering, suspension and roll influence.
+ * The client builds its CANNON.RaycastVehicle from the setup it picked; the
+ * server only needs to know which setups exist so it can tell every client
+ * which one each player drives.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VEHICLE = 'standard'; // Used when a player picks nothing (or something unknown)
+const VEHICLE_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Fields every setup must have, as section -> numeric keys
+const REQUIRED_NUMBERS = {
+  chassis: ['mass', 'centerOfMassOffset', 'linearDamping', 'angularDamping', 'maxAngularVelocity'],
+  engine: ['force', 'reverseRatio', 'handbrakeForce', 'holdBrakeForce'],
+  steering: ['maxAngle', 'minAngle', 'falloffSpeed', 'rate'],
+  suspension: ['stiffness', 'restLength', 'maxTravel', 'maxForce', 'dampingRelaxation', 'dampingCompression'],
+  model: ['scale']
+};
+
+class VehicleCatalog {
+  /**
+   * @param {Object} options
+   * @param {String} options.dirPath - Directory with the vehicle JSON files
+   * @param {Number} options.maxSpeed - m/s no setup may be able to reach on flat ground (see AntiCheat)
+   */
+  constructor(options) {
+    this.dirPath = options.dirPath;
+    this.maxSpeed = options.maxSpeed;
+    this.vehicles = new Map(); // Vehicle ID -> setup
+    this.load();
+  }
+
+  /**
+   * Read every setup in the vehicles directory, skipping invalid ones
+   */
+  load() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dirPath).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      console.error(`Error reading vehicles directory "${this.dirPath}":`, error.message);
+    }
+
+    files.forEach(file => {
+      const id = path.basename(file, '.json');
+      try {
+        const setup = JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8'));
+        const error = VEHICLE_ID_PATTERN.test(id) ? this.validate(setup) : 'file name is not a valid vehicle ID';
+        if (error) {
+          console.error(`Skipping vehicle "${id}": ${error}`);
+          return;
+        }
+        this.vehicles.set(id, Object.assign({ id: id }, setup));
+      } catch (error) {
+        console.error(`Error loading vehicle "${id}":`, error.message);
+      }
+    });
+
+    if (!this.vehicles.has(DEFAULT_VEHICLE)) {
+      console.error(`The default vehicle "${DEFAULT_VEHICLE}" is missing from ${this.dirPath}`);
+    }
+    console.log(`Loaded ${this.vehicles.size} vehicle setups`);
+  }
+
+  /**
+   * Check a setup for missing or impossible values
+   * @param {Object} setup - Parsed vehicle file
+   * @returns {String|null} - What's wrong with it, or null if it's usable
+   */
+  validate(setup) {
+    if (!setup || typeof setup.name !== 'string' || !setup.name) {
+      return 'name is missing';
+    }
+
+    for (const section of Object.keys(REQUIRED_NUMBERS)) {
+      if (!setup[section] || typeof setup[section] !== 'object') {
+        return `${section} is missing`;
+      }
+      const badKey = REQUIRED_NUMBERS[section].find(key => !isFiniteNumber(setup[section][key]));
+      if (badKey) {
+        return `${section}.${badKey} must be a number`;
+      }
+    }
+
+    if (!isVector(setup.chassis.halfExtents) || setup.chassis.halfExtents.some(value => value <= 0)) {
+      return 'chassis.halfExtents must be three positive numbers';
+    }
+    if (setup.chassis.mass <= 0) {
+      return 'chassis.mass must be positive';
+    }
+    if (setup.chassis.linearDamping < 0 || setup.chassis.linearDamping >= 1) {
+      return 'chassis.linearDamping must be between 0 and 1';
+    }
+    if (!isFiniteNumber(setup.rollInfluence) || setup.rollInfluence < 0) {
+      return 'rollInfluence must be a number of at least 0';
+    }
+
+    if (!Array.isArray(setup.wheels) || setup.wheels.length < 3) {
+      return 'wheels must list at least three wheels';
+    }
+    const badWheel = setup.wheels.find(wheel =>
+      !wheel || !isVector(wheel.position) || !(wheel.radius > 0) || !(wheel.frictionSlip > 0)
+    );
+    if (badWheel) {
+      return 'every wheel needs a position, a positive radius and a positive frictionSlip';
+    }
+    if (!setup.wheels.some(wheel => wheel.drive)) {
+      return 'at least one wheel must be driven';
+    }
+
+    // Keep every setup within what AntiCheat accepts as a plausible speed
+    const topSpeed = VehicleCatalog.estimateTopSpeed(setup);
+    if (this.maxSpeed && topSpeed > this.maxSpeed) {
+      return `top speed of ~${Math.round(topSpeed)} m/s is faster than the allowed ${this.maxSpeed} m/s`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Estimate the flat-ground top speed of a setup, where engine force and linear damping balance out
+   * @param {Object} setup - Vehicle setup
+   * @returns {Number} - m/s
+   */
+  static estimateTopSpeed(setup) {
+    const drivenWheels = setup.wheels.filter(wheel => wheel.drive).length;
+    const acceleration = setup.engine.force * drivenWheels / setup.chassis.mass;
+    // CANNON damps velocity by (1 - damping) per second
+    const decayRate = -Math.log(1 - setup.chassis.linearDamping);
+    return decayRate > 0 ? acceleration / decayRate : Infinity;
+  }
+
+  /**
+   * Check if a vehicle ID names a loaded setup
+   * @param {String} id - Vehicle ID
+   * @returns {Boolean}
+   */
+  has(id) {
+    return typeof id === 'string' && this.vehicles.has(id);
+  }
+
+  /**
+   * Get the vehicle a player asked for, falling back to the default
+   * @param {String} id - Requested vehicle ID
+   * @returns {String} - A vehicle ID that exists
+   */
+  resolve(id) {
+    return this.has(id) ? id : DEFAULT_VEHICLE;
+  }
+
+  /**
+   * Get every setup, for the selector on the start screen
+   * @returns {Array} - Setups with their ID
+   */
+  list() {
+    // Default first so it leads the selector
+    return Array.from(this.vehicles.values())
+      .sort((a, b) => (b.id === DEFAULT_VEHICLE) - (a.id === DEFAULT_VEHICLE));
+  }
+}
+
+// Helper function to check for a finite number
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Helper function to check for an [x, y, z] array
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+VehicleCatalog.DEFAULT_VEHICLE = DEFAULT_VEHICLE;
+
+module.exports = VehicleCatalog;
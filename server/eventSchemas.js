@@ -0,0 +1,271 @@
+/**
+ * eventSchemas.js - Schema validation for incoming Socket.IO events
+ *
+ * Every event a client may send is listed here with the shape of its payload.
+ * Events that aren't listed, or whose payload doesn't match, are dropped before
+ * they reach any handler.
+ */
+
+const StateCodec = require('../shared/StateCodec');
+const ChatManager = require('./ChatManager');
+const GhostStore = require('./GhostStore');
+const RaceManager = require('./RaceManager');
+
+// World limits - anything outside these can't be a real position on any track
+const WORLD_LIMIT = 5000;
+const MIN_Y = -200;
+const MAX_Y = 500;
+
+// Reusable schema fragments
+const vector3 = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT },
+    y: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT },
+    z: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT }
+  }
+};
+
+const position = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT },
+    y: { type: 'number', min: MIN_Y, max: MAX_Y },
+    z: { type: 'number', min: -WORLD_LIMIT, max: WORLD_LIMIT }
+  }
+};
+
+const quaternion = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', min: -1, max: 1 },
+    y: { type: 'number', min: -1, max: 1 },
+    z: { type: 'number', min: -1, max: 1 },
+    w: { type: 'number', min: -1, max: 1 }
+  },
+  // Must be (close to) unit length to be a rotation
+  check: (q) => Math.abs(Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w) - 1) < 0.01
+    ? null
+    : 'is not a unit quaternion'
+};
+
+const identifier = { type: 'string', minLength: 1, maxLength: 64, pattern: /^[A-Za-z0-9_\-]+$/ };
+
+// Names typed in by editors (checkpoint configs) may contain spaces and punctuation
+const label = { type: 'string', minLength: 1, maxLength: 64, pattern: /^[^\u0000-\u001f]+$/ };
+
+// Payload schemas keyed by event name - null means the event carries no payload
+const EVENT_SCHEMAS = {
+  requestPlayerList: null,
+  playerName: { type: 'string', minLength: 0, maxLength: 32 },
+  // Binary player state (see shared/StateCodec.js), validated after decoding
+  playerState: {
+    type: 'binary',
+    byteLength: StateCodec.PLAYER_STATE_BYTES,
+    decode: StateCodec.decodePlayerState,
+    decoded: {
+      type: 'object',
+      properties: {
+        position: position,
+        quaternion: quaternion,
+        velocity: vector3
+      }
+    }
+  },
+  jumpReport: {
+    type: 'object',
+    properties: {
+      height: { type: 'number', min: 0, max: 1000 },
+      airtime: { type: 'number', min: 0, max: 120 },
+      rampId: Object.assign({ optional: true, nullable: true }, identifier)
+    }
+  },
+  lapCompleted: {
+    type: 'object',
+    properties: {
+      time: { type: 'number', min: 0, max: 3600 },
+      trackId: Object.assign({ optional: true }, identifier),
+      configName: Object.assign({ optional: true }, label)
+    }
+  },
+  authenticate: { type: 'string', minLength: 0, maxLength: 128, nullable: true },
+  raceJoin: null,
+  raceLeave: null,
+  raceStart: null,
+  raceCheckpoint: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', min: 0, max: 1000 }
+    }
+  },
+  raceLaps: {
+    type: 'object',
+    properties: {
+      laps: { type: 'integer', min: 1, max: RaceManager.MAX_LAPS }
+    }
+  },
+  // Checkpoint layout picked for the room (see server/CheckpointLayoutStore.js)
+  selectLayout: {
+    type: 'object',
+    properties: {
+      configName: label
+    }
+  },
+  // Ballot in the end-of-race track vote (see server/TrackVote.js)
+  trackVote: {
+    type: 'object',
+    properties: {
+      trackId: identifier
+    }
+  },
+  chatMessage: { type: 'string', minLength: 1, maxLength: ChatManager.MAX_MESSAGE_LENGTH },
+  quickChat: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', min: 0, max: ChatManager.QUICK_CHAT_MESSAGES.length - 1 }
+    }
+  },
+  // Position/rotation trace of a record lap (see server/GhostStore.js)
+  ghostUpload: {
+    type: 'object',
+    properties: {
+      trackId: identifier,
+      configName: label,
+      time: { type: 'number', min: 0, max: 3600 },
+      samples: {
+        type: 'array',
+        minItems: 2 * GhostStore.SAMPLE_SIZE,
+        maxItems: GhostStore.MAX_SAMPLES * GhostStore.SAMPLE_SIZE,
+        items: { type: 'number' },
+        check: (samples) => samples.length % GhostStore.SAMPLE_SIZE === 0
+          ? null
+          : `must hold ${GhostStore.SAMPLE_SIZE} numbers per sample`
+      }
+    }
+  }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to check
+ * @param {String} path - Path of the value, used in error messages
+ * @returns {String|null} - Error message, or null if the value is valid
+ */
+function validate(schema, value, path) {
+  if (value === undefined) {
+    return schema.optional ? null : `${path} is required`;
+  }
+
+  if (value === null) {
+    return schema.nullable ? null : `${path} must not be null`;
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${path} must be a finite number`;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return `${path} must be an integer`;
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return `${path} must be at least ${schema.min}`;
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        return `${path} must be at most ${schema.max}`;
+      }
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return `${path} must be a string`;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return `${path} must be at least ${schema.minLength} characters`;
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return `${path} contains invalid characters`;
+      }
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return `${path} must be an object`;
+      }
+      for (const key of Object.keys(schema.properties)) {
+        const error = validate(schema.properties[key], value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return `${path} must be an array`;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return `${path} must have at least ${schema.minItems} items`;
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return `${path} must have at most ${schema.maxItems} items`;
+      }
+      for (let i = 0; i < value.length; i++) {
+        const error = validate(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      break;
+
+    case 'binary':
+      if (!Buffer.isBuffer(value) && !(value instanceof ArrayBuffer)) {
+        return `${path} must be binary`;
+      }
+      if (schema.byteLength !== undefined && value.byteLength !== schema.byteLength) {
+        return `${path} must be ${schema.byteLength} bytes`;
+      }
+      if (schema.decoded) {
+        const error = validate(schema.decoded, schema.decode(value), path);
+        if (error) return error;
+      }
+      break;
+
+    default:
+      return `${path} has unknown schema type "${schema.type}"`;
+  }
+
+  if (schema.check) {
+    const error = schema.check(value);
+    if (error) return `${path} ${error}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the payload of an incoming event
+ * @param {String} event - Event name
+ * @param {*} payload - Event payload
+ * @returns {Object} - { valid: Boolean, error: String|null }
+ */
+function validateEvent(event, payload) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+    return { valid: false, error: `unknown event "${event}"` };
+  }
+
+  const schema = EVENT_SCHEMAS[event];
+  if (schema === null) {
+    return { valid: true, error: null };
+  }
+
+  const error = validate(schema, payload, event);
+  return { valid: !error, error: error };
+}
+
+module.exports = {
+  EVENT_SCHEMAS,
+  validate,
+  validateEvent
+};
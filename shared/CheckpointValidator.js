@@ -0,0 +1,200 @@
+/**
+ * CheckpointValidator.js - Checks checkpoint layouts before they are raced or saved
+ *
+ * Shared by the server and the validate-checkpoints CLI (required as a
+ * CommonJS module) and the browser (loaded as a classic script that defines
+ * window.CheckpointValidator), so a layout the game accepts is one the server
+ * accepts too.
+ *
+ * A layout is { mode, positions } (see the "Checkpoint System" section of the
+ * README). The checks:
+ * - schema: a known course mode and 2 to 32 gates of numeric x, y, z with an
+ *   optional heading and width
+ * - ranges: gates inside the world limits, headings within a turn either way
+ *   and widths up to 200
+ * - spacing: consecutive gates far enough apart that a racer at top speed
+ *   doesn't pass two of them within the server's minimum checkpoint interval
+ * - with the track's collision data (see shared/TrackCollision.js): every gate
+ *   sits over the ground within reach of the ATV, and the straight line between
+ *   consecutive gates stays on the ground without climbing a wall
+ */
+(function(root) {
+  const TrackCollision = typeof module !== 'undefined' && module.exports
+    ? require('./TrackCollision')
+    : root.TrackCollision;
+
+  const COURSE_MODES = {
+    CIRCUIT: 'circuit', // Laps that end back at the start gate
+    SPRINT: 'sprint' // One run from the first gate (start) to the last (finish)
+  };
+  const MIN_CHECKPOINTS = 2;
+  const MAX_CHECKPOINTS = 32;
+  const DEFAULT_WIDTH = 20; // Width of a gate that doesn't set one
+  const MAX_WIDTH = 200;
+  const MAX_HEADING = 360; // Degrees either way
+
+  // Same limits the server puts on player positions (see server/eventSchemas.js) - gates beyond can't be reached
+  const WORLD_LIMIT = 5000;
+  const MIN_Y = -200;
+  const MAX_Y = 500;
+
+  // The ATV tops out at about 60 m/s and the server ignores a second checkpoint within a second of the first
+  const MIN_GATE_SPACING = 60;
+  const GATE_HEIGHT = 15; // How far above or below a gate's centre the ATV still goes through it
+  const MAX_CLIMB = 1.5; // Rise per meter between two ground samples - steeper is a wall (ground is at most 60 degrees)
+  const MAX_LEG_SAMPLES = 2000; // Ground samples per leg, spread out further on very long legs
+
+  class CheckpointValidator {
+    /**
+     * Check a checkpoint layout
+     * @param {Object} layout - { mode, positions } from a layout file or a track manifest's checkpoints
+     * @param {Object} [options]
+     * @param {Object} [options.collision] - Collision data of the track, to check the gates against its ground
+     * @returns {Array} - A message per problem found, empty if the layout can be raced
+     */
+    static validate(layout, options = {}) {
+      if (!layout || typeof layout !== 'object') {
+        return ['the layout must be an object with a positions list'];
+      }
+
+      const errors = [];
+      const modes = Object.values(COURSE_MODES);
+      if (layout.mode !== undefined && !modes.includes(layout.mode)) {
+        errors.push(`mode must be ${modes.join(' or ')}, not ${JSON.stringify(layout.mode)}`);
+      }
+
+      const positions = layout.positions;
+      if (!Array.isArray(positions)) {
+        errors.push('positions must be a list of checkpoints');
+        return errors;
+      }
+      if (positions.length < MIN_CHECKPOINTS || positions.length > MAX_CHECKPOINTS) {
+        errors.push(`a layout needs ${MIN_CHECKPOINTS} to ${MAX_CHECKPOINTS} checkpoints, this one has ${positions.length}`);
+      }
+
+      // Spacing and the ground are only checked once every gate is readable
+      const gateErrors = [];
+      positions.forEach((point, index) => {
+        validateGate(point, `positions[${index}]`).forEach(error => gateErrors.push(error));
+      });
+      if (gateErrors.length > 0) {
+        return errors.concat(gateErrors);
+      }
+
+      const legs = CheckpointValidator.getLegs(positions, layout.mode);
+      legs.forEach(([from, to]) => {
+        const distance = Math.hypot(positions[to].x - positions[from].x, positions[to].z - positions[from].z);
+        if (distance < MIN_GATE_SPACING) {
+          errors.push(`positions[${from}] and positions[${to}] are ${distance.toFixed(1)} m apart - ` +
+            `consecutive checkpoints need at least ${MIN_GATE_SPACING} m`);
+        }
+      });
+
+      if (options.collision) {
+        positions.forEach((point, index) => {
+          const ground = TrackCollision.getHeightAt(options.collision, point.x, point.z);
+          if (ground === null) {
+            errors.push(`positions[${index}] is off the track - there is no ground under (${point.x}, ${point.z})`);
+          } else if (Math.abs(point.y - ground) > GATE_HEIGHT) {
+            errors.push(`positions[${index}] is ${Math.abs(point.y - ground).toFixed(1)} m ` +
+              `${point.y > ground ? 'above' : 'below'} the ground - the ATV can only reach gates within ${GATE_HEIGHT} m of it`);
+          }
+        });
+        legs.forEach(([from, to]) => {
+          const problem = checkLeg(options.collision, positions[from], positions[to]);
+          if (problem) {
+            errors.push(`positions[${to}] can't be reached from positions[${from}]: ${problem}`);
+          }
+        });
+      }
+
+      return errors;
+    }
+
+    /**
+     * Get the legs a course is raced over
+     * @param {Array} positions - Checkpoint gates
+     * @param {String} [mode] - Course mode, circuit if omitted
+     * @returns {Array} - [from index, to index] per leg - circuits close the loop back to the start gate
+     */
+    static getLegs(positions, mode) {
+      const legs = [];
+      for (let i = 1; i < positions.length; i++) {
+        legs.push([i - 1, i]);
+      }
+      if (mode !== COURSE_MODES.SPRINT && positions.length > 2) {
+        legs.push([positions.length - 1, 0]);
+      }
+      return legs;
+    }
+  }
+
+  // Helper function to check one gate's fields and ranges
+  function validateGate(point, name) {
+    if (!point || typeof point !== 'object') {
+      return [`${name} must be an object with x, y and z`];
+    }
+
+    const errors = [];
+    ['x', 'z'].forEach(key => {
+      if (!isFiniteNumber(point[key])) {
+        errors.push(`${name}.${key} must be a number`);
+      } else if (Math.abs(point[key]) > WORLD_LIMIT) {
+        errors.push(`${name}.${key} is ${point[key]}, outside the world (-${WORLD_LIMIT} to ${WORLD_LIMIT})`);
+      }
+    });
+    if (!isFiniteNumber(point.y)) {
+      errors.push(`${name}.y must be a number`);
+    } else if (point.y < MIN_Y || point.y > MAX_Y) {
+      errors.push(`${name}.y is ${point.y}, outside the world (${MIN_Y} to ${MAX_Y})`);
+    }
+
+    if (point.heading !== undefined && !(isFiniteNumber(point.heading) && Math.abs(point.heading) <= MAX_HEADING)) {
+      errors.push(`${name}.heading must be a number of degrees from -${MAX_HEADING} to ${MAX_HEADING}`);
+    }
+    if (point.width !== undefined && !(isFiniteNumber(point.width) && point.width > 0 && point.width <= MAX_WIDTH)) {
+      errors.push(`${name}.width must be above 0 and at most ${MAX_WIDTH}`);
+    }
+    return errors;
+  }
+
+  // Helper function to follow the ground along the straight line between two gates
+  function checkLeg(collision, from, to) {
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    const step = Math.max(collision.heightfield.elementSize, length / MAX_LEG_SAMPLES);
+    const samples = Math.max(1, Math.ceil(length / step));
+
+    let previous = null;
+    for (let i = 0; i <= samples; i++) {
+      const x = from.x + (to.x - from.x) * i / samples;
+      const z = from.z + (to.z - from.z) * i / samples;
+      const height = TrackCollision.getHeightAt(collision, x, z);
+      if (height === null) {
+        return `the way there leaves the track near (${Math.round(x)}, ${Math.round(z)})`;
+      }
+      if (previous !== null && Math.abs(height - previous) > MAX_CLIMB * length / samples) {
+        return `the way there runs into a wall near (${Math.round(x)}, ${Math.round(z)})`;
+      }
+      previous = height;
+    }
+    return null;
+  }
+
+  // Helper function to check for a finite number
+  function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  CheckpointValidator.COURSE_MODES = COURSE_MODES;
+  CheckpointValidator.MIN_CHECKPOINTS = MIN_CHECKPOINTS;
+  CheckpointValidator.MAX_CHECKPOINTS = MAX_CHECKPOINTS;
+  CheckpointValidator.DEFAULT_WIDTH = DEFAULT_WIDTH;
+  CheckpointValidator.MAX_WIDTH = MAX_WIDTH;
+  CheckpointValidator.MIN_GATE_SPACING = MIN_GATE_SPACING;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CheckpointValidator;
+  } else {
+    root.CheckpointValidator = CheckpointValidator;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,279 @@
+/**
+ * StateCodec.js - Compact binary encoding of player state
+ *
+ * Shared by the server (required as a CommonJS module) and the browser (loaded
+ * as a classic script that defines window.StateCodec).
+ *
+ * Player state is quantized before it goes on the wire:
+ * - positions are stored in centimeters as 24-bit integers (3 bytes per axis)
+ * - quaternions use "smallest three": the largest component is dropped and
+ *   rebuilt from the unit length, the other three get 10 bits each (4 bytes)
+ * - velocities are stored in cm/s as 16-bit integers (2 bytes per axis)
+ *
+ * A world snapshot only carries the fields that changed since the previous one.
+ */
+(function(root) {
+  const POSITION_SCALE = 100; // 1 cm resolution
+  const VELOCITY_SCALE = 100; // 1 cm/s resolution
+  const INT24_MAX = 0x7FFFFF;
+  const INT16_MAX = 0x7FFF;
+  const QUATERNION_BITS = 10;
+  const QUATERNION_MASK = (1 << QUATERNION_BITS) - 1;
+  const QUATERNION_STEPS = QUATERNION_MASK - 1; // Even, so that 0 is exactly representable
+
+  // Byte sizes of each field
+  const POSITION_BYTES = 9;
+  const QUATERNION_BYTES = 4;
+  const VELOCITY_BYTES = 6;
+  const PLAYER_STATE_BYTES = POSITION_BYTES + QUATERNION_BYTES + VELOCITY_BYTES;
+  const SNAPSHOT_HEADER_BYTES = 10; // float64 time + uint16 entry count
+  const ENTRY_HEADER_BYTES = 3; // uint16 net ID + uint8 field flags
+
+  // Which fields a snapshot entry contains
+  const FIELDS = {
+    POSITION: 1,
+    QUATERNION: 2,
+    VELOCITY: 4
+  };
+
+  class StateCodec {
+    /**
+     * Quantize a player state to the integers that are sent over the wire
+     * @param {Object} state - { position, quaternion, velocity } with float components
+     * @returns {Object} - { position: [x, y, z], quaternion: Number, velocity: [x, y, z] }
+     */
+    static quantize(state) {
+      return {
+        position: quantizeVector(state.position, POSITION_SCALE, INT24_MAX),
+        quaternion: packQuaternion(state.quaternion),
+        velocity: quantizeVector(state.velocity, VELOCITY_SCALE, INT16_MAX)
+      };
+    }
+
+    /**
+     * Encode the local player's state for sending to the server
+     * @param {Object} state - { position, quaternion, velocity } with float components
+     * @returns {ArrayBuffer} - PLAYER_STATE_BYTES bytes
+     */
+    static encodePlayerState(state) {
+      const quantized = StateCodec.quantize(state);
+      const buffer = new ArrayBuffer(PLAYER_STATE_BYTES);
+      const view = new DataView(buffer);
+
+      let offset = writePosition(view, 0, quantized.position);
+      offset = writeQuaternion(view, offset, quantized.quaternion);
+      writeVelocity(view, offset, quantized.velocity);
+
+      return buffer;
+    }
+
+    /**
+     * Decode a player state sent by a client
+     * @param {ArrayBuffer|Uint8Array} data - Encoded state
+     * @returns {Object} - { position, quaternion, velocity } with float components
+     */
+    static decodePlayerState(data) {
+      const view = toDataView(data);
+      const state = {};
+
+      let offset = readPosition(view, 0, state);
+      offset = readQuaternion(view, offset, state);
+      readVelocity(view, offset, state);
+
+      return state;
+    }
+
+    /**
+     * Encode a world snapshot
+     * @param {Number} time - Server time of the snapshot in ms
+     * @param {Array} entries - [{ netId, position?, quaternion?, velocity? }] with quantized fields;
+     *                          fields that are left out are unchanged since the last snapshot
+     * @returns {ArrayBuffer} - The encoded snapshot
+     */
+    static encodeSnapshot(time, entries) {
+      let size = SNAPSHOT_HEADER_BYTES;
+      entries.forEach(entry => {
+        size += ENTRY_HEADER_BYTES +
+          (entry.position ? POSITION_BYTES : 0) +
+          (entry.quaternion !== undefined ? QUATERNION_BYTES : 0) +
+          (entry.velocity ? VELOCITY_BYTES : 0);
+      });
+
+      const buffer = new ArrayBuffer(size);
+      const view = new DataView(buffer);
+      view.setFloat64(0, time);
+      view.setUint16(8, entries.length);
+
+      let offset = SNAPSHOT_HEADER_BYTES;
+      entries.forEach(entry => {
+        const flags = (entry.position ? FIELDS.POSITION : 0) |
+          (entry.quaternion !== undefined ? FIELDS.QUATERNION : 0) |
+          (entry.velocity ? FIELDS.VELOCITY : 0);
+
+        view.setUint16(offset, entry.netId);
+        view.setUint8(offset + 2, flags);
+        offset += ENTRY_HEADER_BYTES;
+
+        if (flags & FIELDS.POSITION) offset = writePosition(view, offset, entry.position);
+        if (flags & FIELDS.QUATERNION) offset = writeQuaternion(view, offset, entry.quaternion);
+        if (flags & FIELDS.VELOCITY) offset = writeVelocity(view, offset, entry.velocity);
+      });
+
+      return buffer;
+    }
+
+    /**
+     * Decode a world snapshot
+     * @param {ArrayBuffer|Uint8Array} data - Encoded snapshot
+     * @returns {Object} - { time, entries: [{ netId, position?, quaternion?, velocity? }] }
+     */
+    static decodeSnapshot(data) {
+      const view = toDataView(data);
+      const time = view.getFloat64(0);
+      const count = view.getUint16(8);
+      const entries = [];
+
+      let offset = SNAPSHOT_HEADER_BYTES;
+      for (let i = 0; i < count; i++) {
+        const entry = { netId: view.getUint16(offset) };
+        const flags = view.getUint8(offset + 2);
+        offset += ENTRY_HEADER_BYTES;
+
+        if (flags & FIELDS.POSITION) offset = readPosition(view, offset, entry);
+        if (flags & FIELDS.QUATERNION) offset = readQuaternion(view, offset, entry);
+        if (flags & FIELDS.VELOCITY) offset = readVelocity(view, offset, entry);
+
+        entries.push(entry);
+      }
+
+      return { time: time, entries: entries };
+    }
+  }
+
+  // Helper function to wrap any binary payload (Node Buffer, typed array or ArrayBuffer) in a DataView
+  function toDataView(data) {
+    if (data instanceof ArrayBuffer) {
+      return new DataView(data);
+    }
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  function quantizeVector(vector, scale, max) {
+    return [vector.x, vector.y, vector.z].map(value => clamp(Math.round(value * scale), -max, max));
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+  }
+
+  // Pack a unit quaternion into 32 bits: 2 bits for the index of the dropped
+  // (largest) component, then 10 bits for each of the other three
+  function packQuaternion(q) {
+    const components = [q.x, q.y, q.z, q.w];
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+      if (Math.abs(components[i]) > Math.abs(components[largest])) {
+        largest = i;
+      }
+    }
+
+    // q and -q are the same rotation, so make the dropped component positive
+    const sign = components[largest] < 0 ? -1 : 1;
+
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      // The remaining components are within +-1/sqrt(2)
+      const normalized = clamp(components[i] * sign / Math.SQRT1_2, -1, 1);
+      packed = (packed << QUATERNION_BITS) | Math.round((normalized * 0.5 + 0.5) * QUATERNION_STEPS);
+    }
+
+    return packed >>> 0;
+  }
+
+  function unpackQuaternion(packed) {
+    const largest = packed >>> (QUATERNION_BITS * 3);
+    const components = [0, 0, 0, 0];
+
+    let sumSquares = 0;
+    let shift = QUATERNION_BITS * 2;
+    for (let i = 0; i < 4; i++) {
+      if (i === largest) continue;
+      const bits = (packed >>> shift) & QUATERNION_MASK;
+      components[i] = ((bits / QUATERNION_STEPS) * 2 - 1) * Math.SQRT1_2;
+      sumSquares += components[i] * components[i];
+      shift -= QUATERNION_BITS;
+    }
+    components[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+
+    // Renormalize to remove quantization error
+    const length = Math.sqrt(components.reduce((sum, c) => sum + c * c, 0));
+    return {
+      x: components[0] / length,
+      y: components[1] / length,
+      z: components[2] / length,
+      w: components[3] / length
+    };
+  }
+
+  function writeInt24(view, offset, value) {
+    view.setInt8(offset, value >> 16);
+    view.setUint16(offset + 1, value & 0xFFFF);
+  }
+
+  function readInt24(view, offset) {
+    return (view.getInt8(offset) << 16) | view.getUint16(offset + 1);
+  }
+
+  function writePosition(view, offset, position) {
+    writeInt24(view, offset, position[0]);
+    writeInt24(view, offset + 3, position[1]);
+    writeInt24(view, offset + 6, position[2]);
+    return offset + POSITION_BYTES;
+  }
+
+  function readPosition(view, offset, target) {
+    target.position = {
+      x: readInt24(view, offset) / POSITION_SCALE,
+      y: readInt24(view, offset + 3) / POSITION_SCALE,
+      z: readInt24(view, offset + 6) / POSITION_SCALE
+    };
+    return offset + POSITION_BYTES;
+  }
+
+  function writeQuaternion(view, offset, packed) {
+    view.setUint32(offset, packed);
+    return offset + QUATERNION_BYTES;
+  }
+
+  function readQuaternion(view, offset, target) {
+    target.quaternion = unpackQuaternion(view.getUint32(offset));
+    return offset + QUATERNION_BYTES;
+  }
+
+  function writeVelocity(view, offset, velocity) {
+    view.setInt16(offset, velocity[0]);
+    view.setInt16(offset + 2, velocity[1]);
+    view.setInt16(offset + 4, velocity[2]);
+    return offset + VELOCITY_BYTES;
+  }
+
+  function readVelocity(view, offset, target) {
+    target.velocity = {
+      x: view.getInt16(offset) / VELOCITY_SCALE,
+      y: view.getInt16(offset + 2) / VELOCITY_SCALE,
+      z: view.getInt16(offset + 4) / VELOCITY_SCALE
+    };
+    return offset + VELOCITY_BYTES;
+  }
+
+  StateCodec.FIELDS = FIELDS;
+  StateCodec.PLAYER_STATE_BYTES = PLAYER_STATE_BYTES;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateCodec;
+  } else {
+    root.StateCodec = StateCodec;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,371 @@
+/**
+ * TrackCollision.js - Collision data generated from a track's visual geometry
+ *
+ * Shared by the browser (loaded as a classic script that defines
+ * window.TrackCollision) and the build-track-collision CLI (required as a
+ * CommonJS module), so a precomputed cache file and a collision built on
+ * the fly are identical.
+ *
+ * The triangles of the track model are split in two:
+ * - ground: triangles facing up are rasterized into a heightfield grid,
+ *   keeping the highest surface in each cell
+ * - barriers: steep triangles that stick out of the ground are kept as a
+ *   triangle soup, which the game turns into thin convex prisms
+ *
+ * Heights are stored in centimeters and barrier vertices in millimeters so
+ * the cache file stays small.
+ */
+(function(root) {
+  const FORMAT = 'vibeatv-collision';
+  const VERSION = 1;
+
+  const DEFAULT_ELEMENT_SIZE = 2; // m between heightfield samples
+  const MAX_GRID_SIZE = 512; // Samples per side - the element size grows for larger tracks
+  const GROUND_MIN_NORMAL_Y = 0.5; // Triangles flatter than ~60 degrees are ground
+  const BARRIER_MIN_HEIGHT = 0.5; // m a steep triangle must rise above the ground to be a barrier
+  const BARRIER_MIN_AREA = 0.05; // m² - smaller triangles are detail, not walls
+  const MAX_BARRIER_TRIANGLES = 4000; // Largest triangles are kept first
+  const HEIGHT_SCALE = 100; // Heights in cm
+  const VERTEX_SCALE = 1000; // Barrier vertices in mm
+
+  class TrackCollision {
+    /**
+     * Build collision data from world-space triangles
+     * @param {Float32Array|Array} triangles - 9 numbers per triangle (x, y, z of its three corners)
+     * @param {Object} [options]
+     * @param {Number} [options.elementSize] - m between heightfield samples
+     * @param {Object} [options.source] - Describes what the data was built from, checked when the cache is loaded
+     * @returns {Object} - Collision data (see the file header)
+     */
+    static build(triangles, options = {}) {
+      const triangleCount = Math.floor(triangles.length / 9);
+      const normals = new Float32Array(triangleCount * 3);
+      const areas = new Float32Array(triangleCount);
+      const isGround = new Uint8Array(triangleCount);
+
+      let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity, minY = Infinity;
+      for (let t = 0; t < triangleCount; t++) {
+        const area = computeNormal(triangles, t * 9, normals, t * 3);
+        areas[t] = area;
+        if (area > 0 && normals[t * 3 + 1] >= GROUND_MIN_NORMAL_Y) {
+          isGround[t] = 1;
+          for (let v = 0; v < 9; v += 3) {
+            const x = triangles[t * 9 + v];
+            const y = triangles[t * 9 + v + 1];
+            const z = triangles[t * 9 + v + 2];
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
+            if (y < minY) minY = y;
+          }
+        }
+      }
+
+      if (minX === Infinity) {
+        throw new Error('The model has no ground triangles');
+      }
+
+      // Large tracks get a coarser grid so the heightfield stays a manageable size
+      const extent = Math.max(maxX - minX, maxZ - minZ);
+      const elementSize = Math.max(options.elementSize || DEFAULT_ELEMENT_SIZE, extent / (MAX_GRID_SIZE - 1));
+      const cols = Math.ceil((maxX - minX) / elementSize) + 1;
+      const rows = Math.ceil((maxZ - minZ) / elementSize) + 1;
+
+      const heights = new Float32Array(cols * rows).fill(-Infinity);
+      for (let t = 0; t < triangleCount; t++) {
+        if (isGround[t]) {
+          rasterizeTriangle(triangles, t * 9, heights, cols, rows, minX, minZ, elementSize);
+        }
+      }
+      fillHoles(heights, cols, rows, minY);
+
+      const heightfield = {
+        minX: minX,
+        minZ: minZ,
+        elementSize: elementSize,
+        cols: cols,
+        rows: rows,
+        heights: Array.from(heights, height => Math.round(height * HEIGHT_SCALE))
+      };
+
+      // Barriers: steep triangles that rise clearly above the ground under them
+      const barrierTriangles = [];
+      for (let t = 0; t < triangleCount; t++) {
+        if (isGround[t] || areas[t] < BARRIER_MIN_AREA) continue;
+
+        const offset = t * 9;
+        const topY = Math.max(triangles[offset + 1], triangles[offset + 4], triangles[offset + 7]);
+        const centerX = (triangles[offset] + triangles[offset + 3] + triangles[offset + 6]) / 3;
+        const centerZ = (triangles[offset + 2] + triangles[offset + 5] + triangles[offset + 8]) / 3;
+        if (topY - sampleHeight(heights, cols, rows, minX, minZ, elementSize, centerX, centerZ) >= BARRIER_MIN_HEIGHT) {
+          barrierTriangles.push(t);
+        }
+      }
+      barrierTriangles.sort((a, b) => areas[b] - areas[a]);
+      barrierTriangles.length = Math.min(barrierTriangles.length, MAX_BARRIER_TRIANGLES);
+
+      return {
+        format: FORMAT,
+        version: VERSION,
+        source: options.source || null,
+        heightfield: heightfield,
+        barriers: packTriangles(triangles, barrierTriangles)
+      };
+    }
+
+    /**
+     * Check that loaded collision data is usable and was built from the expected source
+     * @param {Object} data - Parsed collision data
+     * @param {Object} [source] - Expected source description - compared field by field
+     * @returns {String|null} - What's wrong with it, or null if it can be used
+     */
+    static validate(data, source) {
+      if (!data || data.format !== FORMAT) {
+        return 'Not a collision file';
+      }
+      if (data.version !== VERSION) {
+        return `Unsupported collision version ${data.version}`;
+      }
+
+      const heightfield = data.heightfield;
+      if (!heightfield || !Array.isArray(heightfield.heights) || heightfield.heights.length !== heightfield.cols * heightfield.rows) {
+        return 'The heightfield is damaged';
+      }
+      if (!data.barriers || !Array.isArray(data.barriers.vertices) || !Array.isArray(data.barriers.indices) ||
+          data.barriers.vertices.length % 3 !== 0 || data.barriers.indices.length % 3 !== 0) {
+        return 'The barriers are damaged';
+      }
+
+      if (source) {
+        const stale = Object.keys(source).find(key =>
+          JSON.stringify(source[key]) !== JSON.stringify(data.source && data.source[key])
+        );
+        if (stale) {
+          return `Built with a different ${stale} - rebuild it`;
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Get the heights in meters in the layout CANNON.Heightfield takes. The shape's
+     * local Y axis has to point along world -Z (rotate the body -90 degrees about X),
+     * so the columns run from the far edge (maxZ) back towards minZ.
+     * @param {Object} data - Collision data
+     * @returns {Array} - matrix[x index][index from maxZ]
+     */
+    static getHeightMatrix(data) {
+      const heightfield = data.heightfield;
+      const matrix = [];
+      for (let i = 0; i < heightfield.cols; i++) {
+        const column = [];
+        for (let j = heightfield.rows - 1; j >= 0; j--) {
+          column.push(heightfield.heights[j * heightfield.cols + i] / HEIGHT_SCALE);
+        }
+        matrix.push(column);
+      }
+      return matrix;
+    }
+
+    /**
+     * Get the ground height under a point
+     * @param {Object} data - Collision data
+     * @param {Number} x - World X
+     * @param {Number} z - World Z
+     * @returns {Number|null} - Height in meters, or null if the point is off the heightfield
+     */
+    static getHeightAt(data, x, z) {
+      const heightfield = data.heightfield;
+      const i = Math.round((x - heightfield.minX) / heightfield.elementSize);
+      const j = Math.round((z - heightfield.minZ) / heightfield.elementSize);
+      if (i < 0 || j < 0 || i >= heightfield.cols || j >= heightfield.rows) {
+        return null;
+      }
+      return heightfield.heights[j * heightfield.cols + i] / HEIGHT_SCALE;
+    }
+
+    /**
+     * Get the area and height range the heightfield covers - the ground triangles of
+     * the model, rounded up to whole grid cells
+     * @param {Object} data - Collision data
+     * @returns {Object} - { minX, maxX, minZ, maxZ, minY, maxY } in meters
+     */
+    static getBounds(data) {
+      const heightfield = data.heightfield;
+      let minY = Infinity, maxY = -Infinity;
+      heightfield.heights.forEach(height => {
+        minY = Math.min(minY, height / HEIGHT_SCALE);
+        maxY = Math.max(maxY, height / HEIGHT_SCALE);
+      });
+
+      return {
+        minX: heightfield.minX,
+        maxX: heightfield.minX + (heightfield.cols - 1) * heightfield.elementSize,
+        minZ: heightfield.minZ,
+        maxZ: heightfield.minZ + (heightfield.rows - 1) * heightfield.elementSize,
+        minY: minY,
+        maxY: maxY
+      };
+    }
+
+    /**
+     * Get the barrier triangles in meters
+     * @param {Object} data - Collision data
+     * @returns {Array} - [[x, y, z], [x, y, z], [x, y, z]] per triangle
+     */
+    static getBarrierTriangles(data) {
+      const vertices = data.barriers.vertices;
+      const indices = data.barriers.indices;
+      const result = [];
+      for (let i = 0; i < indices.length; i += 3) {
+        const triangle = [];
+        for (let k = 0; k < 3; k++) {
+          const v = indices[i + k] * 3;
+          triangle.push([vertices[v] / VERTEX_SCALE, vertices[v + 1] / VERTEX_SCALE, vertices[v + 2] / VERTEX_SCALE]);
+        }
+        result.push(triangle);
+      }
+      return result;
+    }
+  }
+
+  // Helper function to compute a triangle's unit normal; returns its area
+  function computeNormal(triangles, offset, normals, normalOffset) {
+    const ax = triangles[offset + 3] - triangles[offset];
+    const ay = triangles[offset + 4] - triangles[offset + 1];
+    const az = triangles[offset + 5] - triangles[offset + 2];
+    const bx = triangles[offset + 6] - triangles[offset];
+    const by = triangles[offset + 7] - triangles[offset + 1];
+    const bz = triangles[offset + 8] - triangles[offset + 2];
+
+    let nx = ay * bz - az * by;
+    let ny = az * bx - ax * bz;
+    let nz = ax * by - ay * bx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length === 0) return 0;
+
+    // Ground can be modelled with either winding - only the slope matters
+    if (ny < 0) {
+      nx = -nx;
+      ny = -ny;
+      nz = -nz;
+    }
+    normals[normalOffset] = nx / length;
+    normals[normalOffset + 1] = ny / length;
+    normals[normalOffset + 2] = nz / length;
+    return length / 2;
+  }
+
+  // Helper function to write a triangle's height into every grid point it covers, keeping the highest
+  function rasterizeTriangle(triangles, offset, heights, cols, rows, minX, minZ, elementSize) {
+    const x0 = triangles[offset], y0 = triangles[offset + 1], z0 = triangles[offset + 2];
+    const x1 = triangles[offset + 3], y1 = triangles[offset + 4], z1 = triangles[offset + 5];
+    const x2 = triangles[offset + 6], y2 = triangles[offset + 7], z2 = triangles[offset + 8];
+
+    const denominator = (z1 - z2) * (x0 - x2) + (x2 - x1) * (z0 - z2);
+    if (Math.abs(denominator) < 1e-9) return;
+
+    const iStart = Math.max(0, Math.ceil((Math.min(x0, x1, x2) - minX) / elementSize));
+    const iEnd = Math.min(cols - 1, Math.floor((Math.max(x0, x1, x2) - minX) / elementSize));
+    const jStart = Math.max(0, Math.ceil((Math.min(z0, z1, z2) - minZ) / elementSize));
+    const jEnd = Math.min(rows - 1, Math.floor((Math.max(z0, z1, z2) - minZ) / elementSize));
+
+    for (let j = jStart; j <= jEnd; j++) {
+      const z = minZ + j * elementSize;
+      for (let i = iStart; i <= iEnd; i++) {
+        const x = minX + i * elementSize;
+        const w0 = ((z1 - z2) * (x - x2) + (x2 - x1) * (z - z2)) / denominator;
+        const w1 = ((z2 - z0) * (x - x2) + (x0 - x2) * (z - z2)) / denominator;
+        const w2 = 1 - w0 - w1;
+        if (w0 < -1e-6 || w1 < -1e-6 || w2 < -1e-6) continue;
+
+        const y = w0 * y0 + w1 * y1 + w2 * y2;
+        const index = j * cols + i;
+        if (y > heights[index]) {
+          heights[index] = y;
+        }
+      }
+    }
+  }
+
+  // Helper function to give grid points no triangle covered the height of their neighbours
+  function fillHoles(heights, cols, rows, floorHeight) {
+    // Small gaps (between triangles narrower than a grid cell) close in a few passes
+    for (let pass = 0; pass < 4; pass++) {
+      const filled = heights.slice();
+      let remaining = 0;
+      for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+          const index = j * cols + i;
+          if (heights[index] !== -Infinity) continue;
+
+          let sum = 0;
+          let count = 0;
+          [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]].forEach(([ni, nj]) => {
+            if (ni >= 0 && ni < cols && nj >= 0 && nj < rows && heights[nj * cols + ni] !== -Infinity) {
+              sum += heights[nj * cols + ni];
+              count++;
+            }
+          });
+          if (count > 0) {
+            filled[index] = sum / count;
+          } else {
+            remaining++;
+          }
+        }
+      }
+      heights.set(filled);
+      if (remaining === 0) return;
+    }
+
+    // Anything further from the model is flat ground at its lowest point
+    for (let index = 0; index < heights.length; index++) {
+      if (heights[index] === -Infinity) {
+        heights[index] = floorHeight;
+      }
+    }
+  }
+
+  // Helper function to read the ground height under a point from the grid
+  function sampleHeight(heights, cols, rows, minX, minZ, elementSize, x, z) {
+    const i = Math.max(0, Math.min(cols - 1, Math.round((x - minX) / elementSize)));
+    const j = Math.max(0, Math.min(rows - 1, Math.round((z - minZ) / elementSize)));
+    return heights[j * cols + i];
+  }
+
+  // Helper function to store triangles as shared, quantized vertices plus indices
+  function packTriangles(triangles, triangleIndices) {
+    const vertices = [];
+    const indices = [];
+    const vertexIds = new Map();
+
+    triangleIndices.forEach(t => {
+      for (let v = 0; v < 3; v++) {
+        const offset = t * 9 + v * 3;
+        const x = Math.round(triangles[offset] * VERTEX_SCALE);
+        const y = Math.round(triangles[offset + 1] * VERTEX_SCALE);
+        const z = Math.round(triangles[offset + 2] * VERTEX_SCALE);
+        const key = `${x},${y},${z}`;
+        if (!vertexIds.has(key)) {
+          vertexIds.set(key, vertices.length / 3);
+          vertices.push(x, y, z);
+        }
+        indices.push(vertexIds.get(key));
+      }
+    });
+
+    return { vertices: vertices, indices: indices };
+  }
+
+  TrackCollision.FORMAT = FORMAT;
+  TrackCollision.VERSION = VERSION;
+  TrackCollision.HEIGHT_SCALE = HEIGHT_SCALE;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackCollision;
+  } else {
+    root.TrackCollision = TrackCollision;
+  }
+})(typeof window !== 'undefined' ? window : this);
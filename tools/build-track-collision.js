@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * build-track-collision.js - Precompute the collision file of a track model
+ *
+ * Reads a .glb track model, applies the same scale and position the track
+ * gives it in the game, and writes <model>.collision.json next to it
+ * (see shared/TrackCollision.js). The game loads that file instead of
+ * building the collision from the model on every start.
+ *
+ * Usage:
+ *   node tools/build-track-collision.js --track <id> [--element-size 2]
+ *   node tools/build-track-collision.js <model.glb> [--scale 5] [--position 0,-1,0] [--element-size 2] [--output file]
+ *
+ * --track takes the model, its placement and the output file from the track
+ * manifest (tracks/<id>.json). Only uncompressed triangle meshes are read -
+ * Draco or meshopt compressed models have to be exported without compression
+ * first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TrackCollision = require('../shared/TrackCollision');
+const TrackCatalog = require('../server/TrackCatalog');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TRACKS_DIR = path.join(ROOT_DIR, 'tracks');
+const TRACK_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+const MODE_TRIANGLES = 4;
+const UNSUPPORTED_EXTENSIONS = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression', 'KHR_mesh_quantization'];
+
+// Bytes per component and readers for the accessor component types glTF uses
+const COMPONENT_TYPES = {
+  5121: { size: 1, read: (view, offset) => view.getUint8(offset) },
+  5123: { size: 2, read: (view, offset) => view.getUint16(offset, true) },
+  5125: { size: 4, read: (view, offset) => view.getUint32(offset, true) },
+  5126: { size: 4, read: (view, offset) => view.getFloat32(offset, true) }
+};
+
+function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const modelPath = path.resolve(options.model);
+  const output = options.output || modelPath.replace(/\.glb$/i, '') + '.collision.json';
+
+  const source = {
+    // Same form as the track's modelPath so the game recognizes the file
+    model: path.relative(ROOT_DIR, modelPath).split(path.sep).join('/'),
+    scale: options.scale,
+    position: options.position
+  };
+
+  if (!fs.existsSync(modelPath)) {
+    fail(`Model not found: ${modelPath}`);
+  }
+  const triangles = readTriangles(fs.readFileSync(modelPath), source);
+  console.log(`Read ${triangles.length / 9} triangles from ${source.model}`);
+
+  const data = TrackCollision.build(triangles, { elementSize: options.elementSize, source: source });
+  fs.writeFileSync(output, JSON.stringify(data));
+
+  const heightfield = data.heightfield;
+  console.log(`Heightfield: ${heightfield.cols} x ${heightfield.rows} samples, ${heightfield.elementSize.toFixed(2)} m apart`);
+  console.log(`Barriers: ${data.barriers.indices.length / 3} triangles`);
+  console.log(`Wrote ${path.relative(process.cwd(), output)}`);
+}
+
+// Helper function to read the command line
+function parseArguments(args) {
+  const options = { model: null, track: null, scale: 5, position: [0, -1, 0], elementSize: undefined, output: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--track') {
+      options.track = args[++i];
+    } else if (arg === '--scale') {
+      options.scale = Number(args[++i]);
+    } else if (arg === '--position') {
+      options.position = String(args[++i]).split(',').map(Number);
+    } else if (arg === '--element-size') {
+      options.elementSize = Number(args[++i]);
+    } else if (arg === '--output') {
+      options.output = path.resolve(args[++i]);
+    } else if (!options.model) {
+      options.model = arg;
+    } else {
+      fail(`Unexpected argument "${arg}"`);
+    }
+  }
+
+  if (options.track) {
+    applyTrackManifest(options);
+  }
+  if (!options.model) {
+    fail('Usage: node tools/build-track-collision.js --track <id> | <model.glb> [--scale 5] [--position 0,-1,0] [--element-size 2] [--output file]');
+  }
+  if (!(options.scale > 0)) {
+    fail('--scale must be a positive number');
+  }
+  if (options.position.length !== 3 || !options.position.every(Number.isFinite)) {
+    fail('--position must be three numbers, e.g. 0,-1,0');
+  }
+  if (options.elementSize !== undefined && !(options.elementSize > 0)) {
+    fail('--element-size must be a positive number');
+  }
+
+  return options;
+}
+
+// Helper function to take the model and its placement from a track manifest
+function applyTrackManifest(options) {
+  if (!TRACK_ID_PATTERN.test(options.track)) {
+    fail(`"${options.track}" is not a valid track ID`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(TRACKS_DIR, `${options.track}.json`), 'utf8'));
+  } catch (error) {
+    fail(`Couldn't read track "${options.track}": ${error.message}`);
+  }
+
+  const model = manifest.model;
+  const modelError = TrackCatalog.validateModel(model);
+  if (modelError) {
+    fail(`Track "${options.track}": ${modelError}`);
+  }
+  options.model = path.join(ROOT_DIR, model.path);
+  options.scale = model.scale;
+  options.position = model.position || [0, 0, 0];
+  if (model.collision) {
+    options.output = path.join(ROOT_DIR, model.collision);
+  }
+}
+
+/**
+ * Read the world-space triangles of every mesh in a .glb file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} source - { scale, position } of the model's root in the game
+ * @returns {Float32Array} - 9 numbers per triangle
+ */
+function readTriangles(buffer, source) {
+  const { gltf, bin } = parseGlb(buffer);
+
+  const unsupported = (gltf.extensionsRequired || []).concat(gltf.extensionsUsed || [])
+    .find(extension => UNSUPPORTED_EXTENSIONS.includes(extension));
+  if (unsupported) {
+    fail(`The model uses ${unsupported}, which this tool can't read - export it uncompressed`);
+  }
+
+  const rootMatrix = composeMatrix([0, 0, 0, 1], source.position, [source.scale, source.scale, source.scale]);
+  const scene = gltf.scenes ? gltf.scenes[gltf.scene || 0] : null;
+  const rootNodes = scene ? scene.nodes : (gltf.nodes || []).map((node, index) => index);
+
+  const triangles = [];
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = gltf.nodes[nodeIndex];
+    const matrix = multiplyMatrices(parentMatrix, getNodeMatrix(node));
+    if (node.mesh !== undefined) {
+      gltf.meshes[node.mesh].primitives.forEach(primitive => {
+        addPrimitiveTriangles(gltf, bin, primitive, matrix, triangles);
+      });
+    }
+    (node.children || []).forEach(child => visit(child, matrix));
+  };
+  rootNodes.forEach(nodeIndex => visit(nodeIndex, rootMatrix));
+
+  return new Float32Array(triangles);
+}
+
+// Helper function to split a .glb file into its JSON and binary chunks
+function parseGlb(buffer) {
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    fail('Not a .glb file');
+  }
+
+  let gltf = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32LE(offset);
+    const type = buffer.readUInt32LE(offset + 4);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === CHUNK_JSON) {
+      gltf = JSON.parse(chunk.toString('utf8'));
+    } else if (type === CHUNK_BIN) {
+      bin = chunk;
+    }
+    offset += 8 + length;
+  }
+
+  if (!gltf) {
+    fail('The .glb file has no JSON chunk');
+  }
+  return { gltf: gltf, bin: bin };
+}
+
+// Helper function to append the triangles of one mesh primitive
+function addPrimitiveTriangles(gltf, bin, primitive, matrix, triangles) {
+  const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+  if (mode !== MODE_TRIANGLES || primitive.attributes.POSITION === undefined) return;
+
+  const positions = readAccessor(gltf, bin, primitive.attributes.POSITION);
+  const indices = primitive.indices !== undefined
+    ? readAccessor(gltf, bin, primitive.indices)
+    : Array.from({ length: positions.length / 3 }, (value, index) => index);
+
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const index = indices[i + k] * 3;
+      const point = transformPoint(matrix, positions[index], positions[index + 1], positions[index + 2]);
+      triangles.push(point[0], point[1], point[2]);
+    }
+  }
+}
+
+// Helper function to read an accessor as a flat array of numbers
+function readAccessor(gltf, bin, accessorIndex) {
+  const accessor = gltf.accessors[accessorIndex];
+  const componentType = COMPONENT_TYPES[accessor.componentType];
+  const components = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[accessor.type];
+  if (!componentType || !components) {
+    fail(`Unsupported accessor type ${accessor.type}/${accessor.componentType}`);
+  }
+  if (accessor.sparse) {
+    fail('Sparse accessors are not supported');
+  }
+
+  const values = new Array(accessor.count * components).fill(0);
+  if (accessor.bufferView === undefined) return values;
+
+  const bufferView = gltf.bufferViews[accessor.bufferView];
+  if (bufferView.buffer !== 0 || !bin) {
+    fail('Only models with their data inside the .glb file are supported');
+  }
+
+  const view = new DataView(bin.buffer, bin.byteOffset, bin.byteLength);
+  const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+  const stride = bufferView.byteStride || componentType.size * components;
+  for (let i = 0; i < accessor.count; i++) {
+    for (let c = 0; c < components; c++) {
+      values[i * components + c] = componentType.read(view, start + i * stride + c * componentType.size);
+    }
+  }
+  return values;
+}
+
+// Helper function to get a node's local transform as a column-major 4x4 matrix
+function getNodeMatrix(node) {
+  if (node.matrix) return node.matrix;
+  return composeMatrix(node.rotation || [0, 0, 0, 1], node.translation || [0, 0, 0], node.scale || [1, 1, 1]);
+}
+
+// Helper function to build a column-major matrix from a quaternion, translation and scale
+function composeMatrix(q, t, s) {
+  const [x, y, z, w] = q;
+  return [
+    (1 - 2 * (y * y + z * z)) * s[0], 2 * (x * y + z * w) * s[0], 2 * (x * z - y * w) * s[0], 0,
+    2 * (x * y - z * w) * s[1], (1 - 2 * (x * x + z * z)) * s[1], 2 * (y * z + x * w) * s[1], 0,
+    2 * (x * z + y * w) * s[2], 2 * (y * z - x * w) * s[2], (1 - 2 * (x * x + y * y)) * s[2], 0,
+    t[0], t[1], t[2], 1
+  ];
+}
+
+// Helper function to multiply two column-major 4x4 matrices
+function multiplyMatrices(a, b) {
+  const result = new Array(16);
+  for (let column = 0; column < 4; column++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[column * 4 + k];
+      }
+      result[column * 4 + row] = sum;
+    }
+  }
+  return result;
+}
+
+// Helper function to transform a point by a column-major 4x4 matrix
+function transformPoint(m, x, y, z) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+// Helper function to stop with an error message
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+main();
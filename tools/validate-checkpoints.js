@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * validate-checkpoints.js - Check every saved checkpoint layout
+ *
+ * Runs the checks the server makes before it saves a layout (see
+ * shared/CheckpointValidator.js) on every file in checkpoints/, including
+ * flat files older versions saved directly in checkpoints/. Layouts of tracks
+ * with a collision file (see build-track-collision.js) are checked against the
+ * ground as well. Exits with 1 if any layout has a problem.
+ *
+ * Usage:
+ *   node tools/validate-checkpoints.js [checkpoints directory]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CheckpointValidator = require('../shared/CheckpointValidator');
+const TrackCatalog = require('../server/TrackCatalog');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length > 1 || args[0] === '--help') {
+    fail('Usage: node tools/validate-checkpoints.js [checkpoints directory]');
+  }
+  const dirPath = path.resolve(args[0] || path.join(ROOT_DIR, 'checkpoints'));
+  if (!fs.existsSync(dirPath)) {
+    fail(`Directory not found: ${dirPath}`);
+  }
+
+  const tracks = new TrackCatalog({ dirPath: path.join(ROOT_DIR, 'tracks'), rootPath: ROOT_DIR });
+  const files = findLayoutFiles(dirPath);
+  const unchecked = new Set(); // Tracks without collision, reported once each
+
+  let invalid = 0;
+  files.forEach(({ filePath, checkpointTrackId }) => {
+    const name = path.relative(process.cwd(), filePath);
+    const { errors, trackId } = validateFile(tracks, filePath, checkpointTrackId);
+    if (errors.length > 0) {
+      invalid++;
+      console.log(`FAIL ${name}`);
+      errors.forEach(error => console.log(`  - ${error}`));
+    } else {
+      console.log(`OK   ${name}`);
+    }
+
+    if (trackId && !tracks.getCollision(trackId) && !unchecked.has(trackId)) {
+      unchecked.add(trackId);
+      console.log(`  (track "${trackId}" has no collision file - its layouts aren't checked against the ground)`);
+    }
+  });
+
+  console.log(`${files.length} layout${files.length === 1 ? '' : 's'} checked, ${invalid} with problems`);
+  process.exit(invalid > 0 ? 1 : 0);
+}
+
+// Helper function to list the layout files - one directory per checkpoint track ID, plus old flat files
+function findLayoutFiles(dirPath) {
+  const files = [];
+  fs.readdirSync(dirPath, { withFileTypes: true }).forEach(entry => {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      fs.readdirSync(entryPath)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => files.push({ filePath: path.join(entryPath, file), checkpointTrackId: entry.name }));
+    } else if (entry.name.endsWith('.json')) {
+      files.push({ filePath: entryPath, checkpointTrackId: null });
+    }
+  });
+  return files.sort((a, b) => a.filePath.localeCompare(b.filePath));
+}
+
+// Helper function to check one layout file against the track it belongs to
+function validateFile(tracks, filePath, checkpointTrackId) {
+  let layout;
+  try {
+    layout = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { errors: [`not readable JSON: ${error.message}`], trackId: null };
+  }
+
+  // Flat files name their track inside
+  const owner = checkpointTrackId || (layout && layout.trackId);
+  const track = tracks.list().find(entry => tracks.get(entry.id).checkpoints.trackId === owner);
+  if (!track) {
+    return { errors: [`no track files its checkpoints under "${owner}"`], trackId: null };
+  }
+
+  const errors = CheckpointValidator.validate(layout, { collision: tracks.getCollision(track.id) });
+  return { errors: errors, trackId: track.id };
+}
+
+// Helper function to stop with an error message
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+main();
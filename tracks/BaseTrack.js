@@ -1,3 +1,7 @@
+import { SURFACES, DEFAULT_SURFACE } from './surfaces.js';
+
+const BARRIER_THICKNESS = 0.5; // m each barrier triangle is extruded behind its face
+
 /**
  * BaseTrack - Abstract base class for all tracks
  * 
@@ -10,7 +14,7 @@ class BaseTrack {
      * @param {Object} options - Configuration options for the track
      * @param {THREE.Scene} options.scene - The THREE.js scene
      * @param {CANNON.World} options.world - The CANNON.js physics world
-     * @param {Object} options.materials - Physics materials
+     * @param {Object} options.materials - Physics materials (ground, vehicle, asset, and surfaces: name -> material)
      */
     constructor(options) {
         if (!options.scene) throw new Error('Scene is required');
@@ -27,11 +31,18 @@ class BaseTrack {
         
         // Array to hold track objects
         this.walls = [];
+        this.wallMeshes = [];
         this.ramps = [];
         this.rampMeshes = [];
         this.lights = [];
         this.debugMeshes = [];
         this.checkpoints = [];
+        
+        // Ground surfaces - bodies can be tagged with a surface and zones can paint
+        // one onto an area; everything else is the default surface
+        this.defaultSurface = DEFAULT_SURFACE;
+        this.surfaceZones = [];
+        this.surfaceMeshes = [];
     }
     
     /**
@@ -75,6 +86,214 @@ class BaseTrack {
         return this.checkpoints;
     }
     
+    /**
+     * Create the ground and barrier collision of the track from its model (this.trackMesh)
+     *
+     * Uses the precomputed collision file if it was built from the same model setup;
+     * otherwise the collision is built from the model's triangles while loading,
+     * which takes a while on big tracks (see tools/build-track-collision.js).
+     * @param {Object} options
+     * @param {String} options.cachePath - URL of the precomputed collision file
+     * @param {Object} options.source - What the collision is built from ({ model, scale, position }) - a cache built from anything else is ignored
+     * @param {Number} [options.elementSize] - m between heightfield samples when building
+     * @returns {Promise<Object>} - The collision data (see shared/TrackCollision.js)
+     */
+    async createCollisionFromModel(options) {
+        let data = await this.loadCollisionCache(options.cachePath, options.source);
+        
+        if (!data) {
+            const startTime = performance.now();
+            data = TrackCollision.build(extractTriangles(this.trackMesh), {
+                elementSize: options.elementSize,
+                source: options.source
+            });
+            console.log(`Built ${this.name} collision in ${Math.round(performance.now() - startTime)} ms - ` +
+                'precompute it with "npm run build-collision" to load faster');
+        }
+        
+        this.createCollisionBodies(data);
+        return data;
+    }
+    
+    /**
+     * Load a precomputed collision file
+     * @param {String} cachePath - URL of the file
+     * @param {Object} source - Expected model setup
+     * @returns {Promise<Object|null>} - The collision data, or null if there's no usable file
+     */
+    async loadCollisionCache(cachePath, source) {
+        try {
+            const response = await fetch(cachePath);
+            if (!response.ok) {
+                console.log(`No precomputed collision at ${cachePath}`);
+                return null;
+            }
+            
+            const data = await response.json();
+            const error = TrackCollision.validate(data, source);
+            if (error) {
+                console.warn(`Ignoring collision file ${cachePath}: ${error}`);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.warn(`Error loading collision file ${cachePath}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Add the physics bodies for collision data: a heightfield for the ground
+     * (this.trackCollider) and one body of barrier prisms (added to this.walls)
+     * @param {Object} data - Collision data
+     */
+    createCollisionBodies(data) {
+        const heightfield = data.heightfield;
+        
+        const groundShape = new CANNON.Heightfield(TrackCollision.getHeightMatrix(data), {
+            elementSize: heightfield.elementSize
+        });
+        const groundBody = new CANNON.Body({ mass: 0, material: this.materials.ground });
+        groundBody.addShape(groundShape);
+        
+        // The heightfield's local Y runs along world -Z from the far edge
+        groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        groundBody.position.set(heightfield.minX, 0, heightfield.minZ + (heightfield.rows - 1) * heightfield.elementSize);
+        this.world.addBody(groundBody);
+        this.trackCollider = groundBody;
+        
+        // CANNON can't collide the ATV's box with a trimesh, so each barrier
+        // triangle becomes a thin convex prism instead
+        const triangles = TrackCollision.getBarrierTriangles(data);
+        if (triangles.length > 0) {
+            const barrierBody = new CANNON.Body({ mass: 0, material: this.materials.ground });
+            triangles.forEach(triangle => addBarrierPrism(barrierBody, triangle));
+            this.world.addBody(barrierBody);
+            this.walls.push(barrierBody);
+        }
+    }
+    
+    /**
+     * Create wireframes of collision data for debugging (added to this.debugMeshes)
+     * @param {Object} data - Collision data
+     * @param {boolean} visible - Whether the wireframes start visible
+     */
+    createCollisionDebugMeshes(data, visible) {
+        const heightfield = data.heightfield;
+        const width = (heightfield.cols - 1) * heightfield.elementSize;
+        const depth = (heightfield.rows - 1) * heightfield.elementSize;
+        
+        // Plane vertices run row by row from minZ once the plane is laid flat - the same order as the heights
+        const groundGeometry = new THREE.PlaneGeometry(width, depth, heightfield.cols - 1, heightfield.rows - 1);
+        const positions = groundGeometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setZ(i, heightfield.heights[i] / TrackCollision.HEIGHT_SCALE);
+        }
+        const groundMesh = new THREE.Mesh(groundGeometry, new THREE.MeshBasicMaterial({
+            color: 0xff0000,
+            wireframe: true,
+            opacity: 0.5,
+            transparent: true
+        }));
+        groundMesh.rotation.x = -Math.PI / 2;
+        groundMesh.position.set(heightfield.minX + width / 2, 0, heightfield.minZ + depth / 2);
+        
+        const barrierVertices = [];
+        TrackCollision.getBarrierTriangles(data).forEach(triangle => {
+            triangle.forEach(corner => barrierVertices.push(corner[0], corner[1], corner[2]));
+        });
+        const barrierGeometry = new THREE.BufferGeometry();
+        barrierGeometry.setAttribute('position', new THREE.Float32BufferAttribute(barrierVertices, 3));
+        const barrierMesh = new THREE.Mesh(barrierGeometry, new THREE.MeshBasicMaterial({
+            color: 0x00ff00,
+            wireframe: true,
+            opacity: 0.5,
+            transparent: true
+        }));
+        
+        [groundMesh, barrierMesh].forEach(mesh => {
+            mesh.visible = visible;
+            this.scene.add(mesh);
+            this.debugMeshes.push(mesh);
+        });
+    }
+    
+    /**
+     * Give a physics body a surface type - its contact friction and what the wheels feel on it
+     * @param {CANNON.Body} body - Ground body (track, ramp, ...)
+     * @param {String} surface - Surface name (see surfaces.js)
+     */
+    tagSurface(body, surface) {
+        if (!SURFACES[surface]) {
+            console.warn(`Unknown surface "${surface}" - keeping the default`);
+            return;
+        }
+        
+        body.surface = surface;
+        if (this.materials.surfaces && this.materials.surfaces[surface]) {
+            body.material = this.materials.surfaces[surface];
+        }
+    }
+    
+    /**
+     * Paint a surface onto an area of the track, regardless of the body underneath
+     * @param {Object} zone - Area of the surface
+     * @param {String} zone.surface - Surface name (see surfaces.js)
+     * @param {Number} zone.x - Center X
+     * @param {Number} zone.z - Center Z
+     * @param {Number} [zone.radius] - Radius of a round zone
+     * @param {Number} [zone.width] - X size of a rectangular zone
+     * @param {Number} [zone.depth] - Z size of a rectangular zone
+     * @param {Number} [zone.y] - Height to draw the zone at (omit to leave it invisible)
+     */
+    addSurfaceZone(zone) {
+        if (!SURFACES[zone.surface]) {
+            console.warn(`Unknown surface "${zone.surface}" - zone ignored`);
+            return;
+        }
+        
+        this.surfaceZones.push(zone);
+        
+        if (typeof zone.y === 'number') {
+            const geometry = zone.radius
+                ? new THREE.CircleGeometry(zone.radius, 32)
+                : new THREE.PlaneGeometry(zone.width, zone.depth);
+            const material = new THREE.MeshStandardMaterial({
+                color: SURFACES[zone.surface].dust.color,
+                roughness: 0.9,
+                transparent: true,
+                opacity: 0.8
+            });
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.rotation.x = -Math.PI / 2;
+            mesh.position.set(zone.x, zone.y, zone.z);
+            this.scene.add(mesh);
+            this.surfaceMeshes.push(mesh);
+        }
+    }
+    
+    /**
+     * Get the surface at a point on the track
+     * @param {Object} position - World position {x, z} (e.g. a wheel's contact point)
+     * @param {CANNON.Body} [body] - Body the point is on, for its surface tag
+     * @returns {String} - Surface name - later zones win over earlier ones, zones win over body tags
+     */
+    getSurfaceAt(position, body) {
+        for (let i = this.surfaceZones.length - 1; i >= 0; i--) {
+            const zone = this.surfaceZones[i];
+            const dx = position.x - zone.x;
+            const dz = position.z - zone.z;
+            const inside = zone.radius
+                ? dx * dx + dz * dz <= zone.radius * zone.radius
+                : Math.abs(dx) <= zone.width / 2 && Math.abs(dz) <= zone.depth / 2;
+            if (inside) {
+                return zone.surface;
+            }
+        }
+        
+        return (body && body.surface) || this.defaultSurface;
+    }
+    
     /**
      * Set debug visualization state
      * @param {boolean} visible - Whether debug visualizations should be visible
@@ -102,6 +321,11 @@ class BaseTrack {
             this.world.remove(wall);
         });
         
+        // Remove all wall meshes (visual)
+        this.wallMeshes.forEach(mesh => {
+            this.scene.remove(mesh);
+        });
+        
         // Remove all ramps (physics)
         this.ramps.forEach(ramp => {
             this.world.remove(ramp);
@@ -122,13 +346,21 @@ class BaseTrack {
             this.scene.remove(mesh);
         });
         
+        // Remove all surface zone meshes
+        this.surfaceMeshes.forEach(mesh => {
+            this.scene.remove(mesh);
+        });
+        
         // Clear arrays
         this.walls = [];
+        this.wallMeshes = [];
         this.ramps = [];
         this.rampMeshes = [];
         this.lights = [];
         this.debugMeshes = [];
         this.checkpoints = [];
+        this.surfaceZones = [];
+        this.surfaceMeshes = [];
         
         // Clear references
         this.trackMesh = null;
@@ -136,4 +368,55 @@ class BaseTrack {
     }
 }
 
+/**
+ * Collect the world-space triangles of every mesh in a model
+ * @param {THREE.Object3D} object - Model
+ * @returns {Float32Array} - 9 numbers per triangle
+ */
+function extractTriangles(object) {
+    const triangles = [];
+    const vertex = new THREE.Vector3();
+    
+    object.updateMatrixWorld(true);
+    object.traverse(child => {
+        if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+        
+        const position = child.geometry.attributes.position;
+        const index = child.geometry.index;
+        const count = index ? index.count : position.count;
+        for (let i = 0; i + 2 < count; i += 3) {
+            for (let k = 0; k < 3; k++) {
+                vertex.fromBufferAttribute(position, index ? index.getX(i + k) : i + k);
+                vertex.applyMatrix4(child.matrixWorld);
+                triangles.push(vertex.x, vertex.y, vertex.z);
+            }
+        }
+    });
+    
+    return new Float32Array(triangles);
+}
+
+/**
+ * Add a barrier triangle to a body as a prism extruded behind its face
+ * @param {CANNON.Body} body - Barrier body
+ * @param {Array} triangle - [[x, y, z], [x, y, z], [x, y, z]]
+ */
+function addBarrierPrism(body, triangle) {
+    const corners = triangle.map(corner => new CANNON.Vec3(corner[0], corner[1], corner[2]));
+    const normal = new CANNON.Vec3();
+    corners[1].vsub(corners[0]).cross(corners[2].vsub(corners[0]), normal);
+    if (normal.norm() === 0) return;
+    normal.normalize();
+    
+    // Center the shape on the triangle so its bounding sphere stays small
+    const center = corners[0].vadd(corners[1]).vadd(corners[2]).scale(1 / 3);
+    const back = normal.scale(-BARRIER_THICKNESS);
+    const front = corners.map(corner => corner.vsub(center));
+    const vertices = front.concat(front.map(vertex => vertex.vadd(back)));
+    
+    // Faces wind counter-clockwise seen from outside: front, back, then the three sides
+    const faces = [[0, 1, 2], [3, 5, 4], [0, 3, 4, 1], [1, 4, 5, 2], [2, 5, 3, 0]];
+    body.addShape(new CANNON.ConvexPolyhedron(vertices, faces), center);
+}
+
 export default BaseTrack;
@@ -0,0 +1,562 @@
+/**
+ * DataDrivenTrack.js - Track built from a JSON manifest
+ * Lets a new track be added as tracks/<id>.json without writing a track class
+ */
+
+import BaseTrack from './BaseTrack.js';
+import { SURFACES } from './surfaces.js';
+
+const TRACK_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const RAMP_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Same model and collision paths the server accepts (see server/TrackCatalog.js)
+const MODEL_PATH_PATTERN = /^models\/(?:[A-Za-z0-9_-][A-Za-z0-9_.-]*\/)*[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+const DEG = Math.PI / 180; // Angles in manifests are in degrees
+const CHECKPOINT_WIDTH = CheckpointValidator.DEFAULT_WIDTH; // Width of a gate that doesn't set one - the diameter of its ring
+
+/**
+ * DataDrivenTrack - Loads the model, collision, ramps, walls, surfaces,
+ * checkpoints, skybox and lighting a manifest describes
+ *
+ * See the "Track Manifests" section of the README for the format.
+ */
+class DataDrivenTrack extends BaseTrack {
+    /**
+     * @param {Object} options - BaseTrack options, plus:
+     * @param {String} options.id - Track ID (the manifest's file name)
+     * @param {Object} options.manifest - Parsed manifest (checked with validateManifest)
+     */
+    constructor(options) {
+        super(options);
+        this.id = options.id;
+        this.manifest = options.manifest;
+        this.name = this.manifest.name;
+        this.debugEnabled = false;
+        this.skybox = null;
+        
+        // Exit/start portal placement for the game (see createExitPortal in script.js)
+        this.portals = this.manifest.portals || {};
+        
+        // Checkpoint layouts, leaderboards and ghosts know the track by this ID
+        this.checkpointTrackId = this.manifest.checkpoints.trackId;
+        this.checkpointMode = this.manifest.checkpoints.mode || 'circuit';
+        
+        if (this.manifest.surfaces && this.manifest.surfaces.default) {
+            this.defaultSurface = this.manifest.surfaces.default;
+        }
+    }
+    
+    /**
+     * Check that a track ID can name a manifest file
+     * @param {String} id - Track ID
+     * @returns {Boolean}
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && TRACK_ID_PATTERN.test(id);
+    }
+    
+    /**
+     * Check a manifest for missing or impossible values
+     * @param {Object} manifest - Parsed manifest file
+     * @returns {String|null} - What's wrong with it, or null if it can be loaded
+     */
+    static validateManifest(manifest) {
+        if (!manifest || typeof manifest.name !== 'string' || !manifest.name) {
+            return 'name is missing';
+        }
+        
+        const model = manifest.model;
+        if (!model || typeof model.path !== 'string' || !MODEL_PATH_PATTERN.test(model.path)) {
+            return 'model.path must be a file under models/';
+        }
+        if (model.collision !== undefined &&
+            !(typeof model.collision === 'string' && MODEL_PATH_PATTERN.test(model.collision) && model.collision.endsWith('.json'))) {
+            return 'model.collision must be a .json file under models/';
+        }
+        if (!(model.scale > 0)) {
+            return 'model.scale must be a positive number';
+        }
+        if (!isVector(model.position)) {
+            return 'model.position must be [x, y, z]';
+        }
+        
+        if (!manifest.spawn || !isVector(manifest.spawn.position)) {
+            return 'spawn.position must be [x, y, z]';
+        }
+        
+        const ramps = manifest.ramps || [];
+        if (!Array.isArray(ramps)) {
+            return 'ramps must be a list';
+        }
+        const badRamp = ramps.findIndex(ramp =>
+            !ramp || !['x', 'z', 'width', 'height', 'depth', 'angle'].every(key => isFiniteNumber(ramp[key])) ||
+            !(ramp.width > 0 && ramp.height > 0 && ramp.depth > 0) ||
+            (ramp.axis !== 'x' && ramp.axis !== 'z') ||
+            (ramp.heading !== undefined && !isFiniteNumber(ramp.heading)) ||
+            (ramp.surface !== undefined && !SURFACES[ramp.surface]) ||
+            (ramp.id !== undefined && !(typeof ramp.id === 'string' && RAMP_ID_PATTERN.test(ramp.id)))
+        );
+        if (badRamp !== -1) {
+            return `ramps[${badRamp}] needs x, z, a positive width, height and depth, an angle, an axis ('x' or 'z'), a numeric heading if any, a known surface and an ID of letters, digits, - and _ if any`;
+        }
+        
+        const boxes = (manifest.walls && manifest.walls.boxes) || [];
+        const badWall = boxes.findIndex(box =>
+            !box || !isVector(box.position) || !isVector(box.size) || box.size.some(value => value <= 0)
+        );
+        if (badWall !== -1) {
+            return `walls.boxes[${badWall}] needs a position and a positive size`;
+        }
+        
+        const portals = manifest.portals || {};
+        const badPortal = Object.keys(portals).find(key => !portals[key] || !isVector(portals[key].position));
+        if (badPortal) {
+            return `portals.${badPortal}.position must be [x, y, z]`;
+        }
+        
+        const surfaces = manifest.surfaces || {};
+        if (surfaces.default !== undefined && !SURFACES[surfaces.default]) {
+            return `surfaces.default "${surfaces.default}" is not a known surface`;
+        }
+        const badZone = (surfaces.zones || []).findIndex(zone =>
+            !zone || !SURFACES[zone.surface] || !isFiniteNumber(zone.x) || !isFiniteNumber(zone.z) ||
+            !(zone.radius > 0 || (zone.width > 0 && zone.depth > 0))
+        );
+        if (badZone !== -1) {
+            return `surfaces.zones[${badZone}] needs a known surface, x, z and a radius or width and depth`;
+        }
+        
+        const checkpoints = manifest.checkpoints;
+        if (!checkpoints || !DataDrivenTrack.isValidId(checkpoints.trackId)) {
+            return 'checkpoints.trackId is missing';
+        }
+        // Same checks as saved checkpoint layouts - the ground is checked once the collision is loaded
+        const checkpointError = CheckpointValidator.validate(checkpoints)[0];
+        if (checkpointError) {
+            return `checkpoints: ${checkpointError}`;
+        }
+        
+        if (manifest.skybox && typeof manifest.skybox.texture !== 'string') {
+            return 'skybox.texture must be an image path';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Work out where a ramp sits - raised ramps float at their elevation, the rest
+     * are sunk so their low edge is flush with the ground
+     * @param {Object} ramp - Ramp from the manifest
+     * @returns {Object} - { position: THREE.Vector3, quaternion: THREE.Quaternion }
+     */
+    static getRampPose(ramp) {
+        const angle = ramp.angle * DEG;
+        
+        let yPos;
+        if (typeof ramp.elevation === 'number') {
+            // Raised ramp, e.g. the portal ramp
+            yPos = ramp.elevation + ramp.height / 2;
+        } else {
+            // Lower the ramp so its low edge is flush with the ground
+            const edgeOffset = angle < 0 ? Math.sin(Math.abs(angle)) * ramp.depth : -Math.sin(Math.abs(angle)) * ramp.depth;
+            yPos = ramp.height / 2 + edgeOffset;
+        }
+        
+        // Tilted around its axis, then turned to its heading
+        const tiltAxis = ramp.axis === 'x' ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1);
+        const tilt = new THREE.Quaternion().setFromAxisAngle(tiltAxis, angle);
+        const quaternion = new THREE.Quaternion()
+            .setFromAxisAngle(new THREE.Vector3(0, 1, 0), (ramp.heading || 0) * DEG)
+            .multiply(tilt);
+        
+        return { position: new THREE.Vector3(ramp.x, yPos, ramp.z), quaternion: quaternion };
+    }
+    
+    /**
+     * Fill in what checkpoint gates leave open - a gate without a heading faces along
+     * the track, from the checkpoint before it towards the one after it
+     * @param {Array} positions - { x, y, z, heading, width } per checkpoint, heading and width optional
+     * @param {String} [mode] - 'sprint' if the course doesn't loop back to its first gate
+     * @returns {Array} - { x, y, z, heading, width } per checkpoint
+     */
+    static getGates(positions, mode) {
+        const count = positions.length;
+        const loops = mode !== 'sprint';
+        return positions.map((point, index) => {
+            let heading = point.heading;
+            if (typeof heading !== 'number') {
+                // A sprint's start and finish gates only have a neighbour on one side
+                const previous = positions[loops ? (index + count - 1) % count : Math.max(index - 1, 0)];
+                const next = positions[loops ? (index + 1) % count : Math.min(index + 1, count - 1)];
+                heading = Math.round(Math.atan2(next.x - previous.x, next.z - previous.z) / DEG * 100) / 100;
+            }
+            
+            return { x: point.x, y: point.y, z: point.z, heading: heading, width: point.width || CHECKPOINT_WIDTH };
+        });
+    }
+    
+    /**
+     * Load the track
+     * @returns {Promise} - A promise that resolves when the track is loaded
+     */
+    async load() {
+        const model = this.manifest.model;
+        console.log(`Loading ${this.name} model: ${model.path}`);
+        
+        const gltf = await new Promise((resolve, reject) => {
+            new THREE.GLTFLoader().load(
+                model.path,
+                resolve,
+                (xhr) => {
+                    // Progress callback
+                    console.log(`${(xhr.loaded / xhr.total * 100).toFixed(0)}% loaded`);
+                },
+                reject
+            );
+        });
+        
+        // Scale and position the track
+        this.trackMesh = gltf.scene;
+        this.trackMesh.scale.setScalar(model.scale);
+        this.trackMesh.position.fromArray(model.position);
+        this.scene.add(this.trackMesh);
+        
+        // Create physics for the track, then the features that sit on it
+        await this.createPhysics();
+        this.createRamps();
+        this.createSurfaceZones();
+        this.createLighting();
+        await this.createSkybox();
+        
+        this.checkpoints = DataDrivenTrack.getGates(this.manifest.checkpoints.positions, this.checkpointMode);
+        
+        console.log(`${this.name} loaded successfully`);
+        return this;
+    }
+    
+    /**
+     * Create physics bodies for the track from the model's geometry, plus its walls
+     * @returns {Promise} - Resolves once the collision is in the world
+     */
+    async createPhysics() {
+        const model = this.manifest.model;
+        
+        // The source must match how the collision file was built, or it gets rebuilt here
+        const collision = await this.createCollisionFromModel({
+            cachePath: model.collision || model.path.replace(/\.glb$/i, '') + '.collision.json',
+            source: { model: model.path, scale: model.scale, position: model.position }
+        });
+        
+        this.createWalls(collision);
+        
+        // Kept so checkpoint layouts can be checked against the ground
+        this.collision = collision;
+        
+        // Create debug visualization if enabled
+        if (this.debugEnabled) {
+            this.createDebugVisuals(collision);
+        }
+    }
+    
+    /**
+     * Create ramps for the track
+     */
+    createRamps() {
+        (this.manifest.ramps || []).forEach(ramp => this.createRamp(ramp));
+    }
+    
+    /**
+     * Create a ramp on the track
+     * @param {Object} ramp - Ramp from the manifest
+     * @param {Number} ramp.x - X position
+     * @param {Number} ramp.z - Z position
+     * @param {Number} ramp.width - Width of the ramp
+     * @param {Number} ramp.height - Height of the ramp
+     * @param {Number} ramp.depth - Depth of the ramp
+     * @param {Number} ramp.angle - Angle of inclination in degrees
+     * @param {String} ramp.axis - Rotation axis ('x' or 'z')
+     * @param {Number} [ramp.heading] - Turn around the vertical axis in degrees
+     * @param {Number} [ramp.elevation] - Height of the ramp's underside off the ground - omit to sink the low edge flush with the ground
+     * @param {String} [ramp.color] - Color as a CSS color string
+     * @param {String} [ramp.surface] - Surface name (see surfaces.js)
+     * @returns {Object} Object containing the ramp body and mesh
+     */
+    createRamp(ramp) {
+        const color = new THREE.Color(ramp.color || '#ffffff');
+        
+        // Create the physics body - position is key for a smooth transition
+        const rampBody = new CANNON.Body({ mass: 0, material: this.materials.ground });
+        rampBody.addShape(new CANNON.Box(new CANNON.Vec3(ramp.width / 2, ramp.height / 2, ramp.depth / 2)));
+        
+        const pose = DataDrivenTrack.getRampPose(ramp);
+        rampBody.position.set(pose.position.x, pose.position.y, pose.position.z);
+        rampBody.quaternion.set(pose.quaternion.x, pose.quaternion.y, pose.quaternion.z, pose.quaternion.w);
+        if (ramp.surface) {
+            this.tagSurface(rampBody, ramp.surface);
+        }
+        this.world.addBody(rampBody);
+        this.ramps.push(rampBody);
+        
+        // Create the visual representation
+        const rampGeometry = new THREE.BoxGeometry(ramp.width, ramp.height, ramp.depth);
+        const rampMaterial = new THREE.MeshStandardMaterial({
+            color: color,
+            roughness: 0.7,
+            metalness: 0.2,
+            emissive: color,
+            emissiveIntensity: 0.3
+        });
+        const rampMesh = new THREE.Mesh(rampGeometry, rampMaterial);
+        
+        // Position the mesh to match the physics body
+        rampMesh.position.copy(rampBody.position);
+        rampMesh.quaternion.copy(rampBody.quaternion);
+        this.scene.add(rampMesh);
+        this.rampMeshes.push(rampMesh);
+        
+        // Add spotlight for better visibility
+        const spotLight = new THREE.SpotLight(color, 1.5);
+        spotLight.position.set(ramp.x, 30, ramp.z);
+        spotLight.target = rampMesh;
+        spotLight.angle = Math.PI / 6;
+        spotLight.penumbra = 0.2;
+        spotLight.distance = 100;
+        this.scene.add(spotLight);
+        this.lights.push(spotLight);
+        
+        return { body: rampBody, mesh: rampMesh };
+    }
+    
+    /**
+     * Create the walls of the track: along the edges of the ground collision (unless
+     * the manifest turns them off) and any extra boxes it lists
+     * @param {Object} collision - Collision data of the track
+     */
+    createWalls(collision) {
+        const walls = this.manifest.walls || {};
+        
+        if (walls.boundary !== false) {
+            this.createBoundaryWalls(collision);
+        }
+        
+        (walls.boxes || []).forEach(box => {
+            const wallBody = new CANNON.Body({ mass: 0, material: this.materials.ground });
+            wallBody.addShape(new CANNON.Box(new CANNON.Vec3(box.size[0] / 2, box.size[1] / 2, box.size[2] / 2)));
+            wallBody.position.set(box.position[0], box.position[1], box.position[2]);
+            wallBody.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), (box.rotation || 0) * DEG);
+            this.world.addBody(wallBody);
+            this.walls.push(wallBody);
+            
+            // Walls with a color are drawn, the rest are invisible
+            if (box.color) {
+                const wallMesh = new THREE.Mesh(
+                    new THREE.BoxGeometry(box.size[0], box.size[1], box.size[2]),
+                    new THREE.MeshStandardMaterial({ color: new THREE.Color(box.color), roughness: 0.8 })
+                );
+                wallMesh.position.copy(wallBody.position);
+                wallMesh.quaternion.copy(wallBody.quaternion);
+                this.scene.add(wallMesh);
+                this.wallMeshes.push(wallMesh);
+            }
+        });
+    }
+    
+    /**
+     * Create walls along the edges of the ground collision so nobody drives off the world
+     * @param {Object} collision - Collision data of the track
+     */
+    createBoundaryWalls(collision) {
+        const wallHeight = 5;
+        const wallThickness = 1;
+        
+        // The area the heightfield covers - there is no ground beyond it
+        const { minX, maxX, minZ, maxZ, minY, maxY } = TrackCollision.getBounds(collision);
+        const centerX = (minX + maxX) / 2;
+        const centerZ = (minZ + maxZ) / 2;
+        const halfWidth = (maxX - minX) / 2;
+        const halfLength = (maxZ - minZ) / 2;
+        
+        // Tall enough to cover the lowest and highest ground
+        const halfHeight = (maxY - minY) / 2 + wallHeight;
+        const centerY = (minY + maxY) / 2 + wallHeight;
+        
+        // Anything the manifest places outside can't be reached - point it out to whoever made the track
+        this.getPlacesOutside({ minX, maxX, minZ, maxZ }).forEach(place => {
+            console.warn(`${this.name}: ${place} is outside the track's ground (x ${minX} to ${maxX}, z ${minZ} to ${maxZ})`);
+        });
+        
+        [
+            { x: centerX, z: maxZ, halfExtents: new CANNON.Vec3(halfWidth, halfHeight, wallThickness) },   // North wall (Z max)
+            { x: centerX, z: minZ, halfExtents: new CANNON.Vec3(halfWidth, halfHeight, wallThickness) },   // South wall (Z min)
+            { x: maxX, z: centerZ, halfExtents: new CANNON.Vec3(wallThickness, halfHeight, halfLength) },  // East wall (X max)
+            { x: minX, z: centerZ, halfExtents: new CANNON.Vec3(wallThickness, halfHeight, halfLength) }   // West wall (X min)
+        ].forEach(wall => {
+            const wallBody = new CANNON.Body({ mass: 0, material: this.materials.ground });
+            wallBody.addShape(new CANNON.Box(wall.halfExtents));
+            wallBody.position.set(wall.x, centerY, wall.z);
+            this.world.addBody(wallBody);
+            this.walls.push(wallBody);
+        });
+    }
+    
+    /**
+     * Find the ramps, spawn point, portals, surface zones and checkpoints of the manifest
+     * that lie outside an area
+     * @param {Object} area - { minX, maxX, minZ, maxZ }
+     * @returns {Array} - A description of each one outside, e.g. "ramps[2]"
+     */
+    getPlacesOutside(area) {
+        const isOutside = (x, z) => x < area.minX || x > area.maxX || z < area.minZ || z > area.maxZ;
+        const places = [];
+        
+        (this.manifest.ramps || []).forEach((ramp, index) => {
+            if (isOutside(ramp.x, ramp.z)) places.push(`ramps[${index}]`);
+        });
+        const [spawnX, , spawnZ] = this.manifest.spawn.position;
+        if (isOutside(spawnX, spawnZ)) places.push('the spawn point');
+        Object.keys(this.portals).forEach(key => {
+            const [x, , z] = this.portals[key].position;
+            if (isOutside(x, z)) places.push(`portals.${key}`);
+        });
+        ((this.manifest.surfaces && this.manifest.surfaces.zones) || []).forEach((zone, index) => {
+            if (isOutside(zone.x, zone.z)) places.push(`surfaces.zones[${index}]`);
+        });
+        this.manifest.checkpoints.positions.forEach((point, index) => {
+            if (isOutside(point.x, point.z)) places.push(`checkpoints.positions[${index}]`);
+        });
+        return places;
+    }
+    
+    /**
+     * Create the surface zones of the track - the rest of the track is its default surface
+     */
+    createSurfaceZones() {
+        const surfaces = this.manifest.surfaces || {};
+        (surfaces.zones || []).forEach(zone => this.addSurfaceZone(zone));
+    }
+    
+    /**
+     * Add the track's ambient and directional light
+     */
+    createLighting() {
+        const lighting = this.manifest.lighting || {};
+        const ambient = lighting.ambient || {};
+        const directional = lighting.directional || {};
+        
+        const ambientLight = new THREE.AmbientLight(
+            new THREE.Color(ambient.color || '#eeeeee'),
+            isFiniteNumber(ambient.intensity) ? ambient.intensity : 1
+        );
+        this.scene.add(ambientLight);
+        this.lights.push(ambientLight);
+        
+        const directionalLight = new THREE.DirectionalLight(
+            new THREE.Color(directional.color || '#ffffff'),
+            isFiniteNumber(directional.intensity) ? directional.intensity : 0.7
+        );
+        directionalLight.position.fromArray(isVector(directional.position) ? directional.position : [0, 1, 0]);
+        this.scene.add(directionalLight);
+        this.lights.push(directionalLight);
+    }
+    
+    /**
+     * Add the skybox sphere - a track without one (or whose image fails to load) has none
+     * @returns {Promise} - Resolves once the skybox is in the scene
+     */
+    async createSkybox() {
+        const skybox = this.manifest.skybox;
+        if (!skybox) return;
+        
+        try {
+            const texture = await new THREE.TextureLoader().loadAsync(skybox.texture);
+            const geometry = new THREE.SphereGeometry(skybox.radius || 2000, 32, 32);
+            const material = new THREE.MeshBasicMaterial({
+                map: texture,
+                side: THREE.BackSide,
+                depthWrite: false
+            });
+            this.skybox = new THREE.Mesh(geometry, material);
+            this.scene.add(this.skybox);
+        } catch (error) {
+            console.error('Skybox loading failed:', error);
+        }
+    }
+    
+    /**
+     * Create debug visualization for the track physics
+     * @param {Object} collision - Collision data the track physics was built from
+     */
+    createDebugVisuals(collision) {
+        // Wireframes of the ground heightfield and the barriers
+        this.createCollisionDebugMeshes(collision, this.debugEnabled);
+        
+        // Also create debug visualizations for the box walls
+        this.walls.forEach(wall => {
+            const shape = wall.shapes[0];
+            if (!(shape instanceof CANNON.Box)) return;
+            
+            const wallGeometry = new THREE.BoxGeometry(
+                shape.halfExtents.x * 2,
+                shape.halfExtents.y * 2,
+                shape.halfExtents.z * 2
+            );
+            const wallMaterial = new THREE.MeshBasicMaterial({
+                color: 0x00ff00,
+                wireframe: true,
+                opacity: 0.3,
+                transparent: true
+            });
+            const wallDebug = new THREE.Mesh(wallGeometry, wallMaterial);
+            wallDebug.position.copy(wall.position);
+            wallDebug.quaternion.copy(wall.quaternion);
+            wallDebug.visible = this.debugEnabled;
+            this.scene.add(wallDebug);
+            this.debugMeshes.push(wallDebug);
+        });
+    }
+    
+    /**
+     * Get the player start position for this track
+     */
+    getPlayerStartPosition() {
+        const spawn = this.manifest.spawn;
+        const halfHeading = (spawn.heading || 0) * DEG / 2;
+        return {
+            position: { x: spawn.position[0], y: spawn.position[1], z: spawn.position[2] },
+            rotation: { x: 0, y: Math.sin(halfHeading), z: 0, w: Math.cos(halfHeading) }
+        };
+    }
+    
+    /**
+     * Set debug visualization state
+     */
+    setDebugVisible(visible) {
+        this.debugEnabled = visible;
+        this.debugMeshes.forEach(mesh => {
+            mesh.visible = visible;
+        });
+    }
+    
+    /**
+     * Clean up track resources, including the skybox
+     */
+    cleanup() {
+        super.cleanup();
+        
+        if (this.skybox) {
+            this.scene.remove(this.skybox);
+            this.skybox = null;
+        }
+    }
+}
+
+// Helper function to check for a finite number
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Helper function to check for an [x, y, z] array
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+export default DataDrivenTrack;
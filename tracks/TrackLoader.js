@@ -3,13 +3,16 @@
  * Provides functionality to load and manage different tracks
  */
 
-import DriftRaceTrack from './DriftRaceTrack.js';
+import DataDrivenTrack from './DataDrivenTrack.js';
 
 /**
  * TrackLoader - Handles loading and instantiation of different track types
  * 
  * This class is responsible for loading the appropriate track based on track ID
  * and providing a uniform interface to interact with the loaded track.
+ * Tracks are described by manifests (tracks/<id>.json) and built by
+ * DataDrivenTrack; a track that needs code of its own can still register a
+ * BaseTrack subclass under its ID.
  */
 class TrackLoader {
     constructor(options) {
@@ -17,12 +20,10 @@ class TrackLoader {
         this.world = options.world;
         this.materials = options.materials;
         
-        // Store track registry - mapping track IDs to their classes
+        // Store track registry - mapping track IDs to custom track classes.
+        // Any other ID is loaded from its manifest in tracks/
         this.trackRegistry = {
-            'drift-race': DriftRaceTrack
-            // Add more tracks here as they are implemented
             // 'desert': DesertTrack,
-            // 'snow': SnowTrack, etc.
         };
         
         this.currentTrack = null;
@@ -51,29 +52,15 @@ class TrackLoader {
             this.currentTrack = null;
         }
         
-        // Check if the requested track exists in our registry
-        const TrackClass = this.trackRegistry[trackId];
-        if (!TrackClass) {
-            console.error(`TrackLoader: Track with ID "${trackId}" not found in registry`);
-            return Promise.reject(new Error(`Track "${trackId}" not found`));
-        }
-        
         // Set loading state
         this.isLoading = true;
         
         try {
-            // Create a new instance of the track
-            console.log(`TrackLoader: Creating new instance of ${trackId} track`);
-            const trackOptions = {
-                scene: this.scene,
-                world: this.world,
-                materials: this.materials
-            };
-            
-            this.currentTrack = new TrackClass(trackOptions);
-            
             // Create a promise to handle the asynchronous loading
-            this.loadingPromise = this.currentTrack.load();
+            this.loadingPromise = this.createTrack(trackId).then(track => {
+                this.currentTrack = track;
+                return track.load();
+            });
             
             // Wait for the track to load
             await this.loadingPromise;
@@ -88,6 +75,52 @@ class TrackLoader {
         }
     }
     
+    /**
+     * Create a new instance of a track - its registered class, or a DataDrivenTrack for its manifest
+     * @param {String} trackId - The ID of the track
+     * @returns {Promise<BaseTrack>} - The track, not loaded yet
+     */
+    async createTrack(trackId) {
+        console.log(`TrackLoader: Creating new instance of ${trackId} track`);
+        const trackOptions = {
+            scene: this.scene,
+            world: this.world,
+            materials: this.materials
+        };
+        
+        const TrackClass = this.trackRegistry[trackId];
+        if (TrackClass) {
+            return new TrackClass(trackOptions);
+        }
+        
+        const manifest = await this.loadManifest(trackId);
+        return new DataDrivenTrack(Object.assign({ id: trackId, manifest: manifest }, trackOptions));
+    }
+    
+    /**
+     * Fetch and check the manifest of a track
+     * @param {String} trackId - The ID of the track (tracks/<trackId>.json)
+     * @returns {Promise<Object>} - The manifest
+     */
+    async loadManifest(trackId) {
+        if (!DataDrivenTrack.isValidId(trackId)) {
+            throw new Error(`Track "${trackId}" not found`);
+        }
+        
+        // Editors can save tracks while the game runs, so always ask for the current file
+        const response = await fetch(`tracks/${trackId}.json`, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Track "${trackId}" not found`);
+        }
+        
+        const manifest = await response.json();
+        const error = DataDrivenTrack.validateManifest(manifest);
+        if (error) {
+            throw new Error(`Track "${trackId}" has an invalid manifest: ${error}`);
+        }
+        return manifest;
+    }
+    
     /**
      * Get the currently loaded track
      * @returns {BaseTrack|null} - The current track, or null if no track is loaded
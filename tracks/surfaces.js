@@ -0,0 +1,80 @@
+/**
+ * surfaces.js - Ground surface types
+ * How each kind of ground drives, looks and sounds under the ATV
+ */
+
+/**
+ * Surface definitions
+ *
+ * - friction: contact friction between the ground and the chassis (CANNON.ContactMaterial)
+ * - restitution: how much the chassis bounces off the ground
+ * - grip: multiplier on each wheel's frictionSlip (tyre grip) while it is on this surface
+ * - speedFactor: multiplier on engine force, and with it on top speed - keep it at 1 or
+ *   below, vehicle setups are only checked against the anti-cheat speed limit at full power
+ * - dust: { color, amount } of the particles thrown up by the wheels (amount 1 is a normal cloud)
+ * - sound: { file, volume, rate } of the looping tyre noise (volume 0 is silent)
+ */
+export const SURFACES = {
+    dirt: {
+        friction: 0.3,
+        restitution: 0.3,
+        grip: 1,
+        speedFactor: 1,
+        dust: { color: 0x654321, amount: 1 },
+        sound: { file: 'sounds/dirt.mp3', volume: 0.25, rate: 1 }
+    },
+    mud: {
+        friction: 0.5,
+        restitution: 0.05,
+        grip: 0.6,
+        speedFactor: 0.55,
+        dust: { color: 0x3b2a1a, amount: 1.5 },
+        sound: { file: 'sounds/dirt.mp3', volume: 0.35, rate: 0.6 }
+    },
+    sand: {
+        friction: 0.4,
+        restitution: 0.1,
+        grip: 0.75,
+        speedFactor: 0.75,
+        dust: { color: 0xd8c38a, amount: 2 },
+        sound: { file: 'sounds/dirt.mp3', volume: 0.2, rate: 1.3 }
+    },
+    asphalt: {
+        friction: 0.6,
+        restitution: 0.2,
+        grip: 1.3,
+        speedFactor: 1,
+        dust: { color: 0x888888, amount: 0.1 },
+        sound: { file: 'sounds/dirt.mp3', volume: 0, rate: 1 }
+    },
+    water: {
+        friction: 0.1,
+        restitution: 0,
+        grip: 0.5,
+        speedFactor: 0.45,
+        dust: { color: 0xbfe6ff, amount: 2.5 },
+        sound: { file: 'sounds/dirt.mp3', volume: 0.3, rate: 0.45 }
+    }
+};
+
+export const DEFAULT_SURFACE = 'dirt';
+
+/**
+ * Create a physics material per surface, with its contact properties against the vehicle
+ * @param {CANNON.World} world - Physics world to register the contact materials in
+ * @param {CANNON.Material} vehicleMaterial - Material of the ATV chassis
+ * @returns {Object} - Surface name -> CANNON.Material
+ */
+export function createSurfaceMaterials(world, vehicleMaterial) {
+    const materials = {};
+
+    Object.entries(SURFACES).forEach(([name, surface]) => {
+        materials[name] = new CANNON.Material(`${name}Material`);
+        world.addContactMaterial(new CANNON.ContactMaterial(materials[name], vehicleMaterial, {
+            friction: surface.friction,
+            restitution: surface.restitution
+        }));
+    });
+
+    return materials;
+}